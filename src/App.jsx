@@ -1,5 +1,4 @@
-import { useState, useRef, useEffect, useCallback } from "react";
-import { pipeline, env } from "@huggingface/transformers";
+import { useState, useRef, useEffect, useCallback, useMemo } from "react";
 import {
   Upload,
   ImageIcon,
@@ -10,126 +9,663 @@ import {
   Settings,
   ShieldCheck,
   Cpu,
-  Zap,
   Info,
-  Database,
+  Video,
+  Layers,
+  Gauge,
+  PencilLine,
+  HistoryIcon,
+  AlertTriangle,
+  Link2,
+  Check,
+  X,
+  RotateCcw,
+  EyeOff,
+  ListChecks,
+  WifiOff,
+  RefreshCw,
+  Pentagon,
 } from "lucide-react";
+import { useDetector } from "./hooks/useDetector";
+import { useBatchQueue } from "./hooks/useBatchQueue";
+import { useModelVariants } from "./hooks/useModelVariants";
+import { useAnnotationHistory } from "./hooks/useAnnotationHistory";
+import { useSessionHistory } from "./hooks/useSessionHistory";
+import { usePwa } from "./hooks/usePwa";
+import { isAbortError } from "./lib/detectionClient";
+import { classifyError } from "./lib/errors";
+import { collectDroppedImages, fileEntry, isImageFile } from "./lib/files";
+import { normalizeOrientation } from "./lib/exif";
+import { fetchImageFile, readClipboard } from "./lib/imageSources";
+import { consumeLaunchFiles, takeSharedFiles } from "./lib/pwa";
+import {
+  buildExport,
+  renderAnnotatedImage,
+  measureImage,
+  downloadBlob,
+  baseName,
+} from "./lib/exporters";
+import { LOCAL_MODEL_PREFIX } from "./lib/localModel";
+import { toAnnotations } from "./lib/annotations";
+import { detectionAt } from "./lib/drawDetections";
+import { detectSliced } from "./lib/tiling";
+import { loadHistoryImage } from "./lib/history";
+import { labelsFromConfig, parseLabelList } from "./lib/postprocess";
+import {
+  resolveDtype,
+  fallbackDtype,
+  isPrecisionRejection,
+  formatDtype,
+} from "./lib/modelVariants";
+import {
+  DEVICE_LABELS,
+  INITIAL_CAPABILITIES,
+  probeCapabilities,
+} from "./lib/capabilities";
+import { DEFAULT_REDACTION, EMPTY_REDACTION_EDITS } from "./lib/redaction";
+import { DEFAULT_ZONE_LAYOUT, countZones, drawZones } from "./lib/zones";
+import {
+  initialSettings,
+  saveSettings,
+  clearUrlParams,
+  shareUrl,
+} from "./lib/settings";
+import { TASKS, DEFAULT_TASK, getTask } from "./tasks";
+import LiveDetection from "./components/LiveDetection";
+import BatchPanel from "./components/BatchPanel";
+import ExportMenu from "./components/ExportMenu";
+import CacheManager from "./components/CacheManager";
+import DownloadProgress from "./components/DownloadProgress";
+import ModelSourcePanel from "./components/ModelSourcePanel";
+import BenchmarkPanel from "./components/BenchmarkPanel";
+import PrecisionSelector from "./components/PrecisionSelector";
+import AnnotationEditor from "./components/AnnotationEditor";
+import OverlayCanvas from "./components/OverlayCanvas";
+import ZoomPanViewport from "./components/ZoomPanViewport";
+import SlicingSettings from "./components/SlicingSettings";
+import HistoryPanel from "./components/HistoryPanel";
+import FallbackSettings from "./components/FallbackSettings";
+import LoadError from "./components/LoadError";
+import ImageSources from "./components/ImageSources";
+import DiagnosticsPanel from "./components/DiagnosticsPanel";
+import RedactionView from "./components/RedactionView";
+import EvaluationPanel from "./components/EvaluationPanel";
+import ZoneEditor from "./components/ZoneEditor";
+import ZonePanel from "./components/ZonePanel";
 
 // Default configuration
-const DEFAULT_MODEL =
-  import.meta.env.VITE_MODEL_NAME || "onnx-community/rfdetr_medium-ONNX";
 const MAX_FILE_SIZE_MB = 10;
 const MAX_FILE_SIZE = MAX_FILE_SIZE_MB * 1024 * 1024;
+const DETECTION_ONLY_MODES = new Set(["live", "batch", "redact", "evaluate"]);
 
 function App() {
   // State for Pipeline
-  const [detector, setDetector] = useState(null);
+  const { isReady, isLoading, labels, downloads, load, cancelLoad, detect } =
+    useDetector();
   const [imageUrl, setImageUrl] = useState(null);
-  const [results, setResults] = useState([]);
-  const [isReady, setIsReady] = useState(false);
+  const [imageName, setImageName] = useState(null);
+  const [rawResults, setRawResults] = useState(null);
   const [isDetecting, setIsDetecting] = useState(false);
   const [status, setStatus] = useState("System standby");
+  const [mode, setMode] = useState("image"); // image, live, batch, redact, evaluate, benchmark, history
+  // Human-verified annotations per image URL, kept apart from predictions
+  const [edits, setEdits] = useState({});
+  const [isEditing, setIsEditing] = useState(false);
+  // Redaction settings, and the manual boxes of the image they were made on
+  const [redaction, setRedaction] = useState(DEFAULT_REDACTION);
+  const [redactionEdits, setRedactionEdits] = useState(null); // { url, ... }
+  // Regions of interest; kept across images, which often share a camera
+  const [zoneLayout, setZoneLayout] = useState(DEFAULT_ZONE_LAYOUT);
+  const [isEditingZones, setIsEditingZones] = useState(false);
+  // The saved run of the viewport image ({ id, url }), kept in sync with
+  // edits; a run that finishes saving after the image changed doesn't count
+  const [historyEntry, setHistoryEntry] = useState(null);
 
-  // State for Config
+  // State for Config: saved settings, overridden by the link's parameters
+  const [initial] = useState(initialSettings);
+  const [linkNotice, setLinkNotice] = useState(
+    initial.errors.length > 0 || initial.linkDtype ? initial : null,
+  );
   const [showConfig, setShowConfig] = useState(false);
-  const [device, setDevice] = useState("auto"); // auto, webgpu, wasm, cpu
-  const [quantized, setQuantized] = useState(true);
-  const [modelName, setModelName] = useState(DEFAULT_MODEL);
-  const [capabilities, setCapabilities] = useState({
-    webgpu: false,
-    wasm: true, // Always true in modern browsers
-    webnn: false,
-    cpu: true,
-  });
-  const [modelInput, setModelInput] = useState(DEFAULT_MODEL);
+  const [task, setTask] = useState(initial.settings.task);
+  const [taskOptions, setTaskOptions] = useState(initial.settings.taskOptions);
+  const [device, setDevice] = useState(initial.settings.device); // auto, webgpu, wasm, cpu
+  const [dtype, setDtype] = useState(initial.settings.dtype); // dtype or { module: dtype }
+  const [fallbackDevices, setFallbackDevices] = useState(
+    initial.settings.fallbackDevices,
+  );
+  const [loadedDevice, setLoadedDevice] = useState(null); // after fallback
+  const [loadError, setLoadError] = useState(null); // see lib/errors
+  const [loadCancelled, setLoadCancelled] = useState(false);
+  const [modelName, setModelName] = useState(initial.settings.model);
+  const [modelSource, setModelSource] = useState(initial.settings.source);
+  const [capabilities, setCapabilities] = useState(INITIAL_CAPABILITIES);
+  const [modelInput, setModelInput] = useState(initial.settings.model);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [uncopiedLink, setUncopiedLink] = useState(null); // clipboard refused
   const [error, setError] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
+  const [isFetching, setIsFetching] = useState(false); // image URL download
 
+  const [hovered, setHovered] = useState(null); // index into displayResults
+  const [slicing, setSlicing] = useState(initial.settings.slicing);
+  const [imageSize, setImageSize] = useState(null); // natural pixels
   const imageRef = useRef(null);
-  const canvasRef = useRef(null);
+  const detectionRef = useRef(null);
+  const imageRequestRef = useRef(0);
+  const pasteRef = useRef(null);
+  const openFilesRef = useRef(null);
+  const loadGenerationRef = useRef(0);
+  // Object URL of the viewport image when App created it (uploads, history);
+  // batch items own theirs
+  const ownedUrlRef = useRef(null);
 
-  // Check hardware capabilities
-  useEffect(() => {
-    async function checkCapabilities() {
-      const caps = { webgpu: false, wasm: true, webnn: false, cpu: true };
-
-      // Check WebGPU
-      if ("gpu" in navigator) {
-        try {
-          const adapter = await navigator.gpu.requestAdapter();
-          if (adapter) caps.webgpu = true;
-        } catch (e) {
-          console.error("WebGPU not available", e);
-        }
-      }
+  const taskModule = getTask(task);
+  const isDetectionTask = taskModule.kind === "detection";
+  const options = taskOptions[task];
+  const setOptions = useCallback(
+    (next) => setTaskOptions((prev) => ({ ...prev, [task]: next })),
+    [task],
+  );
+  const inferenceOptions = useMemo(
+    () => taskModule.inferenceOptions(options),
+    [taskModule, options],
+  );
 
-      // Check WebNN
-      if ("ml" in navigator) {
-        caps.webnn = true;
-      }
+  const { variants, isLoading: variantsLoading } = useModelVariants(
+    modelName,
+    modelSource,
+  );
+  // A precision the device rejected is swapped for this session only, and
+  // only while the model, device and chosen dtype stay the same; the saved
+  // choice is left alone
+  const precisionKey = JSON.stringify([modelName, device, dtype]);
+  const [precisionFallback, setPrecisionFallback] = useState(null); // { key, dtype }
+  const effectiveDtype =
+    precisionFallback?.key === precisionKey ? precisionFallback.dtype : dtype;
+  const resolvedDtype = useMemo(
+    () => resolveDtype(effectiveDtype, variants),
+    [effectiveDtype, variants],
+  );
 
-      setCapabilities(caps);
-    }
-    checkCapabilities();
-  }, []);
+  const history = useSessionHistory();
+  const { isOffline, applyUpdate } = usePwa();
+  const batch = useBatchQueue({
+    isReady,
+    detect,
+    detectionOptions: inferenceOptions,
+    maxFileSize: MAX_FILE_SIZE,
+  });
+
+  // Options are re-applied to the cached raw output on every change
+  const results = useMemo(
+    () => rawResults && taskModule.postprocess(rawResults, options),
+    [taskModule, rawResults, options],
+  );
+  const batchItems = useMemo(
+    () =>
+      batch.items.map((item) => ({
+        ...item,
+        detections:
+          edits[item.url] ?? taskModule.postprocess(item.detections, options),
+      })),
+    [taskModule, batch.items, options, edits],
+  );
+
+  const annotations = imageUrl ? edits[imageUrl] : undefined;
+  const historyEntryId =
+    historyEntry && historyEntry.url === imageUrl ? historyEntry.id : null;
+  const { update: updateHistory } = history;
+  const setAnnotations = useCallback(
+    (next) => {
+      setEdits((prev) => {
+        const nextEdits = { ...prev };
+        if (next) nextEdits[imageUrl] = next;
+        else delete nextEdits[imageUrl];
+        return nextEdits;
+      });
+      if (historyEntryId != null) {
+        updateHistory(historyEntryId, { annotations: next ?? null });
+      }
+    },
+    [imageUrl, historyEntryId, updateHistory],
+  );
+  const annotationHistory = useAnnotationHistory(
+    imageUrl,
+    annotations,
+    setAnnotations,
+  );
+  // Edits replace the predictions everywhere they are shown or exported
+  const displayResults = (isDetectionTask && annotations) || results;
+  const currentRedactionEdits =
+    redactionEdits && redactionEdits.url === imageUrl
+      ? redactionEdits
+      : EMPTY_REDACTION_EDITS;
+  const editableAnnotations = useMemo(
+    () => annotations ?? toAnnotations(results ?? []),
+    [annotations, results],
+  );
+  const zoneSummaries = useMemo(
+    () => countZones(isDetectionTask ? (displayResults ?? []) : [], zoneLayout),
+    [isDetectionTask, displayResults, zoneLayout],
+  );
+  const annotationLabels = useMemo(
+    () => [
+      ...new Set([
+        ...labelsFromConfig(labels),
+        ...(options.candidateLabels
+          ? parseLabelList(options.candidateLabels)
+          : []),
+      ]),
+    ],
+    [labels, options],
+  );
 
-  // Configure Transformers.js environment
+  // Probe what the browser can really run (see lib/capabilities)
   useEffect(() => {
-    env.allowLocalModels = false;
-    env.useBrowserCache = true;
-    // Note: Local storage location is managed by the browser's Cache API in Transformers.js by default
-    // but we can simulate/explain the "Cache Location" in the UI.
+    let cancelled = false;
+    probeCapabilities().then((probed) => !cancelled && setCapabilities(probed));
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
+  // Tries the selected device, then the fallback chain for errors another
+  // provider might not hit. A newer call supersedes this one: its load
+  // aborts ours, and the generation check stops anything left over.
   const loadModel = useCallback(async () => {
-    setIsReady(false);
-    setDetector(null);
-    setStatus("Initializing model...");
+    const generation = ++loadGenerationRef.current;
+    setLoadError(null);
+    setLoadCancelled(false);
+    setLoadedDevice(null);
 
-    try {
-      setStatus(`Loading ${modelName} on ${device}...`);
+    // The precision can't be picked until we know which graphs exist
+    if (variantsLoading) {
+      cancelLoad(); // Whatever is still loading is for the old choice
+      setStatus("Checking available model variants...");
+      return;
+    }
 
-      const options = {
-        device: device === "auto" ? undefined : device,
-        quantized: quantized,
-      };
+    const devices = [
+      device,
+      ...fallbackDevices.filter(
+        (candidate) => candidate !== device && capabilities[candidate],
+      ),
+    ];
 
-      // Special handling for WebNN (experimental/browser specific)
-      if (device === "webnn") {
-        options.device = "webnn";
-      }
+    for (const [attempt, candidate] of devices.entries()) {
+      setStatus(`Loading ${modelName} on ${candidate}...`);
 
-      const pipe = await pipeline("object-detection", modelName, options);
+      try {
+        await load(
+          {
+            task,
+            model: modelName,
+            device: candidate,
+            dtype: resolvedDtype,
+            source: modelSource,
+          },
+          {
+            onProgress: (data) => {
+              if (data.status === "progress") {
+                setStatus(
+                  `Downloading ${data.file} (${Math.round(data.progress)}%)`,
+                );
+              }
+            },
+          },
+        );
+        setLoadedDevice(candidate);
+        setStatus(
+          attempt === 0
+            ? "Engine Ready"
+            : `Engine Ready on ${candidate.toUpperCase()} (fell back from ${device.toUpperCase()})`,
+        );
+        return;
+      } catch (err) {
+        // Cancelled, or superseded by a newer load
+        if (isAbortError(err) || loadGenerationRef.current !== generation) {
+          return;
+        }
+        console.error("Initialization error:", err);
 
-      setDetector(() => pipe);
-      setIsReady(true);
-      setStatus("Engine Ready");
-    } catch (err) {
-      console.error("Initialization error:", err);
-      setStatus(`Error: ${err.message}`);
+        const failure = { ...classifyError(err), device: candidate };
+
+        // e.g. WebGPU without shader-f16 refusing fp16 graphs; other
+        // unsupported errors go through the device fallback below
+        const fallback =
+          failure.kind === "unsupported-op" &&
+          isPrecisionRejection(err, resolvedDtype) &&
+          fallbackDtype(resolvedDtype, variants);
+        if (fallback) {
+          setStatus(
+            `${candidate.toUpperCase()} rejected ${formatDtype(resolvedDtype)}, retrying with ${fallback}...`,
+          );
+          // Reloads through the effect below
+          setPrecisionFallback({ key: precisionKey, dtype: fallback });
+          return;
+        }
+
+        const next = devices[attempt + 1];
+        if (failure.deviceSpecific && next) {
+          setStatus(
+            `${candidate.toUpperCase()} failed (${failure.title}), falling back to ${next.toUpperCase()}...`,
+          );
+          continue;
+        }
+        setLoadError(failure);
+        setStatus(`Error: ${failure.title}`);
+        return;
+      }
     }
-  }, [modelName, device, quantized]);
+  }, [
+    load,
+    cancelLoad,
+    task,
+    modelName,
+    modelSource,
+    device,
+    fallbackDevices,
+    capabilities,
+    resolvedDtype,
+    precisionKey,
+    variants,
+    variantsLoading,
+  ]);
+
+  const cancelModelLoad = () => {
+    ++loadGenerationRef.current;
+    cancelLoad();
+    setLoadCancelled(true);
+    setStatus("Model load cancelled.");
+  };
 
   // Load model when settings change
   useEffect(() => {
     loadModel();
   }, [loadModel]);
 
-  const handleFile = (file) => {
+  useEffect(() => {
+    saveSettings({
+      task,
+      model: modelName,
+      source: modelSource,
+      device,
+      dtype,
+      fallbackDevices,
+      taskOptions,
+      slicing,
+    });
+  }, [
+    task,
+    modelName,
+    modelSource,
+    device,
+    dtype,
+    fallbackDevices,
+    taskOptions,
+    slicing,
+  ]);
+
+  // The link's parameters are saved now; a reload shouldn't re-apply them
+  useEffect(() => clearUrlParams(), []);
+
+  // A valid dtype from a link can still be one the model doesn't ship
+  const linkDtypeMissing =
+    linkNotice?.linkDtype &&
+    dtype === linkNotice.linkDtype &&
+    variants &&
+    resolvedDtype !== dtype;
+
+  // Without clipboard access (permission denied, insecure context) the link
+  // is shown for copying by hand instead
+  const copyShareLink = async () => {
+    const link = shareUrl({
+      task,
+      model: modelName,
+      device,
+      dtype: resolvedDtype,
+      threshold: options.threshold,
+    });
+    try {
+      await navigator.clipboard.writeText(link);
+    } catch {
+      setUncopiedLink(link);
+      return;
+    }
+    setUncopiedLink(null);
+    setLinkCopied(true);
+    setTimeout(() => setLinkCopied(false), 2000);
+  };
+
+  // Puts an image in the viewport, releasing the previous one if App owned
+  // it. Its unsaved edits go too; saved runs keep theirs in the history.
+  const showImage = (url, name, { owned = false } = {}) => {
+    // A new image makes any in-flight analysis stale
+    detectionRef.current?.abort();
+    const previous = ownedUrlRef.current;
+    if (previous && previous !== url) {
+      URL.revokeObjectURL(previous);
+      setEdits((prev) => {
+        const nextEdits = { ...prev };
+        delete nextEdits[previous];
+        return nextEdits;
+      });
+    }
+    ownedUrlRef.current = owned ? url : null;
+    setImageUrl(url);
+    setImageName(name);
+    setImageSize(null);
+    setRawResults(null);
+    setIsEditing(false);
+    setIsEditingZones(false);
+  };
+
+  // `request` orders slow sources (URLs, orientation fixes): only the most
+  // recently started one may replace the image
+  const handleFile = async (file, request = ++imageRequestRef.current) => {
     setError(null);
     if (file) {
       if (file.size > MAX_FILE_SIZE) {
         setError(`File is too large. Max limit is ${MAX_FILE_SIZE_MB}MB.`);
         return;
       }
-      const url = URL.createObjectURL(file);
-      setImageUrl(url);
-      setResults([]);
+      const upright = await normalizeOrientation(file);
+      if (request !== imageRequestRef.current) return;
+      showImage(URL.createObjectURL(upright), file.name, { owned: true });
+    }
+  };
+
+  const loadFromUrl = async (url) => {
+    const request = ++imageRequestRef.current;
+    setError(null);
+    setIsFetching(true);
+    try {
+      const file = await fetchImageFile(url);
+      if (request !== imageRequestRef.current) return;
+      setMode("image");
+      await handleFile(file, request);
+    } catch (err) {
+      if (request === imageRequestRef.current) setError(err.message);
+    } finally {
+      setIsFetching(false);
     }
   };
 
+  // A single picked image goes to the viewport; anything more is queued.
+  // `entries` are { file, path } pairs (see lib/files).
+  const handleFiles = async (entries, fromDirectory = false) => {
+    setError(null);
+    const images = entries.filter(({ file }) => isImageFile(file));
+    if (images.length === 0) {
+      if (entries.length > 0) setError("No supported images were found.");
+      return;
+    }
+    if (images.length === 1 && !fromDirectory) {
+      setMode("image");
+      handleFile(images[0].file);
+      return;
+    }
+    if (!isDetectionTask) {
+      setError("Batch processing is available for detection tasks only.");
+      return;
+    }
+    setMode("batch");
+    // Oversize files are skipped by the queue, no need to decode them
+    batch.addFiles(
+      await Promise.all(
+        images.map(async ({ file, path }) => ({
+          file:
+            file.size > MAX_FILE_SIZE ? file : await normalizeOrientation(file),
+          path,
+        })),
+      ),
+    );
+  };
+
   const handleFileChange = (e) => {
-    handleFile(e.target.files[0]);
+    handleFiles([...e.target.files].map(fileEntry));
+    e.target.value = "";
+  };
+
+  const openBatchItem = (item) => {
+    setMode("image");
+    showImage(item.url, item.name);
+    setRawResults(batch.items.find(({ id }) => id === item.id).detections);
+  };
+
+  // Restores a saved run: its image, task, model, options, output and edits,
+  // so re-running uses the model that produced it. Local folders live in
+  // memory only, so their runs keep the current model (or the task default).
+  const openHistoryEntry = async (entry) => {
+    setError(null);
+    let blob;
+    try {
+      blob = await loadHistoryImage(entry);
+    } catch (err) {
+      console.error("Could not read from history:", err);
+      setError(`Couldn't open this run: ${err.message}`);
+      return;
+    }
+    if (!blob) {
+      setError("The image for this run is missing from storage.");
+      return;
+    }
+    if (entry.task !== task) changeTask(entry.task);
+    if (!entry.model.startsWith(LOCAL_MODEL_PREFIX)) {
+      setModelInput(entry.model);
+      setModelName(entry.model);
+    }
+    const url = URL.createObjectURL(blob);
+    setMode("image");
+    showImage(url, entry.name, { owned: true });
+    setTaskOptions((prev) => ({ ...prev, [entry.task]: entry.options }));
+    setRawResults(entry.raw);
+    if (entry.annotations) {
+      setEdits((prev) => ({ ...prev, [url]: entry.annotations }));
+    }
+    if (entry.slicing) setSlicing(entry.slicing);
+    setHistoryEntry({ id: entry.id, url });
+    setStatus(`Restored run of ${entry.model}`);
+  };
+
+  const deleteHistoryEntry = async (entry) => {
+    try {
+      await history.remove(entry);
+    } catch (err) {
+      console.error("Could not delete from history:", err);
+      setError(`Couldn't delete this run: ${err.message}`);
+      return;
+    }
+    if (entry.id === historyEntryId) setHistoryEntry(null);
+  };
+
+  const clearHistory = async () => {
+    try {
+      await history.clear();
+    } catch (err) {
+      console.error("Could not clear history:", err);
+      setError(`Couldn't clear the history: ${err.message}`);
+      return;
+    }
+    setHistoryEntry(null);
+  };
+
+  const saveRun = async (output, time) => {
+    const blob = await (await fetch(imageUrl)).blob();
+    const entry = await history.save(blob, {
+      name: imageName,
+      task,
+      model: modelName,
+      device: loadedDevice ?? device,
+      dtype: resolvedDtype,
+      options,
+      slicing: isDetectionTask && slicing.enabled ? slicing : null,
+      raw: output,
+      annotations: (isDetectionTask && annotations) || null,
+      time,
+    });
+    if (entry) setHistoryEntry({ id: entry.id, url: imageUrl });
+  };
+
+  const applyModelSource = (source, model) => {
+    setModelSource(source);
+    if (model) {
+      setModelInput(model);
+      setModelName(model);
+    }
+  };
+
+  const changeTask = (next) => {
+    const nextModule = getTask(next);
+    detectionRef.current?.abort();
+    batch.clear();
+    setEdits({});
+    setIsEditing(false);
+    setIsEditingZones(false);
+    setTask(next);
+    setModelInput(nextModule.defaultModel);
+    setModelName(nextModule.defaultModel);
+    setRawResults(null);
+    if (nextModule.kind !== "detection" && mode !== "benchmark") {
+      setMode("image");
+    }
+  };
+
+  const exportResults = async (format) => {
+    const image = imageRef.current;
+    if (format === "png") {
+      const blob = await renderAnnotatedImage(
+        image,
+        displayResults,
+        image.clientWidth,
+      );
+      downloadBlob(blob, `${baseName(imageName)}.annotated.png`);
+      return;
+    }
+    const { blob, filename } = buildExport(format, [
+      {
+        name: imageName,
+        width: image.naturalWidth,
+        height: image.naturalHeight,
+        detections: displayResults,
+      },
+    ]);
+    downloadBlob(blob, filename);
+  };
+
+  const exportBatch = async (format) => {
+    const images = await Promise.all(
+      batchItems
+        .filter((item) => item.status === "done")
+        .map(async (item) => ({
+          name: item.name,
+          ...(await measureImage(item.file)),
+          detections: item.detections,
+        })),
+    );
+    const { blob, filename } = buildExport(format, images, "batch-detections");
+    downloadBlob(blob, filename);
   };
 
   const handleDragOver = (e) => {
@@ -142,67 +678,145 @@ function App() {
     setIsDragging(false);
   };
 
-  const handleDrop = (e) => {
+  const handleSnapshot = (file) => {
+    setMode("image");
+    handleFile(file);
+  };
+
+  // Ctrl+V anywhere outside a text field: image data, or an image URL
+  const handlePaste = (e) => {
+    const target = e.target;
+    if (
+      target.isContentEditable ||
+      ["INPUT", "TEXTAREA"].includes(target.tagName)
+    ) {
+      return;
+    }
+    const { files, url } = readClipboard(e.clipboardData);
+    if (files) {
+      e.preventDefault();
+      handleFiles(files.map(fileEntry));
+    } else if (url) {
+      e.preventDefault();
+      loadFromUrl(url);
+    }
+  };
+
+  useEffect(() => {
+    pasteRef.current = handlePaste;
+  });
+
+  useEffect(() => {
+    const onPaste = (e) => pasteRef.current(e);
+    window.addEventListener("paste", onPaste);
+    return () => window.removeEventListener("paste", onPaste);
+  }, []);
+
+  useEffect(() => {
+    openFilesRef.current = (files) => handleFiles(files.map(fileEntry));
+  });
+
+  // Images opened with the installed app or shared to it (see lib/pwa)
+  useEffect(() => {
+    consumeLaunchFiles((files) => openFilesRef.current(files));
+    takeSharedFiles()
+      .then((files) => files.length > 0 && openFilesRef.current(files))
+      .catch((err) => console.error("Could not open shared images:", err));
+  }, []);
+
+  const handleDrop = async (e) => {
     e.preventDefault();
     setIsDragging(false);
-    const file = e.dataTransfer.files[0];
-    handleFile(file);
+    const { entries, fromDirectory } = await collectDroppedImages(
+      e.dataTransfer,
+    );
+    handleFiles(entries, fromDirectory);
   };
 
   const detectObjects = async () => {
-    if (!detector || !imageUrl) return;
+    if (!isReady || !imageUrl) return;
 
+    const controller = new AbortController();
+    detectionRef.current = controller;
     setIsDetecting(true);
     setStatus("Analyzing pixels...");
+    const start = performance.now();
 
     try {
-      const output = await detector(imageUrl, { threshold: 0.75 });
-      setResults(output);
-      setStatus(`Analysis complete: ${output.length} objects found`);
+      let output;
+      if (isDetectionTask && slicing.enabled) {
+        ({ detections: output } = await detectSliced(imageUrl, {
+          detect,
+          options: inferenceOptions,
+          slicing,
+          signal: controller.signal,
+          onProgress: (done, total) =>
+            setStatus(`Analyzing slices... ${done}/${total}`),
+        }));
+      } else {
+        ({ output } = await detect(imageUrl, inferenceOptions, {
+          signal: controller.signal,
+        }));
+      }
+      setRawResults(output);
+      setStatus(
+        `Analysis complete: ${taskModule.summarize(taskModule.postprocess(output, options))}`,
+      );
+      saveRun(output, performance.now() - start).catch((err) =>
+        console.error("Could not save to history:", err),
+      );
     } catch (err) {
+      if (isAbortError(err)) {
+        setStatus("Analysis cancelled.");
+        return;
+      }
       console.error("Detection error:", err);
-      setStatus("Detection failed.");
+      const failure = classifyError(err);
+      setStatus(`Detection failed: ${failure.title}`);
+      setError(`${failure.title}. ${failure.guidance}`);
     } finally {
+      if (detectionRef.current === controller) detectionRef.current = null;
       setIsDetecting(false);
     }
   };
 
-  // Draw bounding boxes
-  useEffect(() => {
-    if (imageRef.current && results.length > 0) {
-      const canvas = canvasRef.current;
-      const displayImage = imageRef.current;
-      canvas.width = displayImage.clientWidth;
-      canvas.height = displayImage.clientHeight;
-      const ctx = canvas.getContext("2d");
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-      results.forEach((prediction) => {
-        const { box, label, score } = prediction;
-        const { xmin, ymin, xmax, ymax } = box;
-        const scaleX = canvas.width;
-        const scaleY = canvas.height;
-        const x = xmin * scaleX;
-        const y = ymin * scaleY;
-        const w = (xmax - xmin) * scaleX;
-        const h = (ymax - ymin) * scaleY;
-
-        ctx.strokeStyle = "#818cf8";
-        ctx.lineWidth = 3;
-        ctx.setLineDash([]);
-        ctx.strokeRect(x, y, w, h);
-
-        ctx.fillStyle = "#818cf8";
-        const labelText = `${label} ${(score * 100).toFixed(0)}%`;
-        const textWidth = ctx.measureText(labelText).width;
-        ctx.fillRect(x, y - 25, textWidth + 12, 25);
-
-        ctx.fillStyle = "white";
-        ctx.font = "bold 13px Inter, sans-serif";
-        ctx.fillText(labelText, x + 6, y - 8);
-      });
-    }
-  }, [results, imageUrl]);
+  // The task's overlay for the current results and the detection zones; the
+  // annotation and zone editors draw their own shapes while they're open
+  const drawOverlay = useCallback(
+    (ctx, width, height, zoom) => {
+      if (displayResults && !isEditing) {
+        taskModule.render(ctx, displayResults, width, height, options, {
+          highlighted: hovered,
+          zoom,
+        });
+      }
+      if (isDetectionTask && !isEditingZones) {
+        drawZones(ctx, zoneSummaries, width, height, { scale: 1 / zoom });
+      }
+    },
+    [
+      taskModule,
+      displayResults,
+      options,
+      isEditing,
+      hovered,
+      isDetectionTask,
+      isEditingZones,
+      zoneSummaries,
+    ],
+  );
+
+  const hoverOverlay = (e) => {
+    if (!isDetectionTask || !displayResults) return;
+    // The bounding rect includes the viewport's zoom and pan
+    const rect = e.currentTarget.getBoundingClientRect();
+    const index = detectionAt(
+      displayResults,
+      (e.clientX - rect.left) / rect.width,
+      (e.clientY - rect.top) / rect.height,
+    );
+    setHovered(index === -1 ? null : index);
+  };
 
   return (
     <div className="max-w-7xl mx-auto px-6 py-12">
@@ -242,6 +856,61 @@ function App() {
         </div>
       </nav>
 
+      {linkNotice && (linkNotice.errors.length > 0 || linkDtypeMissing) && (
+        <div className="mb-8 p-4 bg-amber-500/10 border border-amber-500/20 rounded-2xl text-amber-300 text-xs flex items-start gap-3 animate-in fade-in slide-in-from-top-2">
+          <AlertTriangle size={16} className="shrink-0" />
+          <div className="flex-1 space-y-1">
+            <p className="font-bold">
+              Some settings from the link were not applied
+            </p>
+            {linkNotice.errors.map((message) => (
+              <p key={message} className="font-mono text-amber-200/80">
+                {message}
+              </p>
+            ))}
+            {linkDtypeMissing && (
+              <p className="font-mono text-amber-200/80">
+                dtype={linkNotice.linkDtype}: {modelName} doesn't ship it, using{" "}
+                {formatDtype(resolvedDtype)}
+              </p>
+            )}
+          </div>
+          <button
+            onClick={() => setLinkNotice(null)}
+            title="Dismiss"
+            className="p-1 hover:bg-white/10 rounded-lg transition-colors"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      )}
+
+      {applyUpdate && (
+        <div className="mb-8 p-4 bg-indigo-500/10 border border-indigo-500/20 rounded-2xl text-indigo-200 text-xs flex items-center gap-3 animate-in fade-in slide-in-from-top-2">
+          <RefreshCw size={16} className="shrink-0" />
+          <p className="flex-1">
+            A new version of the app is available. Reloading keeps your cached
+            models and history.
+          </p>
+          <button
+            onClick={applyUpdate}
+            className="px-3 py-1.5 bg-indigo-600 hover:bg-indigo-500 rounded-lg font-bold transition-colors"
+          >
+            Reload
+          </button>
+        </div>
+      )}
+
+      {isOffline && (
+        <div className="mb-8 p-4 bg-slate-500/10 border border-slate-500/20 rounded-2xl text-slate-300 text-xs flex items-center gap-3 animate-in fade-in slide-in-from-top-2">
+          <WifiOff size={16} className="shrink-0" />
+          <p>
+            You're offline. Models in the Model Directory still load and run;
+            other models and image URLs need the network.
+          </p>
+        </div>
+      )}
+
       <main className="grid grid-cols-1 lg:grid-cols-12 gap-8">
         {/* Left Column: Controls & Config */}
         <div className="lg:col-span-4 space-y-6">
@@ -254,6 +923,23 @@ function App() {
               </div>
 
               <div className="space-y-5">
+                <div>
+                  <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block">
+                    Task
+                  </label>
+                  <select
+                    value={task}
+                    onChange={(e) => changeTask(e.target.value)}
+                    className="w-full bg-slate-900 border border-white/10 rounded-xl px-4 py-2.5 text-sm focus:border-indigo-500 outline-none appearance-none cursor-pointer"
+                  >
+                    {TASKS.map(({ id, label }) => (
+                      <option key={id} value={id}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
                 <div>
                   <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block">
                     Execution Provider
@@ -264,19 +950,49 @@ function App() {
                     className="w-full bg-slate-900 border border-white/10 rounded-xl px-4 py-2.5 text-sm focus:border-indigo-500 outline-none appearance-none cursor-pointer"
                   >
                     <option value="auto">Auto Select</option>
-                    <option value="webgpu" disabled={!capabilities.webgpu}>
-                      WebGPU{" "}
-                      {capabilities.webgpu ? "(Available)" : "(Unsupported)"}
-                    </option>
-                    <option value="wasm">WASM (Available)</option>
-                    <option value="webnn" disabled={!capabilities.webnn}>
-                      WebNN{" "}
-                      {capabilities.webnn ? "(Available)" : "(Unsupported)"}
-                    </option>
-                    <option value="cpu">CPU (Available)</option>
+                    {Object.entries(DEVICE_LABELS).map(([id, label]) => (
+                      <option
+                        key={id}
+                        value={id}
+                        disabled={capabilities.probed && !capabilities[id]}
+                      >
+                        {label}{" "}
+                        {!capabilities.probed
+                          ? "(Checking...)"
+                          : capabilities[id]
+                            ? "(Available)"
+                            : "(Unavailable)"}
+                      </option>
+                    ))}
                   </select>
                 </div>
 
+                <FallbackSettings
+                  value={fallbackDevices}
+                  onChange={setFallbackDevices}
+                  device={device}
+                  capabilities={capabilities}
+                />
+
+                <DiagnosticsPanel
+                  capabilities={capabilities}
+                  context={{
+                    Task: task,
+                    Model: modelName,
+                    "Model source": modelSource.type,
+                    Device: device,
+                    "Loaded on": loadedDevice ?? "not loaded",
+                    Precision: formatDtype(resolvedDtype),
+                    "Fallback devices": fallbackDevices.join(", ") || "none",
+                  }}
+                />
+
+                <ModelSourcePanel
+                  source={modelSource}
+                  onApplySource={applyModelSource}
+                  requireLabels={taskModule.kind !== "depth"}
+                />
+
                 <div>
                   <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block">
                     Model Identifier
@@ -289,46 +1005,78 @@ function App() {
                     placeholder="e.g. onnx-community/..."
                   />
                   <p className="text-[10px] text-slate-500 mt-1 italic">
-                    Default loaded from .env
+                    {task === DEFAULT_TASK
+                      ? "Default loaded from .env"
+                      : `Task default: ${taskModule.defaultModel}`}
                   </p>
                 </div>
 
-                <div className="flex items-center justify-between p-3 bg-white/5 rounded-xl border border-white/5">
-                  <div className="flex items-center gap-2">
-                    <Zap size={16} className="text-amber-400" />
-                    <span className="text-sm font-medium">
-                      8-bit Quantization
-                    </span>
-                  </div>
-                  <button
-                    onClick={() => setQuantized(!quantized)}
-                    className={`w-10 h-6 rounded-full transition-colors relative ${quantized ? "bg-indigo-600" : "bg-slate-700"}`}
-                  >
-                    <div
-                      className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-all ${quantized ? "left-5" : "left-1"}`}
-                    />
-                  </button>
-                </div>
+                <PrecisionSelector
+                  value={dtype}
+                  resolved={resolvedDtype}
+                  onChange={setDtype}
+                  variants={variants}
+                  isLoading={variantsLoading}
+                  device={device}
+                  capabilities={capabilities}
+                />
 
-                <div>
-                  <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block">
-                    Model Directory
-                  </label>
-                  <div className="flex items-center gap-2 text-xs text-slate-400 bg-black/20 p-3 rounded-lg border border-white/5 font-mono">
-                    <Database size={14} />
-                    <span>Browser Cache (IndexedDB)</span>
-                  </div>
-                </div>
+                <CacheManager
+                  currentModel={modelName}
+                  dtype={resolvedDtype}
+                  refreshKey={isReady}
+                />
+
+                <taskModule.Options
+                  options={options}
+                  onChange={setOptions}
+                  labels={labels}
+                />
 
                 <button
                   onClick={() => {
                     setModelName(modelInput);
+                    // A Hub id typed over a local model switches back to the Hub
+                    if (
+                      modelSource.type === "local" &&
+                      !modelInput.startsWith(LOCAL_MODEL_PREFIX)
+                    ) {
+                      setModelSource({ type: "hub" });
+                    }
                     // The useEffect below will trigger the reload
                   }}
                   className="w-full py-2.5 bg-white/10 hover:bg-white/20 text-white rounded-xl text-xs font-bold uppercase tracking-widest transition-all"
                 >
                   Apply & Reload Model
                 </button>
+
+                <button
+                  onClick={copyShareLink}
+                  disabled={modelSource.type !== "hub"}
+                  title={
+                    modelSource.type === "hub"
+                      ? "Copy a link that opens the app with this task, model, device, precision and threshold"
+                      : "Only Hub models can be shared by link"
+                  }
+                  className="w-full py-2.5 glass-panel hover:bg-white/10 rounded-xl text-xs font-bold uppercase tracking-widest transition-all flex items-center justify-center gap-2 disabled:opacity-40"
+                >
+                  {linkCopied ? <Check size={14} /> : <Link2 size={14} />}
+                  {linkCopied ? "Link Copied" : "Copy Share Link"}
+                </button>
+                {uncopiedLink && (
+                  <div className="space-y-1.5">
+                    <p className="text-[11px] text-amber-400">
+                      Couldn't copy to the clipboard. Copy the link here:
+                    </p>
+                    <input
+                      readOnly
+                      value={uncopiedLink}
+                      onFocus={(e) => e.target.select()}
+                      aria-label="Share link"
+                      className="w-full bg-slate-900 border border-white/10 rounded-lg px-2 py-1.5 text-xs font-mono focus:border-indigo-500 outline-none"
+                    />
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -353,6 +1101,7 @@ function App() {
                   id="upload"
                   className="hidden"
                   accept="image/*"
+                  multiple
                   onChange={handleFileChange}
                 />
                 <label
@@ -362,13 +1111,24 @@ function App() {
                   <div className="w-16 h-16 bg-indigo-500/10 rounded-2xl flex items-center justify-center mb-4 group-hover:scale-110 transition-transform">
                     <Upload className="text-indigo-400" size={24} />
                   </div>
-                  <span className="font-bold text-lg mb-1">Upload Image</span>
+                  <span className="font-bold text-lg mb-1">Upload Images</span>
                   <span className="text-xs text-slate-500 px-4">
-                    Max size: {MAX_FILE_SIZE_MB}MB
+                    Max size: {MAX_FILE_SIZE_MB}MB each · drop a folder to batch
+                    · or paste with Ctrl+V
                   </span>
                 </label>
               </div>
 
+              <ImageSources onLoadUrl={loadFromUrl} isFetching={isFetching} />
+
+              {isDetectionTask && (
+                <SlicingSettings
+                  settings={slicing}
+                  onChange={setSlicing}
+                  imageSize={mode === "image" ? imageSize : null}
+                />
+              )}
+
               {error && (
                 <div className="p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-red-400 text-xs flex items-center gap-2 animate-in fade-in slide-in-from-top-2">
                   <Info size={14} />
@@ -412,70 +1172,276 @@ function App() {
               <p className="text-sm text-slate-300 bg-black/40 p-3 rounded-xl border border-white/5 font-mono break-all">
                 {status}
               </p>
+              {!isReady && <DownloadProgress downloads={downloads} />}
+              {isLoading && (
+                <button
+                  onClick={cancelModelLoad}
+                  className="mt-3 px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold"
+                >
+                  <X size={14} />
+                  Cancel Loading
+                </button>
+              )}
+              {loadError && !isLoading && (
+                <LoadError error={loadError} onRetry={loadModel} />
+              )}
+              {loadCancelled && !isLoading && (
+                <button
+                  onClick={loadModel}
+                  className="mt-3 px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold"
+                >
+                  <RotateCcw size={14} />
+                  Load Model
+                </button>
+              )}
             </div>
           </div>
 
           {/* Results List */}
-          {results.length > 0 && (
+          {displayResults && (
             <div className="glass-panel p-6 animate-in fade-in slide-in-from-bottom-4">
               <div className="flex items-center justify-between mb-4">
                 <h3 className="font-bold flex items-center gap-2">
-                  <ImageIcon size={18} className="text-indigo-400" />
-                  Predictions
+                  {annotations && isDetectionTask ? (
+                    <>
+                      <PencilLine size={18} className="text-emerald-400" />
+                      Edited Annotations
+                    </>
+                  ) : (
+                    <>
+                      <taskModule.icon size={18} className="text-indigo-400" />
+                      {taskModule.resultsTitle}
+                    </>
+                  )}
                 </h3>
-                <span className="text-[10px] bg-white/5 px-2 py-1 rounded text-slate-400 uppercase font-bold tracking-tighter">
-                  {results.length} Found
-                </span>
-              </div>
-              <div className="space-y-2 max-h-64 overflow-y-auto pr-2 custom-scrollbar">
-                {results.map((res, i) => (
-                  <div
-                    key={i}
-                    className="flex justify-between items-center p-3 rounded-xl bg-white/5 border border-white/5 group hover:bg-white/10 transition-colors"
-                  >
-                    <span className="font-bold capitalize text-slate-300 text-sm">
-                      {res.label}
+                <div className="flex items-center gap-2">
+                  {Array.isArray(displayResults) && (
+                    <span className="text-[10px] bg-white/5 px-2 py-1 rounded text-slate-400 uppercase font-bold tracking-tighter">
+                      {displayResults.length} Found
                     </span>
-                    <div className="flex items-center gap-3">
-                      <div className="w-24 h-1.5 bg-slate-800 rounded-full overflow-hidden">
-                        <div
-                          className="h-full bg-indigo-500 rounded-full"
-                          style={{ width: `${res.score * 100}%` }}
-                        />
-                      </div>
-                      <span className="text-[11px] font-mono font-bold text-indigo-400 leading-none">
-                        {(res.score * 100).toFixed(0)}%
-                      </span>
-                    </div>
-                  </div>
-                ))}
+                  )}
+                  {isDetectionTask && (
+                    <ExportMenu
+                      onExport={exportResults}
+                      extraFormats={[{ id: "png", label: "Annotated PNG" }]}
+                      disabled={mode !== "image" || displayResults.length === 0}
+                    />
+                  )}
+                </div>
               </div>
+              <taskModule.Results
+                results={displayResults}
+                highlighted={hovered}
+                onHighlight={setHovered}
+                options={options}
+                onOptionsChange={setOptions}
+              />
             </div>
           )}
+
+          {/* Zones: per-zone counts and rules for the still image */}
+          {isDetectionTask && mode === "image" && (
+            <ZonePanel
+              layout={zoneLayout}
+              onLayoutChange={setZoneLayout}
+              summaries={zoneSummaries}
+              labels={annotationLabels}
+              onEdit={
+                imageUrl && !isEditingZones
+                  ? () => {
+                      setIsEditing(false);
+                      setIsEditingZones(true);
+                    }
+                  : undefined
+              }
+            />
+          )}
         </div>
 
         {/* Right Column: Viewport & Docs */}
         <div className="lg:col-span-8 flex flex-col gap-6">
+          <div className="flex items-center gap-2">
+            {[
+              ["image", "Still Image", <ImageIcon size={14} />],
+              ["live", "Live Stream", <Video size={14} />],
+              [
+                "batch",
+                `Batch${batch.items.length ? ` (${batch.items.length})` : ""}`,
+                <Layers size={14} />,
+              ],
+              ["redact", "Redact", <EyeOff size={14} />],
+              ["evaluate", "Evaluate", <ListChecks size={14} />],
+              ["benchmark", "Benchmark", <Gauge size={14} />],
+              [
+                "history",
+                `History${history.entries.length ? ` (${history.entries.length})` : ""}`,
+                <HistoryIcon size={14} />,
+              ],
+            ].map(([value, label, icon]) => (
+              <button
+                key={value}
+                onClick={() => setMode(value)}
+                disabled={DETECTION_ONLY_MODES.has(value) && !isDetectionTask}
+                title={
+                  DETECTION_ONLY_MODES.has(value) && !isDetectionTask
+                    ? "Available for detection tasks"
+                    : undefined
+                }
+                className={`px-4 py-2 rounded-xl flex items-center gap-2 text-xs font-bold uppercase tracking-widest transition-all disabled:opacity-40 disabled:cursor-not-allowed ${
+                  mode === value
+                    ? "bg-indigo-600 text-white shadow-lg shadow-indigo-500/20"
+                    : "glass-panel text-slate-400 hover:bg-white/10"
+                }`}
+              >
+                {icon}
+                {label}
+              </button>
+            ))}
+          </div>
+
           <div className="glass-panel overflow-hidden relative min-h-[500px] flex items-center justify-center bg-slate-900/50">
-            {imageUrl ? (
-              <div className="relative w-full h-full flex items-center justify-center p-6">
-                <img
-                  ref={imageRef}
-                  src={imageUrl}
-                  alt="Source"
-                  className="max-w-full max-h-[75vh] rounded-2xl object-contain shadow-2xl ring-1 ring-white/10"
-                />
-                <canvas
-                  ref={canvasRef}
-                  className="absolute pointer-events-none"
-                  style={{
-                    top: imageRef.current?.offsetTop,
-                    left: imageRef.current?.offsetLeft,
-                    width: imageRef.current?.clientWidth,
-                    height: imageRef.current?.clientHeight,
-                  }}
-                />
-              </div>
+            {mode === "live" ? (
+              <LiveDetection
+                isReady={isReady}
+                detect={detect}
+                detectionOptions={inferenceOptions}
+                detectionSettings={options}
+                onSnapshot={handleSnapshot}
+              />
+            ) : mode === "batch" ? (
+              <BatchPanel
+                items={batchItems}
+                onRetry={batch.retry}
+                onRetryFailed={batch.retryFailed}
+                onClear={batch.clear}
+                onOpen={openBatchItem}
+                onExport={exportBatch}
+              />
+            ) : mode === "evaluate" ? (
+              <EvaluationPanel
+                key={task}
+                isReady={isReady}
+                detect={detect}
+                taskModule={taskModule}
+                options={options}
+                inferenceOptions={inferenceOptions}
+                modelName={modelName}
+                modelLabels={annotationLabels}
+              />
+            ) : mode === "benchmark" ? (
+              <BenchmarkPanel
+                key={task}
+                task={task}
+                taskModule={taskModule}
+                options={options}
+                inferenceOptions={inferenceOptions}
+                currentModel={modelName}
+                source={modelSource}
+                capabilities={capabilities}
+              />
+            ) : mode === "redact" ? (
+              <RedactionView
+                key={imageUrl}
+                imageUrl={imageUrl}
+                imageName={imageName}
+                detections={displayResults ?? []}
+                settings={redaction}
+                onSettingsChange={setRedaction}
+                edits={currentRedactionEdits}
+                onEditsChange={(next) =>
+                  setRedactionEdits({ ...next, url: imageUrl })
+                }
+              />
+            ) : mode === "history" ? (
+              <HistoryPanel
+                entries={history.entries}
+                error={history.error}
+                activeId={historyEntryId}
+                onOpen={openHistoryEntry}
+                onDelete={deleteHistoryEntry}
+                onClear={clearHistory}
+              />
+            ) : imageUrl ? (
+              <ZoomPanViewport
+                key={imageUrl}
+                panOnDrag={!isEditing && !isEditingZones}
+                actualSize={() =>
+                  imageRef.current.naturalWidth / imageRef.current.clientWidth
+                }
+                controls={
+                  isDetectionTask &&
+                  !isEditing &&
+                  !isEditingZones && (
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => setIsEditingZones(true)}
+                        className="px-3 py-2 glass-panel bg-slate-950/70 hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold"
+                      >
+                        <Pentagon size={14} />
+                        Zones
+                      </button>
+                      <button
+                        onClick={() => setIsEditing(true)}
+                        disabled={isDetecting}
+                        className="px-3 py-2 glass-panel bg-slate-950/70 hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold disabled:opacity-40"
+                      >
+                        <PencilLine size={14} />
+                        {annotations ? "Edit Annotations" : "Annotate"}
+                      </button>
+                    </div>
+                  )
+                }
+              >
+                {(zoom, viewport) => (
+                  <>
+                    <img
+                      ref={imageRef}
+                      src={imageUrl}
+                      alt="Source"
+                      draggable={false}
+                      onLoad={(e) =>
+                        setImageSize({
+                          width: e.currentTarget.naturalWidth,
+                          height: e.currentTarget.naturalHeight,
+                        })
+                      }
+                      className="block max-w-full max-h-[75vh] rounded-2xl object-contain shadow-2xl ring-1 ring-white/10"
+                    />
+                    <OverlayCanvas
+                      draw={drawOverlay}
+                      zoom={zoom}
+                      onPointerMove={hoverOverlay}
+                      onPointerLeave={() => setHovered(null)}
+                      className={isDetectionTask ? "" : "pointer-events-none"}
+                    />
+                    {isDetectionTask && isEditing && (
+                      <AnnotationEditor
+                        annotations={editableAnnotations}
+                        onCommit={annotationHistory.commit}
+                        labels={annotationLabels}
+                        canUndo={annotationHistory.canUndo}
+                        canRedo={annotationHistory.canRedo}
+                        onUndo={annotationHistory.undo}
+                        onRedo={annotationHistory.redo}
+                        hasEdits={Boolean(annotations)}
+                        onDiscard={() => annotationHistory.commit(undefined)}
+                        onDone={() => setIsEditing(false)}
+                        toolbarTarget={viewport}
+                      />
+                    )}
+                    {isDetectionTask && isEditingZones && (
+                      <ZoneEditor
+                        zones={zoneLayout.zones}
+                        onChange={(zones) =>
+                          setZoneLayout((prev) => ({ ...prev, zones }))
+                        }
+                        onDone={() => setIsEditingZones(false)}
+                        toolbarTarget={viewport}
+                      />
+                    )}
+                  </>
+                )}
+              </ZoomPanViewport>
             ) : (
               <div className="flex flex-col items-center text-center p-12">
                 <div className="w-24 h-24 bg-indigo-500/5 rounded-[2.5rem] flex items-center justify-center mb-8 relative">
@@ -503,8 +1469,9 @@ function App() {
               </div>
               <h4 className="font-bold text-sm">Edge Computing</h4>
               <p className="text-xs text-slate-500 leading-relaxed">
-                Model executes locally via {device.toUpperCase()} avoiding
-                latency and server costs.
+                Model executes locally via{" "}
+                {(loadedDevice ?? device).toUpperCase()} avoiding latency and
+                server costs.
               </p>
             </div>
             <div className="glass-panel p-5 space-y-3">
@@ -528,6 +1495,10 @@ function App() {
               >
                 {modelName}
               </p>
+              <p className="text-[10px] uppercase tracking-widest font-bold text-indigo-400">
+                {taskModule.label}
+                {resolvedDtype && ` · ${formatDtype(resolvedDtype)}`}
+              </p>
             </div>
           </div>
         </div>
@@ -0,0 +1,536 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  act,
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+} from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import App from "./App";
+import { DetectorContext } from "./hooks/useDetector";
+import { createFakeDetector } from "./test/fakeDetector";
+
+const MB = 1024 * 1024;
+
+// Hub file listing for whatever model is asked for: fp32 and q8 graphs
+const HUB_LISTING = [
+  { type: "file", path: "onnx/model.onnx", size: 120 * MB },
+  { type: "file", path: "onnx/model_quantized.onnx", size: 32 * MB },
+];
+
+const RAW_OUTPUT = [
+  {
+    label: "cat",
+    score: 0.97,
+    box: { xmin: 0.1, ymin: 0.1, xmax: 0.5, ymax: 0.6 },
+  },
+  {
+    label: "dog",
+    score: 0.88,
+    box: { xmin: 0.5, ymin: 0.2, xmax: 0.9, ymax: 0.9 },
+  },
+  // Below the default threshold; only in the raw output
+  {
+    label: "remote",
+    score: 0.2,
+    box: { xmin: 0.3, ymin: 0.7, xmax: 0.4, ymax: 0.8 },
+  },
+];
+
+function imageFile(name = "cat.png", size) {
+  const file = new File(["not really a png"], name, { type: "image/png" });
+  if (size != null) Object.defineProperty(file, "size", { value: size });
+  return file;
+}
+
+function renderApp() {
+  const fake = createFakeDetector();
+  const utils = render(
+    <DetectorContext value={fake.create}>
+      <App />
+    </DetectorContext>,
+  );
+  const uploadInput = utils.container.querySelector("#upload");
+  return { ...utils, fake, uploadInput, dropZone: uploadInput.parentElement };
+}
+
+const runButton = () => screen.getByRole("button", { name: /Run Inference/ });
+
+// Mounts the app and waits for the first model load to start
+async function renderLoading() {
+  const app = renderApp();
+  await waitFor(() => expect(app.fake.loads).toHaveLength(1));
+  return app;
+}
+
+async function renderReady() {
+  const app = await renderLoading();
+  await act(async () => app.fake.ready());
+  await screen.findByText("Engine Ready");
+  return app;
+}
+
+beforeEach(() => {
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async (url) =>
+      String(url).startsWith("blob:")
+        ? new Response("image bytes", {
+            headers: { "content-type": "image/png" },
+          })
+        : Response.json(HUB_LISTING),
+    ),
+  );
+  // Expected failures (and history without IndexedDB) are logged
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+describe("model loading", () => {
+  it("loads the default model through the detector provider", async () => {
+    const { fake } = await renderLoading();
+    const { config } = fake.lastLoad();
+    expect(config).toMatchObject({
+      task: "object-detection",
+      device: "auto",
+      dtype: "q8", // the default, shipped as model_quantized.onnx
+      source: { type: "hub" },
+    });
+    expect(
+      screen.getByText(`Loading ${config.model} on auto...`),
+    ).toBeInTheDocument();
+  });
+
+  it("reports download progress, then readiness", async () => {
+    const { fake } = await renderLoading();
+    act(() =>
+      fake.lastLoad().onProgress({
+        status: "progress",
+        file: "onnx/model_quantized.onnx",
+        progress: 42.4,
+        loaded: 42,
+        total: 100,
+      }),
+    );
+    expect(
+      screen.getByText("Downloading onnx/model_quantized.onnx (42%)"),
+    ).toBeInTheDocument();
+
+    await act(async () => fake.ready());
+    expect(screen.getByText("Engine Ready")).toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: /Cancel Loading/ }),
+    ).not.toBeInTheDocument();
+  });
+
+  it("shows a classified error with a working Retry", async () => {
+    const user = userEvent.setup();
+    const { fake } = await renderLoading();
+    await act(async () =>
+      fake.lastLoad().reject(new Error("Could not locate file: config.json")),
+    );
+
+    expect(screen.getByText("Error: Model not found")).toBeInTheDocument();
+    expect(
+      screen.getByText("Could not locate file: config.json"),
+    ).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: /Retry/ }));
+    expect(fake.loads).toHaveLength(2);
+    await act(async () => fake.ready());
+    expect(screen.getByText("Engine Ready")).toBeInTheDocument();
+    expect(screen.queryByText("Model not found")).not.toBeInTheDocument();
+  });
+
+  it("falls back to WASM when the device runs out of memory", async () => {
+    const { fake } = await renderLoading();
+    await act(async () =>
+      fake.lastLoad().reject(new Error("std::bad_alloc: out of memory")),
+    );
+
+    expect(fake.loads).toHaveLength(2);
+    expect(fake.lastLoad().config.device).toBe("wasm");
+    await act(async () => fake.ready());
+    expect(
+      screen.getByText("Engine Ready on WASM (fell back from AUTO)"),
+    ).toBeInTheDocument();
+  });
+
+  it("falls back to WASM on an unsupported WebGPU operator, keeping the dtype", async () => {
+    Object.defineProperty(navigator, "gpu", {
+      configurable: true,
+      value: {
+        requestAdapter: async () => ({ info: {}, features: [], limits: {} }),
+      },
+    });
+    try {
+      const user = userEvent.setup();
+      const { fake } = await renderLoading();
+      await user.click(screen.getByRole("button", { name: /Config/ }));
+      const webgpu = await screen.findByRole("option", {
+        name: "WebGPU (Available)",
+      });
+      await user.selectOptions(webgpu.closest("select"), "webgpu");
+      await waitFor(() => expect(fake.lastLoad().config.device).toBe("webgpu"));
+      const loads = fake.loads.length;
+
+      await act(async () =>
+        fake
+          .lastLoad()
+          .reject(
+            new Error("Failed to create a session: unsupported op GridSample"),
+          ),
+      );
+      expect(fake.loads).toHaveLength(loads + 1);
+      expect(fake.lastLoad().config).toMatchObject({
+        device: "wasm",
+        dtype: "q8",
+      });
+      await act(async () => fake.ready());
+      expect(
+        screen.getByText("Engine Ready on WASM (fell back from WEBGPU)"),
+      ).toBeInTheDocument();
+    } finally {
+      delete navigator.gpu;
+    }
+  });
+
+  it("retries a rejected precision without saving it", async () => {
+    const { fake } = await renderLoading();
+    await act(async () =>
+      fake
+        .lastLoad()
+        .reject(
+          new Error("Failed to create a session: q8 graphs are not supported"),
+        ),
+    );
+
+    expect(fake.loads).toHaveLength(2);
+    expect(fake.lastLoad().config.dtype).toBe("fp32");
+    const saved = JSON.parse(
+      localStorage.getItem("transformer-vision:settings"),
+    );
+    expect(saved.dtype).toBe("q8");
+  });
+
+  it("can be cancelled and started again", async () => {
+    const user = userEvent.setup();
+    const { fake } = await renderLoading();
+
+    await user.click(screen.getByRole("button", { name: /Cancel Loading/ }));
+    expect(screen.getByText("Model load cancelled.")).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: /Load Model/ }));
+    expect(fake.loads).toHaveLength(2);
+  });
+});
+
+describe("configuration", () => {
+  it("disables devices the browser can't run", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await user.click(screen.getByRole("button", { name: /Config/ }));
+
+    // jsdom has WebAssembly but neither WebGPU nor WebNN
+    expect(
+      await screen.findByRole("option", { name: "WebGPU (Unavailable)" }),
+    ).toBeDisabled();
+    expect(
+      screen.getByRole("option", { name: "WebNN (Unavailable)" }),
+    ).toBeDisabled();
+    expect(
+      screen.getByRole("option", { name: "WASM (Available)" }),
+    ).toBeEnabled();
+  });
+
+  it("shows the diagnostics report when the clipboard refuses it", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    vi.spyOn(navigator.clipboard, "writeText").mockRejectedValue(
+      new DOMException("Document is not focused.", "NotAllowedError"),
+    );
+    await user.click(screen.getByRole("button", { name: /Config/ }));
+    await user.click(screen.getByRole("button", { name: /Diagnostics/ }));
+    await user.click(
+      await screen.findByRole("button", { name: /Copy Report/ }),
+    );
+
+    const report = await screen.findByRole("textbox", {
+      name: "Diagnostics report",
+    });
+    expect(report.value).toContain("WASM");
+    expect(screen.queryByText("Report Copied")).not.toBeInTheDocument();
+  });
+
+  it("shows the share link when the clipboard refuses it", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    vi.spyOn(navigator.clipboard, "writeText").mockRejectedValue(
+      new DOMException("Write permission denied.", "NotAllowedError"),
+    );
+    await user.click(screen.getByRole("button", { name: /Config/ }));
+    await user.click(screen.getByRole("button", { name: /Copy Share Link/ }));
+
+    const link = await screen.findByRole("textbox", { name: "Share link" });
+    expect(link.value).toContain("?task=object-detection&model=");
+    expect(screen.queryByText("Link Copied")).not.toBeInTheDocument();
+  });
+});
+
+describe("image input", () => {
+  it("shows an uploaded image", async () => {
+    const user = userEvent.setup();
+    const { uploadInput } = renderApp();
+    await user.upload(uploadInput, imageFile());
+    expect(await screen.findByAltText("Source")).toHaveAttribute(
+      "src",
+      expect.stringMatching(/^blob:/),
+    );
+  });
+
+  it("rejects files over the size limit", async () => {
+    const user = userEvent.setup();
+    const { uploadInput } = renderApp();
+    await user.upload(uploadInput, imageFile("huge.png", 11 * MB));
+    expect(
+      await screen.findByText("File is too large. Max limit is 10MB."),
+    ).toBeInTheDocument();
+    expect(screen.queryByAltText("Source")).not.toBeInTheDocument();
+    expect(screen.getByText("Stage is Empty")).toBeInTheDocument();
+  });
+
+  it("accepts a dropped image and highlights the zone while dragging", async () => {
+    const { dropZone } = renderApp();
+    fireEvent.dragOver(dropZone);
+    expect(dropZone).toHaveClass("border-indigo-500");
+
+    fireEvent.drop(dropZone, {
+      dataTransfer: { items: [], files: [imageFile("dropped.png")] },
+    });
+    expect(await screen.findByAltText("Source")).toBeInTheDocument();
+    expect(dropZone).not.toHaveClass("scale-[1.02]");
+  });
+
+  it("keeps same-named images from different dropped folders apart", async () => {
+    const { dropZone } = renderApp();
+    const file = (path) => ({
+      isFile: true,
+      fullPath: `/${path}`,
+      file: (resolve) => resolve(imageFile(path.split("/").pop())),
+    });
+    const folder = (children) => {
+      let read = false;
+      return {
+        isDirectory: true,
+        createReader: () => ({
+          readEntries: (resolve) => {
+            resolve(read ? [] : children);
+            read = true;
+          },
+        }),
+      };
+    };
+    const dropped = folder([
+      file("shots/day/a.png"),
+      file("shots/night/a.png"),
+    ]);
+
+    fireEvent.drop(dropZone, {
+      dataTransfer: {
+        items: [{ kind: "file", webkitGetAsEntry: () => dropped }],
+        files: [],
+      },
+    });
+    expect(await screen.findByTitle("shots/day/a.png")).toBeInTheDocument();
+    expect(screen.getByTitle("shots/night/a.png")).toBeInTheDocument();
+  });
+
+  it("reports picked files that aren't images", async () => {
+    // The picker's accept="image/*" is only a hint, e.g. "All files" on macOS
+    const user = userEvent.setup({ applyAccept: false });
+    const { uploadInput } = renderApp();
+    await user.upload(
+      uploadInput,
+      new File(["notes"], "notes.txt", { type: "text/plain" }),
+    );
+    expect(
+      await screen.findByText("No supported images were found."),
+    ).toBeInTheDocument();
+  });
+});
+
+describe("inference", () => {
+  it("enables Run Inference once a model and an image are ready", async () => {
+    const user = userEvent.setup();
+    const { fake, uploadInput } = await renderLoading();
+    expect(runButton()).toBeDisabled();
+
+    await user.upload(uploadInput, imageFile());
+    await screen.findByAltText("Source");
+    expect(runButton()).toBeDisabled();
+
+    await act(async () => fake.ready());
+    expect(runButton()).toBeEnabled();
+  });
+
+  it("runs the detector and renders the filtered predictions", async () => {
+    const user = userEvent.setup();
+    const { fake, uploadInput } = await renderReady();
+    await user.upload(uploadInput, imageFile());
+    await screen.findByAltText("Source");
+
+    await user.click(runButton());
+    const processing = screen.getByRole("button", {
+      name: /Neural Processing/,
+    });
+    expect(processing).toBeDisabled();
+    expect(screen.getByText("Analyzing pixels...")).toBeInTheDocument();
+    expect(fake.lastRun().image).toMatch(/^blob:/);
+    expect(fake.lastRun().options).toMatchObject({
+      threshold: 0.05,
+      percentage: true,
+    });
+
+    await act(async () => fake.respond(RAW_OUTPUT));
+    expect(
+      screen.getByText("Analysis complete: 2 objects found"),
+    ).toBeInTheDocument();
+    expect(screen.getByText("2 Found")).toBeInTheDocument();
+    expect(screen.getByText("97%")).toBeInTheDocument();
+    expect(screen.getByText("88%")).toBeInTheDocument();
+    expect(screen.queryByText("remote")).not.toBeInTheDocument();
+    expect(runButton()).toBeEnabled();
+  });
+
+  it("shows detection failures and recovers", async () => {
+    const user = userEvent.setup();
+    const { fake, uploadInput } = await renderReady();
+    await user.upload(uploadInput, imageFile());
+    await screen.findByAltText("Source");
+
+    await user.click(runButton());
+    await act(async () =>
+      fake.lastRun().reject(new Error("Aborted(). Out of memory")),
+    );
+    expect(
+      screen.getByText("Detection failed: Out of memory"),
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText(/^Out of memory\. The browser ran out/),
+    ).toBeInTheDocument();
+    expect(runButton()).toBeEnabled();
+  });
+
+  it("drops the analysis of an image that was replaced", async () => {
+    const user = userEvent.setup();
+    const { fake, uploadInput } = await renderReady();
+    await user.upload(uploadInput, imageFile("first.png"));
+    await screen.findByAltText("Source");
+    await user.click(runButton());
+    expect(fake.runs).toHaveLength(1);
+
+    await user.upload(uploadInput, imageFile("second.png"));
+    await waitFor(() =>
+      expect(screen.getByText("Analysis cancelled.")).toBeInTheDocument(),
+    );
+    expect(screen.queryByText("Predictions")).not.toBeInTheDocument();
+  });
+});
+
+describe("redaction", () => {
+  it("redacts the chosen classes of the current predictions", async () => {
+    const user = userEvent.setup();
+    const { fake, uploadInput } = await renderReady();
+    await user.upload(uploadInput, imageFile());
+    await screen.findByAltText("Source");
+    await user.click(runButton());
+    await act(async () => fake.respond(RAW_OUTPUT));
+
+    await user.click(screen.getByRole("button", { name: /Redact/ }));
+    expect(screen.getByAltText("Redaction preview")).toBeInTheDocument();
+    // People by default, and there are none
+    expect(screen.getByText("0 regions to redact")).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: /^cat/ }));
+    expect(screen.getByText("1 region to redact")).toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: "Remove cat" }));
+    expect(screen.getByText("0 regions to redact")).toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: "Restore cat" }));
+    expect(screen.getByText("1 region to redact")).toBeInTheDocument();
+  });
+});
+
+describe("evaluation", () => {
+  it("scores the detector against COCO ground truth", async () => {
+    const user = userEvent.setup();
+    const { fake } = await renderReady();
+    await user.click(screen.getByRole("button", { name: /Evaluate/ }));
+
+    const coco = {
+      images: [{ id: 1, file_name: "cat.png", width: 100, height: 100 }],
+      annotations: [
+        { id: 1, image_id: 1, category_id: 1, bbox: [10, 10, 40, 50] },
+      ],
+      categories: [{ id: 1, name: "cat" }],
+    };
+    await user.upload(screen.getByLabelText("Files"), [
+      imageFile(),
+      new File([JSON.stringify(coco)], "instances.json", {
+        type: "application/json",
+      }),
+    ]);
+    expect(
+      await screen.findByText("COCO · 1 images · 1 objects · 1 classes"),
+    ).toBeInTheDocument();
+    expect(screen.getByLabelText("Model label for cat")).toHaveValue("cat");
+
+    await user.click(screen.getByRole("button", { name: /^Evaluate / }));
+    expect(fake.lastRun().image).toMatch(/^blob:/);
+    // The dog isn't in the dataset, so it doesn't count against the model
+    await act(async () => fake.respond(RAW_OUTPUT));
+    expect(screen.getAllByText("100.0").length).toBeGreaterThan(0);
+
+    await user.click(screen.getByRole("button", { name: /cat\.png/ }));
+    expect(screen.getByText("Correct (1)")).toBeInTheDocument();
+    expect(screen.getByText("False positives (0)")).toBeInTheDocument();
+    expect(screen.getByText("Missed (0)")).toBeInTheDocument();
+  });
+});
+
+describe("zones", () => {
+  it("counts predictions per loaded zone and flags broken rules", async () => {
+    const user = userEvent.setup();
+    const { fake, uploadInput } = await renderReady();
+    await user.upload(uploadInput, imageFile());
+    await screen.findByAltText("Source");
+
+    const layout = {
+      zones: [
+        {
+          name: "Left",
+          points: [
+            [0, 0],
+            [0.5, 0],
+            [0.5, 1],
+            [0, 1],
+          ],
+          rules: [{ label: "cat", operator: ">", count: 0 }],
+        },
+      ],
+    };
+    await user.upload(
+      screen.getByLabelText("Load zones"),
+      new File([JSON.stringify(layout)], "zones.json", {
+        type: "application/json",
+      }),
+    );
+    expect(await screen.findByText("0 objects")).toBeInTheDocument();
+
+    await user.click(runButton());
+    await act(async () => fake.respond(RAW_OUTPUT));
+    // The cat's center is in the zone, the dog's isn't
+    expect(screen.getByText("1 object")).toBeInTheDocument();
+    expect(screen.getByText("1 Alert")).toBeInTheDocument();
+    expect(screen.getByText("More than 0 cat in Left")).toBeInTheDocument();
+  });
+});
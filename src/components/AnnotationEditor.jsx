@@ -0,0 +1,400 @@
+import { useState, useEffect, useRef } from "react";
+import { createPortal } from "react-dom";
+import {
+  MousePointer2,
+  SquarePlus,
+  Undo2,
+  Redo2,
+  Trash2,
+  Check,
+  RotateCcw,
+  Keyboard,
+} from "lucide-react";
+import {
+  boxFromPoints,
+  createAnnotation,
+  isUsableBox,
+  moveBox,
+  resizeBox,
+  updateAnnotation,
+  removeAnnotation,
+} from "../lib/annotations";
+
+const HANDLES = ["nw", "ne", "sw", "se"];
+const HANDLE_POSITION = {
+  nw: "-left-1.5 -top-1.5 cursor-nwse-resize",
+  ne: "-right-1.5 -top-1.5 cursor-nesw-resize",
+  sw: "-left-1.5 -bottom-1.5 cursor-nesw-resize",
+  se: "-right-1.5 -bottom-1.5 cursor-nwse-resize",
+};
+const NUDGE = 0.002;
+
+const SHORTCUTS = [
+  ["V", "Select / move"],
+  ["B", "Draw box"],
+  ["Del", "Delete box"],
+  ["Tab", "Next box"],
+  ["Arrows", "Nudge (Shift: ×10)"],
+  ["Ctrl+Z", "Undo"],
+  ["Ctrl+Shift+Z", "Redo"],
+  ["Esc", "Deselect"],
+];
+
+const isTyping = (target) =>
+  ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName);
+
+const toolButton = (active) =>
+  `p-2 rounded-lg transition-all disabled:opacity-30 ${active ? "bg-indigo-600 text-white" : "text-slate-300 hover:bg-white/10"}`;
+
+// Editing layer over the still image. `annotations` is what the user sees;
+// every finished gesture is handed to `onCommit` as a new list, so the parent
+// owns storage and undo history.
+function AnnotationEditor({
+  annotations,
+  onCommit,
+  labels,
+  canUndo,
+  canRedo,
+  onUndo,
+  onRedo,
+  onDone,
+  onDiscard,
+  hasEdits,
+  toolbarTarget,
+}) {
+  const [tool, setTool] = useState("select");
+  const [selectedId, setSelectedId] = useState(null);
+  const [drag, setDrag] = useState(null);
+  const [newLabel, setNewLabel] = useState(labels[0] ?? "object");
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const surfaceRef = useRef(null);
+
+  const selected = annotations.find(({ id }) => id === selectedId) ?? null;
+
+  // Normalized [0, 1] position of a pointer event on the image
+  const pointFrom = (e) => {
+    const rect = surfaceRef.current.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) / rect.width,
+      y: (e.clientY - rect.top) / rect.height,
+    };
+  };
+
+  const startDrag = (e, next) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ ...next, start: pointFrom(e) });
+  };
+
+  const handleSurfaceDown = (e) => {
+    if (tool !== "draw") {
+      setSelectedId(null);
+      return;
+    }
+    const start = pointFrom(e);
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ type: "draw", start, box: boxFromPoints(start, start) });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    const point = pointFrom(e);
+    if (drag.type === "draw") {
+      setDrag({ ...drag, box: boxFromPoints(drag.start, point) });
+    } else if (drag.type === "move") {
+      setDrag({
+        ...drag,
+        box: moveBox(
+          drag.origin,
+          point.x - drag.start.x,
+          point.y - drag.start.y,
+        ),
+      });
+    } else {
+      setDrag({ ...drag, box: resizeBox(drag.origin, drag.handle, point) });
+    }
+  };
+
+  const handlePointerUp = () => {
+    if (!drag) return;
+    setDrag(null);
+    if (!drag.box) return; // Clicked without moving
+
+    if (drag.type === "draw") {
+      if (!isUsableBox(drag.box)) return;
+      const annotation = createAnnotation(
+        drag.box,
+        newLabel.trim() || "object",
+      );
+      onCommit([...annotations, annotation]);
+      setSelectedId(annotation.id);
+      setTool("select");
+      return;
+    }
+    onCommit(updateAnnotation(annotations, drag.id, { box: drag.box }));
+  };
+
+  const deleteSelected = () => {
+    if (!selected) return;
+    onCommit(removeAnnotation(annotations, selected.id));
+    setSelectedId(null);
+  };
+
+  const relabel = (label) => {
+    if (!label || label === selected.label) return;
+    setNewLabel(label);
+    onCommit(updateAnnotation(annotations, selected.id, { label }));
+  };
+
+  // Keyboard shortcuts; plain keys are ignored while typing a label
+  const keyHandlerRef = useRef(null);
+  const handleKeyDown = (e) => {
+    const mod = e.ctrlKey || e.metaKey;
+    if (mod && e.key.toLowerCase() === "z") {
+      e.preventDefault();
+      if (e.shiftKey) onRedo();
+      else onUndo();
+      return;
+    }
+    if (mod && e.key.toLowerCase() === "y") {
+      e.preventDefault();
+      onRedo();
+      return;
+    }
+    if (isTyping(e.target) || mod) return;
+
+    switch (e.key) {
+      case "v":
+      case "V":
+        setTool("select");
+        break;
+      case "b":
+      case "B":
+        setTool("draw");
+        break;
+      case "Delete":
+      case "Backspace":
+        e.preventDefault();
+        deleteSelected();
+        break;
+      case "Escape":
+        setSelectedId(null);
+        setTool("select");
+        break;
+      case "Tab": {
+        if (annotations.length === 0) return;
+        e.preventDefault();
+        const index = annotations.findIndex(({ id }) => id === selectedId);
+        const step = e.shiftKey ? -1 : 1;
+        const next = (index + step + annotations.length) % annotations.length;
+        setSelectedId(annotations[next].id);
+        break;
+      }
+      case "ArrowLeft":
+      case "ArrowRight":
+      case "ArrowUp":
+      case "ArrowDown": {
+        if (!selected) return;
+        e.preventDefault();
+        const amount = NUDGE * (e.shiftKey ? 10 : 1);
+        const dx =
+          e.key === "ArrowLeft" ? -amount : e.key === "ArrowRight" ? amount : 0;
+        const dy =
+          e.key === "ArrowUp" ? -amount : e.key === "ArrowDown" ? amount : 0;
+        onCommit(
+          updateAnnotation(annotations, selected.id, {
+            box: moveBox(selected.box, dx, dy),
+          }),
+        );
+        break;
+      }
+    }
+  };
+
+  useEffect(() => {
+    keyHandlerRef.current = handleKeyDown;
+  });
+
+  useEffect(() => {
+    const onKeyDown = (e) => keyHandlerRef.current(e);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  const boxes = annotations.map((annotation) =>
+    drag?.box && drag.id === annotation.id
+      ? { ...annotation, box: drag.box }
+      : annotation,
+  );
+
+  const toolbar = (
+    <>
+      <div className="absolute top-3 left-1/2 -translate-x-1/2 z-20 flex items-center gap-1 p-1.5 glass-panel rounded-xl bg-slate-950/80">
+        <button
+          onClick={() => setTool("select")}
+          className={toolButton(tool === "select")}
+          title="Select / move (V)"
+        >
+          <MousePointer2 size={16} />
+        </button>
+        <button
+          onClick={() => setTool("draw")}
+          className={toolButton(tool === "draw")}
+          title="Draw box (B)"
+        >
+          <SquarePlus size={16} />
+        </button>
+        <div className="w-px h-6 bg-white/10 mx-1" />
+        <button
+          onClick={onUndo}
+          disabled={!canUndo}
+          className={toolButton(false)}
+          title="Undo (Ctrl+Z)"
+        >
+          <Undo2 size={16} />
+        </button>
+        <button
+          onClick={onRedo}
+          disabled={!canRedo}
+          className={toolButton(false)}
+          title="Redo (Ctrl+Shift+Z)"
+        >
+          <Redo2 size={16} />
+        </button>
+        <button
+          onClick={deleteSelected}
+          disabled={!selected}
+          className={toolButton(false)}
+          title="Delete box (Del)"
+        >
+          <Trash2 size={16} />
+        </button>
+        <div className="w-px h-6 bg-white/10 mx-1" />
+        {/* Remounts per box (and after undo) so it always shows the current label */}
+        <input
+          key={selected ? `${selected.id}:${selected.label}` : "new"}
+          list="annotation-labels"
+          defaultValue={selected ? selected.label : newLabel}
+          onChange={(e) => !selected && setNewLabel(e.target.value)}
+          onBlur={(e) => selected && relabel(e.target.value.trim())}
+          onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+          placeholder="Label"
+          title={selected ? "Label of the selected box" : "Label for new boxes"}
+          className="w-32 bg-slate-900 border border-white/10 rounded-lg px-2 py-1.5 text-xs focus:border-indigo-500 outline-none"
+        />
+        <datalist id="annotation-labels">
+          {labels.map((label) => (
+            <option key={label} value={label} />
+          ))}
+        </datalist>
+        <div className="w-px h-6 bg-white/10 mx-1" />
+        <button
+          onClick={() => setShowShortcuts(!showShortcuts)}
+          className={toolButton(showShortcuts)}
+          title="Keyboard shortcuts"
+        >
+          <Keyboard size={16} />
+        </button>
+        <button
+          onClick={onDiscard}
+          disabled={!hasEdits}
+          className={toolButton(false)}
+          title="Discard edits and return to the predictions"
+        >
+          <RotateCcw size={16} />
+        </button>
+        <button
+          onClick={onDone}
+          className="px-3 py-1.5 bg-emerald-600 hover:bg-emerald-500 rounded-lg text-xs font-bold flex items-center gap-1.5 transition-all"
+        >
+          <Check size={14} />
+          Done
+        </button>
+      </div>
+
+      {showShortcuts && (
+        <div className="absolute top-16 left-1/2 -translate-x-1/2 z-20 p-3 glass-panel rounded-xl bg-slate-950/90 grid grid-cols-2 gap-x-4 gap-y-1 text-[11px]">
+          {SHORTCUTS.map(([key, action]) => (
+            <div key={key} className="contents">
+              <kbd className="font-mono text-indigo-300">{key}</kbd>
+              <span className="text-slate-400">{action}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+
+  return (
+    <>
+      {toolbarTarget ? createPortal(toolbar, toolbarTarget) : toolbar}
+      <div
+        ref={surfaceRef}
+        className={`absolute inset-0 z-10 touch-none ${tool === "draw" ? "cursor-crosshair" : ""}`}
+        onPointerDown={handleSurfaceDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+      >
+        {boxes.map((annotation) => {
+          const { id, label, box, origin } = annotation;
+          const isSelected = id === selectedId;
+          return (
+            <div
+              key={id}
+              onPointerDown={(e) => {
+                if (tool === "draw") return;
+                setSelectedId(id);
+                startDrag(e, { type: "move", id, origin: box });
+              }}
+              className={`absolute border-2 ${tool === "draw" ? "pointer-events-none" : "cursor-move"} ${
+                isSelected
+                  ? "border-amber-400 bg-amber-400/10"
+                  : origin === "human"
+                    ? "border-emerald-400"
+                    : "border-indigo-400"
+              }`}
+              style={{
+                left: `${box.xmin * 100}%`,
+                top: `${box.ymin * 100}%`,
+                width: `${(box.xmax - box.xmin) * 100}%`,
+                height: `${(box.ymax - box.ymin) * 100}%`,
+              }}
+            >
+              <span
+                className={`absolute left-0 bottom-full mb-0.5 px-1.5 py-0.5 text-[10px] font-bold whitespace-nowrap rounded pointer-events-none ${
+                  isSelected ? "bg-amber-400 text-slate-950" : "bg-slate-950/80"
+                }`}
+              >
+                {label}
+              </span>
+              {isSelected &&
+                HANDLES.map((handle) => (
+                  <div
+                    key={handle}
+                    onPointerDown={(e) =>
+                      startDrag(e, { type: "resize", id, handle, origin: box })
+                    }
+                    className={`absolute w-3 h-3 bg-amber-400 border border-slate-950 rounded-sm ${HANDLE_POSITION[handle]}`}
+                  />
+                ))}
+            </div>
+          );
+        })}
+
+        {drag?.type === "draw" && (
+          <div
+            className="absolute border-2 border-dashed border-emerald-400 bg-emerald-400/10 pointer-events-none"
+            style={{
+              left: `${drag.box.xmin * 100}%`,
+              top: `${drag.box.ymin * 100}%`,
+              width: `${(drag.box.xmax - drag.box.xmin) * 100}%`,
+              height: `${(drag.box.ymax - drag.box.ymin) * 100}%`,
+            }}
+          />
+        )}
+      </div>
+    </>
+  );
+}
+
+export default AnnotationEditor;
@@ -0,0 +1,204 @@
+import { useCallback, useMemo } from "react";
+import {
+  Layers,
+  Loader2,
+  RotateCcw,
+  Trash2,
+  CheckCircle2,
+  AlertTriangle,
+  Ban,
+  Clock,
+} from "lucide-react";
+import { drawDetections } from "../lib/drawDetections";
+import ExportMenu from "./ExportMenu";
+import OverlayCanvas from "./OverlayCanvas";
+
+const STATUS_STYLES = {
+  queued: ["Queued", "text-slate-400 bg-white/5", Clock],
+  processing: ["Processing", "text-indigo-300 bg-indigo-500/10", Loader2],
+  done: ["Done", "text-emerald-400 bg-emerald-500/10", CheckCircle2],
+  error: ["Failed", "text-red-400 bg-red-500/10", AlertTriangle],
+  skipped: ["Skipped", "text-amber-400 bg-amber-500/10", Ban],
+};
+
+function Thumbnail({ item }) {
+  const draw = useCallback(
+    (ctx, width, height) =>
+      drawDetections(ctx, item.detections, width, height, {
+        lineWidth: 1.5,
+        showLabels: false,
+      }),
+    [item.detections],
+  );
+
+  if (!item.url) {
+    return (
+      <div className="w-16 h-16 rounded-lg bg-black/30 flex items-center justify-center shrink-0">
+        <Ban size={16} className="text-slate-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative w-16 h-16 rounded-lg overflow-hidden bg-black/30 shrink-0">
+      <img
+        src={item.url}
+        alt={item.name}
+        className="w-full h-full object-fill"
+      />
+      <OverlayCanvas draw={draw} className="pointer-events-none" />
+    </div>
+  );
+}
+
+function BatchPanel({
+  items,
+  onRetry,
+  onRetryFailed,
+  onClear,
+  onOpen,
+  onExport,
+}) {
+  const labelCounts = useMemo(() => {
+    const counts = {};
+    items.forEach((item) =>
+      item.detections.forEach(({ label }) => {
+        counts[label] = (counts[label] ?? 0) + 1;
+      }),
+    );
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  }, [items]);
+
+  const finished = items.filter((item) =>
+    ["done", "error", "skipped"].includes(item.status),
+  ).length;
+  const failed = items.filter((item) => item.status === "error").length;
+  const completed = items.filter((item) => item.status === "done").length;
+
+  if (items.length === 0) {
+    return (
+      <div className="flex flex-col items-center text-center p-12">
+        <Layers size={40} className="mb-4 text-slate-700" />
+        <h3 className="text-xl font-bold mb-2 tracking-tight">
+          Queue is Empty
+        </h3>
+        <p className="text-slate-500 max-w-sm text-sm leading-relaxed">
+          Drop several images or a whole folder onto the upload zone to analyze
+          them in one batch.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full h-full p-6 flex flex-col gap-5 self-stretch">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h3 className="font-bold flex items-center gap-2">
+            <Layers size={18} className="text-indigo-400" />
+            Batch Queue
+          </h3>
+          <p className="text-xs text-slate-500 font-mono mt-1">
+            {finished} / {items.length} processed
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <ExportMenu onExport={onExport} disabled={completed === 0} />
+          <button
+            onClick={onRetryFailed}
+            disabled={failed === 0}
+            className="px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold disabled:opacity-40"
+          >
+            <RotateCcw size={14} />
+            Retry Failed
+          </button>
+          <button
+            onClick={onClear}
+            className="px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold"
+          >
+            <Trash2 size={14} />
+            Clear
+          </button>
+        </div>
+      </div>
+
+      <div className="w-full bg-slate-800 h-1.5 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-indigo-500 transition-all"
+          style={{ width: `${(finished / items.length) * 100}%` }}
+        />
+      </div>
+
+      {labelCounts.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {labelCounts.map(([label, count]) => (
+            <span
+              key={label}
+              className="text-[11px] bg-white/5 border border-white/5 px-2 py-1 rounded-lg capitalize text-slate-300"
+            >
+              {label}{" "}
+              <span className="font-mono font-bold text-indigo-400">
+                {count}
+              </span>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-2 max-h-[60vh] overflow-y-auto pr-2">
+        {items.map((item) => {
+          const [statusLabel, statusClass, StatusIcon] =
+            STATUS_STYLES[item.status];
+          return (
+            <div
+              key={item.id}
+              onClick={() => item.status === "done" && onOpen(item)}
+              className={`flex items-center gap-4 p-3 rounded-xl bg-white/5 border border-white/5 transition-colors ${
+                item.status === "done" ? "cursor-pointer hover:bg-white/10" : ""
+              }`}
+            >
+              <Thumbnail item={item} />
+              <div className="flex-1 min-w-0">
+                <p
+                  className="text-sm font-medium text-slate-200 truncate"
+                  title={item.name}
+                >
+                  {item.name}
+                </p>
+                <p className="text-[11px] text-slate-500 font-mono truncate">
+                  {item.reason ??
+                    (item.status === "done"
+                      ? `${item.detections.length} objects · ${item.time.toFixed(0)} ms`
+                      : `${(item.file.size / 1024).toFixed(0)} KB`)}
+                </p>
+              </div>
+              <span
+                className={`text-[10px] uppercase font-bold tracking-wider px-2 py-1 rounded-lg flex items-center gap-1 ${statusClass}`}
+              >
+                <StatusIcon
+                  size={12}
+                  className={item.status === "processing" ? "animate-spin" : ""}
+                />
+                {statusLabel}
+              </span>
+              {item.status === "error" && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onRetry(item.id);
+                  }}
+                  title="Retry"
+                  className="p-2 hover:bg-white/10 rounded-lg transition-colors"
+                >
+                  <RotateCcw size={14} />
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default BatchPanel;
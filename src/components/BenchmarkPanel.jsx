@@ -0,0 +1,416 @@
+import { useState, useRef, useEffect, useMemo } from "react";
+import {
+  Gauge,
+  ImagePlus,
+  Play,
+  Square,
+  Trash2,
+  Download,
+  Loader2,
+  AlertTriangle,
+} from "lucide-react";
+import {
+  BENCHMARK_DEVICES,
+  BENCHMARK_PRECISIONS,
+  buildMatrix,
+  configKey,
+  runBenchmark,
+  benchmarkReport,
+} from "../lib/benchmark";
+import { isAbortError } from "../lib/detectionClient";
+import { isImageFile } from "../lib/files";
+import { normalizeOrientation } from "../lib/exif";
+import { formatBytes } from "../lib/format";
+import { downloadBlob } from "../lib/exporters";
+
+const labelClass =
+  "text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block";
+
+const formatMs = (ms) => (ms == null ? "—" : `${ms.toFixed(1)} ms`);
+const formatPercent = (value) =>
+  value == null ? "—" : `${Math.round(value * 100)}%`;
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter((v) => v !== value) : [...list, value];
+
+function ChipGroup({ values, selected, onChange, isDisabled = () => false }) {
+  return (
+    <div className="flex flex-wrap gap-1.5">
+      {values.map((value) => (
+        <button
+          key={value}
+          onClick={() => onChange(toggle(selected, value))}
+          disabled={isDisabled(value)}
+          className={`px-2.5 py-1 rounded-lg text-[11px] font-mono transition-all disabled:opacity-30 disabled:cursor-not-allowed ${
+            selected.includes(value)
+              ? "bg-indigo-600 text-white"
+              : "bg-white/5 text-slate-400 hover:bg-white/10"
+          }`}
+        >
+          {value}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Runs the model × device × precision matrix over a fixed image set. Each
+// configuration gets its own worker, so the main engine is left untouched.
+function BenchmarkPanel({
+  task,
+  taskModule,
+  options,
+  inferenceOptions,
+  currentModel,
+  source,
+  capabilities,
+}) {
+  const [images, setImages] = useState([]);
+  const [modelsText, setModelsText] = useState(currentModel);
+  const [devices, setDevices] = useState(["wasm"]);
+  const [precisions, setPrecisions] = useState(["fp32", "q8"]);
+  const [runs, setRuns] = useState(3);
+  const [reference, setReference] = useState(0);
+  const [results, setResults] = useState([]);
+  const [lastRun, setLastRun] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+  const imagesRef = useRef(images);
+
+  useEffect(() => {
+    imagesRef.current = images;
+  }, [images]);
+
+  useEffect(
+    () => () => {
+      controllerRef.current?.abort();
+      for (const image of imagesRef.current) URL.revokeObjectURL(image.url);
+    },
+    [],
+  );
+
+  const configs = useMemo(
+    () =>
+      buildMatrix({
+        models: modelsText
+          .split("\n")
+          .map((line) => line.trim())
+          .filter(Boolean),
+        devices,
+        precisions,
+      }),
+    [modelsText, devices, precisions],
+  );
+  const referenceIndex = Math.min(reference, Math.max(0, configs.length - 1));
+
+  const addImages = async (e) => {
+    const files = [...e.target.files].filter(isImageFile);
+    e.target.value = "";
+    const picked = await Promise.all(
+      files.map(async (file) => ({
+        name: file.name,
+        url: URL.createObjectURL(await normalizeOrientation(file)),
+      })),
+    );
+    setImages((prev) => [...prev, ...picked]);
+  };
+
+  const clearImages = () => {
+    for (const image of images) URL.revokeObjectURL(image.url);
+    setImages([]);
+  };
+
+  const start = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsRunning(true);
+    setError(null);
+    setLastRun({ images, runs, reference: referenceIndex });
+    setResults(configs.map((config) => ({ ...config, status: "queued" })));
+
+    // Agreement compares post-processed detection counts, so it only means
+    // something for tasks that return a list of boxes
+    const count =
+      taskModule.kind === "detection"
+        ? (output) => taskModule.postprocess(output, options).length
+        : undefined;
+
+    try {
+      const final = await runBenchmark({
+        task,
+        source,
+        configs,
+        images,
+        options: inferenceOptions,
+        runs,
+        reference: referenceIndex,
+        count,
+        signal: controller.signal,
+        onResult: (result, index) =>
+          setResults((prev) =>
+            prev.map((entry, i) => (i === index ? result : entry)),
+          ),
+      });
+      setResults(final);
+    } catch (err) {
+      if (!isAbortError(err)) setError(err.message);
+      setResults((prev) =>
+        prev.map((entry) =>
+          entry.status === "running" || entry.status === "queued"
+            ? { ...entry, status: "cancelled" }
+            : entry,
+        ),
+      );
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+      setIsRunning(false);
+    }
+  };
+
+  const exportJson = () => {
+    const report = benchmarkReport({ task, ...lastRun, results });
+    downloadBlob(
+      new Blob([JSON.stringify(report, null, 2)], { type: "application/json" }),
+      `benchmark-${Date.now()}.json`,
+    );
+  };
+
+  const finished = results.filter((result) => result.status === "done");
+  const fastest = finished.length
+    ? Math.min(...finished.map((result) => result.p50))
+    : null;
+  const canRun = !isRunning && images.length > 0 && configs.length > 0;
+
+  return (
+    <div className="w-full h-full self-stretch p-6 flex flex-col gap-5">
+      <div className="flex items-center justify-between">
+        <h3 className="font-bold flex items-center gap-2">
+          <Gauge size={18} className="text-indigo-400" />
+          Benchmark
+        </h3>
+        <div className="flex items-center gap-2">
+          {isRunning ? (
+            <button
+              onClick={() => controllerRef.current?.abort()}
+              className="px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold"
+            >
+              <Square size={14} />
+              Stop
+            </button>
+          ) : (
+            <button
+              onClick={start}
+              disabled={!canRun}
+              className="px-3 py-2 bg-indigo-600 hover:bg-indigo-500 transition-all rounded-xl flex items-center gap-2 text-xs font-bold disabled:opacity-40"
+            >
+              <Play size={14} />
+              Run {configs.length} config{configs.length === 1 ? "" : "s"}
+            </button>
+          )}
+          <button
+            onClick={exportJson}
+            disabled={isRunning || finished.length === 0}
+            className="px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold disabled:opacity-40"
+          >
+            <Download size={14} />
+            JSON
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+        <div className="space-y-4">
+          <div>
+            <label className={labelClass}>Models (one per line)</label>
+            <textarea
+              value={modelsText}
+              onChange={(e) => setModelsText(e.target.value)}
+              disabled={isRunning}
+              rows={3}
+              className="w-full bg-slate-900 border border-white/10 rounded-xl px-3 py-2 text-xs focus:border-indigo-500 outline-none font-mono resize-none"
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Images</label>
+            <div className="flex items-center gap-2">
+              <label className="px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold cursor-pointer">
+                <ImagePlus size={14} />
+                Add
+                <input
+                  type="file"
+                  accept="image/*"
+                  multiple
+                  className="hidden"
+                  disabled={isRunning}
+                  onChange={addImages}
+                />
+              </label>
+              <span className="text-xs text-slate-500">
+                {images.length} image{images.length === 1 ? "" : "s"}
+              </span>
+              {images.length > 0 && !isRunning && (
+                <button
+                  onClick={clearImages}
+                  className="p-2 text-slate-500 hover:text-red-400 transition-colors"
+                  title="Remove all images"
+                >
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <label className={labelClass}>Devices</label>
+            <ChipGroup
+              values={BENCHMARK_DEVICES}
+              selected={devices}
+              onChange={setDevices}
+              isDisabled={(device) =>
+                isRunning || capabilities[device] === false
+              }
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Precision</label>
+            <ChipGroup
+              values={BENCHMARK_PRECISIONS}
+              selected={precisions}
+              onChange={setPrecisions}
+              isDisabled={() => isRunning}
+            />
+          </div>
+          <div className="flex gap-4">
+            <div className="w-24">
+              <label className={labelClass}>Runs / image</label>
+              <input
+                type="number"
+                min="1"
+                max="50"
+                value={runs}
+                disabled={isRunning}
+                onChange={(e) =>
+                  setRuns(Math.max(1, Math.min(50, Number(e.target.value))))
+                }
+                className="w-full bg-slate-900 border border-white/10 rounded-xl px-3 py-1.5 text-xs focus:border-indigo-500 outline-none font-mono"
+              />
+            </div>
+            <div className="flex-1 min-w-0">
+              <label className={labelClass}>Reference</label>
+              <select
+                value={referenceIndex}
+                disabled={isRunning}
+                onChange={(e) => setReference(Number(e.target.value))}
+                className="w-full bg-slate-900 border border-white/10 rounded-xl px-3 py-1.5 text-xs focus:border-indigo-500 outline-none appearance-none cursor-pointer font-mono"
+              >
+                {configs.map((config, i) => (
+                  <option key={configKey(config)} value={i}>
+                    {configKey(config)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-red-400 text-xs flex items-center gap-2">
+          <AlertTriangle size={14} />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {results.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-[10px] uppercase tracking-wider text-slate-500">
+                <th className="py-2 pr-3">Configuration</th>
+                <th className="py-2 pr-3 text-right">Load</th>
+                <th className="py-2 pr-3 text-right">Warm-up</th>
+                <th className="py-2 pr-3 text-right">p50</th>
+                <th className="py-2 pr-3 text-right">p95</th>
+                <th className="py-2 pr-3 text-right">Heap</th>
+                <th className="py-2 text-right">Agreement</th>
+              </tr>
+            </thead>
+            <tbody className="font-mono">
+              {results.map((result, i) => (
+                <tr
+                  key={configKey(result)}
+                  className="border-t border-white/5 align-top"
+                >
+                  <td className="py-2 pr-3">
+                    <div
+                      className="max-w-[16rem] truncate text-slate-300"
+                      title={result.model}
+                    >
+                      {result.model}
+                    </div>
+                    <div className="text-[10px] text-slate-500">
+                      {result.device} · {result.dtype}
+                      {i === lastRun?.reference && " · reference"}
+                    </div>
+                  </td>
+                  {result.status === "done" ? (
+                    <>
+                      <td className="py-2 pr-3 text-right">
+                        {formatMs(result.loadTime)}
+                      </td>
+                      <td className="py-2 pr-3 text-right">
+                        {formatMs(result.warmupTime)}
+                      </td>
+                      <td
+                        className={`py-2 pr-3 text-right ${result.p50 === fastest ? "text-emerald-400 font-bold" : ""}`}
+                      >
+                        {formatMs(result.p50)}
+                      </td>
+                      <td className="py-2 pr-3 text-right">
+                        {formatMs(result.p95)}
+                      </td>
+                      <td className="py-2 pr-3 text-right">
+                        {result.memory == null
+                          ? "—"
+                          : formatBytes(result.memory)}
+                      </td>
+                      <td className="py-2 text-right">
+                        {formatPercent(result.agreement)}
+                      </td>
+                    </>
+                  ) : (
+                    <td
+                      colSpan={6}
+                      className={`py-2 text-right ${result.status === "error" ? "text-red-400" : "text-slate-500"}`}
+                    >
+                      {result.status === "running" ? (
+                        <span className="inline-flex items-center gap-2">
+                          <Loader2 size={12} className="animate-spin" />
+                          Running…
+                        </span>
+                      ) : result.status === "error" ? (
+                        result.error
+                      ) : (
+                        result.status
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-[10px] text-slate-500 mt-3 italic">
+            Latency is measured inside the worker per inference, image decoding
+            included. Heap is the worker's JS heap (Chromium only). Agreement is
+            the share of images whose detection count matches the reference.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BenchmarkPanel;
@@ -0,0 +1,373 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import {
+  Database,
+  RefreshCw,
+  Trash2,
+  ChevronDown,
+  ChevronRight,
+  WifiOff,
+  CloudDownload,
+  Plus,
+  X,
+} from "lucide-react";
+import {
+  listCachedModels,
+  deleteCachedModel,
+  clearModelCache,
+  getStorageEstimate,
+  requestPersistentStorage,
+} from "../lib/modelCache";
+import { downloadModel } from "../lib/modelDownload";
+import { isAbortError } from "../lib/detectionClient";
+import { isOfflineReady } from "../lib/modelVariants";
+import { LOCAL_MODEL_PREFIX } from "../lib/localModel";
+import { formatBytes } from "../lib/format";
+
+// Lists what Transformers.js has stored in the Cache API. `refreshKey`
+// changes whenever a load finishes so freshly downloaded models show up.
+// A chosen set of Hub models can also be downloaded without loading them,
+// so an installed app can run them offline later. Until the set is edited it
+// is just the current model. The current model is saved at `dtype`, the
+// others at the same dtype when it's a plain one (resolved for each model).
+function CacheManager({ currentModel, dtype, refreshKey }) {
+  const [models, setModels] = useState([]);
+  const [storage, setStorage] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [picked, setPicked] = useState(null); // null until edited
+  const [modelToAdd, setModelToAdd] = useState("");
+  const [download, setDownload] = useState(null); // { model, loaded, total }
+  const [failures, setFailures] = useState({}); // model -> error message
+  const abortRef = useRef(null);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [cached, estimate] = await Promise.all([
+        listCachedModels(),
+        getStorageEstimate(),
+      ]);
+      setModels(cached);
+      setStorage(estimate);
+    } catch (err) {
+      console.error("Cache inspection error:", err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  const removeModel = async (model) => {
+    await deleteCachedModel(model);
+    refresh();
+  };
+
+  const clearAll = async () => {
+    if (!window.confirm("Delete every cached model from this browser?")) return;
+    await clearModelCache();
+    refresh();
+  };
+
+  const persist = async () => {
+    await requestPersistentStorage();
+    refresh();
+  };
+
+  const isHubModel =
+    currentModel && !currentModel.startsWith(LOCAL_MODEL_PREFIX);
+  const selected = picked ?? (isHubModel ? [currentModel] : []);
+  const failed = Object.keys(failures);
+
+  const addModel = (e) => {
+    e.preventDefault();
+    const model = modelToAdd.trim();
+    if (!model || model.startsWith(LOCAL_MODEL_PREFIX)) return;
+    if (!selected.includes(model)) setPicked([...selected, model]);
+    setModelToAdd("");
+  };
+
+  const removePicked = (model) => {
+    setPicked(selected.filter((m) => m !== model));
+    setFailures((errors) => {
+      const rest = { ...errors };
+      delete rest[model];
+      return rest;
+    });
+  };
+
+  // Downloads `queue` one model at a time. A failed model doesn't stop the
+  // rest; running it again resumes from the files it already cached.
+  const saveOffline = async (queue) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const errors = { ...failures };
+    for (const model of queue) {
+      delete errors[model];
+      setDownload({ model, loaded: 0, total: 0 });
+      try {
+        await downloadModel(
+          model,
+          model === currentModel || typeof dtype === "string"
+            ? dtype
+            : undefined,
+          {
+            signal: controller.signal,
+            onProgress: (progress) => setDownload({ model, ...progress }),
+          },
+        );
+      } catch (err) {
+        if (isAbortError(err)) break;
+        console.error("Model download error:", err);
+        errors[model] = err.message;
+      }
+    }
+    abortRef.current = null;
+    setDownload(null);
+    setFailures(errors);
+    refresh();
+  };
+
+  const cancelDownload = () => abortRef.current?.abort();
+
+  const isDownloading = download !== null;
+  const current = models.find((entry) => entry.model === currentModel);
+  const currentOffline = current && isOfflineReady(current.files, dtype);
+
+  return (
+    <div>
+      <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center justify-between">
+        <span>Model Directory</span>
+        <button
+          onClick={refresh}
+          title="Refresh"
+          className="text-slate-500 hover:text-white transition-colors"
+        >
+          <RefreshCw size={12} className={isLoading ? "animate-spin" : ""} />
+        </button>
+      </label>
+
+      <div className="bg-black/20 p-3 rounded-lg border border-white/5 space-y-3">
+        <div className="flex items-center gap-2 text-xs text-slate-400 font-mono">
+          <Database size={14} />
+          <span>Browser Cache (Cache API)</span>
+        </div>
+
+        <div
+          className={`flex items-center gap-2 text-[11px] font-bold ${currentOffline ? "text-emerald-400" : "text-amber-400"}`}
+        >
+          {currentOffline ? <WifiOff size={12} /> : <CloudDownload size={12} />}
+          {currentOffline
+            ? "Current model is available offline"
+            : "Current model needs network to load"}
+        </div>
+
+        <div className="space-y-1.5">
+          <form onSubmit={addModel} className="flex gap-1">
+            <input
+              value={modelToAdd}
+              onChange={(e) => setModelToAdd(e.target.value)}
+              placeholder="Add a Hub model, e.g. Xenova/yolos-tiny"
+              aria-label="Model to download"
+              className="flex-1 min-w-0 bg-black/30 border border-white/10 rounded-lg px-2 py-1 text-[11px] font-mono text-slate-300 placeholder:text-slate-600 focus:outline-none focus:border-indigo-500/50"
+            />
+            <button
+              type="submit"
+              title="Add to download list"
+              className="px-2 text-slate-400 hover:text-white bg-white/5 rounded-lg transition-colors"
+            >
+              <Plus size={12} />
+            </button>
+          </form>
+          {selected.length > 0 && (
+            <ul className="flex flex-wrap gap-1">
+              {selected.map((model) => (
+                <li
+                  key={model}
+                  className={`flex items-center gap-1 pl-2 pr-1 py-0.5 rounded-full text-[10px] font-mono ${failures[model] ? "bg-red-500/10 text-red-300" : "bg-white/5 text-slate-300"}`}
+                  title={failures[model] ?? model}
+                >
+                  <span className="truncate max-w-40">{model}</span>
+                  <button
+                    onClick={() => removePicked(model)}
+                    disabled={isDownloading}
+                    aria-label={`Remove ${model}`}
+                    className="text-slate-500 hover:text-white disabled:opacity-50"
+                  >
+                    <X size={10} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {isDownloading ? (
+            <button
+              onClick={cancelDownload}
+              className="w-full py-1.5 text-[10px] font-bold uppercase tracking-widest text-slate-300 bg-white/5 hover:bg-white/10 rounded-lg transition-colors"
+            >
+              Cancel download
+            </button>
+          ) : (
+            selected.length > 0 && (
+              <button
+                onClick={() => saveOffline(selected)}
+                className="w-full py-1.5 text-[10px] font-bold uppercase tracking-widest text-indigo-300 bg-indigo-500/10 hover:bg-indigo-500/20 rounded-lg transition-colors"
+              >
+                {selected.length === 1
+                  ? `Download ${typeof dtype === "string" ? dtype : "model"} for offline`
+                  : `Download ${selected.length} models for offline`}
+              </button>
+            )
+          )}
+          {isDownloading && (
+            <div>
+              <div className="flex justify-between gap-2 text-[10px] font-mono text-slate-500 mb-1">
+                <span className="truncate" title={download.model}>
+                  {download.model}
+                </span>
+                {download.total > 0 && (
+                  <span className="shrink-0">
+                    {formatBytes(download.loaded)} of{" "}
+                    {formatBytes(download.total)}
+                  </span>
+                )}
+              </div>
+              <div className="w-full h-1 bg-slate-800 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-indigo-500 transition-all"
+                  style={{
+                    width: `${download.total ? Math.min(100, (download.loaded / download.total) * 100) : 0}%`,
+                  }}
+                />
+              </div>
+            </div>
+          )}
+          {!isDownloading && failed.length > 0 && (
+            <div className="space-y-1">
+              {failed.map((model) => (
+                <p key={model} className="text-[11px] text-red-400 break-words">
+                  {model}: {failures[model]}
+                </p>
+              ))}
+              <button
+                onClick={() => saveOffline(failed)}
+                className="w-full py-1.5 text-[10px] font-bold uppercase tracking-widest text-amber-300 bg-amber-500/10 hover:bg-amber-500/20 rounded-lg transition-colors"
+              >
+                Retry{" "}
+                {failed.length === 1
+                  ? "failed model"
+                  : `${failed.length} failed models`}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {storage && (
+          <div>
+            <div className="flex justify-between text-[10px] font-mono text-slate-500 mb-1">
+              <span>
+                {formatBytes(storage.usage)} of {formatBytes(storage.quota)}
+              </span>
+              {storage.persisted ? (
+                <span className="text-emerald-400">persistent</span>
+              ) : (
+                <button
+                  onClick={persist}
+                  className="text-indigo-400 hover:text-indigo-300"
+                >
+                  make persistent
+                </button>
+              )}
+            </div>
+            <div className="w-full h-1 bg-slate-800 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-indigo-500"
+                style={{
+                  width: `${storage.quota ? Math.min(100, (storage.usage / storage.quota) * 100) : 0}%`,
+                }}
+              />
+            </div>
+          </div>
+        )}
+
+        {models.length === 0 ? (
+          <p className="text-[11px] text-slate-500 italic">
+            No models cached yet.
+          </p>
+        ) : (
+          <div className="space-y-1 max-h-56 overflow-y-auto pr-1">
+            {models.map((entry) => (
+              <div key={entry.model} className="rounded-lg bg-white/5">
+                <div className="flex items-center gap-2 p-2">
+                  <button
+                    onClick={() =>
+                      setExpanded(expanded === entry.model ? null : entry.model)
+                    }
+                    className="flex-1 min-w-0 flex items-center gap-1 text-left"
+                  >
+                    {expanded === entry.model ? (
+                      <ChevronDown size={12} className="shrink-0" />
+                    ) : (
+                      <ChevronRight size={12} className="shrink-0" />
+                    )}
+                    <span
+                      className={`text-[11px] font-mono truncate ${entry.model === currentModel ? "text-indigo-300" : "text-slate-300"}`}
+                      title={entry.model}
+                    >
+                      {entry.model}
+                    </span>
+                  </button>
+                  {isOfflineReady(entry.files) && (
+                    <WifiOff
+                      size={12}
+                      className="text-emerald-400 shrink-0"
+                      aria-label="Available offline"
+                    />
+                  )}
+                  <span className="text-[10px] font-mono text-slate-500 shrink-0">
+                    {formatBytes(entry.size)}
+                  </span>
+                  <button
+                    onClick={() => removeModel(entry.model)}
+                    title="Delete from cache"
+                    className="text-slate-500 hover:text-red-400 transition-colors shrink-0"
+                  >
+                    <Trash2 size={12} />
+                  </button>
+                </div>
+                {expanded === entry.model && (
+                  <ul className="px-6 pb-2 space-y-0.5">
+                    {entry.files.map((file) => (
+                      <li
+                        key={file.url}
+                        className="flex justify-between text-[10px] font-mono text-slate-500"
+                      >
+                        <span className="truncate pr-2">{file.path}</span>
+                        <span className="shrink-0">
+                          {formatBytes(file.size)}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {models.length > 0 && (
+          <button
+            onClick={clearAll}
+            className="w-full py-1.5 text-[10px] font-bold uppercase tracking-widest text-red-400 hover:bg-red-500/10 rounded-lg transition-colors"
+          >
+            Clear All Models
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CacheManager;
@@ -0,0 +1,153 @@
+import { useState } from "react";
+import { SlidersHorizontal } from "lucide-react";
+
+const labelClass =
+  "text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex justify-between";
+
+function DetectionSettings({ settings, onChange, availableLabels }) {
+  const [query, setQuery] = useState("");
+  const update = (patch) => onChange({ ...settings, ...patch });
+
+  const toggleLabel = (label) =>
+    update({
+      labels: settings.labels.includes(label)
+        ? settings.labels.filter((l) => l !== label)
+        : [...settings.labels, label],
+    });
+
+  const visibleLabels = availableLabels.filter((label) =>
+    label.toLowerCase().includes(query.toLowerCase()),
+  );
+
+  return (
+    <div className="space-y-5 pt-5 border-t border-white/5">
+      <div className="flex items-center gap-2">
+        <SlidersHorizontal size={16} className="text-indigo-400" />
+        <h3 className="text-sm font-bold">Post-processing</h3>
+      </div>
+
+      <div>
+        <label className={labelClass}>
+          <span>Confidence Threshold</span>
+          <span className="font-mono text-indigo-400">
+            {settings.threshold.toFixed(2)}
+          </span>
+        </label>
+        <input
+          type="range"
+          min="0.05"
+          max="1"
+          step="0.01"
+          value={settings.threshold}
+          onChange={(e) => update({ threshold: Number(e.target.value) })}
+          className="w-full accent-indigo-500"
+        />
+      </div>
+
+      <div className="p-3 bg-white/5 rounded-xl border border-white/5 space-y-3">
+        <div className="flex items-center justify-between">
+          <span className="text-sm font-medium">Non-max Suppression</span>
+          <button
+            onClick={() => update({ nms: !settings.nms })}
+            className={`w-10 h-6 rounded-full transition-colors relative ${settings.nms ? "bg-indigo-600" : "bg-slate-700"}`}
+          >
+            <div
+              className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-all ${settings.nms ? "left-5" : "left-1"}`}
+            />
+          </button>
+        </div>
+        {settings.nms && (
+          <div>
+            <label className={labelClass}>
+              <span>IoU Threshold</span>
+              <span className="font-mono text-indigo-400">
+                {settings.iou.toFixed(2)}
+              </span>
+            </label>
+            <input
+              type="range"
+              min="0.1"
+              max="0.95"
+              step="0.05"
+              value={settings.iou}
+              onChange={(e) => update({ iou: Number(e.target.value) })}
+              className="w-full accent-indigo-500"
+            />
+          </div>
+        )}
+      </div>
+
+      <div>
+        <label className={labelClass}>
+          <span>Max Detections</span>
+        </label>
+        <input
+          type="number"
+          min="1"
+          max="1000"
+          value={settings.maxDetections}
+          onChange={(e) =>
+            update({ maxDetections: Math.max(1, Number(e.target.value) || 1) })
+          }
+          className="w-full bg-slate-900 border border-white/10 rounded-xl px-4 py-2.5 text-sm focus:border-indigo-500 outline-none font-mono"
+        />
+      </div>
+
+      <div>
+        <label className={labelClass}>
+          <span>Class Filter</span>
+          {settings.labels.length > 0 && (
+            <button
+              onClick={() => update({ labels: [] })}
+              className="normal-case tracking-normal text-indigo-400 hover:text-indigo-300"
+            >
+              Reset ({settings.labels.length})
+            </button>
+          )}
+        </label>
+        <select
+          value={settings.labelMode}
+          onChange={(e) => update({ labelMode: e.target.value })}
+          className="w-full bg-slate-900 border border-white/10 rounded-xl px-4 py-2.5 text-sm focus:border-indigo-500 outline-none appearance-none cursor-pointer mb-2"
+        >
+          <option value="all">Show all classes</option>
+          <option value="allow">Only selected classes</option>
+          <option value="deny">Hide selected classes</option>
+        </select>
+        {settings.labelMode !== "all" &&
+          (availableLabels.length === 0 ? (
+            <p className="text-[10px] text-slate-500 italic">
+              The loaded model does not expose class names.
+            </p>
+          ) : (
+            <>
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search classes..."
+                className="w-full bg-slate-900 border border-white/10 rounded-xl px-3 py-2 text-xs focus:border-indigo-500 outline-none mb-2"
+              />
+              <div className="flex flex-wrap gap-1.5 max-h-32 overflow-y-auto">
+                {visibleLabels.map((label) => (
+                  <button
+                    key={label}
+                    onClick={() => toggleLabel(label)}
+                    className={`text-[11px] px-2 py-1 rounded-lg border capitalize transition-colors ${
+                      settings.labels.includes(label)
+                        ? "bg-indigo-600 border-indigo-500 text-white"
+                        : "bg-white/5 border-white/5 text-slate-400 hover:bg-white/10"
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </>
+          ))}
+      </div>
+    </div>
+  );
+}
+
+export default DetectionSettings;
@@ -0,0 +1,191 @@
+import { useState } from "react";
+import {
+  Activity,
+  Check,
+  ChevronDown,
+  ClipboardCopy,
+  Loader2,
+} from "lucide-react";
+import { DEVICE_LABELS, capabilityReport } from "../lib/capabilities";
+import { formatBytes } from "../lib/format";
+
+// Limits that are byte counts, shown in human units
+const BYTE_LIMITS = new Set([
+  "maxBufferSize",
+  "maxStorageBufferBindingSize",
+  "maxComputeWorkgroupStorageSize",
+]);
+
+function Row({ label, value, ok }) {
+  return (
+    <div className="flex items-start justify-between gap-3 text-[11px]">
+      <span className="text-slate-400 shrink-0">{label}</span>
+      <span
+        className={`font-mono text-right break-all ${
+          ok === undefined
+            ? "text-slate-300"
+            : ok
+              ? "text-emerald-400"
+              : "text-amber-400"
+        }`}
+      >
+        {value}
+      </span>
+    </div>
+  );
+}
+
+const yesNo = (value) => (value ? "Yes" : "No");
+
+// Probed browser capabilities (see lib/capabilities) and a plain-text
+// report to paste into bug reports. `context` is the app's current setup.
+function DiagnosticsPanel({ capabilities, context }) {
+  const [open, setOpen] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [uncopiedReport, setUncopiedReport] = useState(null); // clipboard refused
+  const { adapter } = capabilities;
+
+  // Without clipboard access the report is shown for copying by hand
+  const copyReport = async () => {
+    const report = capabilityReport(capabilities, context);
+    try {
+      await navigator.clipboard.writeText(report);
+    } catch {
+      setUncopiedReport(report);
+      return;
+    }
+    setUncopiedReport(null);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="p-3 bg-white/5 rounded-xl border border-white/5 space-y-3">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between"
+      >
+        <span className="flex items-center gap-2 text-sm font-medium">
+          <Activity size={16} className="text-indigo-400" />
+          Diagnostics
+        </span>
+        {capabilities.probed ? (
+          <ChevronDown
+            size={16}
+            className={`text-slate-500 transition-transform ${open ? "rotate-180" : ""}`}
+          />
+        ) : (
+          <Loader2 size={14} className="animate-spin text-slate-500" />
+        )}
+      </button>
+
+      {open && capabilities.probed && (
+        <div className="space-y-3">
+          <div className="space-y-1">
+            {Object.entries(DEVICE_LABELS).map(([device, label]) => (
+              <Row
+                key={device}
+                label={label}
+                value={
+                  capabilities[device]
+                    ? "Available"
+                    : capabilities.reasons[device]
+                }
+                ok={capabilities[device]}
+              />
+            ))}
+          </div>
+
+          <div className="space-y-1 pt-2 border-t border-white/5">
+            <Row
+              label="WASM SIMD"
+              value={yesNo(capabilities.wasmSimd)}
+              ok={capabilities.wasmSimd}
+            />
+            <Row
+              label="WASM threads"
+              value={
+                capabilities.wasmThreads
+                  ? "Yes"
+                  : capabilities.crossOriginIsolated
+                    ? "No"
+                    : "No (page isn't cross-origin isolated)"
+              }
+              ok={capabilities.wasmThreads}
+            />
+            <Row
+              label="Cross-origin isolated"
+              value={yesNo(capabilities.crossOriginIsolated)}
+            />
+            <Row
+              label="Logical cores"
+              value={capabilities.cores ?? "Unknown"}
+            />
+            <Row
+              label="Device memory"
+              value={
+                capabilities.deviceMemory != null
+                  ? `${capabilities.deviceMemory} GiB`
+                  : "Unknown"
+              }
+            />
+          </div>
+
+          {adapter && (
+            <div className="space-y-1 pt-2 border-t border-white/5">
+              <Row
+                label="GPU adapter"
+                value={`${adapter.vendor} · ${adapter.architecture}`}
+              />
+              {adapter.description && (
+                <Row label="Description" value={adapter.description} />
+              )}
+              {adapter.fallback && (
+                <Row label="Software adapter" value="Yes (slow)" ok={false} />
+              )}
+              <Row
+                label="shader-f16"
+                value={
+                  capabilities.shaderF16 ? "Yes" : "No (fp16 graphs blocked)"
+                }
+                ok={capabilities.shaderF16}
+              />
+              {Object.entries(adapter.limits).map(([name, value]) => (
+                <Row
+                  key={name}
+                  label={name}
+                  value={BYTE_LIMITS.has(name) ? formatBytes(value) : value}
+                />
+              ))}
+            </div>
+          )}
+
+          <button
+            onClick={copyReport}
+            className="w-full py-2 glass-panel hover:bg-white/10 rounded-xl text-xs font-bold uppercase tracking-widest transition-all flex items-center justify-center gap-2"
+          >
+            {copied ? <Check size={14} /> : <ClipboardCopy size={14} />}
+            {copied ? "Report Copied" : "Copy Report"}
+          </button>
+          {uncopiedReport && (
+            <div className="space-y-1.5">
+              <p className="text-[11px] text-amber-400">
+                Couldn't copy to the clipboard. Copy the report here:
+              </p>
+              <textarea
+                readOnly
+                value={uncopiedReport}
+                onFocus={(e) => e.target.select()}
+                rows={8}
+                aria-label="Diagnostics report"
+                className="w-full bg-slate-900 border border-white/10 rounded-lg px-2 py-1.5 text-[11px] font-mono focus:border-indigo-500 outline-none custom-scrollbar"
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DiagnosticsPanel;
@@ -0,0 +1,51 @@
+import { Download } from "lucide-react";
+import { formatBytes } from "../lib/format";
+
+function DownloadProgress({ downloads }) {
+  const files = Object.entries(downloads);
+  if (files.length === 0) return null;
+
+  const loaded = files.reduce((sum, [, file]) => sum + file.loaded, 0);
+  const total = files.reduce((sum, [, file]) => sum + file.total, 0);
+
+  return (
+    <div className="space-y-3 mt-4">
+      <div className="flex items-center justify-between text-[11px] font-mono text-slate-400">
+        <span className="flex items-center gap-2">
+          <Download size={12} />
+          {formatBytes(loaded)} / {formatBytes(total)}
+        </span>
+        <span>{total ? ((loaded / total) * 100).toFixed(0) : 0}%</span>
+      </div>
+      <div className="space-y-2 max-h-40 overflow-y-auto pr-1">
+        {files.map(([name, file]) => {
+          const percent = file.total ? (file.loaded / file.total) * 100 : 0;
+          return (
+            <div key={name}>
+              <div className="flex justify-between text-[10px] font-mono text-slate-500 mb-1">
+                <span className="truncate pr-2" title={name}>
+                  {name}
+                </span>
+                <span className="shrink-0">
+                  {file.status === "done"
+                    ? formatBytes(file.total || file.loaded)
+                    : `${formatBytes(file.loaded)} / ${formatBytes(file.total)}`}
+                </span>
+              </div>
+              <div className="w-full h-1 bg-slate-800 rounded-full overflow-hidden">
+                <div
+                  className={`h-full rounded-full transition-all ${file.status === "done" ? "bg-emerald-500" : "bg-indigo-500"}`}
+                  style={{
+                    width: `${file.status === "done" ? 100 : percent}%`,
+                  }}
+                />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default DownloadProgress;
@@ -0,0 +1,599 @@
+import { useState, useRef, useEffect, useMemo, useCallback } from "react";
+import {
+  ListChecks,
+  FolderOpen,
+  FilePlus2,
+  Play,
+  Square,
+  Loader2,
+  AlertTriangle,
+  ArrowLeft,
+} from "lucide-react";
+import {
+  applyLabelMap,
+  defaultLabelMap,
+  evaluateDetections,
+  imageErrors,
+  operatingPoint,
+} from "../lib/evaluation";
+import { prepareDataset } from "../lib/groundTruth";
+import { MATCH_IOU } from "../lib/compare";
+import { RAW_THRESHOLD } from "../lib/postprocess";
+import { drawDetections } from "../lib/drawDetections";
+import { labelColor } from "../lib/colormap";
+import { isAbortError } from "../lib/detectionClient";
+import { collectDroppedEntries } from "../lib/files";
+import { normalizeOrientation } from "../lib/exif";
+import OverlayCanvas from "./OverlayCanvas";
+
+const CORRECT_COLOR = "#34d399";
+const FALSE_POSITIVE_COLOR = "#f87171";
+const MISS_COLOR = "#f59e0b";
+
+const labelClass =
+  "text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block";
+
+const formatScore = (value) => (value == null ? "—" : (value * 100).toFixed(1));
+
+// Precision (up) against recall (right), with the point the app's current
+// confidence threshold lands on
+function PrCurve({ label, curve, point }) {
+  const points = curve
+    .map(({ recall, precision }) => `${recall * 100},${(1 - precision) * 100}`)
+    .join(" ");
+  return (
+    <div>
+      <p className="text-[11px] text-slate-400 mb-2">
+        Precision / recall · <span className="text-slate-200">{label}</span> ·
+        IoU {MATCH_IOU}
+      </p>
+      <svg
+        viewBox="-8 -4 112 116"
+        className="w-full max-w-xs bg-black/20 rounded-xl"
+        role="img"
+        aria-label={`Precision-recall curve for ${label}`}
+      >
+        <rect
+          width="100"
+          height="100"
+          fill="none"
+          stroke="rgba(255,255,255,0.1)"
+        />
+        {points && (
+          <polyline
+            points={points}
+            fill="none"
+            stroke={labelColor(label)}
+            strokeWidth="1.5"
+          />
+        )}
+        {point && (
+          <circle
+            cx={point.recall * 100}
+            cy={(1 - point.precision) * 100}
+            r="2.5"
+            fill="white"
+          />
+        )}
+        <text x="50" y="110" fill="#64748b" fontSize="6" textAnchor="middle">
+          Recall
+        </text>
+        <text
+          x="-3"
+          y="50"
+          fill="#64748b"
+          fontSize="6"
+          textAnchor="middle"
+          transform="rotate(-90 -3 50)"
+        >
+          Precision
+        </text>
+      </svg>
+    </div>
+  );
+}
+
+// One image with its correct predictions, false positives and misses
+function ErrorView({ image, predictions, errors, onBack }) {
+  const draw = useCallback(
+    (ctx, width, height) => {
+      const falsePositives = new Set(errors.falsePositives);
+      drawDetections(ctx, predictions, width, height, {
+        lineWidth: 2,
+        color: (_, index) =>
+          falsePositives.has(index) ? FALSE_POSITIVE_COLOR : CORRECT_COLOR,
+      });
+      drawDetections(
+        ctx,
+        errors.misses.map((index) => image.truth[index]),
+        width,
+        height,
+        { lineWidth: 2, clear: false, color: () => MISS_COLOR },
+      );
+    },
+    [image, predictions, errors],
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-4">
+        <button
+          onClick={onBack}
+          className="px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold"
+        >
+          <ArrowLeft size={14} />
+          Results
+        </button>
+        <div className="flex items-center gap-4 text-[11px] text-slate-400">
+          {[
+            [CORRECT_COLOR, `Correct (${errors.correct.length})`],
+            [
+              FALSE_POSITIVE_COLOR,
+              `False positives (${errors.falsePositives.length})`,
+            ],
+            [MISS_COLOR, `Missed (${errors.misses.length})`],
+          ].map(([color, text]) => (
+            <span key={color} className="flex items-center gap-1.5">
+              <span
+                className="w-3 h-3 rounded-sm"
+                style={{ background: color }}
+              />
+              {text}
+            </span>
+          ))}
+        </div>
+      </div>
+      <p className="text-sm font-medium text-slate-200 truncate">
+        {image.name}
+      </p>
+      <div className="flex justify-center">
+        <div className="relative inline-block">
+          <img
+            src={image.url}
+            alt={image.name}
+            className="block max-w-full max-h-[60vh] rounded-xl"
+          />
+          <OverlayCanvas draw={draw} className="pointer-events-none" />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Runs the loaded detector over a ground-truth dataset and scores it. Raw
+// outputs are kept, so post-processing and label mapping changes re-score
+// without running the model again.
+function EvaluationPanel({
+  isReady,
+  detect,
+  taskModule,
+  options,
+  inferenceOptions,
+  modelName,
+  modelLabels,
+}) {
+  const [dataset, setDataset] = useState(null);
+  const [mapOverrides, setMapOverrides] = useState({});
+  const [outputs, setOutputs] = useState([]);
+  const [runModel, setRunModel] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedClass, setSelectedClass] = useState(null);
+  const [openImage, setOpenImage] = useState(null); // index into images
+  const controllerRef = useRef(null);
+  const datasetRef = useRef(dataset);
+
+  useEffect(() => {
+    datasetRef.current = dataset;
+  }, [dataset]);
+
+  useEffect(
+    () => () => {
+      controllerRef.current?.abort();
+      datasetRef.current?.images.forEach(({ url }) => URL.revokeObjectURL(url));
+    },
+    [],
+  );
+
+  const loadEntries = async (entries) => {
+    if (entries.length === 0) return;
+    setError(null);
+    const prepared = await prepareDataset(entries);
+    const images = await Promise.all(
+      prepared.images.map(async (image) => ({
+        ...image,
+        url: URL.createObjectURL(await normalizeOrientation(image.file)),
+      })),
+    );
+    dataset?.images.forEach(({ url }) => URL.revokeObjectURL(url));
+    setDataset({ ...prepared, images });
+    setMapOverrides({});
+    setOutputs([]);
+    setRunModel(null);
+    setSelectedClass(null);
+    setOpenImage(null);
+  };
+
+  const pickFiles = (e) => {
+    const entries = [...e.target.files].map((file) => ({
+      file,
+      path: file.webkitRelativePath || file.name,
+    }));
+    e.target.value = "";
+    loadEntries(entries);
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const { entries } = await collectDroppedEntries(e.dataTransfer);
+    loadEntries(entries);
+  };
+
+  const labelMap = useMemo(
+    () => ({
+      ...(dataset && defaultLabelMap(dataset.labels, modelLabels)),
+      ...mapOverrides,
+    }),
+    [dataset, modelLabels, mapOverrides],
+  );
+
+  const start = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsRunning(true);
+    setError(null);
+    setOpenImage(null);
+    setRunModel(modelName);
+    setOutputs([]);
+    try {
+      for (const image of dataset.images) {
+        const { output } = await detect(image.url, inferenceOptions, {
+          signal: controller.signal,
+        });
+        setOutputs((prev) => [...prev, output]);
+      }
+    } catch (err) {
+      if (!isAbortError(err)) {
+        console.error("Evaluation error:", err);
+        setError(err.message);
+      }
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+      setIsRunning(false);
+    }
+  };
+
+  // Scored on every candidate, so the curves cover the full score range;
+  // the error view shows what the current settings keep
+  const samples = useMemo(() => {
+    const candidates = { ...options, threshold: RAW_THRESHOLD };
+    return outputs.map((raw, i) => ({
+      predictions: applyLabelMap(
+        taskModule.postprocess(raw, candidates),
+        labelMap,
+      ),
+      truth: dataset.images[i].truth,
+    }));
+  }, [outputs, options, taskModule, labelMap, dataset]);
+  const metrics = useMemo(
+    () => samples.length > 0 && evaluateDetections(samples, dataset.labels),
+    [samples, dataset],
+  );
+  const imageResults = useMemo(
+    () =>
+      outputs.map((raw, i) => {
+        const predictions = applyLabelMap(
+          taskModule.postprocess(raw, options),
+          labelMap,
+        );
+        return {
+          predictions,
+          errors: imageErrors(predictions, dataset.images[i].truth),
+        };
+      }),
+    [outputs, options, taskModule, labelMap, dataset],
+  );
+
+  const curveClass =
+    metrics &&
+    (metrics.classes.find(({ label }) => label === selectedClass) ??
+      metrics.classes.find(({ truthCount }) => truthCount > 0));
+  const objectCount = dataset?.images.reduce(
+    (sum, { truth }) => sum + truth.length,
+    0,
+  );
+  const canRun =
+    isReady && !isRunning && dataset?.errors.length === 0 && objectCount > 0;
+
+  if (openImage != null && imageResults[openImage]) {
+    return (
+      <div className="w-full h-full self-stretch p-6">
+        <ErrorView
+          image={dataset.images[openImage]}
+          {...imageResults[openImage]}
+          onBack={() => setOpenImage(null)}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full h-full self-stretch p-6 flex flex-col gap-5">
+      <div className="flex items-center justify-between">
+        <h3 className="font-bold flex items-center gap-2">
+          <ListChecks size={18} className="text-indigo-400" />
+          Evaluation
+        </h3>
+        {isRunning ? (
+          <button
+            onClick={() => controllerRef.current?.abort()}
+            className="px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold"
+          >
+            <Square size={14} />
+            Stop ({outputs.length}/{dataset.images.length})
+          </button>
+        ) : (
+          <button
+            onClick={start}
+            disabled={!canRun}
+            title={isReady ? undefined : "Load a model first"}
+            className="px-3 py-2 bg-indigo-600 hover:bg-indigo-500 transition-all rounded-xl flex items-center gap-2 text-xs font-bold disabled:opacity-40"
+          >
+            <Play size={14} />
+            Evaluate {modelName}
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+        <div>
+          <label className={labelClass}>Dataset</label>
+          <div
+            onDragOver={(e) => {
+              e.preventDefault();
+              setIsDragging(true);
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+            className={`border-2 border-dashed rounded-xl p-4 text-center transition-colors ${
+              isDragging
+                ? "border-indigo-500 bg-indigo-500/10"
+                : "border-white/10"
+            }`}
+          >
+            <p className="text-xs text-slate-400 mb-3">
+              Drop images with a COCO JSON file, or with YOLO .txt labels and
+              classes.txt / data.yaml
+            </p>
+            <div className="flex justify-center gap-2">
+              <label className="px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold cursor-pointer">
+                <FilePlus2 size={14} />
+                Files
+                <input
+                  type="file"
+                  multiple
+                  accept="image/*,.json,.txt,.names,.yaml,.yml"
+                  className="hidden"
+                  disabled={isRunning}
+                  onChange={pickFiles}
+                />
+              </label>
+              <label className="px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold cursor-pointer">
+                <FolderOpen size={14} />
+                Folder
+                <input
+                  type="file"
+                  webkitdirectory=""
+                  multiple
+                  className="hidden"
+                  disabled={isRunning}
+                  onChange={pickFiles}
+                />
+              </label>
+            </div>
+          </div>
+
+          {dataset && (
+            <div className="mt-3 bg-black/20 p-3 rounded-lg border border-white/5 space-y-1.5 text-[11px]">
+              <p className="text-slate-400 font-mono">
+                {dataset.format === "coco" ? "COCO" : "YOLO"} ·{" "}
+                {dataset.images.length} images · {objectCount} objects ·{" "}
+                {dataset.labels.length} classes
+              </p>
+              {dataset.errors.map((message) => (
+                <p
+                  key={message}
+                  className="text-red-400 flex items-center gap-1.5"
+                >
+                  <AlertTriangle size={12} />
+                  {message}
+                </p>
+              ))}
+              {dataset.warnings.map((message) => (
+                <p
+                  key={message}
+                  className="text-amber-400 flex items-center gap-1.5"
+                >
+                  <AlertTriangle size={12} />
+                  {message}
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {dataset?.labels.length > 0 && (
+          <div>
+            <label className={labelClass}>Label Mapping</label>
+            <div className="max-h-56 overflow-y-auto custom-scrollbar space-y-1.5 pr-1">
+              {dataset.labels.map((label) => (
+                <div key={label} className="flex items-center gap-2 text-xs">
+                  <span
+                    className="flex-1 truncate text-slate-300"
+                    title={label}
+                  >
+                    {label}
+                  </span>
+                  <span className="text-slate-600">←</span>
+                  <select
+                    value={labelMap[label] ?? ""}
+                    onChange={(e) =>
+                      setMapOverrides((prev) => ({
+                        ...prev,
+                        [label]: e.target.value,
+                      }))
+                    }
+                    aria-label={`Model label for ${label}`}
+                    className="flex-1 min-w-0 bg-slate-900 border border-white/10 rounded-lg px-2 py-1 text-xs focus:border-indigo-500 outline-none cursor-pointer"
+                  >
+                    <option value="">Not mapped</option>
+                    {modelLabels.map((modelLabel) => (
+                      <option key={modelLabel} value={modelLabel}>
+                        {modelLabel}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <p className="text-[10px] text-slate-500 mt-2">
+              Predictions of model classes that no dataset class maps to are
+              ignored.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-red-400 text-xs flex items-center gap-2">
+          <AlertTriangle size={14} />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {metrics && (
+        <>
+          <div className="flex flex-wrap items-end gap-6">
+            {[
+              ["mAP@0.5", metrics.map50],
+              ["mAP@0.5:0.95", metrics.map],
+            ].map(([name, value]) => (
+              <div key={name}>
+                <p className="text-[10px] uppercase font-bold tracking-wider text-slate-500">
+                  {name}
+                </p>
+                <p className="text-2xl font-mono font-bold text-indigo-300">
+                  {formatScore(value)}
+                </p>
+              </div>
+            ))}
+            <p className="text-[11px] text-slate-500 pb-1">
+              {runModel} · {outputs.length} of {dataset.images.length} images
+              {isRunning && (
+                <Loader2 size={12} className="inline ml-2 animate-spin" />
+              )}
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-5">
+            <div className="md:col-span-2 overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left text-[10px] uppercase tracking-wider text-slate-500">
+                    <th className="py-2 pr-3">Class</th>
+                    <th className="py-2 pr-3 text-right">Truth</th>
+                    <th className="py-2 pr-3 text-right">AP50</th>
+                    <th className="py-2 pr-3 text-right">AP</th>
+                    <th className="py-2 pr-3 text-right">P</th>
+                    <th className="py-2 text-right">R</th>
+                  </tr>
+                </thead>
+                <tbody className="font-mono">
+                  {metrics.classes.map((result) => {
+                    const point = operatingPoint(
+                      result.curve,
+                      options.threshold,
+                    );
+                    return (
+                      <tr
+                        key={result.label}
+                        onClick={() => setSelectedClass(result.label)}
+                        className={`border-t border-white/5 cursor-pointer hover:bg-white/5 ${
+                          result.label === curveClass?.label
+                            ? "text-indigo-300"
+                            : "text-slate-300"
+                        }`}
+                      >
+                        <td className="py-1.5 pr-3 font-sans">
+                          {result.label}
+                        </td>
+                        <td className="py-1.5 pr-3 text-right">
+                          {result.truthCount}
+                        </td>
+                        <td className="py-1.5 pr-3 text-right">
+                          {formatScore(result.ap50)}
+                        </td>
+                        <td className="py-1.5 pr-3 text-right">
+                          {formatScore(result.ap)}
+                        </td>
+                        <td className="py-1.5 pr-3 text-right">
+                          {formatScore(point?.precision)}
+                        </td>
+                        <td className="py-1.5 text-right">
+                          {formatScore(point?.recall)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <p className="text-[10px] text-slate-500 mt-3 italic">
+                AP is COCO-style (101-point interpolation) over every candidate
+                above {RAW_THRESHOLD}; AP averages IoU 0.5 to 0.95. P and R are
+                at the current confidence threshold (
+                {Math.round(options.threshold * 100)}%) and IoU {MATCH_IOU}.
+              </p>
+            </div>
+            {curveClass && (
+              <PrCurve
+                label={curveClass.label}
+                curve={curveClass.curve}
+                point={operatingPoint(curveClass.curve, options.threshold)}
+              />
+            )}
+          </div>
+
+          <div>
+            <label className={labelClass}>Images</label>
+            <div className="max-h-64 overflow-y-auto custom-scrollbar divide-y divide-white/5">
+              {imageResults.map(({ errors }, i) => (
+                <button
+                  key={dataset.images[i].url}
+                  onClick={() => setOpenImage(i)}
+                  className="w-full py-1.5 flex items-center gap-3 text-xs text-left hover:bg-white/5"
+                >
+                  <span className="flex-1 truncate text-slate-300">
+                    {dataset.images[i].name}
+                  </span>
+                  <span className="font-mono text-emerald-400">
+                    {errors.correct.length}
+                  </span>
+                  <span className="font-mono text-red-400 w-8 text-right">
+                    {errors.falsePositives.length} FP
+                  </span>
+                  <span className="font-mono text-amber-400 w-14 text-right">
+                    {errors.misses.length} missed
+                  </span>
+                </button>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default EvaluationPanel;
@@ -0,0 +1,54 @@
+import { useState } from "react";
+import { Download, Loader2 } from "lucide-react";
+import { EXPORT_FORMATS } from "../lib/exporters";
+
+// Small dropdown listing the annotation formats plus any extra entries
+// (e.g. the annotated PNG) the caller supports.
+function ExportMenu({ onExport, extraFormats = [], disabled = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const choose = async (format) => {
+    setIsOpen(false);
+    setIsExporting(true);
+    try {
+      await onExport(format);
+    } catch (err) {
+      console.error("Export error:", err);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled || isExporting}
+        className="px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold disabled:opacity-40"
+      >
+        {isExporting ? (
+          <Loader2 size={14} className="animate-spin" />
+        ) : (
+          <Download size={14} />
+        )}
+        Export
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-48 z-20 bg-slate-900 border border-white/10 rounded-xl shadow-2xl p-1">
+          {[...EXPORT_FORMATS, ...extraFormats].map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => choose(id)}
+              className="w-full text-left px-3 py-2 text-xs rounded-lg hover:bg-white/10 transition-colors"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
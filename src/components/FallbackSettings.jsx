@@ -0,0 +1,51 @@
+import { ArrowRight } from "lucide-react";
+import { FALLBACK_DEVICES } from "../lib/settings";
+
+// Devices to try, in order, when the selected one fails with an error
+// another provider might not hit. Clicking a device appends it to the
+// chain or takes it out.
+function FallbackSettings({ value, onChange, device, capabilities }) {
+  const toggle = (candidate) =>
+    onChange(
+      value.includes(candidate)
+        ? value.filter((other) => other !== candidate)
+        : [...value, candidate],
+    );
+  const chain = [device, ...value.filter((other) => other !== device)];
+
+  return (
+    <div>
+      <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block">
+        Fallback Devices
+      </label>
+      <div className="flex flex-wrap gap-1.5">
+        {FALLBACK_DEVICES.map((candidate) => (
+          <button
+            key={candidate}
+            onClick={() => toggle(candidate)}
+            disabled={!capabilities[candidate]}
+            className={`px-2.5 py-1 rounded-lg text-[11px] font-mono transition-all disabled:opacity-30 disabled:cursor-not-allowed ${
+              value.includes(candidate)
+                ? "bg-indigo-600 text-white"
+                : "bg-white/5 text-slate-400 hover:bg-white/10"
+            }`}
+          >
+            {candidate}
+          </button>
+        ))}
+      </div>
+      <p className="text-[10px] text-slate-500 mt-2 flex flex-wrap items-center gap-1 font-mono uppercase">
+        {chain.length > 1
+          ? chain.map((step, index) => (
+              <span key={step} className="flex items-center gap-1">
+                {index > 0 && <ArrowRight size={10} />}
+                {step}
+              </span>
+            ))
+          : "No automatic fallback"}
+      </p>
+    </div>
+  );
+}
+
+export default FallbackSettings;
@@ -0,0 +1,190 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { ArrowLeft, AlertTriangle } from "lucide-react";
+import { historyResults, loadHistoryImage } from "../lib/history";
+import { diffDetections, MATCH_IOU } from "../lib/compare";
+import { drawDetections } from "../lib/drawDetections";
+import { formatDtype } from "../lib/modelVariants";
+import { getTask } from "../tasks";
+import OverlayCanvas from "./OverlayCanvas";
+
+const MATCHED_COLOR = "#94a3b8";
+const UNIQUE_COLOR = "#f59e0b";
+
+// The stored image under the run's overlay. With a diff, boxes whose index
+// is in `unique` are marked and the rest get the "in both runs" color.
+function CompareImage({ entry, results, unique }) {
+  const [bitmap, setBitmap] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let loaded = null;
+    loadHistoryImage(entry)
+      .then((blob) => createImageBitmap(blob))
+      .then((result) => {
+        loaded = result;
+        if (cancelled) result.close();
+        else setBitmap(result);
+      })
+      .catch((err) => console.error("Could not load history image:", err));
+    return () => {
+      cancelled = true;
+      loaded?.close();
+    };
+  }, [entry]);
+
+  const drawImage = useCallback(
+    (ctx, width, height) => {
+      // A closed bitmap reports a zero size
+      if (bitmap?.width) ctx.drawImage(bitmap, 0, 0, width, height);
+    },
+    [bitmap],
+  );
+
+  const drawResults = useCallback(
+    (ctx, width, height) => {
+      if (!unique) {
+        getTask(entry.task).render(ctx, results, width, height, entry.options);
+        return;
+      }
+      drawDetections(ctx, results, width, height, {
+        lineWidth: 2,
+        color: (_, index) => (unique.has(index) ? UNIQUE_COLOR : MATCHED_COLOR),
+      });
+    },
+    [entry, results, unique],
+  );
+
+  return (
+    <div
+      className="relative w-full rounded-xl overflow-hidden bg-black/30"
+      style={{ aspectRatio: `${entry.width} / ${entry.height}` }}
+    >
+      <OverlayCanvas draw={drawImage} className="pointer-events-none" />
+      <OverlayCanvas draw={drawResults} className="pointer-events-none" />
+    </div>
+  );
+}
+
+const countLabels = (detections, indices) => {
+  const counts = {};
+  indices.forEach((index) => {
+    const { label } = detections[index];
+    counts[label] = (counts[label] ?? 0) + 1;
+  });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+};
+
+function RunColumn({ entry, results, unique }) {
+  const threshold = entry.options?.threshold;
+  return (
+    <div className="flex-1 min-w-0 space-y-3">
+      <div>
+        <p
+          className="text-sm font-medium text-slate-200 truncate"
+          title={entry.model}
+        >
+          {entry.model}
+        </p>
+        <p className="text-[11px] text-slate-500 font-mono truncate">
+          {entry.device} · {formatDtype(entry.dtype)}
+          {threshold != null && ` · ≥${Math.round(threshold * 100)}%`} ·{" "}
+          {entry.time.toFixed(0)} ms
+        </p>
+      </div>
+      <CompareImage entry={entry} results={results} unique={unique} />
+      {unique && (
+        <div>
+          <p className="text-[10px] uppercase font-bold tracking-wider text-amber-400 mb-2">
+            Only in this run ({unique.size})
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {countLabels(results, unique).map(([label, count]) => (
+              <span
+                key={label}
+                className="text-[11px] bg-amber-500/10 border border-amber-500/20 px-2 py-1 rounded-lg capitalize text-slate-300"
+              >
+                {label}{" "}
+                <span className="font-mono font-bold text-amber-400">
+                  {count}
+                </span>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+      {!unique && (
+        <p className="text-xs text-slate-400">
+          {getTask(entry.task).summarize(results)}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Two history entries side by side. Detections of the same image are
+// matched by label and IoU, and the boxes only one run found are marked.
+function HistoryCompare({ entries: [a, b], onBack }) {
+  const resultsA = useMemo(() => historyResults(a), [a]);
+  const resultsB = useMemo(() => historyResults(b), [b]);
+  const sameImage = a.imageHash === b.imageHash;
+  const comparable =
+    sameImage &&
+    getTask(a.task).kind === "detection" &&
+    getTask(b.task).kind === "detection";
+
+  const diff = useMemo(
+    () => comparable && diffDetections(resultsA, resultsB),
+    [comparable, resultsA, resultsB],
+  );
+  const uniqueA = useMemo(() => diff && new Set(diff.onlyA), [diff]);
+  const uniqueB = useMemo(() => diff && new Set(diff.onlyB), [diff]);
+
+  return (
+    <div className="w-full h-full p-6 flex flex-col gap-5 self-stretch">
+      <div className="flex items-center justify-between gap-4">
+        <button
+          onClick={onBack}
+          className="px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold"
+        >
+          <ArrowLeft size={14} />
+          History
+        </button>
+        {diff && (
+          <div className="flex items-center gap-4 text-[11px] text-slate-400">
+            <span className="flex items-center gap-1.5">
+              <span
+                className="w-3 h-3 rounded-sm"
+                style={{ background: MATCHED_COLOR }}
+              />
+              In both ({diff.matched.length})
+            </span>
+            <span className="flex items-center gap-1.5">
+              <span
+                className="w-3 h-3 rounded-sm"
+                style={{ background: UNIQUE_COLOR }}
+              />
+              Only in one run
+            </span>
+            <span className="font-mono text-slate-500">IoU ≥ {MATCH_IOU}</span>
+          </div>
+        )}
+      </div>
+
+      {!comparable && (
+        <div className="p-3 bg-amber-500/10 border border-amber-500/20 rounded-xl text-amber-300 text-xs flex items-center gap-2">
+          <AlertTriangle size={14} />
+          {sameImage
+            ? "Detection differences are shown for detection tasks only."
+            : "These runs are on different images, so detections aren't matched."}
+        </div>
+      )}
+
+      <div className="flex flex-col md:flex-row gap-6">
+        <RunColumn entry={a} results={resultsA} unique={uniqueA} />
+        <RunColumn entry={b} results={resultsB} unique={uniqueB} />
+      </div>
+    </div>
+  );
+}
+
+export default HistoryCompare;
@@ -0,0 +1,173 @@
+import { useState, useMemo } from "react";
+import {
+  HistoryIcon,
+  Trash2,
+  GitCompareArrows,
+  BadgeCheck,
+  Grid3x3,
+} from "lucide-react";
+import { historyResults } from "../lib/history";
+import { formatDtype } from "../lib/modelVariants";
+import { getTask } from "../tasks";
+import HistoryCompare from "./HistoryCompare";
+
+const formatDate = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+function HistoryPanel({ entries, error, activeId, onOpen, onDelete, onClear }) {
+  // Up to two entry ids picked for comparison, oldest pick first
+  const [selected, setSelected] = useState([]);
+  const [isComparing, setIsComparing] = useState(false);
+
+  const byId = useMemo(
+    () => new Map(entries.map((entry) => [entry.id, entry])),
+    [entries],
+  );
+  const picked = selected.map((id) => byId.get(id)).filter(Boolean);
+
+  const toggle = (id) =>
+    setSelected((prev) =>
+      prev.includes(id)
+        ? prev.filter((other) => other !== id)
+        : [...prev, id].slice(-2),
+    );
+
+  if (isComparing && picked.length === 2) {
+    return (
+      <HistoryCompare entries={picked} onBack={() => setIsComparing(false)} />
+    );
+  }
+
+  if (entries.length === 0) {
+    return (
+      <div className="flex flex-col items-center text-center p-12">
+        <HistoryIcon size={40} className="mb-4 text-slate-700" />
+        <h3 className="text-xl font-bold mb-2 tracking-tight">
+          No History Yet
+        </h3>
+        <p className="text-slate-500 max-w-sm text-sm leading-relaxed">
+          {error
+            ? `History is unavailable in this browser: ${error}`
+            : "Every still-image analysis is saved here, in your browser, so you can reopen it or compare two runs later."}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full h-full p-6 flex flex-col gap-5 self-stretch">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h3 className="font-bold flex items-center gap-2">
+            <HistoryIcon size={18} className="text-indigo-400" />
+            Session History
+          </h3>
+          <p className="text-xs text-slate-500 font-mono mt-1">
+            {entries.length} runs · select two to compare
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setIsComparing(true)}
+            disabled={picked.length !== 2}
+            className="px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold disabled:opacity-40"
+          >
+            <GitCompareArrows size={14} />
+            Compare
+          </button>
+          <button
+            onClick={() => {
+              if (window.confirm("Delete all saved runs and their images?")) {
+                setSelected([]);
+                onClear();
+              }
+            }}
+            className="px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold"
+          >
+            <Trash2 size={14} />
+            Clear
+          </button>
+        </div>
+      </div>
+
+      <div className="space-y-2 max-h-[60vh] overflow-y-auto pr-2">
+        {entries.map((entry) => {
+          const taskModule = getTask(entry.task);
+          const threshold = entry.options?.threshold;
+          const isSelected = selected.includes(entry.id);
+          return (
+            <div
+              key={entry.id}
+              onClick={() => onOpen(entry)}
+              className={`flex items-center gap-4 p-3 rounded-xl border transition-colors cursor-pointer hover:bg-white/10 ${
+                entry.id === activeId
+                  ? "bg-indigo-500/10 border-indigo-500/30"
+                  : "bg-white/5 border-white/5"
+              }`}
+            >
+              <input
+                type="checkbox"
+                checked={isSelected}
+                onClick={(e) => e.stopPropagation()}
+                onChange={() => toggle(entry.id)}
+                title="Select for comparison"
+                className="accent-indigo-500 shrink-0"
+              />
+              <img
+                src={entry.thumbnail}
+                alt={entry.name}
+                className="w-16 h-16 rounded-lg object-cover bg-black/30 shrink-0"
+              />
+              <div className="flex-1 min-w-0">
+                <p
+                  className="text-sm font-medium text-slate-200 truncate flex items-center gap-1.5"
+                  title={entry.name}
+                >
+                  {entry.annotations && (
+                    <BadgeCheck size={14} className="text-emerald-400" />
+                  )}
+                  {entry.slicing && (
+                    <Grid3x3 size={14} className="text-indigo-400" />
+                  )}
+                  <span className="truncate">{entry.name}</span>
+                </p>
+                <p
+                  className="text-[11px] text-slate-400 font-mono truncate"
+                  title={entry.model}
+                >
+                  {entry.model}
+                </p>
+                <p className="text-[11px] text-slate-500 font-mono truncate">
+                  {taskModule.summarize(historyResults(entry))} · {entry.device}{" "}
+                  · {formatDtype(entry.dtype)}
+                  {threshold != null &&
+                    ` · ≥${Math.round(threshold * 100)}%`} ·{" "}
+                  {entry.time.toFixed(0)} ms
+                </p>
+              </div>
+              <span className="text-[10px] text-slate-500 text-right shrink-0">
+                {formatDate(entry.createdAt)}
+              </span>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setSelected((prev) => prev.filter((id) => id !== entry.id));
+                  onDelete(entry);
+                }}
+                title="Delete"
+                className="p-2 hover:bg-white/10 rounded-lg transition-colors"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,68 @@
+import { useState } from "react";
+import { Link2, Loader2, Sparkles } from "lucide-react";
+import { SAMPLE_IMAGES } from "../lib/imageSources";
+
+// Image URL field and the sample gallery, below the upload zone
+function ImageSources({ onLoadUrl, isFetching }) {
+  const [url, setUrl] = useState("");
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (url.trim()) onLoadUrl(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={submit} className="flex gap-2">
+        <div className="relative flex-1">
+          <Link2
+            size={14}
+            className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500"
+          />
+          <input
+            type="url"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="Paste an image URL"
+            className="w-full bg-slate-900 border border-white/10 rounded-xl pl-9 pr-3 py-2 text-sm focus:border-indigo-500 outline-none"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={!url.trim() || isFetching}
+          className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded-xl text-xs font-bold uppercase tracking-widest transition-all disabled:opacity-40 flex items-center gap-2"
+        >
+          {isFetching && <Loader2 size={14} className="animate-spin" />}
+          Load
+        </button>
+      </form>
+
+      <div>
+        <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center gap-1.5">
+          <Sparkles size={12} className="text-indigo-400" />
+          Try a Sample
+        </p>
+        <div className="grid grid-cols-3 gap-2">
+          {SAMPLE_IMAGES.map((sample) => (
+            <button
+              key={sample.name}
+              onClick={() => onLoadUrl(sample.url)}
+              disabled={isFetching}
+              title={sample.label}
+              className="aspect-square rounded-lg overflow-hidden bg-black/30 ring-1 ring-white/10 hover:ring-indigo-500 transition-all disabled:opacity-40"
+            >
+              <img
+                src={sample.url}
+                alt={sample.label}
+                loading="lazy"
+                className="w-full h-full object-cover"
+              />
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImageSources;
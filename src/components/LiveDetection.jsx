@@ -0,0 +1,359 @@
+import { useState, useRef, useEffect, useCallback, useMemo } from "react";
+import {
+  Camera,
+  Film,
+  Pause,
+  Play,
+  StepForward,
+  Aperture,
+  Video,
+  Info,
+} from "lucide-react";
+import { drawDetections } from "../lib/drawDetections";
+import { isAbortError } from "../lib/detectionClient";
+import { filterDetections } from "../lib/postprocess";
+import OverlayCanvas from "./OverlayCanvas";
+
+// Frames are downscaled before they're handed to the worker; the processor
+// resizes them again anyway, so full-resolution copies only cost bandwidth.
+const MAX_FRAME_SIDE = 640;
+const STEP_SECONDS = 1 / 30;
+const STATS_INTERVAL_MS = 500;
+
+function captureFrame(video, canvas) {
+  const scale = Math.min(
+    1,
+    MAX_FRAME_SIDE / Math.max(video.videoWidth, video.videoHeight),
+  );
+  const width = Math.round(video.videoWidth * scale);
+  const height = Math.round(video.videoHeight * scale);
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(video, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  return { data, width, height, channels: 4 };
+}
+
+// Calls `callback` once per presented video frame where the browser supports
+// it, otherwise once per animation frame. Returns a cancel function.
+function onEveryFrame(video, callback) {
+  let handle;
+  let active = true;
+  if ("requestVideoFrameCallback" in HTMLVideoElement.prototype) {
+    const tick = () => {
+      if (!active) return;
+      callback();
+      handle = video.requestVideoFrameCallback(tick);
+    };
+    handle = video.requestVideoFrameCallback(tick);
+    return () => {
+      active = false;
+      video.cancelVideoFrameCallback(handle);
+    };
+  }
+  const tick = () => {
+    if (!active) return;
+    callback();
+    handle = requestAnimationFrame(tick);
+  };
+  handle = requestAnimationFrame(tick);
+  return () => {
+    active = false;
+    cancelAnimationFrame(handle);
+  };
+}
+
+const emptyStats = { fps: 0, latency: 0, skipped: 0 };
+
+function LiveDetection({
+  isReady,
+  detect,
+  detectionOptions,
+  detectionSettings,
+  onSnapshot,
+}) {
+  const [source, setSource] = useState(null); // { kind: "camera", stream } | { kind: "file", url }
+  const [isPaused, setIsPaused] = useState(false);
+  const [rawDetections, setRawDetections] = useState([]);
+  const [stats, setStats] = useState(emptyStats);
+  const [error, setError] = useState(null);
+
+  const videoRef = useRef(null);
+  const frameCanvasRef = useRef(null);
+  const inFlightRef = useRef(false);
+  const controllerRef = useRef(null);
+  const metricsRef = useRef({ completed: 0, skipped: 0, latency: 0 });
+
+  const detections = useMemo(
+    () => filterDetections(rawDetections, detectionSettings),
+    [rawDetections, detectionSettings],
+  );
+
+  // Attach the active source to the <video> element and release it afterwards
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!source || !video) return;
+
+    if (source.kind === "camera") {
+      video.srcObject = source.stream;
+    } else {
+      video.src = source.url;
+    }
+    video.play().catch(() => setIsPaused(true));
+
+    return () => {
+      controllerRef.current?.abort();
+      video.pause();
+      video.removeAttribute("src");
+      video.srcObject = null;
+      if (source.kind === "camera") {
+        source.stream.getTracks().forEach((track) => track.stop());
+      } else {
+        URL.revokeObjectURL(source.url);
+      }
+    };
+  }, [source]);
+
+  const runFrame = useCallback(async () => {
+    const video = videoRef.current;
+    if (!video || video.readyState < 2 || inFlightRef.current) return;
+
+    inFlightRef.current = true;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    frameCanvasRef.current ??= document.createElement("canvas");
+    const frame = captureFrame(video, frameCanvasRef.current);
+
+    try {
+      const { output, time } = await detect(frame, detectionOptions, {
+        signal: controller.signal,
+        transfer: [frame.data.buffer],
+      });
+      setRawDetections(output);
+      const metrics = metricsRef.current;
+      metrics.completed += 1;
+      // Exponential moving average keeps the readout stable between frames
+      metrics.latency = metrics.latency
+        ? metrics.latency * 0.8 + time * 0.2
+        : time;
+    } catch (err) {
+      if (!isAbortError(err)) {
+        console.error("Frame detection error:", err);
+        setError(err.message);
+      }
+    } finally {
+      inFlightRef.current = false;
+    }
+  }, [detect, detectionOptions]);
+
+  // Frame scheduler: at most one frame is in flight. Frames that arrive while
+  // the worker is busy are dropped instead of queued, so latency never grows.
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!source || isPaused || !isReady || !video) return;
+
+    return onEveryFrame(video, () => {
+      if (inFlightRef.current) {
+        metricsRef.current.skipped += 1;
+      } else {
+        runFrame();
+      }
+    });
+  }, [source, isPaused, isReady, runFrame]);
+
+  // Publish throughput numbers a couple of times per second
+  useEffect(() => {
+    if (!source) return;
+    let last = performance.now();
+    const timer = setInterval(() => {
+      const now = performance.now();
+      const metrics = metricsRef.current;
+      setStats({
+        fps: (metrics.completed * 1000) / (now - last),
+        latency: metrics.latency,
+        skipped: metrics.skipped,
+      });
+      metrics.completed = 0;
+      last = now;
+    }, STATS_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [source]);
+
+  // Boxes for the latest analyzed frame
+  const drawOverlay = useCallback(
+    (ctx, width, height) => drawDetections(ctx, detections, width, height),
+    [detections],
+  );
+
+  const resetSession = () => {
+    metricsRef.current = { completed: 0, skipped: 0, latency: 0 };
+    setStats(emptyStats);
+    setRawDetections([]);
+    setError(null);
+    setIsPaused(false);
+  };
+
+  const startCamera = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: "environment" },
+        audio: false,
+      });
+      resetSession();
+      setSource({ kind: "camera", stream });
+    } catch (err) {
+      console.error("Camera error:", err);
+      setError(`Camera unavailable: ${err.message}`);
+    }
+  };
+
+  const openVideoFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    resetSession();
+    setSource({ kind: "file", url: URL.createObjectURL(file) });
+  };
+
+  const togglePause = () => {
+    const video = videoRef.current;
+    if (isPaused) {
+      setIsPaused(false);
+      video.play().catch(() => setIsPaused(true));
+    } else {
+      video.pause();
+      setIsPaused(true);
+    }
+  };
+
+  const stepFrame = () => {
+    const video = videoRef.current;
+    if (source.kind === "file") {
+      video.addEventListener("seeked", runFrame, { once: true });
+      video.currentTime = Math.min(
+        video.duration,
+        video.currentTime + STEP_SECONDS,
+      );
+    } else {
+      runFrame();
+    }
+  };
+
+  const takeSnapshot = () => {
+    const video = videoRef.current;
+    const canvas = document.createElement("canvas");
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext("2d").drawImage(video, 0, 0);
+    canvas.toBlob((blob) => {
+      if (!blob) return;
+      onSnapshot(
+        new File([blob], `snapshot-${Date.now()}.png`, { type: "image/png" }),
+      );
+    }, "image/png");
+  };
+
+  return (
+    <div className="w-full h-full flex flex-col gap-4 p-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={startCamera}
+          className="px-4 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-sm font-medium"
+        >
+          <Camera size={16} />
+          Camera
+        </button>
+        <label className="px-4 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-sm font-medium cursor-pointer">
+          <Film size={16} />
+          Video File
+          <input
+            type="file"
+            accept="video/*"
+            className="hidden"
+            onChange={openVideoFile}
+          />
+        </label>
+
+        {source && (
+          <div className="flex items-center gap-2 ml-auto">
+            <button
+              onClick={togglePause}
+              title={isPaused ? "Resume" : "Pause"}
+              className="p-2 glass-panel hover:bg-white/10 transition-all rounded-xl"
+            >
+              {isPaused ? <Play size={16} /> : <Pause size={16} />}
+            </button>
+            <button
+              onClick={stepFrame}
+              disabled={!isPaused || !isReady}
+              title="Step one frame"
+              className="p-2 glass-panel hover:bg-white/10 transition-all rounded-xl disabled:opacity-40"
+            >
+              <StepForward size={16} />
+            </button>
+            <button
+              onClick={takeSnapshot}
+              title="Send frame to still-image analysis"
+              className="p-2 glass-panel hover:bg-white/10 transition-all rounded-xl"
+            >
+              <Aperture size={16} />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-red-400 text-xs flex items-center gap-2">
+          <Info size={14} />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="relative flex-1 flex items-center justify-center min-h-[400px]">
+        {!source && (
+          <div className="flex flex-col items-center text-center text-slate-500">
+            <Video size={40} className="mb-4 text-slate-700" />
+            <p className="text-sm max-w-xs">
+              Start the camera or open a video file to run detection on live
+              frames.
+            </p>
+          </div>
+        )}
+        <div className={`relative ${source ? "" : "hidden"}`}>
+          <video
+            ref={videoRef}
+            muted
+            playsInline
+            loop
+            className="max-w-full max-h-[65vh] rounded-2xl shadow-2xl ring-1 ring-white/10"
+          />
+          <OverlayCanvas draw={drawOverlay} className="pointer-events-none" />
+        </div>
+      </div>
+
+      {source && (
+        <div className="grid grid-cols-4 gap-3 text-center">
+          {[
+            ["Effective FPS", stats.fps.toFixed(1)],
+            ["Latency", `${stats.latency.toFixed(0)} ms`],
+            ["Skipped", stats.skipped],
+            ["Objects", detections.length],
+          ].map(([label, value]) => (
+            <div
+              key={label}
+              className="bg-black/30 rounded-xl p-3 border border-white/5"
+            >
+              <p className="text-[10px] uppercase tracking-widest text-slate-500 font-bold">
+                {label}
+              </p>
+              <p className="font-mono text-sm text-indigo-300">{value}</p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LiveDetection;
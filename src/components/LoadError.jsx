@@ -0,0 +1,34 @@
+import { AlertTriangle, RotateCcw } from "lucide-react";
+
+// A classified load failure (see lib/errors) with its guidance and a retry
+function LoadError({ error, onRetry }) {
+  return (
+    <div className="mt-3 p-4 bg-red-500/10 border border-red-500/20 rounded-xl space-y-2 animate-in fade-in slide-in-from-top-2">
+      <div className="flex items-center gap-2 text-red-400 text-sm font-bold">
+        <AlertTriangle size={16} />
+        {error.title}
+        {error.device && (
+          <span className="text-[10px] font-mono uppercase text-red-300/70">
+            on {error.device}
+          </span>
+        )}
+      </div>
+      <p className="text-xs text-slate-300 leading-relaxed">{error.guidance}</p>
+      <details className="text-[11px] text-slate-500">
+        <summary className="cursor-pointer hover:text-slate-300">
+          Details
+        </summary>
+        <p className="mt-1 font-mono break-all">{error.message}</p>
+      </details>
+      <button
+        onClick={onRetry}
+        className="px-3 py-2 glass-panel hover:bg-white/10 transition-all rounded-xl flex items-center gap-2 text-xs font-bold"
+      >
+        <RotateCcw size={14} />
+        Retry
+      </button>
+    </div>
+  );
+}
+
+export default LoadError;
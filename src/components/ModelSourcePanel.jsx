@@ -0,0 +1,212 @@
+import { useState } from "react";
+import {
+  Cloud,
+  FolderOpen,
+  Server,
+  CheckCircle2,
+  AlertTriangle,
+  Info,
+} from "lucide-react";
+import { collectDroppedEntries } from "../lib/files";
+import { prepareLocalModel } from "../lib/localModel";
+
+const SOURCES = [
+  ["hub", "Hub", <Cloud size={12} />],
+  ["local", "Local", <FolderOpen size={12} />],
+  ["self-hosted", "Server", <Server size={12} />],
+];
+
+const inputClass =
+  "w-full bg-slate-900 border border-white/10 rounded-xl px-4 py-2.5 text-sm focus:border-indigo-500 outline-none font-mono";
+
+// Chooses where model files come from. Hub and self-hosted sources use the
+// Model Identifier field; a local folder is validated here and then loaded
+// under a synthetic "local/<folder>" id.
+function ModelSourcePanel({ source, onApplySource, requireLabels }) {
+  const [type, setType] = useState(source.type);
+  const [appliedType, setAppliedType] = useState(source.type);
+  // Follow the parent when it switches sources (e.g. back to the Hub)
+  if (source.type !== appliedType) {
+    setAppliedType(source.type);
+    setType(source.type);
+  }
+  const [localModel, setLocalModel] = useState(null);
+  const [serverUrl, setServerUrl] = useState(source.url ?? "");
+  const [wasmPaths, setWasmPaths] = useState(source.wasmPaths ?? "");
+  const [isDragging, setIsDragging] = useState(false);
+
+  const inspect = async (entries) => {
+    if (entries.length === 0) return;
+    setLocalModel(await prepareLocalModel(entries, { requireLabels }));
+  };
+
+  const handleFolder = (e) => {
+    const entries = [...e.target.files].map((file) => ({
+      file,
+      path: file.webkitRelativePath || file.name,
+    }));
+    e.target.value = "";
+    inspect(entries);
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const { entries } = await collectDroppedEntries(e.dataTransfer);
+    inspect(entries);
+  };
+
+  const chooseType = (next) => {
+    setType(next);
+    if (next === "hub") onApplySource({ type: "hub" });
+  };
+
+  return (
+    <div>
+      <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block">
+        Model Source
+      </label>
+      <div className="grid grid-cols-3 gap-1 p-1 bg-slate-900 rounded-xl border border-white/10 mb-3">
+        {SOURCES.map(([value, label, icon]) => (
+          <button
+            key={value}
+            onClick={() => chooseType(value)}
+            className={`py-1.5 rounded-lg text-xs font-bold flex items-center justify-center gap-1.5 transition-colors ${
+              type === value
+                ? "bg-indigo-600 text-white"
+                : "text-slate-400 hover:bg-white/5"
+            }`}
+          >
+            {icon}
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {type === "local" && (
+        <div className="space-y-3">
+          <div
+            onDragOver={(e) => {
+              e.preventDefault();
+              setIsDragging(true);
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+            className={`border-2 border-dashed rounded-xl p-4 text-center transition-colors ${
+              isDragging
+                ? "border-indigo-500 bg-indigo-500/10"
+                : "border-white/10"
+            }`}
+          >
+            <label className="cursor-pointer text-xs text-slate-400">
+              <input
+                type="file"
+                className="hidden"
+                webkitdirectory=""
+                multiple
+                onChange={handleFolder}
+              />
+              <FolderOpen size={18} className="mx-auto mb-2 text-indigo-400" />
+              Pick a model folder, or drop config.json, preprocessor_config.json
+              and the .onnx files here
+            </label>
+          </div>
+
+          {localModel && (
+            <div className="bg-black/20 p-3 rounded-lg border border-white/5 space-y-2 text-[11px]">
+              <p className="font-mono text-indigo-300 truncate">
+                {localModel.model}
+              </p>
+              <p className="text-slate-500 font-mono">
+                {localModel.files.length} files · graphs:{" "}
+                {localModel.graphs.join(", ") || "none"}
+              </p>
+              {localModel.labels && (
+                <p className="text-slate-500">
+                  {Object.keys(localModel.labels).length} classes in id2label
+                </p>
+              )}
+              {localModel.errors.map((message) => (
+                <p
+                  key={message}
+                  className="text-red-400 flex items-center gap-1.5"
+                >
+                  <AlertTriangle size={12} />
+                  {message}
+                </p>
+              ))}
+              {localModel.warnings.map((message) => (
+                <p
+                  key={message}
+                  className="text-amber-400 flex items-center gap-1.5"
+                >
+                  <Info size={12} />
+                  {message}
+                </p>
+              ))}
+              {localModel.errors.length === 0 && (
+                <p className="text-emerald-400 flex items-center gap-1.5">
+                  <CheckCircle2 size={12} />
+                  Ready to load
+                </p>
+              )}
+              <button
+                onClick={() =>
+                  onApplySource(
+                    { type: "local", files: localModel.files },
+                    localModel.model,
+                  )
+                }
+                disabled={localModel.errors.length > 0}
+                className="w-full py-2 bg-indigo-600 hover:bg-indigo-500 text-white rounded-lg text-[10px] font-bold uppercase tracking-widest transition-all disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                Load Local Model
+              </button>
+            </div>
+          )}
+          <p className="text-[10px] text-slate-500 italic">
+            Files stay in memory in this tab and are never uploaded or cached.
+          </p>
+        </div>
+      )}
+
+      {type === "self-hosted" && (
+        <div className="space-y-3">
+          <input
+            type="url"
+            value={serverUrl}
+            onChange={(e) => setServerUrl(e.target.value)}
+            className={inputClass}
+            placeholder="http://localhost:8080/models/"
+          />
+          <input
+            type="url"
+            value={wasmPaths}
+            onChange={(e) => setWasmPaths(e.target.value)}
+            className={inputClass}
+            placeholder="ONNX Runtime WASM path (optional)"
+          />
+          <p className="text-[10px] text-slate-500 italic">
+            The server must expose &lt;model id&gt;/config.json, &lt;model
+            id&gt;/onnx/*.onnx, etc. Remote Hub access is disabled in this mode.
+          </p>
+          <button
+            onClick={() =>
+              onApplySource({
+                type: "self-hosted",
+                url: serverUrl.trim(),
+                wasmPaths: wasmPaths.trim() || undefined,
+              })
+            }
+            disabled={!serverUrl.trim()}
+            className="w-full py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg text-[10px] font-bold uppercase tracking-widest transition-all disabled:opacity-40"
+          >
+            Use Server
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ModelSourcePanel;
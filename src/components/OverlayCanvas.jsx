@@ -0,0 +1,58 @@
+import { useState, useRef, useEffect } from "react";
+
+// Backing stores beyond this many pixels get slow and can fail to allocate
+const MAX_PIXELS = 16_000_000;
+
+// Canvas that fills its positioned parent and stays sharp on HiDPI screens.
+// The backing store is sized to CSS size × devicePixelRatio (× `zoom` when
+// the canvas sits in a scaled layer) and `draw(ctx, width, height, zoom)` is
+// called with CSS-pixel dimensions after every resize, DPR or zoom change or
+// new `draw` function. The canvas is always cleared first, so a `draw` that
+// paints nothing leaves it empty.
+function OverlayCanvas({ draw, zoom = 1, className = "", ...props }) {
+  const canvasRef = useRef(null);
+  const [size, setSize] = useState(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const measure = () =>
+      setSize({
+        width: canvas.clientWidth,
+        height: canvas.clientHeight,
+        dpr: window.devicePixelRatio || 1,
+      });
+    const observer = new ResizeObserver(measure);
+    observer.observe(canvas);
+    // Browser zoom and moving between screens change the DPR, not the size
+    window.addEventListener("resize", measure);
+    return () => {
+      observer.disconnect();
+      window.removeEventListener("resize", measure);
+    };
+  }, []);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!size?.width || !size.height) return;
+    const ratio = Math.min(
+      size.dpr * zoom,
+      Math.sqrt(MAX_PIXELS / (size.width * size.height)),
+    );
+    canvas.width = Math.round(size.width * ratio);
+    canvas.height = Math.round(size.height * ratio);
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, size.width, size.height);
+    draw?.(ctx, size.width, size.height, zoom);
+  }, [size, draw, zoom]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className={`absolute inset-0 w-full h-full ${className}`}
+      {...props}
+    />
+  );
+}
+
+export default OverlayCanvas;
@@ -0,0 +1,134 @@
+import { Zap, Loader2, Info } from "lucide-react";
+import {
+  DTYPES,
+  availableDtypes,
+  downloadSize,
+  loadedModules,
+  formatDtype,
+} from "../lib/modelVariants";
+import { unsupportedDtype } from "../lib/capabilities";
+import { formatBytes } from "../lib/format";
+
+const PER_MODULE = "__per_module__";
+
+const selectClass =
+  "w-full bg-slate-900 border border-white/10 rounded-xl px-4 py-2.5 text-sm focus:border-indigo-500 outline-none appearance-none cursor-pointer";
+
+// Offers only the precisions the model ships. `value` is the user's choice
+// (a dtype or a { module: dtype } map); `resolved` is what will be loaded.
+function PrecisionSelector({
+  value,
+  resolved,
+  onChange,
+  variants,
+  isLoading,
+  device,
+  capabilities,
+}) {
+  const modules = variants ? loadedModules(variants) : [];
+  const isPerModule = typeof value === "object";
+  const size = downloadSize(resolved, variants);
+
+  const option = (id) => {
+    const { label } = DTYPES.find((dtype) => dtype.id === id);
+    const reason = unsupportedDtype(id, device, capabilities);
+    return (
+      <option key={id} value={id} disabled={Boolean(reason)}>
+        {label}
+        {reason ? ` (${reason})` : ""}
+      </option>
+    );
+  };
+
+  // Expands a collapsed dtype back into one entry per module
+  const perModule = () =>
+    Object.fromEntries(
+      modules.map((module) => [
+        module,
+        typeof resolved === "string" ? resolved : resolved[module],
+      ]),
+    );
+
+  return (
+    <div>
+      <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center justify-between">
+        <span className="flex items-center gap-1.5">
+          <Zap size={12} className="text-amber-400" />
+          Precision
+        </span>
+        <span className="font-mono normal-case tracking-normal text-[10px] text-slate-500">
+          {isLoading ? (
+            <Loader2 size={10} className="animate-spin" />
+          ) : size ? (
+            `~${formatBytes(size)} download`
+          ) : (
+            "size unknown"
+          )}
+        </span>
+      </label>
+
+      <select
+        value={isPerModule ? PER_MODULE : resolved}
+        onChange={(e) =>
+          onChange(e.target.value === PER_MODULE ? perModule() : e.target.value)
+        }
+        disabled={isLoading}
+        className={selectClass}
+      >
+        {availableDtypes(variants).map(option)}
+        {(modules.length > 1 || isPerModule) && (
+          <option value={PER_MODULE}>Per module…</option>
+        )}
+      </select>
+
+      {isPerModule && (
+        <div className="mt-2 space-y-2 pl-3 border-l border-white/10">
+          {modules.map((module) => (
+            <div key={module} className="flex items-center gap-2">
+              <span className="text-[10px] font-mono text-slate-400 w-28 truncate">
+                {module}
+              </span>
+              <select
+                value={resolved[module] ?? resolved}
+                onChange={(e) =>
+                  onChange({ ...perModule(), [module]: e.target.value })
+                }
+                className={`${selectClass} py-1.5 text-xs`}
+              >
+                {Object.keys(variants[module])
+                  .sort(
+                    (a, b) =>
+                      DTYPES.findIndex(({ id }) => id === a) -
+                      DTYPES.findIndex(({ id }) => id === b),
+                  )
+                  .map(option)}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!isLoading && (
+        <p className="text-[10px] text-slate-500 mt-1 italic flex items-start gap-1">
+          {!variants ? (
+            <>
+              <Info size={10} className="mt-0.5 shrink-0" />
+              Variant list unavailable for this source; every precision is
+              offered.
+            </>
+          ) : typeof value === "string" && value !== resolved ? (
+            <>
+              <Info size={10} className="mt-0.5 shrink-0" />
+              {value} isn't shipped by this model; using {formatDtype(resolved)}
+              .
+            </>
+          ) : (
+            `${availableDtypes(variants).length} variants available`
+          )}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default PrecisionSelector;
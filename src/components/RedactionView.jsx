@@ -0,0 +1,356 @@
+import { useState, useRef, useMemo, useCallback } from "react";
+import {
+  EyeOff,
+  MousePointer2,
+  SquarePlus,
+  RotateCcw,
+  Download,
+  Loader2,
+  ShieldCheck,
+} from "lucide-react";
+import {
+  REDACTION_METHODS,
+  REDACTION_FORMATS,
+  drawRedacted,
+  exportRedacted,
+  manualRegion,
+  redactionRegions,
+} from "../lib/redaction";
+import { boxFromPoints, isUsableBox } from "../lib/annotations";
+import { downloadBlob, baseName } from "../lib/exporters";
+import OverlayCanvas from "./OverlayCanvas";
+
+const labelClass =
+  "text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex justify-between";
+
+const segment = (active) =>
+  `px-3 py-1.5 rounded-lg text-xs font-bold transition-all ${active ? "bg-indigo-600 text-white" : "bg-white/5 text-slate-400 hover:bg-white/10"}`;
+
+const percentStyle = ({ xmin, ymin, xmax, ymax }) => ({
+  left: `${xmin * 100}%`,
+  top: `${ymin * 100}%`,
+  width: `${(xmax - xmin) * 100}%`,
+  height: `${(ymax - ymin) * 100}%`,
+});
+
+// Redaction mode for the viewport image. `detections` are the current
+// results; `settings` (method, labels, padding, strength, format) and the
+// image's manual `edits` ({ added, removed }) are owned by the parent.
+function RedactionView({
+  imageUrl,
+  imageName,
+  detections,
+  settings,
+  onSettingsChange,
+  edits,
+  onEditsChange,
+}) {
+  const imageRef = useRef(null);
+  const surfaceRef = useRef(null);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [tool, setTool] = useState("select");
+  const [drag, setDrag] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  const update = (patch) => onSettingsChange({ ...settings, ...patch });
+  const { regions, excluded } = useMemo(
+    () => redactionRegions(detections, settings, edits),
+    [detections, settings, edits],
+  );
+
+  // Labels in the results, most frequent first, plus chosen ones not found
+  const labelCounts = useMemo(() => {
+    const counts = new Map(settings.labels.map((label) => [label, 0]));
+    for (const { label } of detections) {
+      counts.set(label, (counts.get(label) ?? 0) + 1);
+    }
+    return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  }, [detections, settings.labels]);
+
+  const toggleLabel = (label) =>
+    update({
+      labels: settings.labels.includes(label)
+        ? settings.labels.filter((other) => other !== label)
+        : [...settings.labels, label],
+    });
+
+  const drawPreview = useCallback(
+    (ctx, width, height) => {
+      if (!isLoaded) return;
+      drawRedacted(ctx, imageRef.current, regions, width, height, settings);
+    },
+    [isLoaded, regions, settings],
+  );
+
+  // Normalized [0, 1] position of a pointer event on the image
+  const pointFrom = (e) => {
+    const rect = surfaceRef.current.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) / rect.width,
+      y: (e.clientY - rect.top) / rect.height,
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (tool !== "draw") return;
+    const start = pointFrom(e);
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ start, box: boxFromPoints(start, start) });
+  };
+
+  const handlePointerMove = (e) => {
+    if (drag)
+      setDrag({ ...drag, box: boxFromPoints(drag.start, pointFrom(e)) });
+  };
+
+  const handlePointerUp = () => {
+    if (!drag) return;
+    setDrag(null);
+    if (!isUsableBox(drag.box)) return;
+    onEditsChange({
+      ...edits,
+      added: [...edits.added, manualRegion(drag.box)],
+    });
+  };
+
+  // Clicking a region takes it out; clicking an excluded one brings it back
+  const removeRegion = (region) =>
+    onEditsChange(
+      region.manual
+        ? { ...edits, added: edits.added.filter(({ id }) => id !== region.key) }
+        : { ...edits, removed: [...edits.removed, region.key] },
+    );
+  const restoreRegion = (region) =>
+    onEditsChange({
+      ...edits,
+      removed: edits.removed.filter((key) => key !== region.key),
+    });
+
+  const download = async () => {
+    setIsExporting(true);
+    setExportError(null);
+    try {
+      const blob = await exportRedacted(imageRef.current, regions, settings);
+      const { extension } = REDACTION_FORMATS.find(
+        ({ id }) => id === settings.format,
+      );
+      downloadBlob(blob, `${baseName(imageName)}.redacted.${extension}`);
+    } catch (err) {
+      console.error("Redacted export failed:", err);
+      setExportError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  if (!imageUrl) {
+    return (
+      <div className="flex flex-col items-center text-center p-12">
+        <EyeOff size={40} className="text-slate-700 mb-6" />
+        <h3 className="text-xl font-bold mb-2">Nothing to Redact</h3>
+        <p className="text-slate-500 max-w-sm text-sm leading-relaxed">
+          Load an image and run inference, then choose which classes to hide.
+          You can also draw boxes by hand.
+        </p>
+      </div>
+    );
+  }
+
+  const hasEdits = edits.added.length > 0 || edits.removed.length > 0;
+
+  return (
+    <div className="w-full self-stretch p-6 space-y-5">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-5">
+        <div>
+          <label className={labelClass}>Method</label>
+          <div className="flex flex-wrap gap-1.5">
+            {REDACTION_METHODS.map(({ id, label }) => (
+              <button
+                key={id}
+                onClick={() => update({ method: id })}
+                className={segment(settings.method === id)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <label className={labelClass}>
+            <span>Strength</span>
+            <span className="font-mono text-indigo-400">
+              {Math.round(settings.strength * 100)}%
+            </span>
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={settings.strength}
+            disabled={settings.method === "box"}
+            onChange={(e) => update({ strength: Number(e.target.value) })}
+            className="w-full accent-indigo-500 disabled:opacity-40"
+          />
+        </div>
+        <div>
+          <label className={labelClass}>
+            <span>Padding</span>
+            <span className="font-mono text-indigo-400">
+              {Math.round(settings.padding * 100)}%
+            </span>
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="0.5"
+            step="0.05"
+            value={settings.padding}
+            onChange={(e) => update({ padding: Number(e.target.value) })}
+            className="w-full accent-indigo-500"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className={labelClass}>Classes to Redact</label>
+        <div className="flex flex-wrap gap-1.5">
+          {labelCounts.map(([label, count]) => (
+            <button
+              key={label}
+              onClick={() => toggleLabel(label)}
+              aria-pressed={settings.labels.includes(label)}
+              className={segment(settings.labels.includes(label))}
+            >
+              {label}
+              <span className="ml-1.5 font-mono opacity-60">{count}</span>
+            </button>
+          ))}
+          {labelCounts.length === 0 && (
+            <span className="text-xs text-slate-500">
+              Run inference to list the detected classes.
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => setTool("select")}
+          title="Click a region to remove it, or a dashed one to restore it"
+          className={segment(tool === "select")}
+        >
+          <MousePointer2 size={14} />
+        </button>
+        <button
+          onClick={() => setTool("draw")}
+          title="Drag to add a region"
+          className={segment(tool === "draw")}
+        >
+          <SquarePlus size={14} />
+        </button>
+        <button
+          onClick={() => onEditsChange({ added: [], removed: [] })}
+          disabled={!hasEdits}
+          className="px-3 py-1.5 rounded-lg text-xs font-bold bg-white/5 text-slate-400 hover:bg-white/10 transition-all disabled:opacity-30 flex items-center gap-1.5"
+        >
+          <RotateCcw size={12} />
+          Reset
+        </button>
+        <span className="text-xs text-slate-400 font-mono">
+          {regions.length} region{regions.length === 1 ? "" : "s"} to redact
+        </span>
+
+        <div className="ml-auto flex items-center gap-2">
+          <select
+            value={settings.format}
+            onChange={(e) => update({ format: e.target.value })}
+            className="bg-slate-900 border border-white/10 rounded-lg px-3 py-1.5 text-xs focus:border-indigo-500 outline-none cursor-pointer"
+          >
+            {REDACTION_FORMATS.map(({ id, label }) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={download}
+            disabled={!isLoaded || isExporting}
+            className="px-4 py-1.5 bg-indigo-600 hover:bg-indigo-500 rounded-lg text-xs font-bold uppercase tracking-widest transition-all disabled:opacity-40 flex items-center gap-2"
+          >
+            {isExporting ? (
+              <Loader2 size={14} className="animate-spin" />
+            ) : (
+              <Download size={14} />
+            )}
+            Export Redacted
+          </button>
+        </div>
+      </div>
+
+      {exportError && <p className="text-xs text-red-400">{exportError}</p>}
+
+      <div className="flex justify-center">
+        <div className="relative inline-block">
+          <img
+            ref={imageRef}
+            src={imageUrl}
+            alt="Redaction preview"
+            draggable={false}
+            onLoad={() => setIsLoaded(true)}
+            className="block max-w-full max-h-[60vh] rounded-2xl"
+          />
+          <OverlayCanvas
+            draw={drawPreview}
+            className="pointer-events-none rounded-2xl"
+          />
+          <div
+            ref={surfaceRef}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            className={`absolute inset-0 ${tool === "draw" ? "cursor-crosshair" : ""}`}
+          >
+            {tool === "select" &&
+              regions.map((region) => (
+                <button
+                  key={region.key}
+                  onClick={() => removeRegion(region)}
+                  title={`Remove ${region.label}`}
+                  style={percentStyle(region.box)}
+                  className="absolute border border-white/40 hover:border-red-400 hover:bg-red-500/10 transition-colors"
+                />
+              ))}
+            {tool === "select" &&
+              excluded.map((region) => (
+                <button
+                  key={region.key}
+                  onClick={() => restoreRegion(region)}
+                  title={`Restore ${region.label}`}
+                  style={percentStyle(region.box)}
+                  className="absolute border border-dashed border-amber-400/70 hover:bg-amber-400/10 transition-colors"
+                />
+              ))}
+            {drag && (
+              <div
+                style={percentStyle(drag.box)}
+                className="absolute border-2 border-dashed border-indigo-400 bg-indigo-500/10"
+              />
+            )}
+          </div>
+        </div>
+      </div>
+
+      <p className="text-[10px] text-slate-500 flex items-start gap-1.5">
+        <ShieldCheck size={12} className="text-emerald-400 shrink-0" />
+        Redaction runs entirely in this browser. The export is re-encoded at the
+        original resolution without EXIF, GPS or other metadata. Blur and
+        pixelation discard the detail; use Black Box for anything that must not
+        be guessed at.
+      </p>
+    </div>
+  );
+}
+
+export default RedactionView;
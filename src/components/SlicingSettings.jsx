@@ -0,0 +1,98 @@
+import { Grid3x3 } from "lucide-react";
+import { MAX_OVERLAP, TILE_SIZES, planTiles } from "../lib/tiling";
+
+const labelClass =
+  "text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex justify-between";
+
+const Toggle = ({ on, onClick }) => (
+  <button
+    onClick={onClick}
+    className={`w-10 h-6 rounded-full transition-colors relative shrink-0 ${on ? "bg-indigo-600" : "bg-slate-700"}`}
+  >
+    <div
+      className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-all ${on ? "left-5" : "left-1"}`}
+    />
+  </button>
+);
+
+// Settings for sliced inference; `imageSize` (natural pixels) is used to
+// preview how many passes the current image will take.
+function SlicingSettings({ settings, onChange, imageSize }) {
+  const update = (patch) => onChange({ ...settings, ...patch });
+  const passes = imageSize
+    ? planTiles(imageSize.width, imageSize.height, settings).length +
+      (settings.fullImage ? 1 : 0)
+    : null;
+
+  return (
+    <div className="p-3 bg-white/5 rounded-xl border border-white/5 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Grid3x3 size={16} className="text-indigo-400" />
+          <span className="text-sm font-medium">Sliced Inference</span>
+        </div>
+        <Toggle
+          on={settings.enabled}
+          onClick={() => update({ enabled: !settings.enabled })}
+        />
+      </div>
+
+      {settings.enabled && (
+        <>
+          <p className="text-[10px] text-slate-500 leading-relaxed">
+            Tiles the full-resolution image so small objects aren't lost when
+            the processor downscales it.
+            {passes != null && ` This image takes ${passes} passes.`}
+          </p>
+          <div>
+            <label className={labelClass}>
+              <span>Tile Size</span>
+              <span className="font-mono text-indigo-400">
+                {settings.tileSize}px
+              </span>
+            </label>
+            <select
+              value={settings.tileSize}
+              onChange={(e) => update({ tileSize: Number(e.target.value) })}
+              className="w-full bg-slate-900 border border-white/10 rounded-xl px-4 py-2 text-sm focus:border-indigo-500 outline-none appearance-none cursor-pointer"
+            >
+              {TILE_SIZES.map((size) => (
+                <option key={size} value={size}>
+                  {size} × {size}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>
+              <span>Overlap</span>
+              <span className="font-mono text-indigo-400">
+                {Math.round(settings.overlap * 100)}%
+              </span>
+            </label>
+            <input
+              type="range"
+              min="0"
+              max={MAX_OVERLAP}
+              step="0.05"
+              value={settings.overlap}
+              onChange={(e) => update({ overlap: Number(e.target.value) })}
+              className="w-full accent-indigo-500"
+            />
+          </div>
+          <div className="flex items-center justify-between">
+            <span className="text-xs text-slate-300">
+              Also run on the whole image
+            </span>
+            <Toggle
+              on={settings.fullImage}
+              onClick={() => update({ fullImage: !settings.fullImage })}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SlicingSettings;
@@ -0,0 +1,297 @@
+import { useState, useEffect, useRef } from "react";
+import { createPortal } from "react-dom";
+import { MousePointer2, Pentagon, Trash2, Check } from "lucide-react";
+import { createZone, nextZoneName, zoneColor } from "../lib/zones";
+
+const toolButton = (active) =>
+  `p-2 rounded-lg transition-all disabled:opacity-30 ${active ? "bg-indigo-600 text-white" : "text-slate-300 hover:bg-white/10"}`;
+
+const isTyping = (target) =>
+  ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName);
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+const toPath = (points) => points.map(([x, y]) => `${x},${y}`).join(" ");
+
+const vertexStyle = ([x, y]) => ({ left: `${x * 100}%`, top: `${y * 100}%` });
+
+// Polygon layer over the still image for drawing zones. Click to place
+// points and close the shape on its first point (or press Enter); drag a
+// zone or its points to adjust it. Every finished gesture is handed to
+// `onChange` as a new list of zones.
+function ZoneEditor({ zones, onChange, onDone, toolbarTarget }) {
+  const [tool, setTool] = useState(zones.length ? "select" : "draw");
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState([]); // points of the zone being drawn
+  const [cursor, setCursor] = useState(null);
+  const [drag, setDrag] = useState(null);
+  const surfaceRef = useRef(null);
+
+  const selected = zones.find(({ id }) => id === selectedId) ?? null;
+
+  // Normalized [0, 1] position of a pointer event on the image
+  const pointFrom = (e) => {
+    const rect = surfaceRef.current.getBoundingClientRect();
+    return [
+      clamp01((e.clientX - rect.left) / rect.width),
+      clamp01((e.clientY - rect.top) / rect.height),
+    ];
+  };
+
+  const replaceZone = (id, changes) =>
+    onChange(
+      zones.map((zone) => (zone.id === id ? { ...zone, ...changes } : zone)),
+    );
+
+  const finishDraft = () => {
+    if (draft.length >= 3) {
+      const zone = createZone(draft, nextZoneName(zones));
+      onChange([...zones, zone]);
+      setSelectedId(zone.id);
+      setTool("select");
+    }
+    setDraft([]);
+  };
+
+  const deleteSelected = () => {
+    if (!selected) return;
+    onChange(zones.filter(({ id }) => id !== selected.id));
+    setSelectedId(null);
+  };
+
+  const handleSurfaceDown = (e) => {
+    if (tool !== "draw") {
+      setSelectedId(null);
+      return;
+    }
+    setDraft([...draft, pointFrom(e)]);
+  };
+
+  const startDrag = (e, next) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ ...next, start: pointFrom(e) });
+  };
+
+  const handlePointerMove = (e) => {
+    const point = pointFrom(e);
+    if (tool === "draw") setCursor(point);
+    if (!drag) return;
+    const zone = zones.find(({ id }) => id === drag.id);
+    if (drag.vertex != null) {
+      setDrag({
+        ...drag,
+        points: zone.points.map((p, i) => (i === drag.vertex ? point : p)),
+      });
+      return;
+    }
+    // Moves the whole zone, stopping at the image edges
+    const xs = zone.points.map(([x]) => x);
+    const ys = zone.points.map(([, y]) => y);
+    const dx = Math.min(
+      1 - Math.max(...xs),
+      Math.max(-Math.min(...xs), point[0] - drag.start[0]),
+    );
+    const dy = Math.min(
+      1 - Math.max(...ys),
+      Math.max(-Math.min(...ys), point[1] - drag.start[1]),
+    );
+    setDrag({ ...drag, points: zone.points.map(([x, y]) => [x + dx, y + dy]) });
+  };
+
+  const handlePointerUp = () => {
+    if (!drag) return;
+    setDrag(null);
+    if (drag.points) replaceZone(drag.id, { points: drag.points });
+  };
+
+  const rename = (name) => {
+    if (!name || name === selected.name) return;
+    replaceZone(selected.id, { name });
+  };
+
+  // Plain keys are ignored while typing a name
+  const keyHandlerRef = useRef(null);
+  const handleKeyDown = (e) => {
+    if (isTyping(e.target)) return;
+    switch (e.key) {
+      case "Enter":
+        if (draft.length) finishDraft();
+        break;
+      case "Escape":
+        setDraft([]);
+        setSelectedId(null);
+        break;
+      case "Backspace":
+      case "Delete":
+        e.preventDefault();
+        if (draft.length) setDraft(draft.slice(0, -1));
+        else deleteSelected();
+        break;
+    }
+  };
+
+  useEffect(() => {
+    keyHandlerRef.current = handleKeyDown;
+  });
+
+  useEffect(() => {
+    const onKeyDown = (e) => keyHandlerRef.current(e);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  const shapes = zones.map((zone) =>
+    drag?.points && drag.id === zone.id
+      ? { ...zone, points: drag.points }
+      : zone,
+  );
+
+  const toolbar = (
+    <div className="absolute top-3 left-1/2 -translate-x-1/2 z-20 flex items-center gap-1 p-1.5 glass-panel rounded-xl bg-slate-950/80">
+      <button
+        onClick={() => {
+          setDraft([]);
+          setTool("select");
+        }}
+        className={toolButton(tool === "select")}
+        title="Select / move"
+      >
+        <MousePointer2 size={16} />
+      </button>
+      <button
+        onClick={() => setTool("draw")}
+        className={toolButton(tool === "draw")}
+        title="Draw zone (click points, Enter to finish)"
+      >
+        <Pentagon size={16} />
+      </button>
+      <button
+        onClick={deleteSelected}
+        disabled={!selected}
+        className={toolButton(false)}
+        title="Delete zone (Del)"
+      >
+        <Trash2 size={16} />
+      </button>
+      <div className="w-px h-6 bg-white/10 mx-1" />
+      {/* Remounts per zone so it always shows the current name */}
+      <input
+        key={selected ? `${selected.id}:${selected.name}` : "none"}
+        defaultValue={selected?.name ?? ""}
+        disabled={!selected}
+        onBlur={(e) => selected && rename(e.target.value.trim())}
+        onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+        placeholder={draft.length ? `${draft.length} points` : "Zone name"}
+        aria-label="Zone name"
+        className="w-32 bg-slate-900 border border-white/10 rounded-lg px-2 py-1.5 text-xs focus:border-indigo-500 outline-none disabled:opacity-50"
+      />
+      <div className="w-px h-6 bg-white/10 mx-1" />
+      <button
+        onClick={() => {
+          finishDraft();
+          onDone();
+        }}
+        className="px-3 py-1.5 bg-emerald-600 hover:bg-emerald-500 rounded-lg text-xs font-bold flex items-center gap-1.5 transition-all"
+      >
+        <Check size={14} />
+        Done
+      </button>
+    </div>
+  );
+
+  return (
+    <>
+      {toolbarTarget ? createPortal(toolbar, toolbarTarget) : toolbar}
+      <div
+        ref={surfaceRef}
+        className={`absolute inset-0 z-10 touch-none ${tool === "draw" ? "cursor-crosshair" : ""}`}
+        onPointerDown={handleSurfaceDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={() => setCursor(null)}
+      >
+        <svg
+          viewBox="0 0 1 1"
+          preserveAspectRatio="none"
+          className="absolute inset-0 w-full h-full overflow-visible"
+        >
+          {shapes.map((zone, index) => (
+            <polygon
+              key={zone.id}
+              points={toPath(zone.points)}
+              fill={zoneColor(index)}
+              fillOpacity={zone.id === selectedId ? 0.25 : 0.1}
+              stroke={zone.id === selectedId ? "#fbbf24" : zoneColor(index)}
+              strokeWidth={2}
+              vectorEffect="non-scaling-stroke"
+              className={
+                tool === "draw" ? "pointer-events-none" : "cursor-move"
+              }
+              onPointerDown={(e) => {
+                if (tool === "draw") return;
+                setSelectedId(zone.id);
+                startDrag(e, { id: zone.id });
+              }}
+            />
+          ))}
+          {draft.length > 0 && (
+            <polyline
+              points={toPath(cursor ? [...draft, cursor] : draft)}
+              fill="none"
+              stroke="#34d399"
+              strokeWidth={2}
+              strokeDasharray="6 4"
+              vectorEffect="non-scaling-stroke"
+              className="pointer-events-none"
+            />
+          )}
+        </svg>
+
+        {shapes.map((zone) => (
+          <span
+            key={zone.id}
+            className="absolute -translate-y-full px-1.5 py-0.5 text-[10px] font-bold whitespace-nowrap rounded bg-slate-950/80 pointer-events-none"
+            style={vertexStyle(zone.points[0])}
+          >
+            {zone.name}
+          </span>
+        ))}
+
+        {selected &&
+          tool === "select" &&
+          shapes
+            .find(({ id }) => id === selected.id)
+            .points.map((point, vertex) => (
+              <div
+                key={vertex}
+                onPointerDown={(e) => startDrag(e, { id: selected.id, vertex })}
+                className="absolute w-3 h-3 -translate-x-1/2 -translate-y-1/2 bg-amber-400 border border-slate-950 rounded-full cursor-move"
+                style={vertexStyle(point)}
+              />
+            ))}
+
+        {draft.map((point, i) => (
+          <div
+            key={i}
+            onPointerDown={(e) => {
+              // Clicking the first point closes the shape
+              if (i !== 0 || draft.length < 3) return;
+              e.stopPropagation();
+              finishDraft();
+            }}
+            title={i === 0 && draft.length >= 3 ? "Close zone" : undefined}
+            className={`absolute -translate-x-1/2 -translate-y-1/2 rounded-full border border-slate-950 ${
+              i === 0 && draft.length >= 3
+                ? "w-4 h-4 bg-emerald-300 cursor-pointer"
+                : "w-2.5 h-2.5 bg-emerald-400 pointer-events-none"
+            }`}
+            style={vertexStyle(point)}
+          />
+        ))}
+      </div>
+    </>
+  );
+}
+
+export default ZoneEditor;
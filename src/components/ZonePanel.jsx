@@ -0,0 +1,290 @@
+import { useState } from "react";
+import {
+  Pentagon,
+  PencilLine,
+  FolderOpen,
+  Save,
+  Plus,
+  X,
+  AlertTriangle,
+} from "lucide-react";
+import {
+  RULE_OPERATORS,
+  ZONE_ASSIGNMENTS,
+  describeRule,
+  parseZones,
+  serializeZones,
+  zoneColor,
+} from "../lib/zones";
+import { downloadBlob } from "../lib/exporters";
+import { labelColor } from "../lib/colormap";
+
+const labelClass =
+  "text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center justify-between";
+const fieldClass =
+  "bg-slate-900 border border-white/10 rounded-lg px-2 py-1 text-xs focus:border-indigo-500 outline-none";
+
+// Adds a threshold rule to one zone
+function RuleForm({ labels, onAdd }) {
+  const [operator, setOperator] = useState(">");
+  const [count, setCount] = useState(5);
+  const [label, setLabel] = useState(labels[0] ?? "");
+
+  return (
+    <div className="flex items-center gap-1.5">
+      <select
+        value={operator}
+        onChange={(e) => setOperator(e.target.value)}
+        aria-label="Rule comparison"
+        className={`${fieldClass} cursor-pointer`}
+      >
+        {RULE_OPERATORS.map(({ id, label: text }) => (
+          <option key={id} value={id}>
+            {text}
+          </option>
+        ))}
+      </select>
+      <input
+        type="number"
+        min="0"
+        value={count}
+        onChange={(e) =>
+          setCount(Math.max(0, Math.round(e.target.valueAsNumber || 0)))
+        }
+        aria-label="Rule count"
+        className={`${fieldClass} w-14`}
+      />
+      <select
+        value={label}
+        onChange={(e) => setLabel(e.target.value)}
+        aria-label="Rule label"
+        className={`${fieldClass} flex-1 min-w-0 cursor-pointer`}
+      >
+        <option value="">any object</option>
+        {labels.map((name) => (
+          <option key={name} value={name}>
+            {name}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={() => onAdd({ label, operator, count })}
+        title="Add rule"
+        className="p-1.5 rounded-lg text-slate-300 hover:bg-white/10 transition-all"
+      >
+        <Plus size={14} />
+      </button>
+    </div>
+  );
+}
+
+// Zone layout settings and, once there are results, what each zone holds.
+// `summaries` comes from countZones; zones breaking a rule are flagged.
+function ZonePanel({ layout, onLayoutChange, summaries, labels, onEdit }) {
+  const [error, setError] = useState(null);
+
+  const update = (changes) => onLayoutChange({ ...layout, ...changes });
+  const updateZone = (id, changes) =>
+    update({
+      zones: layout.zones.map((zone) =>
+        zone.id === id ? { ...zone, ...changes } : zone,
+      ),
+    });
+
+  const save = () =>
+    downloadBlob(
+      new Blob([serializeZones(layout)], { type: "application/json" }),
+      "zones.json",
+    );
+
+  const load = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onLayoutChange(parseZones(await file.text()));
+      setError(null);
+    } catch (err) {
+      setError(`Couldn't load ${file.name}: ${err.message}`);
+    }
+  };
+
+  const violationCount = summaries.reduce(
+    (sum, { violations }) => sum + violations.length,
+    0,
+  );
+
+  return (
+    <div className="glass-panel p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-bold flex items-center gap-2">
+          <Pentagon size={18} className="text-indigo-400" />
+          Zones
+        </h3>
+        <div className="flex items-center gap-1">
+          {violationCount > 0 && (
+            <span className="text-[10px] bg-red-500/15 text-red-400 px-2 py-1 rounded uppercase font-bold tracking-tighter">
+              {violationCount} {violationCount === 1 ? "Alert" : "Alerts"}
+            </span>
+          )}
+          <button
+            onClick={onEdit}
+            disabled={!onEdit}
+            title="Draw zones"
+            className="p-1.5 rounded-lg text-slate-300 hover:bg-white/10 transition-all disabled:opacity-30"
+          >
+            <PencilLine size={14} />
+          </button>
+          <label
+            title="Load zones"
+            className="p-1.5 rounded-lg text-slate-300 hover:bg-white/10 transition-all cursor-pointer"
+          >
+            <FolderOpen size={14} />
+            <input
+              type="file"
+              accept=".json,application/json"
+              aria-label="Load zones"
+              className="hidden"
+              onChange={load}
+            />
+          </label>
+          <button
+            onClick={save}
+            disabled={layout.zones.length === 0}
+            title="Save zones"
+            className="p-1.5 rounded-lg text-slate-300 hover:bg-white/10 transition-all disabled:opacity-30"
+          >
+            <Save size={14} />
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-[11px] text-red-400">{error}</p>}
+
+      <div>
+        <label className={labelClass}>
+          <span>Assign by</span>
+          {layout.assignment === "overlap" && (
+            <span className="font-mono text-indigo-400">
+              ≥ {Math.round(layout.minOverlap * 100)}% inside
+            </span>
+          )}
+        </label>
+        <div className="grid grid-cols-2 gap-2">
+          {ZONE_ASSIGNMENTS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => update({ assignment: id })}
+              className={`py-1.5 rounded-lg text-xs font-bold transition-all ${
+                layout.assignment === id
+                  ? "bg-indigo-600 text-white"
+                  : "bg-white/5 text-slate-400 hover:bg-white/10"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {layout.assignment === "overlap" && (
+          <input
+            type="range"
+            min="0.05"
+            max="1"
+            step="0.05"
+            value={layout.minOverlap}
+            onChange={(e) => update({ minOverlap: Number(e.target.value) })}
+            aria-label="Minimum overlap"
+            className="w-full mt-2 accent-indigo-500"
+          />
+        )}
+      </div>
+
+      {summaries.length === 0 ? (
+        <p className="text-[11px] text-slate-500 italic">
+          No zones yet. Draw them on the image, or load a saved layout.
+        </p>
+      ) : (
+        <div className="space-y-3 max-h-96 overflow-y-auto pr-1 custom-scrollbar">
+          {summaries.map(({ zone, total, counts, violations }, index) => (
+            <div
+              key={zone.id}
+              className={`p-3 rounded-xl border space-y-2 ${
+                violations.length
+                  ? "bg-red-500/10 border-red-500/40"
+                  : "bg-white/5 border-white/5"
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-bold text-sm flex items-center gap-2 min-w-0">
+                  <span
+                    className="w-2.5 h-2.5 rounded-sm shrink-0"
+                    style={{ background: zoneColor(index) }}
+                  />
+                  <span className="truncate">{zone.name}</span>
+                </span>
+                <span className="text-[11px] font-mono font-bold text-indigo-400">
+                  {total} {total === 1 ? "object" : "objects"}
+                </span>
+              </div>
+
+              {total > 0 && (
+                <div className="flex flex-wrap gap-1.5">
+                  {Object.entries(counts)
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([label, count]) => (
+                      <span
+                        key={label}
+                        className="px-2 py-0.5 rounded-lg bg-white/5 text-[11px] flex items-center gap-1.5"
+                      >
+                        <span
+                          className="w-2 h-2 rounded-sm"
+                          style={{ background: labelColor(label) }}
+                        />
+                        {label}
+                        <span className="font-mono font-bold">{count}</span>
+                      </span>
+                    ))}
+                </div>
+              )}
+
+              {zone.rules.map((rule, i) => {
+                const isViolated = violations.includes(rule);
+                return (
+                  <div
+                    key={i}
+                    className={`flex items-center gap-1.5 text-[11px] ${isViolated ? "text-red-400 font-bold" : "text-slate-400"}`}
+                  >
+                    {isViolated && <AlertTriangle size={12} />}
+                    <span className="flex-1">
+                      {describeRule(rule, zone.name)}
+                    </span>
+                    <button
+                      onClick={() =>
+                        updateZone(zone.id, {
+                          rules: zone.rules.filter((other) => other !== rule),
+                        })
+                      }
+                      title="Remove rule"
+                      className="text-slate-500 hover:text-red-400 transition-colors"
+                    >
+                      <X size={12} />
+                    </button>
+                  </div>
+                );
+              })}
+
+              <RuleForm
+                labels={labels}
+                onAdd={(rule) =>
+                  updateZone(zone.id, { rules: [...zone.rules, rule] })
+                }
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ZonePanel;
@@ -0,0 +1,201 @@
+import { useState, useRef, useEffect } from "react";
+import { ZoomIn, ZoomOut, Maximize, Scan } from "lucide-react";
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 16;
+const WHEEL_STEP = 1.0015;
+const BUTTON_STEP = 1.5;
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+// Zoom and pan for the still image. Everything in `children` (image, overlay
+// canvas, editor) sits in one transformed layer, so overlays stay aligned
+// at any zoom. `children(zoom, viewport)` also gets the untransformed viewport
+// element, for toolbars that shouldn't scale (render them into it with a
+// portal); `controls` are drawn unscaled in the top-right corner.
+//
+// Wheel zooms around the cursor. Dragging pans, except while `panOnDrag` is
+// false (e.g. the annotation editor is open); then hold Space or use the
+// middle mouse button. `actualSize()` returns the zoom that shows the image
+// at 1:1 pixels.
+function ZoomPanViewport({ children, controls, panOnDrag = true, actualSize }) {
+  const [view, setView] = useState({ zoom: 1, x: 0, y: 0 });
+  const [isPanning, setIsPanning] = useState(false);
+  const [spaceHeld, setSpaceHeld] = useState(false);
+  const [container, setContainer] = useState(null);
+  const contentRef = useRef(null);
+  const panRef = useRef(null);
+
+  // Keeps at least half of the content inside the viewport
+  const clampView = ({ zoom, x, y }) => {
+    const content = contentRef.current;
+    const maxX = (content.offsetWidth * zoom) / 2;
+    const maxY = (content.offsetHeight * zoom) / 2;
+    return {
+      zoom,
+      x: zoom === 1 ? 0 : Math.min(maxX, Math.max(-maxX, x)),
+      y: zoom === 1 ? 0 : Math.min(maxY, Math.max(-maxY, y)),
+    };
+  };
+
+  // Zooms so the content point under (px, py) stays put; coordinates are
+  // relative to the viewport's center, which is also the transform origin.
+  const zoomAround = (prev, nextZoom, px, py) => {
+    const zoom = clampZoom(nextZoom);
+    const ratio = zoom / prev.zoom;
+    return clampView({
+      zoom,
+      x: px - (px - prev.x) * ratio,
+      y: py - (py - prev.y) * ratio,
+    });
+  };
+
+  const wheelRef = useRef(null);
+  useEffect(() => {
+    wheelRef.current = (e) => {
+      e.preventDefault();
+      const rect = container.getBoundingClientRect();
+      const px = e.clientX - rect.left - rect.width / 2;
+      const py = e.clientY - rect.top - rect.height / 2;
+      setView((prev) =>
+        zoomAround(prev, prev.zoom * WHEEL_STEP ** -e.deltaY, px, py),
+      );
+    };
+  });
+
+  // Attached once per container; non-passive so the page doesn't scroll
+  // while zooming
+  useEffect(() => {
+    if (!container) return;
+    const onWheel = (e) => wheelRef.current(e);
+    container.addEventListener("wheel", onWheel, { passive: false });
+    return () => container.removeEventListener("wheel", onWheel);
+  }, [container]);
+
+  useEffect(() => {
+    const isField = (target) =>
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName);
+    const onKey = (e) => {
+      if (e.code !== "Space" || isField(e.target)) return;
+      // Don't let Space scroll the page, but leave focused buttons alone
+      if (e.type === "keydown" && e.target === document.body) {
+        e.preventDefault();
+      }
+      setSpaceHeld(e.type === "keydown");
+    };
+    window.addEventListener("keydown", onKey);
+    window.addEventListener("keyup", onKey);
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      window.removeEventListener("keyup", onKey);
+    };
+  }, []);
+
+  const canPan = panOnDrag || spaceHeld;
+
+  // Capture phase, so panning wins over the editor when Space is held
+  const handlePointerDown = (e) => {
+    if (e.button !== 1 && !(e.button === 0 && canPan)) return;
+    if (view.zoom === 1 || e.target.closest("button, input, select")) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    panRef.current = { x: e.clientX - view.x, y: e.clientY - view.y };
+    setIsPanning(true);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!panRef.current) return;
+    e.stopPropagation();
+    setView((prev) =>
+      clampView({
+        zoom: prev.zoom,
+        x: e.clientX - panRef.current.x,
+        y: e.clientY - panRef.current.y,
+      }),
+    );
+  };
+
+  const endPan = () => {
+    panRef.current = null;
+    setIsPanning(false);
+  };
+
+  const zoomBy = (factor) =>
+    setView((prev) => zoomAround(prev, prev.zoom * factor, 0, 0));
+
+  const buttonClass =
+    "p-2 rounded-lg text-slate-300 hover:bg-white/10 transition-all disabled:opacity-30";
+
+  return (
+    <div
+      ref={setContainer}
+      className={`relative w-full h-full flex items-center justify-center overflow-hidden p-6 ${
+        isPanning
+          ? "cursor-grabbing"
+          : view.zoom > 1 && canPan
+            ? "cursor-grab"
+            : ""
+      }`}
+      onPointerDownCapture={handlePointerDown}
+      onPointerMoveCapture={handlePointerMove}
+      onPointerUpCapture={endPan}
+      onPointerCancelCapture={endPan}
+    >
+      <div
+        ref={contentRef}
+        className="relative max-w-full"
+        style={{
+          transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`,
+        }}
+      >
+        {children(view.zoom, container)}
+      </div>
+
+      {controls && (
+        <div className="absolute top-3 right-3 z-20">{controls}</div>
+      )}
+
+      <div className="absolute bottom-3 right-3 z-20 flex items-center gap-1 p-1 glass-panel rounded-xl bg-slate-950/80">
+        <button
+          onClick={() => zoomBy(1 / BUTTON_STEP)}
+          disabled={view.zoom <= MIN_ZOOM}
+          className={buttonClass}
+          title="Zoom out"
+        >
+          <ZoomOut size={16} />
+        </button>
+        <span className="w-12 text-center text-[11px] font-mono text-slate-400">
+          {view.zoom.toFixed(1)}×
+        </span>
+        <button
+          onClick={() => zoomBy(BUTTON_STEP)}
+          disabled={view.zoom >= MAX_ZOOM}
+          className={buttonClass}
+          title="Zoom in"
+        >
+          <ZoomIn size={16} />
+        </button>
+        <button
+          onClick={() =>
+            setView((prev) => zoomAround(prev, actualSize(), 0, 0))
+          }
+          className={buttonClass}
+          title="Actual pixels (1:1)"
+        >
+          <Scan size={16} />
+        </button>
+        <button
+          onClick={() => setView({ zoom: 1, x: 0, y: 0 })}
+          disabled={view.zoom === 1}
+          className={buttonClass}
+          title="Fit to view"
+        >
+          <Maximize size={16} />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ZoomPanViewport;
@@ -0,0 +1,20 @@
+function ClassificationOptions({ options, onChange }) {
+  return (
+    <div className="pt-5 border-t border-white/5">
+      <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex justify-between">
+        <span>Top Classes</span>
+        <span className="font-mono text-indigo-400">{options.topK}</span>
+      </label>
+      <input
+        type="range"
+        min="1"
+        max="20"
+        value={options.topK}
+        onChange={(e) => onChange({ ...options, topK: Number(e.target.value) })}
+        className="w-full accent-indigo-500"
+      />
+    </div>
+  );
+}
+
+export default ClassificationOptions;
@@ -0,0 +1,26 @@
+function ClassificationResults({ results }) {
+  return (
+    <div className="space-y-3">
+      {results.map((res) => (
+        <div key={res.label}>
+          <div className="flex justify-between text-sm mb-1">
+            <span className="font-bold capitalize text-slate-300 truncate pr-3">
+              {res.label}
+            </span>
+            <span className="text-[11px] font-mono font-bold text-indigo-400">
+              {(res.score * 100).toFixed(1)}%
+            </span>
+          </div>
+          <div className="w-full h-1.5 bg-slate-800 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-indigo-500 rounded-full"
+              style={{ width: `${res.score * 100}%` }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ClassificationResults;
@@ -0,0 +1,40 @@
+function DepthOptions({ options, onChange }) {
+  return (
+    <div className="space-y-5 pt-5 border-t border-white/5">
+      <div>
+        <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block">
+          Colormap
+        </label>
+        <select
+          value={options.colormap}
+          onChange={(e) => onChange({ ...options, colormap: e.target.value })}
+          className="w-full bg-slate-900 border border-white/10 rounded-xl px-4 py-2.5 text-sm focus:border-indigo-500 outline-none appearance-none cursor-pointer"
+        >
+          <option value="turbo">Turbo</option>
+          <option value="grayscale">Grayscale</option>
+        </select>
+      </div>
+      <div>
+        <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex justify-between">
+          <span>Heatmap Opacity</span>
+          <span className="font-mono text-indigo-400">
+            {options.opacity.toFixed(2)}
+          </span>
+        </label>
+        <input
+          type="range"
+          min="0.1"
+          max="1"
+          step="0.05"
+          value={options.opacity}
+          onChange={(e) =>
+            onChange({ ...options, opacity: Number(e.target.value) })
+          }
+          className="w-full accent-indigo-500"
+        />
+      </div>
+    </div>
+  );
+}
+
+export default DepthOptions;
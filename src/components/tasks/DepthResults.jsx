@@ -0,0 +1,28 @@
+import { COLORMAPS } from "../../lib/colormap";
+
+const gradient = (colormap) =>
+  `linear-gradient(to right, ${Array.from({ length: 11 }, (_, i) => {
+    const [r, g, b] = colormap(i / 10);
+    return `rgb(${r | 0}, ${g | 0}, ${b | 0})`;
+  }).join(", ")})`;
+
+function DepthResults({ results, options }) {
+  const colormap = COLORMAPS[options.colormap] ?? COLORMAPS.turbo;
+  return (
+    <div className="space-y-3">
+      <div
+        className="h-3 rounded-full"
+        style={{ background: gradient(colormap) }}
+      />
+      <div className="flex justify-between text-[10px] uppercase tracking-widest font-bold text-slate-500">
+        <span>Far</span>
+        <span>Near</span>
+      </div>
+      <p className="text-xs text-slate-500 font-mono">
+        {results.depth.width} × {results.depth.height} relative depth
+      </p>
+    </div>
+  );
+}
+
+export default DepthResults;
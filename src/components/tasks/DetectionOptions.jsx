@@ -0,0 +1,16 @@
+import { useMemo } from "react";
+import DetectionSettings from "../DetectionSettings";
+import { labelsFromConfig } from "../../lib/postprocess";
+
+function DetectionOptions({ options, onChange, labels }) {
+  const availableLabels = useMemo(() => labelsFromConfig(labels), [labels]);
+  return (
+    <DetectionSettings
+      settings={options}
+      onChange={onChange}
+      availableLabels={availableLabels}
+    />
+  );
+}
+
+export default DetectionOptions;
@@ -0,0 +1,53 @@
+import { BadgeCheck } from "lucide-react";
+import { labelColor } from "../../lib/colormap";
+
+function DetectionResults({ results, highlighted, onHighlight }) {
+  return (
+    <div className="space-y-2 max-h-64 overflow-y-auto pr-2 custom-scrollbar">
+      {results.map((res, i) => (
+        <div
+          key={res.id ?? i}
+          onMouseEnter={() => onHighlight?.(i)}
+          onMouseLeave={() => onHighlight?.(null)}
+          className={`flex justify-between items-center p-3 rounded-xl border group transition-colors ${
+            highlighted === i
+              ? "bg-white/15 border-white/20"
+              : "bg-white/5 border-white/5 hover:bg-white/10"
+          }`}
+        >
+          <span className="font-bold capitalize text-slate-300 text-sm flex items-center gap-2">
+            <span
+              className="w-2.5 h-2.5 rounded-sm shrink-0"
+              style={{ background: labelColor(res.label) }}
+            />
+            {res.label}
+            {res.verified && (
+              <span title="Drawn or edited by you" aria-label="Verified">
+                <BadgeCheck size={14} className="text-emerald-400" />
+              </span>
+            )}
+          </span>
+          {res.score == null ? (
+            <span className="text-[10px] font-bold uppercase tracking-widest text-emerald-400">
+              Manual
+            </span>
+          ) : (
+            <div className="flex items-center gap-3">
+              <div className="w-24 h-1.5 bg-slate-800 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-indigo-500 rounded-full"
+                  style={{ width: `${res.score * 100}%` }}
+                />
+              </div>
+              <span className="text-[11px] font-mono font-bold text-indigo-400 leading-none">
+                {(res.score * 100).toFixed(0)}%
+              </span>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default DetectionResults;
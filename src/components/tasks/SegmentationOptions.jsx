@@ -0,0 +1,28 @@
+function SegmentationOptions({ options, onChange }) {
+  return (
+    <div className="pt-5 border-t border-white/5">
+      <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex justify-between">
+        <span>Mask Opacity</span>
+        <span className="font-mono text-indigo-400">
+          {options.opacity.toFixed(2)}
+        </span>
+      </label>
+      <input
+        type="range"
+        min="0.1"
+        max="1"
+        step="0.05"
+        value={options.opacity}
+        onChange={(e) =>
+          onChange({ ...options, opacity: Number(e.target.value) })
+        }
+        className="w-full accent-indigo-500"
+      />
+      <p className="text-[10px] text-slate-500 mt-1 italic">
+        Click a segment in the results panel to hide or show it.
+      </p>
+    </div>
+  );
+}
+
+export default SegmentationOptions;
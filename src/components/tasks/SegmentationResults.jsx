@@ -0,0 +1,44 @@
+import { Eye, EyeOff } from "lucide-react";
+import { paletteColor } from "../../lib/colormap";
+
+function SegmentationResults({ results, options, onOptionsChange }) {
+  const toggle = (label) =>
+    onOptionsChange({
+      ...options,
+      hiddenLabels: options.hiddenLabels.includes(label)
+        ? options.hiddenLabels.filter((l) => l !== label)
+        : [...options.hiddenLabels, label],
+    });
+
+  return (
+    <div className="space-y-2 max-h-64 overflow-y-auto pr-2">
+      {results.map((segment) => (
+        <button
+          key={segment.index}
+          onClick={() => toggle(segment.label)}
+          className={`w-full flex items-center gap-3 p-3 rounded-xl bg-white/5 border border-white/5 hover:bg-white/10 transition-colors ${segment.hidden ? "opacity-40" : ""}`}
+        >
+          <span
+            className="w-3 h-3 rounded-sm shrink-0"
+            style={{ background: paletteColor(segment.index) }}
+          />
+          <span className="flex-1 text-left font-bold capitalize text-slate-300 text-sm truncate">
+            {segment.label}
+          </span>
+          {segment.score != null && (
+            <span className="text-[11px] font-mono font-bold text-indigo-400">
+              {(segment.score * 100).toFixed(0)}%
+            </span>
+          )}
+          {segment.hidden ? (
+            <EyeOff size={14} className="text-slate-500" />
+          ) : (
+            <Eye size={14} className="text-slate-400" />
+          )}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default SegmentationResults;
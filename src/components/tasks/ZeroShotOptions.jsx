@@ -0,0 +1,35 @@
+import { ScanSearch } from "lucide-react";
+import DetectionSettings from "../DetectionSettings";
+import { parseLabelList } from "../../lib/postprocess";
+
+function ZeroShotOptions({ options, onChange }) {
+  return (
+    <div className="space-y-5 pt-5 border-t border-white/5">
+      <div>
+        <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center gap-2">
+          <ScanSearch size={14} />
+          Candidate Labels
+        </label>
+        <input
+          type="text"
+          value={options.candidateLabels}
+          onChange={(e) =>
+            onChange({ ...options, candidateLabels: e.target.value })
+          }
+          className="w-full bg-slate-900 border border-white/10 rounded-xl px-4 py-2.5 text-sm focus:border-indigo-500 outline-none"
+          placeholder="e.g. person, red car, coffee mug"
+        />
+        <p className="text-[10px] text-slate-500 mt-1 italic">
+          Comma-separated free text. Re-run inference after editing.
+        </p>
+      </div>
+      <DetectionSettings
+        settings={options}
+        onChange={onChange}
+        availableLabels={parseLabelList(options.candidateLabels)}
+      />
+    </div>
+  );
+}
+
+export default ZeroShotOptions;
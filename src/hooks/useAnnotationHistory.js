@@ -0,0 +1,52 @@
+import { useState } from "react";
+
+const MAX_HISTORY = 100;
+
+// Undo/redo over an externally stored value. `current` is the value as it is
+// now (undefined = no edits yet) and `apply` stores a new one. History starts
+// over whenever `key` changes, e.g. when a different image is opened.
+export function useAnnotationHistory(key, current, apply) {
+  const [history, setHistory] = useState({ key, past: [], future: [] });
+
+  // Forget the previous image's history
+  if (history.key !== key) {
+    setHistory({ key, past: [], future: [] });
+  }
+
+  const commit = (next) => {
+    setHistory((prev) => ({
+      ...prev,
+      past: [...prev.past, current].slice(-MAX_HISTORY),
+      future: [],
+    }));
+    apply(next);
+  };
+
+  const undo = () => {
+    if (history.past.length === 0) return;
+    setHistory({
+      key,
+      past: history.past.slice(0, -1),
+      future: [current, ...history.future],
+    });
+    apply(history.past.at(-1));
+  };
+
+  const redo = () => {
+    if (history.future.length === 0) return;
+    setHistory({
+      key,
+      past: [...history.past, current],
+      future: history.future.slice(1),
+    });
+    apply(history.future[0]);
+  };
+
+  return {
+    commit,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+}
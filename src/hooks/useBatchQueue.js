@@ -0,0 +1,123 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import { isAbortError } from "../lib/detectionClient";
+
+let nextItemId = 0;
+
+// Sequential processing queue for multi-file and folder drops. Items move
+// through queued -> processing -> done | error; oversize files are marked
+// skipped up front and never reach the worker.
+export function useBatchQueue({
+  isReady,
+  detect,
+  detectionOptions,
+  maxFileSize,
+}) {
+  const [items, setItems] = useState([]);
+  const itemsRef = useRef(items);
+  const busyRef = useRef(false);
+  const controllerRef = useRef(null);
+
+  const commit = useCallback((next) => {
+    itemsRef.current = next;
+    setItems(next);
+  }, []);
+
+  const update = useCallback(
+    (id, patch) =>
+      commit(
+        itemsRef.current.map((item) =>
+          item.id === id ? { ...item, ...patch } : item,
+        ),
+      ),
+    [commit],
+  );
+
+  const processNext = useCallback(async () => {
+    if (busyRef.current || !isReady) return;
+    const next = itemsRef.current.find((item) => item.status === "queued");
+    if (!next) return;
+
+    busyRef.current = true;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    update(next.id, { status: "processing", reason: null });
+
+    try {
+      const { output, time } = await detect(next.url, detectionOptions, {
+        signal: controller.signal,
+      });
+      update(next.id, { status: "done", detections: output, time });
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error(`Batch detection error (${next.name}):`, err);
+      update(next.id, { status: "error", reason: err.message });
+    } finally {
+      busyRef.current = false;
+    }
+    processNext();
+  }, [isReady, detect, detectionOptions, update]);
+
+  // Keep draining whenever items are added or the engine becomes ready
+  useEffect(() => {
+    processNext();
+  }, [items, processNext]);
+
+  // Release thumbnails and stop the running item on unmount
+  useEffect(
+    () => () => {
+      controllerRef.current?.abort();
+      itemsRef.current.forEach((item) => URL.revokeObjectURL(item.url));
+    },
+    [],
+  );
+
+  // `entries` are { file, path } pairs; the path, which includes any dropped
+  // folders, names the item so same-named files in subfolders stay apart
+  const addFiles = useCallback(
+    (entries) => {
+      const added = entries.map(({ file, path }) => {
+        const tooLarge = file.size > maxFileSize;
+        return {
+          id: ++nextItemId,
+          file,
+          name: path,
+          url: tooLarge ? null : URL.createObjectURL(file),
+          status: tooLarge ? "skipped" : "queued",
+          reason: tooLarge
+            ? `Exceeds ${Math.round(maxFileSize / 1024 / 1024)}MB limit`
+            : null,
+          detections: [],
+          time: null,
+        };
+      });
+      commit([...itemsRef.current, ...added]);
+    },
+    [commit, maxFileSize],
+  );
+
+  const retry = useCallback(
+    (id) => update(id, { status: "queued", reason: null }),
+    [update],
+  );
+
+  const retryFailed = useCallback(
+    () =>
+      commit(
+        itemsRef.current.map((item) =>
+          item.status === "error"
+            ? { ...item, status: "queued", reason: null }
+            : item,
+        ),
+      ),
+    [commit],
+  );
+
+  const clear = useCallback(() => {
+    controllerRef.current?.abort();
+    busyRef.current = false;
+    itemsRef.current.forEach((item) => URL.revokeObjectURL(item.url));
+    commit([]);
+  }, [commit]);
+
+  return { items, addFiles, retry, retryFailed, clear };
+}
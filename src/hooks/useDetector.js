@@ -0,0 +1,117 @@
+import {
+  createContext,
+  useState,
+  useRef,
+  useEffect,
+  useCallback,
+  useContext,
+} from "react";
+import { createDetector } from "../library";
+
+// Creates the detector useDetector owns; defaults to the Transformers.js
+// worker. Tests provide a fake factory (`<DetectorContext value={create}>`)
+// so the app runs without downloading a model.
+export const DetectorContext = createContext(createDetector);
+
+// Folds Transformers.js progress_callback events into per-file byte counts
+function trackDownload(downloads, data) {
+  if (!data.file) return downloads;
+  const current = downloads[data.file] ?? { loaded: 0, total: 0 };
+  switch (data.status) {
+    case "initiate":
+    case "download":
+      return { ...downloads, [data.file]: { ...current, status: data.status } };
+    case "progress":
+      return {
+        ...downloads,
+        [data.file]: {
+          status: "progress",
+          loaded: data.loaded ?? current.loaded,
+          total: data.total ?? current.total,
+        },
+      };
+    case "done":
+      return {
+        ...downloads,
+        [data.file]: {
+          ...current,
+          status: "done",
+          loaded: current.total || current.loaded,
+        },
+      };
+    default:
+      return downloads;
+  }
+}
+
+// Owns a library detector (and its worker) for a component tree. Starting a new load aborts
+// the previous one, so only the most recent model choice can become ready,
+// and only its progress events get through. `cancelLoad` aborts it too.
+export function useDetector() {
+  const create = useContext(DetectorContext);
+  const detectorRef = useRef(null);
+  const loadRef = useRef(null);
+  const [isReady, setIsReady] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [labels, setLabels] = useState(null);
+  const [downloads, setDownloads] = useState({});
+
+  const getDetector = useCallback(() => {
+    if (!detectorRef.current) detectorRef.current = create();
+    return detectorRef.current;
+  }, [create]);
+
+  useEffect(
+    () => () => {
+      loadRef.current?.abort();
+      detectorRef.current?.terminate();
+      detectorRef.current = null;
+    },
+    [],
+  );
+
+  const load = useCallback(
+    async (config, { onProgress } = {}) => {
+      loadRef.current?.abort();
+      const controller = new AbortController();
+      loadRef.current = controller;
+      setIsReady(false);
+      setIsLoading(true);
+      setDownloads({});
+
+      try {
+        const info = await getDetector().load(config, {
+          signal: controller.signal,
+          onProgress: (data) => {
+            if (loadRef.current !== controller) return;
+            setDownloads((prev) => trackDownload(prev, data));
+            onProgress?.(data);
+          },
+        });
+        setLabels(info.labels);
+        setIsReady(true);
+        return info;
+      } finally {
+        if (loadRef.current === controller) {
+          loadRef.current = null;
+          setIsLoading(false);
+        }
+      }
+    },
+    [getDetector],
+  );
+
+  const cancelLoad = useCallback(() => {
+    loadRef.current?.abort();
+    loadRef.current = null;
+    setIsLoading(false);
+  }, []);
+
+  const detect = useCallback(
+    (image, options, requestOptions) =>
+      getDetector().run(image, options, requestOptions),
+    [getDetector],
+  );
+
+  return { isReady, isLoading, labels, downloads, load, cancelLoad, detect };
+}
@@ -0,0 +1,35 @@
+import { useState, useEffect } from "react";
+import { collectVariants, fetchModelVariants } from "../lib/modelVariants";
+
+const filesOf = (source) =>
+  source.files.map(({ path, file }) => ({ path, size: file.size }));
+
+// ONNX variants for the selected model. Local folders are read from the picked
+// files; self-hosted servers have no listing API, so their variants stay null.
+export function useModelVariants(model, source) {
+  const [state, setState] = useState({ model: null, source: null });
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const lookup =
+      source.type === "local"
+        ? Promise.resolve(collectVariants(filesOf(source)))
+        : source.type === "self-hosted"
+          ? Promise.resolve(null)
+          : fetchModelVariants(model, { signal: controller.signal });
+
+    lookup
+      .then((variants) => {
+        if (!controller.signal.aborted) setState({ model, source, variants });
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.error("Could not list model variants:", err);
+        setState({ model, source, variants: null });
+      });
+    return () => controller.abort();
+  }, [model, source]);
+
+  const isLoading = state.model !== model || state.source !== source;
+  return { variants: isLoading ? null : state.variants, isLoading };
+}
@@ -0,0 +1,30 @@
+import { useState, useEffect } from "react";
+import { registerServiceWorker } from "../lib/pwa";
+
+// Connectivity and service worker state for the installed app. `applyUpdate`
+// is set once a new version is waiting. The worker is only built for
+// production, so development servers skip registration.
+export function usePwa() {
+  const [isOffline, setIsOffline] = useState(() => !navigator.onLine);
+  const [update, setUpdate] = useState(null);
+
+  useEffect(() => {
+    const goOffline = () => setIsOffline(true);
+    const goOnline = () => setIsOffline(false);
+    window.addEventListener("offline", goOffline);
+    window.addEventListener("online", goOnline);
+    return () => {
+      window.removeEventListener("offline", goOffline);
+      window.removeEventListener("online", goOnline);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!import.meta.env.PROD) return;
+    registerServiceWorker((apply) => setUpdate(() => apply)).catch((err) =>
+      console.error("Service worker registration failed:", err),
+    );
+  }, []);
+
+  return { isOffline, applyUpdate: update };
+}
@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  listHistory,
+  saveHistoryEntry,
+  updateHistoryEntry,
+  deleteHistoryEntry,
+  clearHistory,
+} from "../lib/history";
+
+// The IndexedDB session history plus an in-memory copy of its entries for
+// the UI. Storage failures (private windows, quota) only disable history.
+export function useSessionHistory() {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    listHistory()
+      .then((stored) => !cancelled && setEntries(stored))
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const save = useCallback(async (blob, run) => {
+    try {
+      const entry = await saveHistoryEntry(blob, run);
+      setEntries((prev) => [entry, ...prev]);
+      return entry;
+    } catch (err) {
+      console.error("Could not save to history:", err);
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  const update = useCallback((id, patch) => {
+    setEntries((prev) =>
+      prev.map((entry) => (entry.id === id ? { ...entry, ...patch } : entry)),
+    );
+    updateHistoryEntry(id, patch).catch((err) => setError(err.message));
+  }, []);
+
+  const remove = useCallback(async (entry) => {
+    await deleteHistoryEntry(entry);
+    setEntries((prev) => prev.filter(({ id }) => id !== entry.id));
+  }, []);
+
+  const clear = useCallback(async () => {
+    await clearHistory();
+    setEntries([]);
+  }, []);
+
+  return { entries, error, save, update, remove, clear };
+}
@@ -0,0 +1,78 @@
+// Human-edited annotations live next to the model's predictions, never in
+// place of them. They share the detection shape ({ label, score, box } with
+// normalized boxes) so every renderer and exporter accepts them, plus:
+//   id       stable key for selection and React lists
+//   origin   "model" (started as a prediction) or "human" (drawn by hand)
+//   verified true once a person drew or edited the box; predictions left
+//            untouched stay unverified
+
+export const MIN_BOX_SIZE = 0.005;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+let nextId = 0;
+const newId = () => `a${++nextId}`;
+
+export const toAnnotations = (detections) =>
+  detections.map((detection) => ({
+    ...detection,
+    id: newId(),
+    origin: "model",
+    verified: false,
+  }));
+
+export const createAnnotation = (box, label) => ({
+  id: newId(),
+  label,
+  score: null, // Hand-drawn boxes have no model confidence
+  box,
+  origin: "human",
+  verified: true,
+});
+
+// Box spanned by two corner points, in either order
+export const boxFromPoints = (a, b) => ({
+  xmin: clamp01(Math.min(a.x, b.x)),
+  ymin: clamp01(Math.min(a.y, b.y)),
+  xmax: clamp01(Math.max(a.x, b.x)),
+  ymax: clamp01(Math.max(a.y, b.y)),
+});
+
+export const isUsableBox = ({ xmin, ymin, xmax, ymax }) =>
+  xmax - xmin >= MIN_BOX_SIZE && ymax - ymin >= MIN_BOX_SIZE;
+
+// Shifts a box without letting any edge leave the image
+export function moveBox(box, dx, dy) {
+  const x = Math.min(Math.max(dx, -box.xmin), 1 - box.xmax);
+  const y = Math.min(Math.max(dy, -box.ymin), 1 - box.ymax);
+  return {
+    xmin: box.xmin + x,
+    ymin: box.ymin + y,
+    xmax: box.xmax + x,
+    ymax: box.ymax + y,
+  };
+}
+
+// Drags one corner ("nw", "ne", "sw", "se") to `point`; the opposite corner
+// stays put and the box can't collapse below MIN_BOX_SIZE.
+export function resizeBox(box, handle, point) {
+  const next = { ...box };
+  const x = clamp01(point.x);
+  const y = clamp01(point.y);
+  if (handle.includes("w")) next.xmin = Math.min(x, box.xmax - MIN_BOX_SIZE);
+  if (handle.includes("e")) next.xmax = Math.max(x, box.xmin + MIN_BOX_SIZE);
+  if (handle.includes("n")) next.ymin = Math.min(y, box.ymax - MIN_BOX_SIZE);
+  if (handle.includes("s")) next.ymax = Math.max(y, box.ymin + MIN_BOX_SIZE);
+  return next;
+}
+
+// Editing a box counts as reviewing it
+export const updateAnnotation = (annotations, id, patch) =>
+  annotations.map((annotation) =>
+    annotation.id === id
+      ? { ...annotation, ...patch, verified: true }
+      : annotation,
+  );
+
+export const removeAnnotation = (annotations, id) =>
+  annotations.filter((annotation) => annotation.id !== id);
@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import {
+  createAnnotation,
+  removeAnnotation,
+  toAnnotations,
+  updateAnnotation,
+} from "./annotations";
+
+const prediction = (label, xmin) => ({
+  label,
+  score: 0.9,
+  box: { xmin, ymin: 0.1, xmax: xmin + 0.2, ymax: 0.5 },
+});
+
+describe("annotations", () => {
+  it("verifies only the boxes a person edited or drew", () => {
+    const [cat, dog, remote] = toAnnotations([
+      prediction("cat", 0.1),
+      prediction("dog", 0.4),
+      prediction("remote", 0.7),
+    ]);
+    const drawn = createAnnotation(
+      { xmin: 0, ymin: 0, xmax: 0.1, ymax: 0.1 },
+      "cup",
+    );
+    const edited = removeAnnotation(
+      updateAnnotation([cat, dog, remote, drawn], dog.id, { label: "wolf" }),
+      remote.id,
+    );
+
+    expect(
+      edited.map(({ label, origin, verified }) => [label, origin, verified]),
+    ).toEqual([
+      ["cat", "model", false],
+      ["wolf", "model", true],
+      ["cup", "human", true],
+    ]);
+  });
+});
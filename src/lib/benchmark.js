@@ -0,0 +1,163 @@
+import { createDetectionClient, abortError } from "./detectionClient";
+
+export const BENCHMARK_DEVICES = ["auto", "webgpu", "wasm", "webnn", "cpu"];
+export const BENCHMARK_PRECISIONS = ["fp32", "fp16", "q8", "q4"];
+
+// Nearest-rank percentile of an unsorted list
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+export const configKey = ({ model, device, dtype }) =>
+  `${model} · ${device} · ${dtype}`;
+
+// Every model × device × precision combination, in a stable order
+export function buildMatrix({ models, devices, precisions }) {
+  return models.flatMap((model) =>
+    devices.flatMap((device) =>
+      precisions.map((dtype) => ({ model, device, dtype })),
+    ),
+  );
+}
+
+const maxOf = (values) => {
+  const known = values.filter((value) => value != null);
+  return known.length ? Math.max(...known) : null;
+};
+
+// Share of images whose detection count matches the reference run
+function countAgreement(counts, reference) {
+  if (!counts || !reference) return null;
+  const matches = counts.filter((count, i) => count === reference[i]).length;
+  return matches / counts.length;
+}
+
+// Runs one configuration in a throwaway worker so every load starts cold and
+// a crash or out-of-memory only takes that configuration down.
+async function runConfig(
+  config,
+  { task, source, images, options, runs, count, signal },
+) {
+  const client = createDetectionClient();
+  const abort = () => client.terminate();
+  signal?.addEventListener("abort", abort, { once: true });
+
+  try {
+    const loadStart = performance.now();
+    const { memory: loadMemory } = await client.load(
+      {
+        task,
+        model: config.model,
+        options: {
+          device: config.device === "auto" ? undefined : config.device,
+          dtype: config.dtype,
+        },
+        source,
+      },
+      { signal },
+    );
+    const loadTime = performance.now() - loadStart;
+
+    // The first inference compiles shaders / allocates buffers; keep it apart
+    const warmup = await client.detect(images[0].url, options, { signal });
+
+    const times = [];
+    const memory = [loadMemory, warmup.memory];
+    const counts = [];
+    for (const image of images) {
+      for (let run = 0; run < runs; run++) {
+        const result = await client.detect(image.url, options, { signal });
+        times.push(result.time);
+        memory.push(result.memory);
+        if (run === 0 && count) counts.push(count(result.output));
+      }
+    }
+
+    return {
+      ...config,
+      status: "done",
+      loadTime,
+      warmupTime: warmup.time,
+      p50: percentile(times, 50),
+      p95: percentile(times, 95),
+      mean: times.reduce((sum, time) => sum + time, 0) / times.length,
+      runs: times.length,
+      memory: maxOf(memory),
+      counts: count ? counts : null,
+    };
+  } finally {
+    signal?.removeEventListener("abort", abort);
+    client.terminate();
+  }
+}
+
+/**
+ * Runs `configs` one after another over the same images.
+ *
+ * The optional `count(output)` turns raw task output into the number that is
+ * compared against the reference configuration (index `reference` in
+ * `configs`); without it no agreement is reported.
+ * A failing configuration is recorded with its error and the run continues.
+ */
+export async function runBenchmark({
+  task,
+  source,
+  configs,
+  images,
+  options,
+  runs = 3,
+  reference = 0,
+  count,
+  signal,
+  onResult,
+}) {
+  const results = [];
+  for (const config of configs) {
+    if (signal?.aborted) throw abortError();
+    onResult?.({ ...config, status: "running" }, results.length);
+    let result;
+    try {
+      result = await runConfig(config, {
+        task,
+        source,
+        images,
+        options,
+        runs,
+        count,
+        signal,
+      });
+    } catch (err) {
+      if (signal?.aborted) throw abortError();
+      result = { ...config, status: "error", error: err.message };
+    }
+    results.push(result);
+    onResult?.(result, results.length - 1);
+  }
+
+  const referenceCounts = results[reference]?.counts;
+  return results.map((result) => ({
+    ...result,
+    agreement: countAgreement(result.counts, referenceCounts),
+  }));
+}
+
+// JSON report with enough context to compare runs across machines
+export function benchmarkReport({ task, images, runs, reference, results }) {
+  return {
+    createdAt: new Date().toISOString(),
+    userAgent: navigator.userAgent,
+    hardwareConcurrency: navigator.hardwareConcurrency ?? null,
+    task,
+    runsPerImage: runs,
+    images: images.map(({ name }) => name),
+    reference: results[reference] ? configKey(results[reference]) : null,
+    results: results.map(({ counts, ...result }) => ({
+      config: configKey(result),
+      ...result,
+      detectionCounts: counts ?? null,
+    })),
+  };
+}
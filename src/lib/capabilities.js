@@ -0,0 +1,195 @@
+// What this browser can actually run. Every backend is probed rather than
+// inferred from a global existing: WebGPU needs an adapter, WebNN a context,
+// and ONNX Runtime's WASM build needs SIMD (threads are optional and only
+// available when the page is cross-origin isolated).
+
+import { needsShaderF16 } from "./modelVariants";
+
+const wasmModule = (hex) =>
+  Uint8Array.from(hex.match(/../g), (byte) => parseInt(byte, 16));
+
+// Smallest modules using a SIMD and an atomics instruction (from
+// wasm-feature-detect); validate() is false when the engine lacks the feature
+const SIMD_PROBE = wasmModule(
+  "0061736d01000000" + // magic, version 1
+    "0105016000017b" + // type: () -> v128
+    "03020100" + // function 0 has type 0
+    "0a0a010800" + // code: one body, no locals
+    "4100fd0ffd620b", // i32.const 0, i8x16.splat, i8x16.popcnt, end
+);
+const THREADS_PROBE = wasmModule(
+  "0061736d01000000" + // magic, version 1
+    "010401600000" + // type: () -> ()
+    "03020100" + // function 0 has type 0
+    "050401030101" + // memory: shared, 1 page minimum and maximum
+    "0a0b010900" + // code: one body, no locals
+    "4100fe1002001a0b", // i32.const 0, i32.atomic.load, drop, end
+);
+
+export const DEVICE_LABELS = {
+  webgpu: "WebGPU",
+  wasm: "WASM",
+  webnn: "WebNN",
+  cpu: "CPU",
+};
+
+// Adapter limits worth knowing when a large model fails to allocate
+export const GPU_LIMITS = [
+  "maxBufferSize",
+  "maxStorageBufferBindingSize",
+  "maxStorageBuffersPerShaderStage",
+  "maxComputeWorkgroupStorageSize",
+  "maxComputeInvocationsPerWorkgroup",
+  "maxComputeWorkgroupSizeX",
+];
+
+// Assumed until probing finishes, so the first load isn't held back
+export const INITIAL_CAPABILITIES = {
+  probed: false,
+  webgpu: false,
+  wasm: true,
+  webnn: false,
+  cpu: true,
+  shaderF16: false,
+  reasons: {},
+};
+
+const validates = (bytes) => {
+  try {
+    return WebAssembly.validate(bytes);
+  } catch {
+    return false;
+  }
+};
+
+async function probeWebGpu(gpu) {
+  if (!gpu) return { reason: "Not exposed by this browser" };
+  let adapter;
+  try {
+    adapter = await gpu.requestAdapter();
+  } catch (err) {
+    return { reason: `requestAdapter failed: ${err.message}` };
+  }
+  if (!adapter) return { reason: "No suitable GPU adapter" };
+
+  // `info` replaced requestAdapterInfo() in newer browsers
+  const info = adapter.info ?? (await adapter.requestAdapterInfo?.()) ?? {};
+  return {
+    adapter: {
+      vendor: info.vendor || "unknown",
+      architecture: info.architecture || "unknown",
+      device: info.device || "",
+      description: info.description || "",
+      fallback: Boolean(info.isFallbackAdapter ?? adapter.isFallbackAdapter),
+      features: [...adapter.features].sort(),
+      limits: Object.fromEntries(
+        GPU_LIMITS.map((name) => [name, adapter.limits[name]]),
+      ),
+    },
+  };
+}
+
+async function probeWebNn(ml) {
+  if (!ml) return { reason: "Not exposed by this browser" };
+  try {
+    await ml.createContext();
+    return {};
+  } catch (err) {
+    return { reason: `No WebNN context: ${err.message}` };
+  }
+}
+
+/**
+ * Probes every backend. Resolves to the device flags the selectors use
+ * (`webgpu`, `wasm`, `webnn`, `cpu`, `shaderF16`), a `reasons` map saying why
+ * a device is unavailable, and the details the diagnostics panel shows.
+ */
+export async function probeCapabilities(scope = globalThis) {
+  const nav = scope.navigator ?? {};
+  const wasmApi = typeof scope.WebAssembly === "object";
+  const wasmSimd = wasmApi && validates(SIMD_PROBE);
+  const sharedMemory = typeof scope.SharedArrayBuffer === "function";
+  const crossOriginIsolated = Boolean(scope.crossOriginIsolated);
+  const wasmThreads =
+    wasmApi && sharedMemory && crossOriginIsolated && validates(THREADS_PROBE);
+
+  const [gpu, webnn] = await Promise.all([
+    probeWebGpu(nav.gpu),
+    probeWebNn(nav.ml),
+  ]);
+
+  const reasons = {};
+  if (gpu.reason) reasons.webgpu = gpu.reason;
+  if (webnn.reason) reasons.webnn = webnn.reason;
+  if (!wasmApi) reasons.wasm = "WebAssembly is disabled";
+  else if (!wasmSimd) reasons.wasm = "WebAssembly SIMD is unsupported";
+  // ONNX Runtime Web's "cpu" provider is its WASM build
+  if (reasons.wasm) reasons.cpu = reasons.wasm;
+
+  return {
+    probed: true,
+    webgpu: !gpu.reason,
+    wasm: !reasons.wasm,
+    webnn: !webnn.reason,
+    cpu: !reasons.cpu,
+    shaderF16: Boolean(gpu.adapter?.features.includes("shader-f16")),
+    reasons,
+    adapter: gpu.adapter ?? null,
+    wasmSimd,
+    wasmThreads,
+    sharedMemory,
+    crossOriginIsolated,
+    cores: nav.hardwareConcurrency ?? null,
+    deviceMemory: nav.deviceMemory ?? null, // GiB, Chromium only, capped at 8
+    userAgent: nav.userAgent ?? "",
+  };
+}
+
+// Why `device` can't run `dtype`, or null when it can
+export function unsupportedDtype(dtype, device, capabilities) {
+  if (device === "webgpu" && !capabilities.shaderF16 && needsShaderF16(dtype)) {
+    return "needs shader-f16";
+  }
+  return null;
+}
+
+const yesNo = (value) => (value ? "yes" : "no");
+
+// Plain-text summary for bug reports. `context` adds the app's current
+// settings (task, model, device, dtype, ...) as extra lines.
+export function capabilityReport(capabilities, context = {}) {
+  const { adapter } = capabilities;
+  const lines = [
+    "Transformer.Vision diagnostics",
+    `Date: ${new Date().toISOString()}`,
+    `User agent: ${capabilities.userAgent}`,
+    "",
+    ...Object.entries(context).map(([key, value]) => `${key}: ${value}`),
+    "",
+    "Devices:",
+    ...Object.keys(DEVICE_LABELS).map(
+      (device) =>
+        `  ${device}: ${capabilities[device] ? "available" : `unavailable (${capabilities.reasons[device]})`}`,
+    ),
+    "",
+    `WASM SIMD: ${yesNo(capabilities.wasmSimd)}`,
+    `WASM threads: ${yesNo(capabilities.wasmThreads)} (SharedArrayBuffer: ${yesNo(capabilities.sharedMemory)}, cross-origin isolated: ${yesNo(capabilities.crossOriginIsolated)})`,
+    `Logical cores: ${capabilities.cores ?? "unknown"}`,
+    `Device memory: ${capabilities.deviceMemory != null ? `${capabilities.deviceMemory} GiB` : "unknown"}`,
+  ];
+  if (adapter) {
+    lines.push(
+      "",
+      "WebGPU adapter:",
+      `  vendor: ${adapter.vendor}, architecture: ${adapter.architecture}`,
+      ...(adapter.description ? [`  description: ${adapter.description}`] : []),
+      `  fallback adapter: ${yesNo(adapter.fallback)}`,
+      `  shader-f16: ${yesNo(capabilities.shaderF16)}`,
+      `  features: ${adapter.features.join(", ") || "none"}`,
+      ...Object.entries(adapter.limits).map(
+        ([name, value]) => `  ${name}: ${value}`,
+      ),
+    );
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,107 @@
+import { describe, expect, it } from "vitest";
+import {
+  capabilityReport,
+  probeCapabilities,
+  unsupportedDtype,
+} from "./capabilities";
+
+const adapter = (features = []) => ({
+  info: { vendor: "acme", architecture: "rdna-9" },
+  features: new Set(features),
+  limits: { maxBufferSize: 2 ** 30, maxComputeWorkgroupSizeX: 256 },
+});
+
+// A browser-like global scope with the given navigator APIs
+const scope = (navigator = {}, extra = {}) => ({
+  WebAssembly,
+  SharedArrayBuffer,
+  crossOriginIsolated: false,
+  navigator: { hardwareConcurrency: 8, userAgent: "test", ...navigator },
+  ...extra,
+});
+
+describe("probeCapabilities", () => {
+  it("reports WebGPU only when an adapter is granted", async () => {
+    const none = await probeCapabilities(
+      scope({ gpu: { requestAdapter: async () => null } }),
+    );
+    expect(none.webgpu).toBe(false);
+    expect(none.reasons.webgpu).toBe("No suitable GPU adapter");
+
+    const granted = await probeCapabilities(
+      scope({ gpu: { requestAdapter: async () => adapter(["shader-f16"]) } }),
+    );
+    expect(granted.webgpu).toBe(true);
+    expect(granted.shaderF16).toBe(true);
+    expect(granted.adapter).toMatchObject({
+      vendor: "acme",
+      fallback: false,
+      limits: { maxBufferSize: 2 ** 30 },
+    });
+  });
+
+  it("needs a WebNN context, not just navigator.ml", async () => {
+    const caps = await probeCapabilities(
+      scope({
+        ml: {
+          createContext: async () => {
+            throw new Error("disabled by policy");
+          },
+        },
+      }),
+    );
+    expect(caps.webnn).toBe(false);
+    expect(caps.reasons.webnn).toMatch(/disabled by policy/);
+  });
+
+  it("checks WASM SIMD and threads", async () => {
+    const plain = await probeCapabilities(scope());
+    expect(plain).toMatchObject({
+      wasm: true,
+      cpu: true,
+      wasmSimd: true,
+      wasmThreads: false, // not cross-origin isolated
+      cores: 8,
+    });
+
+    const isolated = await probeCapabilities(
+      scope({}, { crossOriginIsolated: true }),
+    );
+    expect(isolated.wasmThreads).toBe(true);
+
+    const noWasm = await probeCapabilities(
+      scope({}, { WebAssembly: undefined }),
+    );
+    expect(noWasm).toMatchObject({ wasm: false, cpu: false });
+    expect(noWasm.reasons.cpu).toBe("WebAssembly is disabled");
+  });
+});
+
+describe("unsupportedDtype", () => {
+  it("blocks fp16 graphs on WebGPU without shader-f16", () => {
+    expect(unsupportedDtype("fp16", "webgpu", { shaderF16: false })).toBe(
+      "needs shader-f16",
+    );
+    expect(unsupportedDtype("fp16", "webgpu", { shaderF16: true })).toBeNull();
+    expect(unsupportedDtype("q8", "webgpu", { shaderF16: false })).toBeNull();
+    expect(unsupportedDtype("fp16", "wasm", { shaderF16: false })).toBeNull();
+  });
+});
+
+describe("capabilityReport", () => {
+  it("lists devices, WASM features, the adapter and the app context", async () => {
+    const caps = await probeCapabilities(
+      scope({ gpu: { requestAdapter: async () => adapter() } }),
+    );
+    const report = capabilityReport(caps, { Model: "org/model" });
+    expect(report).toContain("Model: org/model");
+    expect(report).toContain("  webgpu: available");
+    expect(report).toContain(
+      "  webnn: unavailable (Not exposed by this browser)",
+    );
+    expect(report).toContain("WASM SIMD: yes");
+    expect(report).toContain("cross-origin isolated: no");
+    expect(report).toContain("  shader-f16: no");
+    expect(report).toContain(`  maxBufferSize: ${2 ** 30}`);
+  });
+});
@@ -0,0 +1,71 @@
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Polynomial approximation of Google's Turbo colormap; t in [0, 1]
+export function turbo(t) {
+  const x = clamp01(t);
+  const r =
+    0.13572138 +
+    x *
+      (4.6153926 +
+        x *
+          (-42.66032258 +
+            x * (132.13108234 + x * (-152.94239396 + x * 59.28637943))));
+  const g =
+    0.09140261 +
+    x *
+      (2.19418839 +
+        x *
+          (4.84296658 +
+            x * (-14.18503333 + x * (4.27729857 + x * 2.82956604))));
+  const b =
+    0.1066733 +
+    x *
+      (12.64194608 +
+        x *
+          (-60.58204836 +
+            x * (110.36276771 + x * (-89.90310912 + x * 27.34824973))));
+  return [clamp01(r) * 255, clamp01(g) * 255, clamp01(b) * 255];
+}
+
+export const grayscale = (t) => {
+  const v = clamp01(t) * 255;
+  return [v, v, v];
+};
+
+export const COLORMAPS = { turbo, grayscale };
+
+// Distinct, reasonably saturated colors for an arbitrary number of segments
+export function paletteColor(index) {
+  const hue = (index * 137.508) % 360; // golden angle spacing
+  return `hsl(${hue.toFixed(1)}, 75%, 55%)`;
+}
+
+// Same label, same color, in every view and session (FNV-1a hash of the name)
+export function labelColor(label) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < label.length; i++) {
+    hash ^= label.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return paletteColor((hash >>> 0) % 1024);
+}
+
+export function paletteRgb(index) {
+  const hue = ((index * 137.508) % 360) / 360;
+  const s = 0.75;
+  const l = 0.55;
+  const q = l + s - l * s;
+  const p = 2 * l - q;
+  const channel = (t) => {
+    const k = (t + 1) % 1;
+    if (k < 1 / 6) return p + (q - p) * 6 * k;
+    if (k < 1 / 2) return q;
+    if (k < 2 / 3) return p + (q - p) * (2 / 3 - k) * 6;
+    return p;
+  };
+  return [
+    channel(hue + 1 / 3) * 255,
+    channel(hue) * 255,
+    channel(hue - 1 / 3) * 255,
+  ];
+}
@@ -0,0 +1,40 @@
+import { iou } from "./postprocess";
+
+export const MATCH_IOU = 0.5;
+
+/**
+ * Pairs up two sets of detections of the same image: greedily, highest IoU
+ * first, same label only (unless `matchLabels` is false). Returns the pairs
+ * as index tuples plus the indices only found in `a` or only in `b`.
+ */
+export function diffDetections(
+  a,
+  b,
+  { threshold = MATCH_IOU, matchLabels = true } = {},
+) {
+  const candidates = [];
+  a.forEach((left, i) =>
+    b.forEach((right, j) => {
+      if (matchLabels && left.label !== right.label) return;
+      const overlap = iou(left.box, right.box);
+      if (overlap >= threshold) candidates.push([overlap, i, j]);
+    }),
+  );
+  candidates.sort((x, y) => y[0] - x[0]);
+
+  const usedA = new Set();
+  const usedB = new Set();
+  const matched = [];
+  for (const [overlap, i, j] of candidates) {
+    if (usedA.has(i) || usedB.has(j)) continue;
+    usedA.add(i);
+    usedB.add(j);
+    matched.push({ a: i, b: j, iou: overlap });
+  }
+
+  return {
+    matched,
+    onlyA: a.map((_, i) => i).filter((i) => !usedA.has(i)),
+    onlyB: b.map((_, j) => j).filter((j) => !usedB.has(j)),
+  };
+}
@@ -0,0 +1,111 @@
+import { Request, Response } from "../workers/protocol";
+
+const createWorker = () =>
+  new Worker(new URL("../workers/detection.worker.js", import.meta.url), {
+    type: "module",
+  });
+
+export const abortError = () =>
+  new DOMException("The operation was cancelled.", "AbortError");
+
+export const isAbortError = (err) => err?.name === "AbortError";
+
+// Promise-based client for the detection worker. Each call gets its own
+// request id; pending calls can be cancelled through an AbortSignal.
+export function createDetectionClient(worker = createWorker()) {
+  const pending = new Map();
+  let nextId = 0;
+
+  const settle = (id) => {
+    const entry = pending.get(id);
+    if (entry) {
+      pending.delete(id);
+      entry.cleanup();
+    }
+    return entry;
+  };
+
+  worker.addEventListener("message", ({ data: message }) => {
+    if (message.type === Response.PROGRESS) {
+      pending.get(message.id)?.onProgress?.(message.data);
+      return;
+    }
+
+    const entry = settle(message.id);
+    if (!entry) return; // Already cancelled on this side
+
+    switch (message.type) {
+      case Response.READY:
+        entry.resolve({
+          task: message.task,
+          model: message.model,
+          labels: message.labels,
+          memory: message.memory,
+        });
+        break;
+      case Response.RESULT:
+        entry.resolve({
+          output: message.output,
+          time: message.time,
+          memory: message.memory,
+        });
+        break;
+      case Response.DISPOSED:
+        entry.resolve();
+        break;
+      case Response.CANCELLED:
+        entry.reject(abortError());
+        break;
+      case Response.ERROR:
+        entry.reject(
+          Object.assign(new Error(message.error.message), {
+            name: message.error.name,
+          }),
+        );
+        break;
+    }
+  });
+
+  const cancel = (id) => {
+    const entry = settle(id);
+    if (!entry) return;
+    worker.postMessage({ type: Request.CANCEL, id });
+    entry.reject(abortError());
+  };
+
+  const request = (type, payload, { signal, onProgress, transfer } = {}) => {
+    if (signal?.aborted) return Promise.reject(abortError());
+
+    const id = ++nextId;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => cancel(id);
+      signal?.addEventListener("abort", onAbort, { once: true });
+      pending.set(id, {
+        resolve,
+        reject,
+        onProgress,
+        cleanup: () => signal?.removeEventListener("abort", onAbort),
+      });
+      worker.postMessage({ type, id, ...payload }, transfer ?? []);
+    });
+  };
+
+  return {
+    load: ({ task, model, options, source }, { signal, onProgress } = {}) =>
+      request(
+        Request.LOAD,
+        { task, model, options, source },
+        { signal, onProgress },
+      ),
+
+    detect: (image, options, { signal, transfer } = {}) =>
+      request(Request.DETECT, { image, options }, { signal, transfer }),
+
+    dispose: () => request(Request.DISPOSE, {}),
+
+    terminate: () => {
+      worker.terminate();
+      for (const id of [...pending.keys()]) settle(id).reject(abortError());
+    },
+  };
+}
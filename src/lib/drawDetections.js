@@ -0,0 +1,87 @@
+import { labelColor } from "./colormap";
+
+const LABEL_HEIGHT = 22;
+const LABEL_PADDING = 6;
+
+// Paints detections with normalized ([0, 1]) boxes onto a 2D canvas context
+// of the given size. Shared by the viewport, live and batch views and the
+// annotated-image export; `scale` enlarges strokes and labels for
+// full-resolution renders. When `highlight` is an index, that box is
+// emphasized and the others are dimmed. `color(detection, index)` overrides
+// the per-class colors.
+export function drawDetections(
+  ctx,
+  detections,
+  width,
+  height,
+  {
+    lineWidth = 3,
+    showLabels = true,
+    clear = true,
+    scale = 1,
+    highlight = null,
+    color: colorOf = ({ label }) => labelColor(label),
+  } = {},
+) {
+  if (clear) ctx.clearRect(0, 0, width, height);
+
+  const labelHeight = LABEL_HEIGHT * scale;
+  const padding = LABEL_PADDING * scale;
+  ctx.font = `bold ${13 * scale}px Inter, sans-serif`;
+  ctx.textBaseline = "middle";
+  ctx.setLineDash([]);
+
+  detections.forEach((prediction, index) => {
+    const { box, label, score } = prediction;
+    const x = box.xmin * width;
+    const y = box.ymin * height;
+    const w = (box.xmax - box.xmin) * width;
+    const h = (box.ymax - box.ymin) * height;
+    const color = colorOf(prediction, index);
+    const isHighlighted = highlight === index;
+
+    ctx.globalAlpha = highlight == null || isHighlighted ? 1 : 0.35;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth * scale * (isHighlighted ? 1.6 : 1);
+    ctx.strokeRect(x, y, w, h);
+    if (isHighlighted) {
+      ctx.fillStyle = color;
+      ctx.globalAlpha = 0.15;
+      ctx.fillRect(x, y, w, h);
+      ctx.globalAlpha = 1;
+    }
+
+    if (showLabels) {
+      // Hand-drawn annotations have no score
+      const text =
+        score == null ? label : `${label} ${(score * 100).toFixed(0)}%`;
+      const labelWidth = ctx.measureText(text).width + padding * 2;
+      // Above the box when there's room, otherwise tucked inside its top
+      // edge; always shifted left far enough to stay within the image.
+      const labelX = Math.max(0, Math.min(x, width - labelWidth));
+      const labelY = y - labelHeight >= 0 ? y - labelHeight : Math.max(0, y);
+
+      ctx.fillStyle = color;
+      ctx.fillRect(labelX, labelY, labelWidth, labelHeight);
+      ctx.fillStyle = "#0f172a";
+      ctx.fillText(text, labelX + padding, labelY + labelHeight / 2);
+    }
+  });
+  ctx.globalAlpha = 1;
+}
+
+// Index of the detection under a normalized point; the smallest box wins so
+// nested boxes stay reachable. -1 when nothing is hit.
+export function detectionAt(detections, x, y) {
+  let hit = -1;
+  let hitArea = Infinity;
+  detections.forEach(({ box }, index) => {
+    if (x < box.xmin || x > box.xmax || y < box.ymin || y > box.ymax) return;
+    const area = (box.xmax - box.xmin) * (box.ymax - box.ymin);
+    if (area < hitArea) {
+      hit = index;
+      hitArea = area;
+    }
+  });
+  return hit;
+}
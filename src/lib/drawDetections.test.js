@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { detectionAt, drawDetections } from "./drawDetections";
+
+// Records the rectangles drawn on it
+function recordingContext() {
+  const calls = [];
+  return {
+    calls,
+    clearRect() {},
+    setLineDash() {},
+    strokeRect: (...rect) => calls.push(["stroke", ...rect]),
+    fillRect: (...rect) => calls.push(["fill", ...rect]),
+    fillText: (text, x, y) => calls.push(["text", text, x, y]),
+    measureText: (text) => ({ width: text.length * 10 }),
+  };
+}
+
+describe("drawDetections", () => {
+  it("scales normalized boxes to the canvas size", () => {
+    const ctx = recordingContext();
+    drawDetections(
+      ctx,
+      [
+        {
+          label: "cat",
+          score: 0.9,
+          box: { xmin: 0.25, ymin: 0.5, xmax: 0.75, ymax: 1 },
+        },
+      ],
+      800,
+      400,
+      { showLabels: false },
+    );
+    expect(ctx.calls).toEqual([["stroke", 200, 200, 400, 200]]);
+  });
+
+  it("keeps labels inside the image", () => {
+    const ctx = recordingContext();
+    drawDetections(
+      ctx,
+      [
+        {
+          label: "dog",
+          score: 0.5,
+          box: { xmin: 0.95, ymin: 0, xmax: 1, ymax: 0.5 },
+        },
+      ],
+      200,
+      100,
+    );
+    const [, labelX, labelY] = ctx.calls.find(([kind]) => kind === "fill");
+    // "dog 50%" is 70px + 12px padding: shifted left, tucked inside the top
+    expect(labelX).toBe(200 - 82);
+    expect(labelY).toBe(0);
+  });
+
+  it("enlarges labels with the scale option", () => {
+    const ctx = recordingContext();
+    drawDetections(
+      ctx,
+      [{ label: "cat", box: { xmin: 0, ymin: 0.5, xmax: 0.5, ymax: 1 } }],
+      1000,
+      1000,
+      { scale: 2 },
+    );
+    const [, , , , labelHeight] = ctx.calls.find(([kind]) => kind === "fill");
+    expect(labelHeight).toBe(44);
+    // Hand-drawn annotations have no score
+    expect(ctx.calls.find(([kind]) => kind === "text")[1]).toBe("cat");
+  });
+});
+
+describe("detectionAt", () => {
+  const detections = [
+    { label: "table", box: { xmin: 0, ymin: 0, xmax: 1, ymax: 1 } },
+    { label: "cup", box: { xmin: 0.4, ymin: 0.4, xmax: 0.6, ymax: 0.6 } },
+  ];
+
+  it("picks the smallest box under the point", () => {
+    expect(detectionAt(detections, 0.5, 0.5)).toBe(1);
+    expect(detectionAt(detections, 0.1, 0.1)).toBe(0);
+  });
+
+  it("returns -1 when nothing is hit", () => {
+    expect(detectionAt(detections.slice(1), 0.1, 0.1)).toBe(-1);
+  });
+});
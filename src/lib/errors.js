@@ -0,0 +1,81 @@
+// Turns model-load and inference failures into something actionable. The
+// worker only forwards name and message, so classification is by message
+// text; Transformers.js, ONNX Runtime and the browser each phrase their
+// errors differently, hence the loose patterns. First match wins.
+
+export const ERROR_KINDS = {
+  network: {
+    title: "Network error",
+    guidance:
+      "The model files couldn't be downloaded. Check your connection (or the model server's URL and CORS settings) and retry. Models that are already cached load offline.",
+  },
+  "not-found": {
+    title: "Model not found",
+    guidance:
+      "No model exists under this id, or it is private or gated. Check the spelling on huggingface.co and that the repository has an onnx/ folder.",
+  },
+  "out-of-memory": {
+    title: "Out of memory",
+    deviceSpecific: true,
+    guidance:
+      "The browser ran out of memory. Pick a smaller precision (q8 or q4), a smaller model or image, or close other tabs. WASM often copes where the GPU's memory is too small.",
+  },
+  "unsupported-task": {
+    title: "Unsupported task",
+    guidance:
+      "Transformers.js can't run this model for the selected task. Make sure the task matches the model (see its pipeline tag on the Hub) or choose another model.",
+  },
+  "unsupported-op": {
+    title: "Unsupported on this device",
+    deviceSpecific: true,
+    guidance:
+      "The execution provider can't run one of the model's operators or precisions. Another device (usually WASM) or precision should work.",
+  },
+  unknown: {
+    title: "Unexpected error",
+    guidance:
+      "Retry, and if it keeps failing try another device or precision. The details below may help.",
+  },
+};
+
+const PATTERNS = [
+  [
+    "network",
+    /failed to fetch|networkerror|network error|load failed|err_internet|err_connection|timed? ?out|\bcors\b/i,
+  ],
+  [
+    "not-found",
+    /could not locate file|not found|\b40[134]\b|unauthorized|forbidden|does not exist|gated/i,
+  ],
+  [
+    "out-of-memory",
+    /out of memory|\boom\b|bad_alloc|allocation failed|memory access out of bounds|array buffer allocation|device (?:was )?lost|cannot allocate/i,
+  ],
+  [
+    "unsupported-task",
+    /unsupported (?:pipeline|task|model type)|not supported for (?:the )?task|unknown task/i,
+  ],
+  [
+    "unsupported-op",
+    /not implemented|unsupported op|could not find an implementation|no kernel|fp16|shader-f16|not supported|unsupported|create (?:a )?session|webgpu|webnn/i,
+  ],
+];
+
+/**
+ * Classifies an error from the worker. Returns `{ kind, title, guidance,
+ * deviceSpecific, message }`; `deviceSpecific` errors may go away on
+ * another execution provider.
+ */
+export function classifyError(err) {
+  const message = err?.message ?? String(err);
+  const [match] = PATTERNS.find(([, pattern]) => pattern.test(message)) ?? [];
+  // Fetch errors are vague; being offline explains them
+  const kind =
+    match ?? (globalThis.navigator?.onLine === false ? "network" : "unknown");
+  return {
+    kind,
+    deviceSpecific: false,
+    ...ERROR_KINDS[kind],
+    message,
+  };
+}
@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { classifyError } from "./errors";
+
+const kindOf = (message) => classifyError(new Error(message)).kind;
+
+describe("classifyError", () => {
+  it("recognizes network and missing-model failures", () => {
+    expect(kindOf("Failed to fetch")).toBe("network");
+    expect(kindOf("Blocked by CORS policy")).toBe("network");
+    expect(kindOf("Could not locate file: config.json")).toBe("not-found");
+    expect(kindOf("Request failed with status 404")).toBe("not-found");
+    expect(kindOf("HTTP 401 (Unauthorized)")).toBe("not-found");
+  });
+
+  it("doesn't match those words and codes inside longer ones", () => {
+    expect(kindOf("Invalid scores tensor")).toBe("unknown");
+    expect(kindOf("Reading 3 records failed")).toBe("unknown");
+    expect(kindOf("Offset 14040 is past the end of the buffer")).toBe(
+      "unknown",
+    );
+    expect(kindOf("Buffer of 4013 bytes is too small")).toBe("unknown");
+    expect(kindOf("localhost:4030 refused the worker")).toBe("unknown");
+  });
+
+  it("points device-specific failures at another device", () => {
+    const failure = classifyError(new Error("std::bad_alloc"));
+    expect(failure).toMatchObject({
+      kind: "out-of-memory",
+      deviceSpecific: true,
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// Accuracy of detections against ground truth, following the COCO protocol:
+// per class, predictions are ranked by score and each one matches the
+// best-overlapping unmatched truth box of its image (IoU at or above the
+// threshold) or counts as a false positive. AP is the area under the
+// interpolated precision/recall curve sampled at 101 recall points.
+
+import { iou } from "./postprocess";
+import { diffDetections, MATCH_IOU } from "./compare";
+
+// 0.5, 0.55, ..., 0.95 for mAP@0.5:0.95
+export const IOU_THRESHOLDS = Array.from(
+  { length: 10 },
+  (_, i) => Math.round((0.5 + i * 0.05) * 100) / 100,
+);
+
+const RECALL_POINTS = Array.from({ length: 101 }, (_, i) => i / 100);
+
+const normalize = (label) => label.trim().toLowerCase();
+
+// Dataset label -> model label, pairing up names that only differ in case
+export function defaultLabelMap(datasetLabels, modelLabels) {
+  const byName = new Map(modelLabels.map((label) => [normalize(label), label]));
+  return Object.fromEntries(
+    datasetLabels.map((label) => [label, byName.get(normalize(label)) ?? ""]),
+  );
+}
+
+// Renames predictions to the dataset's labels. Predictions of model classes
+// no dataset class is mapped to are dropped.
+export function applyLabelMap(detections, labelMap) {
+  const toDataset = new Map();
+  for (const [datasetLabel, modelLabel] of Object.entries(labelMap)) {
+    if (modelLabel && !toDataset.has(modelLabel)) {
+      toDataset.set(modelLabel, datasetLabel);
+    }
+  }
+  return detections
+    .filter(({ label }) => toDataset.has(label))
+    .map((detection) => ({
+      ...detection,
+      label: toDataset.get(detection.label),
+    }));
+}
+
+// Ranked true/false positive flags for one class at one IoU threshold
+function matchClass(samples, label, threshold) {
+  const ranked = [];
+  samples.forEach(({ predictions }, image) =>
+    predictions.forEach((prediction) => {
+      if (prediction.label === label) ranked.push({ image, prediction });
+    }),
+  );
+  ranked.sort((a, b) => b.prediction.score - a.prediction.score);
+
+  const taken = samples.map(() => new Set());
+  return ranked.map(({ image, prediction }) => {
+    let best = -1;
+    let bestIou = threshold;
+    samples[image].truth.forEach((truth, index) => {
+      if (truth.label !== label || taken[image].has(index)) return;
+      const overlap = iou(prediction.box, truth.box);
+      if (overlap >= bestIou) {
+        best = index;
+        bestIou = overlap;
+      }
+    });
+    if (best !== -1) taken[image].add(best);
+    return { score: prediction.score, hit: best !== -1 };
+  });
+}
+
+// Precision/recall after each ranked prediction
+function prCurve(matches, truthCount) {
+  let hits = 0;
+  return matches.map(({ score, hit }, i) => {
+    if (hit) hits++;
+    return { score, precision: hits / (i + 1), recall: hits / truthCount };
+  });
+}
+
+// 101-point interpolated AP: the best precision at or beyond each recall
+export function averagePrecision(curve) {
+  const envelope = curve.map(({ precision }) => precision);
+  for (let i = envelope.length - 2; i >= 0; i--) {
+    envelope[i] = Math.max(envelope[i], envelope[i + 1]);
+  }
+  let total = 0;
+  let index = 0;
+  for (const recall of RECALL_POINTS) {
+    while (index < curve.length && curve[index].recall < recall) index++;
+    if (index === curve.length) break;
+    total += envelope[index];
+  }
+  return total / RECALL_POINTS.length;
+}
+
+const mean = (values) =>
+  values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+
+/**
+ * Scores `samples` (`[{ predictions, truth }]`, one per image, with the
+ * predictions already mapped to the dataset's `labels`). Returns per-class
+ * `{ label, truthCount, predictionCount, ap50, ap, curve }`, where `curve`
+ * is the precision/recall curve at IoU 0.5, and the means over the classes
+ * that have ground truth: `map50` (mAP@0.5) and `map` (mAP@0.5:0.95).
+ */
+export function evaluateDetections(samples, labels) {
+  const classes = labels.map((label) => {
+    const truthCount = samples.reduce(
+      (sum, { truth }) =>
+        sum + truth.filter((object) => object.label === label).length,
+      0,
+    );
+    const aps = IOU_THRESHOLDS.map((threshold) =>
+      truthCount
+        ? averagePrecision(
+            prCurve(matchClass(samples, label, threshold), truthCount),
+          )
+        : null,
+    );
+    const matches = matchClass(samples, label, MATCH_IOU);
+    return {
+      label,
+      truthCount,
+      predictionCount: matches.length,
+      ap50: aps[0],
+      ap: truthCount ? mean(aps) : null,
+      curve: truthCount ? prCurve(matches, truthCount) : [],
+    };
+  });
+
+  const scored = classes.filter(({ truthCount }) => truthCount > 0);
+  return {
+    classes,
+    map50: mean(scored.map(({ ap50 }) => ap50)),
+    map: mean(scored.map(({ ap }) => ap)),
+  };
+}
+
+// Precision and recall of the predictions scoring at least `threshold`,
+// i.e. at the app's confidence setting
+export function operatingPoint(curve, threshold) {
+  const kept = curve.filter(({ score }) => score >= threshold);
+  return kept.length ? kept[kept.length - 1] : null;
+}
+
+// One image's errors at IoU 0.5: indices of the correct predictions, the
+// false positives and the missed truth boxes
+export function imageErrors(predictions, truth) {
+  const { matched, onlyA, onlyB } = diffDetections(predictions, truth);
+  return {
+    correct: matched.map(({ a }) => a),
+    falsePositives: onlyA,
+    misses: onlyB,
+  };
+}
@@ -0,0 +1,135 @@
+import { describe, expect, it } from "vitest";
+import {
+  applyLabelMap,
+  averagePrecision,
+  defaultLabelMap,
+  evaluateDetections,
+  imageErrors,
+  operatingPoint,
+} from "./evaluation";
+
+const box = (xmin, ymin, xmax, ymax) => ({ xmin, ymin, xmax, ymax });
+const cat = box(0.1, 0.1, 0.4, 0.4);
+const dog = box(0.5, 0.5, 0.9, 0.9);
+// IoU with `cat` is about 0.63: a hit up to 0.6, a miss from 0.65 up
+const shiftedCat = box(0.1, 0.1, 0.4, 0.29);
+
+describe("averagePrecision", () => {
+  it("is 1 for a perfect ranking and the interpolated area otherwise", () => {
+    expect(
+      averagePrecision([
+        { precision: 1, recall: 0.5 },
+        { precision: 1, recall: 1 },
+      ]),
+    ).toBe(1);
+    // A false positive ranked first: precision 0.5 up to full recall
+    expect(
+      averagePrecision([
+        { precision: 0, recall: 0 },
+        { precision: 0.5, recall: 1 },
+      ]),
+    ).toBeCloseTo(0.5);
+    expect(averagePrecision([])).toBe(0);
+  });
+});
+
+describe("evaluateDetections", () => {
+  it("scores exact matches as perfect", () => {
+    const { classes, map50, map } = evaluateDetections(
+      [
+        {
+          predictions: [{ label: "cat", score: 0.9, box: cat }],
+          truth: [{ label: "cat", box: cat }],
+        },
+      ],
+      ["cat"],
+    );
+    expect(classes[0]).toMatchObject({
+      truthCount: 1,
+      predictionCount: 1,
+      ap50: 1,
+      ap: 1,
+    });
+    expect(map50).toBe(1);
+    expect(map).toBe(1);
+  });
+
+  it("averages AP over IoU thresholds and skips classes without truth", () => {
+    const { classes, map50, map } = evaluateDetections(
+      [
+        {
+          predictions: [
+            { label: "cat", score: 0.9, box: shiftedCat },
+            { label: "dog", score: 0.8, box: dog },
+          ],
+          truth: [{ label: "cat", box: cat }],
+        },
+      ],
+      ["cat", "dog"],
+    );
+    expect(classes[0].ap50).toBe(1);
+    // Hit at 0.5, 0.55 and 0.6 only
+    expect(classes[0].ap).toBeCloseTo(0.3);
+    expect(classes[1]).toMatchObject({ truthCount: 0, ap50: null, ap: null });
+    expect(map50).toBe(1);
+    expect(map).toBeCloseTo(0.3);
+  });
+
+  it("counts a duplicate of a matched box as a false positive", () => {
+    const { classes } = evaluateDetections(
+      [
+        {
+          predictions: [
+            { label: "cat", score: 0.9, box: cat },
+            { label: "cat", score: 0.6, box: shiftedCat },
+          ],
+          truth: [{ label: "cat", box: cat }],
+        },
+      ],
+      ["cat"],
+    );
+    expect(classes[0].curve).toEqual([
+      { score: 0.9, precision: 1, recall: 1 },
+      { score: 0.6, precision: 0.5, recall: 1 },
+    ]);
+    expect(operatingPoint(classes[0].curve, 0.75)).toMatchObject({
+      precision: 1,
+      recall: 1,
+    });
+    expect(operatingPoint(classes[0].curve, 0.95)).toBeNull();
+  });
+});
+
+describe("label mapping", () => {
+  it("pairs names case-insensitively and drops unmapped predictions", () => {
+    const labelMap = defaultLabelMap(["Cat", "pedestrian"], ["cat", "person"]);
+    expect(labelMap).toEqual({ Cat: "cat", pedestrian: "" });
+
+    const mapped = applyLabelMap(
+      [
+        { label: "cat", score: 0.9, box: cat },
+        { label: "person", score: 0.8, box: dog },
+        { label: "car", score: 0.7, box: dog },
+      ],
+      { ...labelMap, pedestrian: "person" },
+    );
+    expect(mapped.map(({ label }) => label)).toEqual(["Cat", "pedestrian"]);
+  });
+});
+
+describe("imageErrors", () => {
+  it("splits an image's boxes into correct, false positives and misses", () => {
+    expect(
+      imageErrors(
+        [
+          { label: "cat", score: 0.9, box: shiftedCat },
+          { label: "cat", score: 0.8, box: dog },
+        ],
+        [
+          { label: "cat", box: cat },
+          { label: "dog", box: dog },
+        ],
+      ),
+    ).toEqual({ correct: [0], falsePositives: [1], misses: [1] });
+  });
+});
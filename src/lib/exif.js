@@ -0,0 +1,76 @@
+// EXIF orientation. Phone cameras store pixels sideways and record how to
+// rotate them in the JPEG's EXIF block. Browsers honor that when showing an
+// <img>, but the pixels the model sees may not be rotated, so boxes would
+// land in the wrong place. Every image is therefore re-encoded upright
+// before it goes anywhere else.
+
+const ORIENTATION_TAG = 0x0112;
+const HEADER_BYTES = 128 * 1024; // EXIF must fit in one 64 KB APP1 segment
+
+// Orientation (1-8) from the EXIF block of a JPEG, or 1 when there is none
+export function readOrientation(buffer) {
+  const view = new DataView(buffer);
+  try {
+    if (view.getUint16(0) !== 0xffd8) return 1; // Not a JPEG
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) return 1;
+      const length = view.getUint16(offset + 2);
+      // APP1 holding "Exif\0\0" followed by a TIFF header
+      if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+        const tiff = offset + 10;
+        const little = view.getUint16(tiff) === 0x4949;
+        const ifd = tiff + view.getUint32(tiff + 4, little);
+        const count = view.getUint16(ifd, little);
+        for (let i = 0; i < count; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (view.getUint16(entry, little) === ORIENTATION_TAG) {
+            const value = view.getUint16(entry + 8, little);
+            return value >= 1 && value <= 8 ? value : 1;
+          }
+        }
+        return 1;
+      }
+      offset += 2 + length;
+    }
+  } catch (err) {
+    // Truncated or malformed headers just mean "no orientation"
+    if (!(err instanceof RangeError)) throw err;
+  }
+  return 1;
+}
+
+/**
+ * Returns `file` with its EXIF orientation applied to the pixels: the same
+ * file when it's already upright (or can't be decoded), otherwise a new
+ * file with the same name, re-encoded in the same format where possible.
+ */
+export async function normalizeOrientation(file) {
+  const header = await file.slice(0, HEADER_BYTES).arrayBuffer();
+  if (readOrientation(header) === 1) return file;
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  } catch {
+    return file;
+  }
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const type = file.type === "image/png" ? "image/png" : "image/jpeg";
+  const blob = await canvas.convertToBlob({ type, quality: 0.95 });
+  const upright = new File([blob], file.name, {
+    type,
+    lastModified: file.lastModified,
+  });
+  // Keep folder paths for batch names
+  if (file.webkitRelativePath) {
+    Object.defineProperty(upright, "webkitRelativePath", {
+      value: file.webkitRelativePath,
+    });
+  }
+  return upright;
+}
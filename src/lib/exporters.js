@@ -0,0 +1,281 @@
+import { createZip } from "./zip";
+import { drawDetections } from "./drawDetections";
+
+// Every exporter takes a list of images shaped as
+//   { name, width, height, detections: [{ label, score, box, verified? }] }
+// where `width`/`height` are the original pixel dimensions and boxes are
+// normalized to [0, 1] as returned by the worker. Human-verified annotations
+// (see annotations.js) carry `verified: true` and may have a null score.
+
+export const EXPORT_FORMATS = [
+  { id: "coco", label: "COCO JSON" },
+  { id: "voc", label: "Pascal VOC XML" },
+  { id: "yolo", label: "YOLO txt" },
+  { id: "csv", label: "CSV" },
+];
+
+const stripExtension = (name) => name.replace(/\.[^./]+$/, "");
+
+export const baseName = (name) => stripExtension(name.split("/").pop());
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toPixels = ({ xmin, ymin, xmax, ymax }, width, height) => ({
+  xmin: round(Math.max(0, xmin) * width),
+  ymin: round(Math.max(0, ymin) * height),
+  xmax: round(Math.min(1, xmax) * width),
+  ymax: round(Math.min(1, ymax) * height),
+});
+
+// Sorted so class ids are stable across exports of the same label set
+export const collectLabels = (images) =>
+  [
+    ...new Set(images.flatMap((image) => image.detections.map((d) => d.label))),
+  ].sort();
+
+export function toCoco(images) {
+  const labels = collectLabels(images);
+  const annotations = [];
+
+  images.forEach((image, imageIndex) =>
+    image.detections.forEach(({ label, score, box, verified }) => {
+      const { xmin, ymin, xmax, ymax } = toPixels(
+        box,
+        image.width,
+        image.height,
+      );
+      const w = round(xmax - xmin);
+      const h = round(ymax - ymin);
+      annotations.push({
+        id: annotations.length + 1,
+        image_id: imageIndex + 1,
+        category_id: labels.indexOf(label) + 1,
+        bbox: [xmin, ymin, w, h],
+        area: round(w * h),
+        iscrowd: 0,
+        ...(score != null && { score: Number(score.toFixed(4)) }),
+        ...(verified && { verified: true }),
+      });
+    }),
+  );
+
+  return {
+    info: {
+      description: "Transformer.Vision detections",
+      date_created: new Date().toISOString(),
+    },
+    images: images.map((image, index) => ({
+      id: index + 1,
+      // Relative to the batch folder, like the VOC and YOLO archive entries,
+      // so same-named images from different folders stay apart
+      file_name: image.name,
+      width: image.width,
+      height: image.height,
+    })),
+    annotations,
+    categories: labels.map((name, index) => ({
+      id: index + 1,
+      name,
+      supercategory: "object",
+    })),
+  };
+}
+
+const escapeXml = (value) =>
+  String(value).replace(
+    /[<>&'"]/g,
+    (char) =>
+      ({
+        "<": "&lt;",
+        ">": "&gt;",
+        "&": "&amp;",
+        "'": "&apos;",
+        '"': "&quot;",
+      })[char],
+  );
+
+export function toPascalVoc(image) {
+  const objects = image.detections.map(({ label, box }) => {
+    const { xmin, ymin, xmax, ymax } = toPixels(box, image.width, image.height);
+    return `  <object>
+    <name>${escapeXml(label)}</name>
+    <pose>Unspecified</pose>
+    <truncated>0</truncated>
+    <difficult>0</difficult>
+    <bndbox>
+      <xmin>${Math.round(xmin)}</xmin>
+      <ymin>${Math.round(ymin)}</ymin>
+      <xmax>${Math.round(xmax)}</xmax>
+      <ymax>${Math.round(ymax)}</ymax>
+    </bndbox>
+  </object>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<annotation>
+  <filename>${escapeXml(image.name.split("/").pop())}</filename>
+  <size>
+    <width>${image.width}</width>
+    <height>${image.height}</height>
+    <depth>3</depth>
+  </size>
+  <segmented>0</segmented>
+${objects.join("\n")}
+</annotation>
+`;
+}
+
+// YOLO lines are "<class> <cx> <cy> <w> <h>", all relative to the image size
+export function toYolo(image, labels) {
+  return image.detections
+    .map(({ label, box }) => {
+      const xmin = Math.max(0, box.xmin);
+      const ymin = Math.max(0, box.ymin);
+      const xmax = Math.min(1, box.xmax);
+      const ymax = Math.min(1, box.ymax);
+      return [
+        labels.indexOf(label),
+        ((xmin + xmax) / 2).toFixed(6),
+        ((ymin + ymax) / 2).toFixed(6),
+        (xmax - xmin).toFixed(6),
+        (ymax - ymin).toFixed(6),
+      ].join(" ");
+    })
+    .join("\n");
+}
+
+const csvCell = (value) =>
+  /[",\n]/.test(String(value))
+    ? `"${String(value).replace(/"/g, '""')}"`
+    : String(value);
+
+export function toCsv(images) {
+  const rows = [
+    [
+      "image",
+      "image_width",
+      "image_height",
+      "label",
+      "score",
+      "xmin",
+      "ymin",
+      "xmax",
+      "ymax",
+      "verified",
+    ],
+  ];
+  images.forEach((image) =>
+    image.detections.forEach(({ label, score, box, verified }) => {
+      const { xmin, ymin, xmax, ymax } = toPixels(
+        box,
+        image.width,
+        image.height,
+      );
+      rows.push([
+        image.name,
+        image.width,
+        image.height,
+        label,
+        score == null ? "" : score.toFixed(4),
+        xmin,
+        ymin,
+        xmax,
+        ymax,
+        verified ? "true" : "false",
+      ]);
+    }),
+  );
+  return rows.map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// Builds the download for one or many images. Per-image formats (VOC, YOLO)
+// are zipped whenever more than one file is produced.
+export function buildExport(format, images, archiveName = "detections") {
+  const single = images.length === 1;
+  const stem = single ? baseName(images[0].name) : archiveName;
+
+  switch (format) {
+    case "coco":
+      return {
+        filename: `${stem}.coco.json`,
+        blob: new Blob([JSON.stringify(toCoco(images), null, 2)], {
+          type: "application/json",
+        }),
+      };
+    case "csv":
+      return {
+        filename: `${stem}.csv`,
+        blob: new Blob([toCsv(images)], { type: "text/csv" }),
+      };
+    case "voc":
+      if (single) {
+        return {
+          filename: `${stem}.xml`,
+          blob: new Blob([toPascalVoc(images[0])], { type: "application/xml" }),
+        };
+      }
+      return {
+        filename: `${stem}.voc.zip`,
+        blob: createZip(
+          images.map((image) => ({
+            name: `Annotations/${stripExtension(image.name)}.xml`,
+            data: toPascalVoc(image),
+          })),
+        ),
+      };
+    case "yolo": {
+      const labels = collectLabels(images);
+      return {
+        filename: `${stem}.yolo.zip`,
+        blob: createZip([
+          { name: "classes.txt", data: labels.join("\n") + "\n" },
+          ...images.map((image) => ({
+            name: `labels/${stripExtension(image.name)}.txt`,
+            data: toYolo(image, labels),
+          })),
+        ]),
+      };
+    }
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+// Renders the image at its original resolution with the same box painter the
+// viewport uses, scaled so strokes and labels stay legible.
+export function renderAnnotatedImage(image, detections, displayWidth) {
+  const width = image.naturalWidth ?? image.width;
+  const height = image.naturalHeight ?? image.height;
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, width, height);
+  drawDetections(ctx, detections, width, height, {
+    clear: false,
+    scale: displayWidth ? Math.max(1, width / displayWidth) : 1,
+  });
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Unable to encode PNG.")),
+      "image/png",
+    ),
+  );
+}
+
+export async function measureImage(source) {
+  const bitmap = await createImageBitmap(source);
+  const size = { width: bitmap.width, height: bitmap.height };
+  bitmap.close();
+  return size;
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
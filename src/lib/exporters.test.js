@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { toCoco, toYolo } from "./exporters";
+
+const image = {
+  name: "street.jpg",
+  width: 1000,
+  height: 500,
+  detections: [
+    {
+      label: "car",
+      score: 0.91234,
+      box: { xmin: 0.1, ymin: 0.2, xmax: 0.5, ymax: 0.6 },
+    },
+    // Boxes can spill past the image edge
+    {
+      label: "bus",
+      score: null,
+      verified: true,
+      box: { xmin: -0.05, ymin: 0.5, xmax: 1.1, ymax: 1 },
+    },
+  ],
+};
+
+describe("toCoco", () => {
+  it("converts normalized boxes to clamped pixel bboxes", () => {
+    const coco = toCoco([image]);
+    expect(coco.images[0]).toMatchObject({ width: 1000, height: 500 });
+    expect(coco.annotations.map(({ bbox }) => bbox)).toEqual([
+      [100, 100, 400, 200],
+      [0, 250, 1000, 250],
+    ]);
+    expect(coco.annotations[0].score).toBe(0.9123);
+    expect(coco.annotations[1]).not.toHaveProperty("score");
+    expect(coco.annotations[1].verified).toBe(true);
+  });
+
+  it("keeps the folder path of batch images", () => {
+    const coco = toCoco([
+      { ...image, name: "day/img.jpg" },
+      { ...image, name: "night/img.jpg" },
+    ]);
+    expect(coco.images.map(({ file_name }) => file_name)).toEqual([
+      "day/img.jpg",
+      "night/img.jpg",
+    ]);
+  });
+});
+
+describe("toYolo", () => {
+  it("writes clamped center/size lines relative to the image", () => {
+    expect(toYolo(image, ["bus", "car"]).split("\n")).toEqual([
+      "1 0.300000 0.400000 0.400000 0.400000",
+      "0 0.500000 0.750000 1.000000 0.500000",
+    ]);
+  });
+});
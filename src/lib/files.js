@@ -0,0 +1,66 @@
+export const isImageFile = (file) => file.type.startsWith("image/");
+
+// A picked file as a { file, path } pair like the ones collected from drops
+export const fileEntry = (file) => ({
+  file,
+  path: file.webkitRelativePath || file.name,
+});
+
+const readEntries = (reader) =>
+  new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+const entryToFile = (entry) =>
+  new Promise((resolve, reject) => entry.file(resolve, reject));
+
+async function walkEntry(entry, found) {
+  if (entry.isFile) {
+    // fullPath looks like "/folder/sub/file.jpg"
+    found.push({
+      file: await entryToFile(entry),
+      path: entry.fullPath.slice(1),
+    });
+    return;
+  }
+  const reader = entry.createReader();
+  // readEntries returns directory contents in chunks until it yields nothing
+  for (;;) {
+    const entries = await readEntries(reader);
+    if (entries.length === 0) break;
+    for (const child of entries) await walkEntry(child, found);
+  }
+}
+
+// Flattens a drop into { file, path } pairs, descending into any dropped
+// directories. `fromDirectory` tells loose files apart from a folder drop.
+export async function collectDroppedEntries(dataTransfer) {
+  const entries = [...dataTransfer.items]
+    .filter((item) => item.kind === "file")
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return {
+      entries: [...dataTransfer.files].map((file) => ({
+        file,
+        path: file.name,
+      })),
+      fromDirectory: false,
+    };
+  }
+
+  const found = [];
+  for (const entry of entries) await walkEntry(entry, found);
+  return {
+    entries: found,
+    fromDirectory: entries.some((entry) => entry.isDirectory),
+  };
+}
+
+// The dropped images, keeping their folder paths apart from their files
+export async function collectDroppedImages(dataTransfer) {
+  const { entries, fromDirectory } = await collectDroppedEntries(dataTransfer);
+  return {
+    entries: entries.filter(({ file }) => isImageFile(file)),
+    fromDirectory,
+  };
+}
@@ -0,0 +1,244 @@
+// Ground-truth datasets for evaluation: a set of images plus their boxes as
+// COCO JSON (one file for everything) or YOLO txt (one file per image and a
+// class list). Boxes are normalized to [0, 1] like the detector's output, and
+// images are matched to annotations by file name without the extension.
+
+import { isImageFile } from "./files";
+import { baseName, measureImage } from "./exporters";
+
+const CLASS_LIST_FILES = new Set(["classes.txt", "obj.names"]);
+
+const fileName = (path) => path.split("/").pop();
+const isClassList = (path) =>
+  CLASS_LIST_FILES.has(fileName(path)) || path.endsWith(".names");
+const isYaml = (path) => /\.ya?ml$/.test(path);
+
+const clampBox = ({ xmin, ymin, xmax, ymax }) => ({
+  xmin: Math.max(0, xmin),
+  ymin: Math.max(0, ymin),
+  xmax: Math.min(1, xmax),
+  ymax: Math.min(1, ymax),
+});
+
+/**
+ * Parses a COCO detection file. Returns the category names and, per image
+ * file name, `{ width, height, objects: [{ label, box }] }` with boxes still
+ * in pixels. Crowd regions are skipped, as COCO's own evaluation ignores
+ * them.
+ */
+export function parseCoco(json) {
+  if (!Array.isArray(json?.images) || !Array.isArray(json?.annotations)) {
+    throw new Error("Not a COCO file: images and annotations are required");
+  }
+  const categories = new Map(
+    (json.categories ?? []).map(({ id, name }) => [id, name ?? String(id)]),
+  );
+  const images = new Map(
+    json.images.map(({ id, file_name, width, height }) => [
+      id,
+      { name: file_name, width, height, objects: [] },
+    ]),
+  );
+
+  for (const { image_id, category_id, bbox, iscrowd } of json.annotations) {
+    const image = images.get(image_id);
+    if (!image || !bbox || iscrowd) continue;
+    const [x, y, w, h] = bbox;
+    image.objects.push({
+      label: categories.get(category_id) ?? String(category_id),
+      box: { xmin: x, ymin: y, xmax: x + w, ymax: y + h },
+    });
+  }
+
+  return { labels: [...categories.values()], images: [...images.values()] };
+}
+
+/**
+ * Parses one YOLO label file: "<class> <cx> <cy> <w> <h>" per line, relative
+ * to the image, or "<class> <x1> <y1> <x2> <y2> ..." for segmentation
+ * polygons, whose bounding box is used. `names` maps class ids to labels.
+ */
+export function parseYolo(text, names = []) {
+  return text
+    .split("\n")
+    .map((line) => line.trim().split(/\s+/).map(Number))
+    .filter((values) => values.length >= 5 && values.every(Number.isFinite))
+    .map(([id, ...coords]) => {
+      const label = names[id] ?? String(id);
+      if (coords.length === 4) {
+        const [cx, cy, w, h] = coords;
+        return {
+          label,
+          box: clampBox({
+            xmin: cx - w / 2,
+            ymin: cy - h / 2,
+            xmax: cx + w / 2,
+            ymax: cy + h / 2,
+          }),
+        };
+      }
+      const xs = coords.filter((_, i) => i % 2 === 0);
+      const ys = coords.filter((_, i) => i % 2 === 1);
+      return {
+        label,
+        box: clampBox({
+          xmin: Math.min(...xs),
+          ymin: Math.min(...ys),
+          xmax: Math.max(...xs),
+          ymax: Math.max(...ys),
+        }),
+      };
+    });
+}
+
+// Class names from classes.txt / *.names (one per line) or the `names` entry
+// of an Ultralytics data.yaml, as a list, a "- name" block or an "id: name"
+// block
+export function parseClassNames(text, yaml = false) {
+  const unquote = (value) => value.trim().replace(/^(['"])(.*)\1$/, "$2");
+  if (!yaml) {
+    return text
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+  }
+
+  const lines = text.split("\n");
+  const start = lines.findIndex((line) => /^names\s*:/.test(line));
+  if (start === -1) return [];
+  const inline = lines[start].replace(/^names\s*:/, "").trim();
+  if (inline.startsWith("[")) {
+    return inline.slice(1, inline.lastIndexOf("]")).split(",").map(unquote);
+  }
+
+  const names = [];
+  for (const line of lines.slice(start + 1)) {
+    if (!/^\s+\S/.test(line)) break;
+    const item = line.trim();
+    const keyed = item.match(/^(\d+)\s*:\s*(.+)$/);
+    if (keyed) names[Number(keyed[1])] = unquote(keyed[2]);
+    else if (item.startsWith("- ")) names.push(unquote(item.slice(2)));
+  }
+  return names;
+}
+
+async function readCocoImages(json, imagesByName, warnings) {
+  const coco = parseCoco(json);
+  const images = [];
+  let missing = 0;
+  for (const { name, width, height, objects } of coco.images) {
+    const file = imagesByName.get(baseName(name));
+    if (!file) {
+      missing++;
+      continue;
+    }
+    // Sizes are optional in hand-written files
+    const size = width && height ? { width, height } : await measureImage(file);
+    images.push({
+      name: file.name,
+      file,
+      truth: objects.map(({ label, box }) => ({
+        label,
+        box: clampBox({
+          xmin: box.xmin / size.width,
+          ymin: box.ymin / size.height,
+          xmax: box.xmax / size.width,
+          ymax: box.ymax / size.height,
+        }),
+      })),
+    });
+  }
+  if (missing > 0) {
+    warnings.push(
+      `${missing} image${missing === 1 ? " in the COCO file wasn't" : "s in the COCO file weren't"} picked`,
+    );
+  }
+  return { labels: coco.labels, images };
+}
+
+async function readYoloImages(entries, imagesByName, warnings) {
+  const classList = entries.find(({ path }) => isClassList(path));
+  const yaml = entries.find(({ path }) => isYaml(path));
+  let names = [];
+  if (classList) names = parseClassNames(await classList.file.text());
+  else if (yaml) names = parseClassNames(await yaml.file.text(), true);
+  else warnings.push("No classes.txt or data.yaml; classes are shown by id");
+
+  const labelFiles = new Map(
+    entries
+      .filter(({ path }) => path.endsWith(".txt") && !isClassList(path))
+      .map((entry) => [baseName(entry.path), entry.file]),
+  );
+  const images = [];
+  for (const [key, file] of imagesByName) {
+    const labelFile = labelFiles.get(key);
+    images.push({
+      name: file.name,
+      file,
+      // YOLO leaves the label file out for images without objects
+      truth: labelFile ? parseYolo(await labelFile.text(), names) : [],
+    });
+  }
+  const orphans = [...labelFiles.keys()].filter(
+    (key) => !imagesByName.has(key),
+  ).length;
+  if (orphans > 0) {
+    warnings.push(
+      `${orphans} label file${orphans === 1 ? " has" : "s have"} no matching image`,
+    );
+  }
+  const found = new Set(
+    images.flatMap(({ truth }) => truth.map(({ label }) => label)),
+  );
+  return { labels: names.length ? names : [...found].sort(), images };
+}
+
+/**
+ * Builds a dataset from picked or dropped `{ file, path }` entries: the
+ * images and either one COCO JSON or YOLO txt files. Returns
+ * `{ format, labels, images: [{ name, file, truth }], errors, warnings }`.
+ */
+export async function prepareDataset(entries) {
+  const errors = [];
+  const warnings = [];
+  const imagesByName = new Map(
+    entries
+      .filter(({ file }) => isImageFile(file))
+      .map(({ file, path }) => [baseName(path), file]),
+  );
+  const cocoFiles = entries.filter(({ path }) => path.endsWith(".json"));
+  const format = cocoFiles.length > 0 ? "coco" : "yolo";
+
+  if (imagesByName.size === 0) errors.push("No images found");
+  if (cocoFiles.length > 1) {
+    errors.push("Pick a single COCO JSON file (several were found)");
+  }
+
+  let dataset = { labels: [], images: [] };
+  if (errors.length === 0) {
+    try {
+      dataset =
+        format === "coco"
+          ? await readCocoImages(
+              JSON.parse(await cocoFiles[0].file.text()),
+              imagesByName,
+              warnings,
+            )
+          : await readYoloImages(entries, imagesByName, warnings);
+    } catch (err) {
+      errors.push(`Could not read the annotations (${err.message})`);
+    }
+  }
+  if (errors.length === 0 && dataset.images.length === 0) {
+    errors.push("None of the picked images are in the COCO file");
+  }
+  if (
+    format === "yolo" &&
+    dataset.images.length > 0 &&
+    dataset.images.every(({ truth }) => truth.length === 0)
+  ) {
+    errors.push("No annotations found (expected COCO JSON or YOLO .txt files)");
+  }
+
+  return { format, ...dataset, errors, warnings };
+}
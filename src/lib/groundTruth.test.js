@@ -0,0 +1,137 @@
+import { describe, expect, it } from "vitest";
+import {
+  parseClassNames,
+  parseCoco,
+  parseYolo,
+  prepareDataset,
+} from "./groundTruth";
+
+const entry = (path, content, type = "") => ({
+  file: new File([content], path.split("/").pop(), { type }),
+  path,
+});
+const image = (path) => entry(path, "pixels", "image/jpeg");
+
+const COCO = {
+  images: [
+    { id: 1, file_name: "train/street.jpg", width: 200, height: 100 },
+    { id: 2, file_name: "park.jpg", width: 100, height: 100 },
+  ],
+  annotations: [
+    { id: 1, image_id: 1, category_id: 3, bbox: [20, 10, 100, 50] },
+    { id: 2, image_id: 1, category_id: 1, bbox: [0, 0, 50, 50], iscrowd: 1 },
+  ],
+  categories: [
+    { id: 1, name: "person" },
+    { id: 3, name: "car" },
+  ],
+};
+
+describe("parseCoco", () => {
+  it("groups pixel boxes by image and skips crowd regions", () => {
+    const { labels, images } = parseCoco(COCO);
+    expect(labels).toEqual(["person", "car"]);
+    expect(images[0]).toEqual({
+      name: "train/street.jpg",
+      width: 200,
+      height: 100,
+      objects: [
+        { label: "car", box: { xmin: 20, ymin: 10, xmax: 120, ymax: 60 } },
+      ],
+    });
+    expect(images[1].objects).toEqual([]);
+  });
+
+  it("rejects files that aren't COCO", () => {
+    expect(() => parseCoco({ annotations: [] })).toThrow(/Not a COCO file/);
+  });
+});
+
+describe("parseYolo", () => {
+  it("reads center/size boxes and the bounds of polygons", () => {
+    expect(
+      parseYolo("0 0.5 0.5 0.2 0.4\n\n1 0.1 0.1 0.3 0.2 0.2 0.5\n", [
+        "cat",
+        "dog",
+      ]),
+    ).toEqual([
+      {
+        label: "cat",
+        box: {
+          xmin: expect.closeTo(0.4),
+          ymin: expect.closeTo(0.3),
+          xmax: expect.closeTo(0.6),
+          ymax: expect.closeTo(0.7),
+        },
+      },
+      { label: "dog", box: { xmin: 0.1, ymin: 0.1, xmax: 0.3, ymax: 0.5 } },
+    ]);
+  });
+
+  it("falls back to the class id without names", () => {
+    expect(parseYolo("4 0.5 0.5 0.1 0.1")[0].label).toBe("4");
+  });
+});
+
+describe("parseClassNames", () => {
+  it("reads plain lists and the forms data.yaml uses", () => {
+    expect(parseClassNames("cat\ndog\n")).toEqual(["cat", "dog"]);
+    expect(parseClassNames("path: .\nnames: ['cat', dog]\n", true)).toEqual([
+      "cat",
+      "dog",
+    ]);
+    expect(
+      parseClassNames("names:\n  0: cat\n  1: 'hot dog'\nnc: 2\n", true),
+    ).toEqual(["cat", "hot dog"]);
+    expect(parseClassNames("names:\n  - cat\n  - dog\n", true)).toEqual([
+      "cat",
+      "dog",
+    ]);
+  });
+});
+
+describe("prepareDataset", () => {
+  it("matches COCO images by name and normalizes their boxes", async () => {
+    const dataset = await prepareDataset([
+      image("street.jpg"),
+      entry("instances.json", JSON.stringify(COCO)),
+    ]);
+    expect(dataset).toMatchObject({
+      format: "coco",
+      labels: ["person", "car"],
+      errors: [],
+      warnings: ["1 image in the COCO file wasn't picked"],
+    });
+    expect(dataset.images).toHaveLength(1);
+    expect(dataset.images[0].truth).toEqual([
+      { label: "car", box: { xmin: 0.1, ymin: 0.1, xmax: 0.6, ymax: 0.6 } },
+    ]);
+  });
+
+  it("reads YOLO label files from a folder", async () => {
+    const dataset = await prepareDataset([
+      image("data/images/a.jpg"),
+      image("data/images/b.jpg"),
+      entry("data/labels/a.txt", "1 0.5 0.5 0.5 0.5"),
+      entry("data/labels/c.txt", "0 0.5 0.5 0.5 0.5"),
+      entry("data/classes.txt", "cat\ndog"),
+    ]);
+    expect(dataset).toMatchObject({
+      format: "yolo",
+      labels: ["cat", "dog"],
+      errors: [],
+      warnings: ["1 label file has no matching image"],
+    });
+    // b.jpg has no objects
+    expect(dataset.images.map(({ truth }) => truth.length)).toEqual([1, 0]);
+  });
+
+  it("explains what is missing", async () => {
+    expect((await prepareDataset([image("a.jpg")])).errors).toEqual([
+      "No annotations found (expected COCO JSON or YOLO .txt files)",
+    ]);
+    expect((await prepareDataset([entry("a.json", "{")])).errors[0]).toBe(
+      "No images found",
+    );
+  });
+});
@@ -0,0 +1,152 @@
+// Session history in IndexedDB. Entries hold everything needed to restore a
+// still-image analysis; the image blobs live in a separate store, keyed by
+// content hash, so listing the history stays cheap and re-running the same
+// image with another model doesn't store it twice.
+
+import { getTask } from "../tasks";
+
+const DB_NAME = "transformer-vision";
+const DB_VERSION = 1;
+const ENTRIES = "entries";
+const IMAGES = "images";
+const THUMBNAIL_SIZE = 160;
+
+let dbPromise = null;
+
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const entries = db.createObjectStore(ENTRIES, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      entries.createIndex("imageHash", "imageHash");
+      db.createObjectStore(IMAGES);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+// Runs `work(stores)` in one transaction and resolves once it commits
+async function transaction(storeNames, mode, work) {
+  const db = await openDb();
+  const tx = db.transaction(storeNames, mode);
+  const stores = storeNames.map((name) => tx.objectStore(name));
+  const result = work(...stores);
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("Transaction aborted"));
+  });
+  return result instanceof IDBRequest ? result.result : result;
+}
+
+async function hashBlob(blob) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    await blob.arrayBuffer(),
+  );
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// Small JPEG data URL; a string, so the list needs no object URLs
+async function createThumbnail(blob) {
+  const bitmap = await createImageBitmap(blob);
+  try {
+    const scale = Math.min(
+      1,
+      THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height),
+    );
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas
+      .getContext("2d")
+      .drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return {
+      thumbnail: canvas.toDataURL("image/jpeg", 0.8),
+      width: bitmap.width,
+      height: bitmap.height,
+    };
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Stores a finished analysis of `blob`. `run` carries the name, task, model,
+ * device, dtype, task options, raw output and timing. Resolves to the saved
+ * entry (without the image).
+ */
+export async function saveHistoryEntry(blob, run) {
+  const imageHash = await hashBlob(blob);
+  const entry = {
+    ...run,
+    ...(await createThumbnail(blob)),
+    imageHash,
+    createdAt: Date.now(),
+  };
+  const id = await transaction(
+    [ENTRIES, IMAGES],
+    "readwrite",
+    (entries, images) => {
+      images.put(blob, imageHash);
+      return entries.add(entry);
+    },
+  );
+  return { ...entry, id };
+}
+
+// Newest first
+export async function listHistory() {
+  const entries = await transaction([ENTRIES], "readonly", (store) =>
+    store.getAll(),
+  );
+  return entries.reverse();
+}
+
+export const loadHistoryImage = (entry) =>
+  transaction([IMAGES], "readonly", (store) => store.get(entry.imageHash));
+
+// Merges `patch` (e.g. corrected annotations) into a stored entry
+export async function updateHistoryEntry(id, patch) {
+  await transaction([ENTRIES], "readwrite", (store) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, ...patch });
+    };
+  });
+}
+
+// Also drops the image once no other entry refers to it
+export async function deleteHistoryEntry(entry) {
+  await transaction([ENTRIES, IMAGES], "readwrite", (entries, images) => {
+    entries.delete(entry.id);
+    const request = entries.index("imageHash").count(entry.imageHash);
+    request.onsuccess = () => {
+      if (request.result === 0) images.delete(entry.imageHash);
+    };
+  });
+}
+
+export async function clearHistory() {
+  await transaction([ENTRIES, IMAGES], "readwrite", (entries, images) => {
+    entries.clear();
+    images.clear();
+  });
+}
+
+// What the entry showed: corrected annotations, else its predictions
+// filtered with the options it was run with
+export const historyResults = (entry) =>
+  entry.annotations ??
+  getTask(entry.task).postprocess(entry.raw, entry.options);
@@ -0,0 +1,83 @@
+// Image inputs besides the file picker: clipboard paste, remote URLs and the
+// sample gallery. Everything ends up as a File so it goes through the same
+// size check and orientation fix as uploads.
+
+import { isAbortError } from "./detectionClient";
+
+// Public domain photos (CC0, from the Getty's Open Content Program) shipped
+// in public/, so the service worker precaches them with the app shell and
+// they load offline. The URLs are absolute because they go through
+// fetchImageFile like any other URL.
+const sampleUrl = (name) =>
+  new URL(`${import.meta.env.BASE_URL}${name}`, window.location.origin).href;
+
+export const SAMPLE_IMAGES = [
+  { name: "sample-boats.jpg", label: "Boats at Nagasaki" },
+  { name: "sample-cat.jpg", label: "Walking cat (Muybridge)" },
+  { name: "sample-airplane.jpg", label: "Airplane from above" },
+].map((sample) => ({ ...sample, url: sampleUrl(sample.name) }));
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/avif": "avif",
+  "image/bmp": "bmp",
+};
+
+function fileNameFor(url, type) {
+  const last = decodeURIComponent(url.pathname.split("/").pop() || "");
+  if (/\.\w+$/.test(last)) return last;
+  return `${last || url.hostname}.${EXTENSIONS[type] ?? "img"}`;
+}
+
+/**
+ * Downloads an image URL into a File. Failures become messages meant for the
+ * user; in particular a rejected fetch almost always means the server
+ * doesn't send CORS headers, which the browser won't tell us directly.
+ */
+export async function fetchImageFile(input, { signal } = {}) {
+  let url;
+  try {
+    url = new URL(input.trim());
+  } catch {
+    throw new Error("That doesn't look like a valid URL.");
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new Error("Only http(s) image URLs are supported.");
+  }
+
+  let response;
+  try {
+    response = await fetch(url, { mode: "cors", signal });
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    throw new Error(
+      `${url.hostname} didn't allow the download. The server probably doesn't send CORS headers (or can't be reached). Save the image and upload it instead.`,
+    );
+  }
+  if (!response.ok) {
+    throw new Error(
+      `The server answered ${response.status}${response.statusText ? ` ${response.statusText}` : ""}.`,
+    );
+  }
+
+  const blob = await response.blob();
+  if (!blob.type.startsWith("image/")) {
+    throw new Error(
+      `That URL returned ${blob.type || "something"} instead of an image.`,
+    );
+  }
+  return new File([blob], fileNameFor(url, blob.type), { type: blob.type });
+}
+
+// What a paste event carries: image files, else a URL typed as text
+export function readClipboard(clipboardData) {
+  const files = [...clipboardData.files].filter((file) =>
+    file.type.startsWith("image/"),
+  );
+  if (files.length > 0) return { files };
+  const text = clipboardData.getData("text/plain").trim();
+  return /^https?:\/\/\S+$/i.test(text) ? { url: text } : {};
+}
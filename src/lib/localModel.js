@@ -0,0 +1,88 @@
+// Validates a user-supplied model folder before it's handed to the worker's
+// virtual file store. Paths are normalized to the Hub repo layout
+// (config.json, preprocessor_config.json, onnx/*.onnx).
+
+export const LOCAL_MODEL_PREFIX = "local/";
+
+const REQUIRED_FILES = ["config.json", "preprocessor_config.json"];
+
+// Model ids must look like "<org>/<name>" for Transformers.js to resolve them
+const sanitize = (name) =>
+  name.replace(/[^A-Za-z0-9._-]+/g, "-").replace(/^-+|-+$/g, "") || "model";
+
+// Drops the picked folder's own name and files ONNX graphs under onnx/
+function normalizePath(path, isFolder) {
+  const parts = path.split("/").filter(Boolean);
+  if (isFolder && parts.length > 1) parts.shift();
+  if (parts.length === 1 && parts[0].endsWith(".onnx")) parts.unshift("onnx");
+  return parts.join("/");
+}
+
+const readJson = async (file) => JSON.parse(await file.text());
+
+// `entries` is a list of { file, path }. Returns the worker source payload
+// plus what was found, or throws with every problem listed.
+export async function prepareLocalModel(
+  entries,
+  { requireLabels = true } = {},
+) {
+  const isFolder = entries.some(({ path }) => path.includes("/"));
+  const folderName = isFolder ? entries[0].path.split("/")[0] : "dropped-model";
+
+  const files = entries
+    .map(({ file, path }) => ({ file, path: normalizePath(path, isFolder) }))
+    .filter(
+      ({ path }) =>
+        path.endsWith(".json") ||
+        path.endsWith(".onnx") ||
+        path.endsWith(".onnx_data"),
+    );
+  const byPath = new Map(files.map((entry) => [entry.path, entry.file]));
+
+  const errors = [];
+  const warnings = [];
+
+  REQUIRED_FILES.forEach((name) => {
+    if (!byPath.has(name)) errors.push(`Missing ${name}`);
+  });
+
+  const graphs = files
+    .map(({ path }) => path)
+    .filter((path) => path.startsWith("onnx/") && path.endsWith(".onnx"));
+  if (graphs.length === 0)
+    errors.push("No ONNX graphs found (expected onnx/*.onnx)");
+
+  let labels = null;
+  if (byPath.has("config.json")) {
+    try {
+      const config = await readJson(byPath.get("config.json"));
+      labels = config.id2label ?? null;
+      if (!labels || Object.keys(labels).length === 0) {
+        (requireLabels ? errors : warnings).push(
+          "config.json has no id2label mapping",
+        );
+      }
+    } catch (err) {
+      errors.push(`config.json is not valid JSON (${err.message})`);
+    }
+  }
+
+  if (byPath.has("preprocessor_config.json")) {
+    try {
+      await readJson(byPath.get("preprocessor_config.json"));
+    } catch (err) {
+      errors.push(
+        `preprocessor_config.json is not valid JSON (${err.message})`,
+      );
+    }
+  }
+
+  return {
+    model: `${LOCAL_MODEL_PREFIX}${sanitize(folderName)}`,
+    files,
+    graphs,
+    labels,
+    errors,
+    warnings,
+  };
+}
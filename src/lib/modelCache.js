@@ -0,0 +1,67 @@
+// Inspects the Cache API storage Transformers.js downloads models into. Cache
+// keys are the remote file URLs, e.g.
+//   https://huggingface.co/<org>/<model>/resolve/<revision>/onnx/model.onnx
+
+export const CACHE_NAME = "transformers-cache";
+
+const RESOLVE_PATTERN = /^\/(.+?)\/resolve\/([^/]+)\/(.+)$/;
+
+export function parseCacheUrl(url) {
+  const { pathname } = new URL(url);
+  const match = decodeURIComponent(pathname).match(RESOLVE_PATTERN);
+  if (!match) return { model: pathname.replace(/^\//, ""), path: "" };
+  const [, model, revision, path] = match;
+  return { model, revision, path };
+}
+
+async function entrySize(cache, request) {
+  const response = await cache.match(request);
+  if (!response) return 0;
+  const length = Number(response.headers.get("content-length"));
+  if (length) return length;
+  return (await response.blob()).size;
+}
+
+export async function listCachedModels() {
+  if (typeof caches === "undefined") return [];
+  const cache = await caches.open(CACHE_NAME);
+  const requests = await cache.keys();
+  const models = new Map();
+
+  for (const request of requests) {
+    const { model, path } = parseCacheUrl(request.url);
+    const size = await entrySize(cache, request);
+    if (!models.has(model)) models.set(model, []);
+    models.get(model).push({ url: request.url, path, size });
+  }
+
+  return [...models.entries()]
+    .map(([model, files]) => ({
+      model,
+      files: files.sort((a, b) => a.path.localeCompare(b.path)),
+      size: files.reduce((sum, file) => sum + file.size, 0),
+    }))
+    .sort((a, b) => a.model.localeCompare(b.model));
+}
+
+export async function deleteCachedModel(model) {
+  const cache = await caches.open(CACHE_NAME);
+  const requests = await cache.keys();
+  await Promise.all(
+    requests
+      .filter((request) => parseCacheUrl(request.url).model === model)
+      .map((request) => cache.delete(request)),
+  );
+}
+
+export const clearModelCache = () => caches.delete(CACHE_NAME);
+
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  const persisted = (await navigator.storage.persisted?.()) ?? false;
+  return { usage, quota, persisted };
+}
+
+export const requestPersistentStorage = () =>
+  navigator.storage?.persist?.() ?? Promise.resolve(false);
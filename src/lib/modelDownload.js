@@ -0,0 +1,148 @@
+// Downloads Hub models into the Cache API storage Transformers.js reads
+// from, without loading them, so they can be used offline later. Entries are
+// keyed by their resolve URL exactly as Transformers.js stores them.
+// Files already cached are skipped, so running a failed download again
+// resumes it; a file that fails mid-way is never left half-written.
+
+import { CACHE_NAME } from "./modelCache";
+import { abortError, isAbortError } from "./detectionClient";
+import {
+  collectVariants,
+  fetchHubFiles,
+  loadedModules,
+  parseGraphPath,
+  resolveDtype,
+} from "./modelVariants";
+
+const resolveUrl = (model, path) =>
+  `https://huggingface.co/${model}/resolve/main/${path}`;
+
+// Configs, tokenizer and vocabulary files; README, images and the like are
+// skipped
+const isSupportFile = (path) => /\.(json|txt|model)$/.test(path);
+
+// Network failures and server errors are retried; 4xx answers and aborts
+// are not
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 1000; // ms, times the attempt number
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const abort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", abort, { once: true });
+  });
+}
+
+/**
+ * The files a pipeline needs for `model` at `dtype` (a dtype or a per-module
+ * map, resolved against what the repo ships): the top-level support files
+ * and the matching ONNX graphs with their external data.
+ */
+export async function modelFiles(model, dtype, signal) {
+  const [top, onnx] = await Promise.all([
+    fetchHubFiles(model, signal, ""),
+    fetchHubFiles(model, signal),
+  ]);
+  const variants = collectVariants(onnx);
+  if (!variants) throw new Error(`${model} has no ONNX graphs`);
+  const resolved = resolveDtype(dtype, variants);
+  const modules = new Set(loadedModules(variants));
+  const graphs = onnx.filter(({ path }) => {
+    const graph = parseGraphPath(path);
+    if (!graph || !modules.has(graph.module)) return false;
+    const wanted =
+      typeof resolved === "string" ? resolved : resolved[graph.module];
+    return graph.dtype === wanted;
+  });
+  return [...top.filter(({ path }) => isSupportFile(path)), ...graphs];
+}
+
+// The response with its body counted as it streams into the cache
+function counted(response, onBytes) {
+  const counter = new TransformStream({
+    transform(chunk, controller) {
+      onBytes(chunk.length);
+      controller.enqueue(chunk);
+    },
+  });
+  return new Response(response.body.pipeThrough(counter), {
+    headers: response.headers,
+  });
+}
+
+// Stores one file, retrying as described above. A failed attempt deletes
+// whatever it wrote and takes its bytes back out of the count.
+async function cacheFile(cache, url, { signal, onBytes, retryDelay }) {
+  for (let attempt = 1; ; attempt++) {
+    let written = 0;
+    let status = null; // of an HTTP error answer
+    try {
+      const response = await fetch(url, { signal });
+      if (!response.ok) {
+        status = response.status;
+        throw new Error(`${url} returned ${status}`);
+      }
+      await cache.put(
+        url,
+        counted(response, (bytes) => {
+          written += bytes;
+          onBytes(bytes);
+        }),
+      );
+      return;
+    } catch (err) {
+      await cache.delete(url);
+      onBytes(-written);
+      const retryable =
+        !isAbortError(err) && (status === null || status >= 500);
+      if (!retryable || attempt === MAX_ATTEMPTS) throw err;
+      await wait(retryDelay * attempt, signal);
+    }
+  }
+}
+
+/**
+ * Caches every file of `model` at `dtype` that isn't cached yet.
+ * `onProgress({ loaded, total })` reports bytes across all files. On
+ * failure or abort the files finished so far stay cached, so a retry only
+ * fetches the rest.
+ */
+export async function downloadModel(
+  model,
+  dtype,
+  { signal, onProgress, retryDelay = RETRY_DELAY } = {},
+) {
+  const files = await modelFiles(model, dtype, signal);
+  const cache = await caches.open(CACHE_NAME);
+  const total = files.reduce((sum, { size = 0 }) => sum + size, 0);
+  let loaded = 0;
+  onProgress?.({ loaded, total });
+
+  for (const { path, size = 0 } of files) {
+    const url = resolveUrl(model, path);
+    if (await cache.match(url)) {
+      loaded += size;
+    } else {
+      await cacheFile(cache, url, {
+        signal,
+        retryDelay,
+        onBytes: (bytes) => {
+          loaded += bytes;
+          onProgress?.({ loaded, total });
+        },
+      });
+    }
+    onProgress?.({ loaded, total });
+  }
+}
@@ -0,0 +1,165 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { downloadModel, modelFiles } from "./modelDownload";
+
+const TREE = {
+  "": [
+    { path: "config.json", size: 10, type: "file" },
+    { path: "preprocessor_config.json", size: 10, type: "file" },
+    { path: "README.md", size: 10, type: "file" },
+    { path: "onnx", type: "directory" },
+  ],
+  onnx: [
+    { path: "onnx/model.onnx", size: 400, type: "file" },
+    { path: "onnx/model_quantized.onnx", size: 100, type: "file" },
+    { path: "onnx/model_fp16.onnx", size: 200, type: "file" },
+    { path: "onnx/model_fp16.onnx_data", size: 50, type: "file" },
+  ],
+};
+
+const hubFetch = vi.fn(async (url) => {
+  const tree = url.match(/\/tree\/main\/?(.*)$/);
+  if (tree) return new Response(JSON.stringify(TREE[tree[1]]));
+  return new Response("bytes");
+});
+
+// Like the real put(), reads the whole body before storing the entry
+function stubCache(cached = []) {
+  const store = new Map(cached.map((url) => [url, new Response("old")]));
+  const cache = {
+    match: vi.fn(async (url) => store.get(url)),
+    put: vi.fn(async (url, response) => {
+      store.set(url, new Response(await response.arrayBuffer()));
+    }),
+    delete: vi.fn(async (url) => store.delete(url)),
+  };
+  vi.stubGlobal("caches", { open: async () => cache });
+  return store;
+}
+
+const GRAPH_URL =
+  "https://huggingface.co/org/detr/resolve/main/onnx/model_quantized.onnx";
+
+// The Hub, with `graph(attempt)` answering the q8 graph requests
+function flakyHub(graph) {
+  let attempts = 0;
+  return vi.fn(async (url, init) =>
+    url === GRAPH_URL ? graph(++attempts, init) : hubFetch(url, init),
+  );
+}
+
+// A body that sends some bytes, then fails
+const brokenBody = () =>
+  new ReadableStream({
+    start(controller) {
+      controller.enqueue(new Uint8Array(40));
+      controller.error(new TypeError("network error"));
+    },
+  });
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  hubFetch.mockClear();
+});
+
+describe("modelFiles", () => {
+  it("picks the support files and the graphs of the chosen precision", async () => {
+    vi.stubGlobal("fetch", hubFetch);
+    const files = await modelFiles("org/detr", "fp16");
+    expect(files.map(({ path }) => path)).toEqual([
+      "config.json",
+      "preprocessor_config.json",
+      "onnx/model_fp16.onnx",
+      "onnx/model_fp16.onnx_data",
+    ]);
+  });
+
+  it("swaps in a precision the model ships", async () => {
+    vi.stubGlobal("fetch", hubFetch);
+    const files = await modelFiles("org/detr", "q4");
+    expect(files.map(({ path }) => path)).toContain(
+      "onnx/model_quantized.onnx",
+    );
+  });
+});
+
+describe("downloadModel", () => {
+  it("caches missing files under their resolve URLs", async () => {
+    vi.stubGlobal("fetch", hubFetch);
+    const store = stubCache([
+      "https://huggingface.co/org/detr/resolve/main/config.json",
+    ]);
+    const onProgress = vi.fn();
+    await downloadModel("org/detr", "q8", { onProgress });
+
+    expect([...store.keys()]).toEqual([
+      "https://huggingface.co/org/detr/resolve/main/config.json",
+      "https://huggingface.co/org/detr/resolve/main/preprocessor_config.json",
+      "https://huggingface.co/org/detr/resolve/main/onnx/model_quantized.onnx",
+    ]);
+    // The cached config isn't fetched again
+    expect(hubFetch).not.toHaveBeenCalledWith(
+      "https://huggingface.co/org/detr/resolve/main/config.json",
+      expect.anything(),
+    );
+    expect(onProgress).toHaveBeenLastCalledWith({
+      loaded: expect.any(Number),
+      total: 120,
+    });
+  });
+
+  it("retries network and server failures", async () => {
+    const fetch = flakyHub((attempt) =>
+      attempt === 1
+        ? new Response(brokenBody())
+        : attempt === 2
+          ? new Response("busy", { status: 503 })
+          : new Response("graph"),
+    );
+    vi.stubGlobal("fetch", fetch);
+    const store = stubCache();
+    const onProgress = vi.fn();
+    await downloadModel("org/detr", "q8", { onProgress, retryDelay: 0 });
+
+    expect(await store.get(GRAPH_URL).text()).toBe("graph");
+    // The bytes of the broken attempt were taken back out
+    expect(onProgress.mock.calls.map(([{ loaded }]) => loaded)).toContain(0);
+  });
+
+  it("gives up on client errors, leaving nothing half-written", async () => {
+    vi.stubGlobal(
+      "fetch",
+      flakyHub(() => new Response("gated", { status: 401 })),
+    );
+    const store = stubCache();
+    await expect(
+      downloadModel("org/detr", "q8", { retryDelay: 0 }),
+    ).rejects.toThrow(`${GRAPH_URL} returned 401`);
+    expect(store.has(GRAPH_URL)).toBe(false);
+    // Finished files stay, so a retry resumes
+    expect(store.size).toBe(2);
+  });
+
+  it("deletes the file in flight when aborted", async () => {
+    const controller = new AbortController();
+    vi.stubGlobal(
+      "fetch",
+      flakyHub(() => {
+        controller.abort();
+        return new Response(
+          new ReadableStream({
+            start(stream) {
+              stream.error(
+                new DOMException("The operation was cancelled.", "AbortError"),
+              );
+            },
+          }),
+        );
+      }),
+    );
+    const store = stubCache();
+    await expect(
+      downloadModel("org/detr", "q8", { signal: controller.signal }),
+    ).rejects.toMatchObject({ name: "AbortError" });
+    expect(store.has(GRAPH_URL)).toBe(false);
+  });
+});
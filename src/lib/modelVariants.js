@@ -0,0 +1,182 @@
+// Which precisions (dtypes) a model actually ships. Transformers.js v3 picks
+// the ONNX graph by file suffix, e.g. onnx/model_q4f16.onnx for dtype "q4f16",
+// and a graph can spill its weights into model.onnx_data files.
+
+import { listCachedModels } from "./modelCache";
+
+export const DTYPES = [
+  { id: "fp32", suffix: "", label: "fp32 · full precision" },
+  { id: "fp16", suffix: "_fp16", label: "fp16 · half precision" },
+  { id: "q8", suffix: "_quantized", label: "q8 · 8-bit quantized" },
+  { id: "int8", suffix: "_int8", label: "int8 · signed 8-bit" },
+  { id: "uint8", suffix: "_uint8", label: "uint8 · unsigned 8-bit" },
+  { id: "q4", suffix: "_q4", label: "q4 · 4-bit weights" },
+  { id: "q4f16", suffix: "_q4f16", label: "q4f16 · 4-bit, fp16 activations" },
+  { id: "bnb4", suffix: "_bnb4", label: "bnb4 · bitsandbytes 4-bit" },
+];
+
+// Order in which a precision is chosen when the requested one isn't shipped
+const PREFERENCE = ["q8", "fp32", "fp16", "int8", "uint8", "q4", "q4f16"];
+
+// WebGPU only runs these when the adapter exposes the shader-f16 feature
+export const needsShaderF16 = (dtype) => dtype === "fp16" || dtype === "q4f16";
+
+const GRAPH_PATTERN = /^onnx\/(.+?)\.onnx(_data(_\d+)?)?$/;
+
+// "onnx/vision_model_fp16.onnx_data" -> { module: "vision_model", dtype: "fp16" }
+export function parseGraphPath(path) {
+  const match = path.match(GRAPH_PATTERN);
+  if (!match) return null;
+  const name = match[1];
+  const found = DTYPES.find(({ suffix }) => suffix && name.endsWith(suffix));
+  return found
+    ? { module: name.slice(0, -found.suffix.length), dtype: found.id }
+    : { module: name, dtype: "fp32" };
+}
+
+/**
+ * Groups `{ path, size }` entries into `{ [module]: { [dtype]: bytes } }`,
+ * adding external data files to the graph they belong to.
+ */
+export function collectVariants(files) {
+  const variants = {};
+  for (const { path, size = 0 } of files) {
+    const graph = parseGraphPath(path);
+    if (!graph) continue;
+    variants[graph.module] ??= {};
+    variants[graph.module][graph.dtype] =
+      (variants[graph.module][graph.dtype] ?? 0) + size;
+  }
+  return Object.keys(variants).length ? variants : null;
+}
+
+// `{ path, size }` of the files in one folder of a Hub model repo ("" for the
+// top level)
+export async function fetchHubFiles(model, signal, folder = "onnx") {
+  const response = await fetch(
+    `https://huggingface.co/api/models/${model}/tree/main${folder && `/${folder}`}`,
+    { signal },
+  );
+  if (!response.ok) throw new Error(`Hub returned ${response.status}`);
+  const entries = await response.json();
+  return entries
+    .filter((entry) => entry.type === "file")
+    .map((entry) => ({
+      path: entry.path,
+      size: entry.lfs?.size ?? entry.size,
+    }));
+}
+
+// Lists variants for a Hub model, falling back to whatever is in the browser
+// cache when the Hub can't be reached. Resolves to null when unknown.
+export async function fetchModelVariants(model, { signal } = {}) {
+  try {
+    return collectVariants(await fetchHubFiles(model, signal));
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    const cached = (await listCachedModels()).find(
+      (entry) => entry.model === model,
+    );
+    return cached ? collectVariants(cached.files) : null;
+  }
+}
+
+// Modules the pipeline will load. Single-graph models ship one "model" graph
+// (sometimes next to unused split encoder graphs); otherwise every graph loads.
+export const loadedModules = (variants) =>
+  "model" in variants ? ["model"] : Object.keys(variants).sort();
+
+/**
+ * Whether cached `{ path }` entries are enough to load the model without
+ * network: its config.json and, for every loaded module, the graph at
+ * `dtype` (as resolved for the model; a dtype or a per-module map). Without
+ * a dtype any precision cached for every module counts.
+ */
+export function isOfflineReady(files, dtype) {
+  if (!files.some(({ path }) => path === "config.json")) return false;
+  const variants = collectVariants(files);
+  if (!variants) return false;
+  if (dtype == null) return availableDtypes(variants).length > 0;
+  const modules =
+    typeof dtype === "string" ? loadedModules(variants) : Object.keys(dtype);
+  return modules.every((module) => {
+    const id = typeof dtype === "string" ? dtype : dtype[module];
+    return id in (variants[module] ?? {});
+  });
+}
+
+// Precisions every loaded module is available in, in DTYPES order
+export function availableDtypes(variants) {
+  if (!variants) return DTYPES.map(({ id }) => id);
+  const modules = loadedModules(variants);
+  return DTYPES.map(({ id }) => id).filter((id) =>
+    modules.every((module) => id in variants[module]),
+  );
+}
+
+const pickAvailable = (requested, available) =>
+  available.includes(requested)
+    ? requested
+    : (PREFERENCE.find((id) => available.includes(id)) ?? available[0]);
+
+/**
+ * Turns the user's selection (a dtype or a per-module map) into the `dtype`
+ * option for `pipeline()`, swapping out anything the model doesn't ship.
+ * Maps whose modules all agree collapse back to a single string.
+ */
+export function resolveDtype(selection, variants) {
+  if (!variants) {
+    // Nothing to check against; a map can't be validated, so pass it through
+    return selection;
+  }
+  const modules = loadedModules(variants);
+  const resolved = Object.fromEntries(
+    modules.map((module) => {
+      const requested =
+        typeof selection === "string" ? selection : selection?.[module];
+      return [module, pickAvailable(requested, Object.keys(variants[module]))];
+    }),
+  );
+  const values = new Set(Object.values(resolved));
+  return values.size === 1 ? [...values][0] : resolved;
+}
+
+// Bytes the resolved dtype will download, or null when sizes are unknown
+export function downloadSize(dtype, variants) {
+  if (!variants || !dtype) return null;
+  return loadedModules(variants).reduce((sum, module) => {
+    const id = typeof dtype === "string" ? dtype : dtype[module];
+    return sum + (variants[module][id] ?? 0);
+  }, 0);
+}
+
+// Precision to retry with after a device refused `dtype`: fp32, which every
+// backend runs, or else any graph that doesn't need fp16 shaders. Each step
+// moves closer to fp32, so repeated rejections end in null.
+export function fallbackDtype(dtype, variants) {
+  const rejected = typeof dtype === "string" ? dtype : null;
+  const available = availableDtypes(variants);
+  if (rejected !== "fp32" && available.includes("fp32")) return "fp32";
+  if (!rejected || !needsShaderF16(rejected)) return null;
+  return (
+    PREFERENCE.find((id) => available.includes(id) && !needsShaderF16(id)) ??
+    null
+  );
+}
+
+// Load failures that come from the backend refusing the graph's precision
+// rather than from the network, the model or one of its operators: the
+// message is about fp16 support or names the requested dtype
+export function isPrecisionRejection(err, dtype) {
+  const message = err?.message ?? "";
+  if (/fp16|float16|shader-f16/i.test(message)) return true;
+  const ids = typeof dtype === "string" ? [dtype] : Object.values(dtype ?? {});
+  return ids.some((id) => new RegExp(`\\b${id}\\b`, "i").test(message));
+}
+
+export const formatDtype = (dtype) =>
+  typeof dtype === "string"
+    ? dtype
+    : Object.entries(dtype ?? {})
+        .map(([module, id]) => `${module}:${id}`)
+        .join(", ");
@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { isOfflineReady, isPrecisionRejection } from "./modelVariants";
+
+const cached = (...paths) => paths.map((path) => ({ path, size: 1 }));
+
+describe("isOfflineReady", () => {
+  it("needs the model's own config.json", () => {
+    expect(
+      isOfflineReady(
+        cached("preprocessor_config.json", "onnx/model_quantized.onnx"),
+        "q8",
+      ),
+    ).toBe(false);
+    expect(
+      isOfflineReady(cached("config.json", "onnx/model_quantized.onnx"), "q8"),
+    ).toBe(true);
+  });
+
+  it("needs the graph of the selected precision", () => {
+    const files = cached("config.json", "onnx/model.onnx");
+    expect(isOfflineReady(files, "q8")).toBe(false);
+    expect(isOfflineReady(files, "fp32")).toBe(true);
+    // Any complete precision counts when none is selected
+    expect(isOfflineReady(files)).toBe(true);
+  });
+
+  it("checks every module of a per-module selection", () => {
+    const files = cached(
+      "config.json",
+      "onnx/vision_encoder_fp16.onnx",
+      "onnx/text_decoder_quantized.onnx",
+    );
+    expect(
+      isOfflineReady(files, { vision_encoder: "fp16", text_decoder: "q8" }),
+    ).toBe(true);
+    expect(
+      isOfflineReady(files, { vision_encoder: "fp16", text_decoder: "fp16" }),
+    ).toBe(false);
+  });
+});
+
+describe("isPrecisionRejection", () => {
+  it("recognizes fp16 failures and errors naming the dtype", () => {
+    expect(
+      isPrecisionRejection(
+        new Error("The adapter doesn't support the shader-f16 feature"),
+        "fp16",
+      ),
+    ).toBe(true);
+    expect(
+      isPrecisionRejection(
+        new Error("Can't create a session: q4f16 graphs need float16"),
+        "q4f16",
+      ),
+    ).toBe(true);
+    expect(
+      isPrecisionRejection(new Error("Unsupported data type q4"), {
+        model: "q4",
+      }),
+    ).toBe(true);
+  });
+
+  it("leaves other unsupported errors alone", () => {
+    expect(
+      isPrecisionRejection(new Error("Unsupported model type: yolos"), "q8"),
+    ).toBe(false);
+    expect(
+      isPrecisionRejection(
+        new Error("Failed to create a session: unsupported op GridSample"),
+        "q8",
+      ),
+    ).toBe(false);
+  });
+});
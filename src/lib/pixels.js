@@ -0,0 +1,11 @@
+// Stretches a srcWidth×srcHeight RGBA buffer over a width×height area of ctx
+export function drawRgba(ctx, rgba, srcWidth, srcHeight, width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = srcWidth;
+  canvas.height = srcHeight;
+  canvas
+    .getContext("2d")
+    .putImageData(new ImageData(rgba, srcWidth, srcHeight), 0, 0);
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(canvas, 0, 0, width, height);
+}
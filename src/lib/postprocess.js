@@ -0,0 +1,145 @@
+// Client-side post-processing. The worker is asked for every candidate above
+// RAW_THRESHOLD once; the settings below are then applied to that cached raw
+// output, so changing them never re-runs the model.
+
+export const RAW_THRESHOLD = 0.05;
+
+export const DEFAULT_DETECTION_SETTINGS = {
+  threshold: 0.75,
+  nms: true,
+  iou: 0.5,
+  maxDetections: 100,
+  labelMode: "all", // all, allow, deny
+  labels: [],
+};
+
+// Open-vocabulary scores are much lower than closed-set detector scores
+export const ZERO_SHOT_THRESHOLD = 0.1;
+
+export function boxArea({ xmin, ymin, xmax, ymax }) {
+  return Math.max(0, xmax - xmin) * Math.max(0, ymax - ymin);
+}
+
+export function iou(a, b) {
+  const intersection = boxArea({
+    xmin: Math.max(a.xmin, b.xmin),
+    ymin: Math.max(a.ymin, b.ymin),
+    xmax: Math.min(a.xmax, b.xmax),
+    ymax: Math.min(a.ymax, b.ymax),
+  });
+  const union = boxArea(a) + boxArea(b) - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+// Greedy NMS: keep the highest-scoring box and drop any box of the same
+// label that overlaps it by more than `threshold`.
+export function nonMaxSuppression(detections, threshold) {
+  const sorted = [...detections].sort((a, b) => b.score - a.score);
+  const kept = [];
+  for (const candidate of sorted) {
+    const suppressed = kept.some(
+      (keep) =>
+        keep.label === candidate.label &&
+        iou(keep.box, candidate.box) > threshold,
+    );
+    if (!suppressed) kept.push(candidate);
+  }
+  return kept;
+}
+
+// Intersection over the smaller box: a box cut in half at a tile border
+// scores ~1 against the full box, where IoU would only give ~0.5.
+export function intersectionOverSmaller(a, b) {
+  const intersection = boxArea({
+    xmin: Math.max(a.xmin, b.xmin),
+    ymin: Math.max(a.ymin, b.ymin),
+    xmax: Math.min(a.xmax, b.xmax),
+    ymax: Math.min(a.ymax, b.ymax),
+  });
+  const smaller = Math.min(boxArea(a), boxArea(b));
+  return smaller > 0 ? intersection / smaller : 0;
+}
+
+// Greedy non-maximum merging (as in SAHI) for sliced inference: overlapping
+// same-label boxes from different tiles are merged into their union, keeping
+// the highest score, instead of being suppressed.
+export function mergeSlicedDetections(detections, threshold = 0.5) {
+  const sorted = [...detections].sort((a, b) => b.score - a.score);
+  const merged = [];
+  for (const candidate of sorted) {
+    const target = merged.find(
+      (keep) =>
+        keep.label === candidate.label &&
+        intersectionOverSmaller(keep.box, candidate.box) > threshold,
+    );
+    if (!target) {
+      merged.push({ ...candidate, box: { ...candidate.box } });
+      continue;
+    }
+    target.box = {
+      xmin: Math.min(target.box.xmin, candidate.box.xmin),
+      ymin: Math.min(target.box.ymin, candidate.box.ymin),
+      xmax: Math.max(target.box.xmax, candidate.box.xmax),
+      ymax: Math.max(target.box.ymax, candidate.box.ymax),
+    };
+  }
+  return merged;
+}
+
+export function filterDetections(raw, settings = DEFAULT_DETECTION_SETTINGS) {
+  const {
+    threshold,
+    nms,
+    iou: iouThreshold,
+    maxDetections,
+    labelMode,
+    labels,
+  } = settings;
+  const selected = new Set(labels);
+
+  let detections = raw.filter(({ score, label }) => {
+    if (score < threshold) return false;
+    if (labelMode === "allow") return selected.has(label);
+    if (labelMode === "deny") return !selected.has(label);
+    return true;
+  });
+
+  if (nms) detections = nonMaxSuppression(detections, iouThreshold);
+  else detections = [...detections].sort((a, b) => b.score - a.score);
+
+  // Output of sliced inference carries the tile each box came from
+  if (detections.some((detection) => detection.tile != null)) {
+    detections = mergeSlicedDetections(detections);
+  }
+
+  return detections.slice(0, maxDetections);
+}
+
+// Unique, human-readable class names from a model's id2label mapping
+export function labelsFromConfig(id2label) {
+  if (!id2label) return [];
+  return [...new Set(Object.values(id2label))]
+    .filter((label) => label && label !== "N/A")
+    .sort();
+}
+
+// Comma-separated free text (e.g. zero-shot candidate labels) to unique labels
+export const parseLabelList = (text) => [
+  ...new Set(
+    text
+      .split(",")
+      .map((label) => label.trim())
+      .filter(Boolean),
+  ),
+];
+
+// Worker arguments for both detection tasks: every candidate above
+// RAW_THRESHOLD, with boxes normalized to [0, 1] so they scale with any
+// canvas, plus the candidate labels for zero-shot models
+export const rawDetectionOptions = (settings = {}) => ({
+  ...(settings.candidateLabels != null && {
+    candidate_labels: parseLabelList(settings.candidateLabels),
+  }),
+  threshold: RAW_THRESHOLD,
+  percentage: true,
+});
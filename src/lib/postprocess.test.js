@@ -0,0 +1,174 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_DETECTION_SETTINGS,
+  RAW_THRESHOLD,
+  filterDetections,
+  intersectionOverSmaller,
+  iou,
+  labelsFromConfig,
+  mergeSlicedDetections,
+  nonMaxSuppression,
+  parseLabelList,
+  rawDetectionOptions,
+} from "./postprocess";
+
+const box = (xmin, ymin, xmax, ymax) => ({ xmin, ymin, xmax, ymax });
+const detection = (label, score, b, extra) => ({
+  label,
+  score,
+  box: b,
+  ...extra,
+});
+
+describe("iou", () => {
+  it("is 1 for identical boxes and 0 for disjoint ones", () => {
+    expect(iou(box(0, 0, 1, 1), box(0, 0, 1, 1))).toBe(1);
+    expect(iou(box(0, 0, 0.2, 0.2), box(0.5, 0.5, 1, 1))).toBe(0);
+  });
+
+  it("divides the intersection by the union", () => {
+    // 0.5 × 1 overlap, union 1.5
+    expect(iou(box(0, 0, 1, 1), box(0.5, 0, 1.5, 1))).toBeCloseTo(1 / 3);
+  });
+
+  it("is 0 for degenerate boxes", () => {
+    expect(iou(box(0.5, 0.5, 0.5, 0.5), box(0.5, 0.5, 0.5, 0.5))).toBe(0);
+  });
+});
+
+describe("intersectionOverSmaller", () => {
+  it("scores a box cut at a tile border ~1 against the full box", () => {
+    const full = box(0.2, 0.2, 0.6, 0.6);
+    const half = box(0.2, 0.2, 0.4, 0.6);
+    expect(intersectionOverSmaller(full, half)).toBe(1);
+    expect(iou(full, half)).toBeCloseTo(0.5);
+  });
+});
+
+describe("nonMaxSuppression", () => {
+  it("keeps the best of overlapping boxes with the same label", () => {
+    const best = detection("cat", 0.9, box(0, 0, 0.5, 0.5));
+    const duplicate = detection("cat", 0.8, box(0.01, 0.01, 0.5, 0.5));
+    expect(nonMaxSuppression([duplicate, best], 0.5)).toEqual([best]);
+  });
+
+  it("keeps overlapping boxes with different labels", () => {
+    const cat = detection("cat", 0.9, box(0, 0, 0.5, 0.5));
+    const dog = detection("dog", 0.8, box(0, 0, 0.5, 0.5));
+    expect(nonMaxSuppression([cat, dog], 0.5)).toEqual([cat, dog]);
+  });
+});
+
+describe("mergeSlicedDetections", () => {
+  it("merges halves of an object split across tiles into their union", () => {
+    const left = detection("car", 0.7, box(0.1, 0.1, 0.5, 0.4), { tile: 0 });
+    const right = detection("car", 0.9, box(0.45, 0.1, 0.8, 0.4), { tile: 1 });
+    const [merged, ...rest] = mergeSlicedDetections([left, right], 0.1);
+    expect(rest).toEqual([]);
+    expect(merged.score).toBe(0.9);
+    expect(merged.box).toEqual(box(0.1, 0.1, 0.8, 0.4));
+  });
+
+  it("leaves its input untouched", () => {
+    const a = detection("car", 0.9, box(0, 0, 0.5, 0.5), { tile: 0 });
+    const b = detection("car", 0.8, box(0.1, 0.1, 0.6, 0.6), { tile: 1 });
+    mergeSlicedDetections([a, b]);
+    expect(a.box).toEqual(box(0, 0, 0.5, 0.5));
+  });
+});
+
+describe("filterDetections", () => {
+  const raw = [
+    detection("cat", 0.95, box(0, 0, 0.4, 0.4)),
+    detection("cat", 0.9, box(0.01, 0, 0.4, 0.4)),
+    detection("dog", 0.8, box(0.5, 0.5, 0.9, 0.9)),
+    detection("remote", 0.3, box(0.6, 0.1, 0.7, 0.2)),
+  ];
+  const settings = (overrides) => ({
+    ...DEFAULT_DETECTION_SETTINGS,
+    ...overrides,
+  });
+
+  it("applies the threshold and suppresses duplicates by default", () => {
+    expect(filterDetections(raw).map(({ label }) => label)).toEqual([
+      "cat",
+      "dog",
+    ]);
+  });
+
+  it("sorts by score when NMS is off", () => {
+    const result = filterDetections(
+      raw,
+      settings({ nms: false, threshold: 0 }),
+    );
+    expect(result.map(({ score }) => score)).toEqual([0.95, 0.9, 0.8, 0.3]);
+  });
+
+  it("allows or denies the selected labels", () => {
+    const allow = settings({
+      threshold: 0,
+      labelMode: "allow",
+      labels: ["dog"],
+    });
+    const deny = settings({ threshold: 0, labelMode: "deny", labels: ["cat"] });
+    expect(filterDetections(raw, allow).map(({ label }) => label)).toEqual([
+      "dog",
+    ]);
+    expect(filterDetections(raw, deny).map(({ label }) => label)).toEqual([
+      "dog",
+      "remote",
+    ]);
+  });
+
+  it("caps the number of detections", () => {
+    expect(
+      filterDetections(raw, settings({ threshold: 0, maxDetections: 2 })),
+    ).toHaveLength(2);
+  });
+
+  it("merges sliced output", () => {
+    const sliced = [
+      detection("car", 0.9, box(0.1, 0.1, 0.5, 0.4), { tile: 0 }),
+      detection("car", 0.85, box(0.2, 0.1, 0.6, 0.4), { tile: 1 }),
+    ];
+    const [merged, ...rest] = filterDetections(
+      sliced,
+      settings({ nms: false }),
+    );
+    expect(rest).toEqual([]);
+    expect(merged.box).toEqual(box(0.1, 0.1, 0.6, 0.4));
+  });
+});
+
+describe("labels", () => {
+  it("reads unique, sorted class names from id2label", () => {
+    expect(
+      labelsFromConfig({ 0: "N/A", 1: "dog", 2: "cat", 3: "dog" }),
+    ).toEqual(["cat", "dog"]);
+    expect(labelsFromConfig(undefined)).toEqual([]);
+  });
+
+  it("splits free-text label lists", () => {
+    expect(parseLabelList(" a cat, a dog ,, a cat")).toEqual([
+      "a cat",
+      "a dog",
+    ]);
+  });
+});
+
+describe("rawDetectionOptions", () => {
+  it("asks for every candidate with normalized boxes", () => {
+    expect(rawDetectionOptions()).toEqual({
+      threshold: RAW_THRESHOLD,
+      percentage: true,
+    });
+  });
+
+  it("passes zero-shot candidate labels as a list", () => {
+    expect(rawDetectionOptions({ candidateLabels: "cat, dog" })).toEqual({
+      candidate_labels: ["cat", "dog"],
+      threshold: RAW_THRESHOLD,
+      percentage: true,
+    });
+  });
+});
@@ -0,0 +1,78 @@
+// Page side of the installed app: service worker registration with an
+// update prompt, and images handed to the app by the OS (share target and
+// file handler). The worker itself is src/workers/service.worker.js.
+
+// Where the service worker keeps shared images, and the query parameter it
+// opens the app with
+export const SHARE_CACHE = "shared-images";
+const SHARE_PARAM = "shared";
+
+/**
+ * Registers the service worker. `onUpdate(apply)` is called when a new
+ * version has been installed and is waiting; `apply()` activates it and
+ * reloads the page once it has taken over.
+ */
+export async function registerServiceWorker(onUpdate) {
+  const container = navigator.serviceWorker;
+  if (!container) return;
+  const base = import.meta.env.BASE_URL;
+  const registration = await container.register(`${base}sw.js`, {
+    scope: base,
+  });
+
+  let accepted = false;
+  container.addEventListener("controllerchange", () => {
+    // The first install also takes control, without anything to reload
+    if (accepted) window.location.reload();
+  });
+  const offer = (worker) =>
+    onUpdate(() => {
+      accepted = true;
+      worker.postMessage({ type: "skip-waiting" });
+    });
+
+  // Without a controller this is the first install, not an update
+  if (registration.waiting && container.controller) {
+    offer(registration.waiting);
+  }
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    worker?.addEventListener("statechange", () => {
+      if (worker.state === "installed" && container.controller) offer(worker);
+    });
+  });
+}
+
+// Images the service worker received through the share target. They are
+// handed over once: the cache and the query parameter are cleared.
+export async function takeSharedFiles() {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has(SHARE_PARAM) || typeof caches === "undefined") {
+    return [];
+  }
+  url.searchParams.delete(SHARE_PARAM);
+  window.history.replaceState(window.history.state, "", url);
+
+  const cache = await caches.open(SHARE_CACHE);
+  const files = await Promise.all(
+    (await cache.keys()).map(async (request) => {
+      const response = await cache.match(request);
+      return new File(
+        [await response.blob()],
+        decodeURIComponent(response.headers.get("x-file-name") ?? "shared"),
+        { type: response.headers.get("content-type") ?? "" },
+      );
+    }),
+  );
+  await caches.delete(SHARE_CACHE);
+  return files;
+}
+
+// Images opened with the installed app from the OS (File Handling API).
+// `onFiles` gets the files of every launch.
+export function consumeLaunchFiles(onFiles) {
+  window.launchQueue?.setConsumer(async ({ files = [] }) => {
+    if (files.length === 0) return;
+    onFiles(await Promise.all(files.map((handle) => handle.getFile())));
+  });
+}
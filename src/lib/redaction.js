@@ -0,0 +1,166 @@
+// Privacy redaction: regions come from the detections of the chosen labels
+// (padded), minus the ones the user took out, plus boxes drawn by hand. The
+// same routine paints the on-screen preview and the full-resolution export,
+// so what you see is what gets saved. Everything happens on local canvases;
+// re-encoding through a canvas also drops EXIF/GPS and any other metadata.
+
+export const REDACTION_METHODS = [
+  { id: "blur", label: "Blur" },
+  { id: "pixelate", label: "Pixelate" },
+  { id: "box", label: "Black Box" },
+];
+
+export const REDACTION_FORMATS = [
+  { id: "image/png", label: "PNG", extension: "png" },
+  { id: "image/jpeg", label: "JPEG", extension: "jpg" },
+];
+
+export const DEFAULT_REDACTION = {
+  method: "blur",
+  labels: ["person"],
+  padding: 0.1, // fraction of the box size added on every side
+  strength: 0.6, // 0 = light, 1 = heaviest
+  format: "image/png",
+};
+
+// Manual changes for one image: boxes drawn by hand and detections taken out
+export const EMPTY_REDACTION_EDITS = { added: [], removed: [] };
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+let nextId = 0;
+export const manualRegion = (box) => ({ id: `r${++nextId}`, box });
+
+// Identifies a detection across re-filtering, which rebuilds the objects
+export const regionKey = ({ label, box }) =>
+  [label, box.xmin, box.ymin, box.xmax, box.ymax]
+    .map((value) => (typeof value === "number" ? value.toFixed(4) : value))
+    .join(":");
+
+export function padBox(box, padding) {
+  const dx = (box.xmax - box.xmin) * padding;
+  const dy = (box.ymax - box.ymin) * padding;
+  return {
+    xmin: clamp01(box.xmin - dx),
+    ymin: clamp01(box.ymin - dy),
+    xmax: clamp01(box.xmax + dx),
+    ymax: clamp01(box.ymax + dy),
+  };
+}
+
+/**
+ * Regions to redact, as `{ key, label, box, manual }` with normalized boxes.
+ * Also returns the `excluded` detections of chosen labels the user took out,
+ * so they can be shown and restored.
+ */
+export function redactionRegions(
+  detections,
+  { labels, padding },
+  { added, removed } = EMPTY_REDACTION_EDITS,
+) {
+  const chosen = new Set(labels);
+  const taken = new Set(removed);
+  const regions = [];
+  const excluded = [];
+
+  for (const detection of detections) {
+    if (!chosen.has(detection.label)) continue;
+    const key = regionKey(detection);
+    const region = {
+      key,
+      label: detection.label,
+      box: padBox(detection.box, padding),
+      manual: false,
+    };
+    (taken.has(key) ? excluded : regions).push(region);
+  }
+  // Hand-drawn boxes are taken exactly as drawn
+  for (const { id, box } of added) {
+    regions.push({ key: id, label: "manual", box, manual: true });
+  }
+  return { regions, excluded };
+}
+
+// Cells across a region's longer side: fewer cells hide more
+const cellsFor = (strength) => Math.round(32 - clamp01(strength) * 28);
+
+// Redacts one region. `src` is in the image's pixels, `dst` in the target
+// context's units; blur and pixelate both shrink the region to a few cells
+// (which discards the detail for good) and scale it back up, smoothly or not.
+function redactRegion(ctx, image, src, dst, { method, strength }) {
+  if (method === "box") {
+    ctx.fillStyle = "#000";
+    ctx.fillRect(dst.x, dst.y, dst.width, dst.height);
+    return;
+  }
+  const scale = cellsFor(strength) / Math.max(src.width, src.height);
+  const width = Math.max(1, Math.round(src.width * scale));
+  const height = Math.max(1, Math.round(src.height * scale));
+  const small = new OffscreenCanvas(width, height);
+  const smallCtx = small.getContext("2d");
+  smallCtx.imageSmoothingQuality = "high";
+  smallCtx.drawImage(
+    image,
+    src.x,
+    src.y,
+    src.width,
+    src.height,
+    0,
+    0,
+    width,
+    height,
+  );
+
+  ctx.save();
+  ctx.imageSmoothingEnabled = method === "blur";
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(
+    small,
+    0,
+    0,
+    width,
+    height,
+    dst.x,
+    dst.y,
+    dst.width,
+    dst.height,
+  );
+  ctx.restore();
+}
+
+const toRect = ({ xmin, ymin, xmax, ymax }, width, height) => ({
+  x: xmin * width,
+  y: ymin * height,
+  width: (xmax - xmin) * width,
+  height: (ymax - ymin) * height,
+});
+
+// Paints `image` (an <img>, bitmap or canvas) redacted onto a context of
+// the given size
+export function drawRedacted(ctx, image, regions, width, height, settings) {
+  const naturalWidth = image.naturalWidth ?? image.width;
+  const naturalHeight = image.naturalHeight ?? image.height;
+  ctx.drawImage(image, 0, 0, width, height);
+  for (const { box } of regions) {
+    const src = toRect(box, naturalWidth, naturalHeight);
+    if (src.width < 1 || src.height < 1) continue;
+    redactRegion(ctx, image, src, toRect(box, width, height), settings);
+  }
+}
+
+// The redacted image at full original resolution, freshly encoded (no
+// metadata) in `settings.format`
+export async function exportRedacted(image, regions, settings) {
+  const width = image.naturalWidth;
+  const height = image.naturalHeight;
+  const canvas = new OffscreenCanvas(width, height);
+  drawRedacted(
+    canvas.getContext("2d"),
+    image,
+    regions,
+    width,
+    height,
+    settings,
+  );
+  return canvas.convertToBlob({ type: settings.format, quality: 0.92 });
+}
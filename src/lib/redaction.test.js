@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_REDACTION,
+  manualRegion,
+  padBox,
+  redactionRegions,
+  regionKey,
+} from "./redaction";
+
+const face = {
+  label: "person",
+  score: 0.9,
+  box: { xmin: 0.2, ymin: 0.2, xmax: 0.4, ymax: 0.6 },
+};
+const plate = {
+  label: "car",
+  score: 0.8,
+  box: { xmin: 0.9, ymin: 0.8, xmax: 1, ymax: 1 },
+};
+
+describe("padBox", () => {
+  it("grows the box by a fraction of its size and clamps to the image", () => {
+    expect(padBox(face.box, 0.75)).toEqual({
+      xmin: expect.closeTo(0.05),
+      ymin: 0,
+      xmax: expect.closeTo(0.55),
+      ymax: expect.closeTo(0.9),
+    });
+    expect(padBox(plate.box, 0.5)).toMatchObject({ xmax: 1, ymax: 1 });
+  });
+});
+
+describe("redactionRegions", () => {
+  const settings = { ...DEFAULT_REDACTION, padding: 0 };
+
+  it("redacts only the chosen labels", () => {
+    const { regions, excluded } = redactionRegions([face, plate], settings);
+    expect(regions).toEqual([
+      { key: regionKey(face), label: "person", box: face.box, manual: false },
+    ]);
+    expect(excluded).toEqual([]);
+  });
+
+  it("keeps removed detections apart so they can be restored", () => {
+    // Re-filtering rebuilds the objects; the key still matches
+    const removed = [regionKey({ ...face, box: { ...face.box } })];
+    const { regions, excluded } = redactionRegions(
+      [face, plate],
+      { ...settings, labels: ["person", "car"] },
+      { added: [], removed },
+    );
+    expect(regions.map(({ label }) => label)).toEqual(["car"]);
+    expect(excluded.map(({ label }) => label)).toEqual(["person"]);
+  });
+
+  it("adds hand-drawn boxes unpadded", () => {
+    const drawn = manualRegion({ xmin: 0, ymin: 0, xmax: 0.1, ymax: 0.1 });
+    const { regions } = redactionRegions(
+      [],
+      { ...settings, padding: 0.5 },
+      { added: [drawn], removed: [] },
+    );
+    expect(regions).toEqual([
+      { key: drawn.id, label: "manual", box: drawn.box, manual: true },
+    ]);
+  });
+});
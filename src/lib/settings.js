@@ -0,0 +1,273 @@
+// Settings that survive reloads. They are saved to localStorage and can be
+// overridden by URL query parameters, so a link can open the app with an
+// exact configuration:
+//   ?task=object-detection&model=onnx-community/detr-resnet-50-ONNX
+//    &device=webgpu&dtype=fp16&threshold=0.5
+// Values are validated; bad ones are dropped and reported, never passed on
+// to the model loader.
+
+import { TASKS, DEFAULT_TASK, getTask, initialTaskOptions } from "../tasks";
+import { DTYPES } from "./modelVariants";
+import { LOCAL_MODEL_PREFIX } from "./localModel";
+import { RAW_THRESHOLD } from "./postprocess";
+import { DEFAULT_SLICING, MAX_OVERLAP, TILE_SIZES } from "./tiling";
+
+const STORAGE_KEY = "transformer-vision:settings";
+
+export const DEVICES = ["auto", "webgpu", "wasm", "webnn", "cpu"];
+export const FALLBACK_DEVICES = DEVICES.filter((device) => device !== "auto");
+export const URL_PARAMS = ["task", "model", "device", "dtype", "threshold"];
+
+// Hub ids are "<owner>/<name>"; local folder ids only exist in memory
+const MODEL_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+const isHubModel = (model) =>
+  typeof model === "string" &&
+  MODEL_PATTERN.test(model) &&
+  !model.startsWith(LOCAL_MODEL_PREFIX);
+
+export const DEFAULT_SETTINGS = {
+  task: DEFAULT_TASK,
+  model: getTask(DEFAULT_TASK).defaultModel,
+  source: { type: "hub" },
+  device: "auto",
+  dtype: "q8",
+  fallbackDevices: ["wasm"], // webgpu → wasm
+  taskOptions: initialTaskOptions(),
+  slicing: DEFAULT_SLICING,
+};
+
+const isObject = (value) =>
+  value != null && typeof value === "object" && !Array.isArray(value);
+
+// One dtype, or a per-module map with at least one module
+export const isDtype = (value) =>
+  typeof value === "string"
+    ? DTYPES.some(({ id }) => id === value)
+    : isObject(value) &&
+      Object.keys(value).length > 0 &&
+      Object.values(value).every(isDtype);
+
+const kind = (value) =>
+  Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+
+// Stored options of one task, keeping only known ones of the default's kind
+const storedOptions = (defaults, stored) =>
+  Object.fromEntries(
+    Object.entries(defaults).map(([name, value]) => [
+      name,
+      isObject(stored) && kind(stored[name]) === kind(value)
+        ? stored[name]
+        : value,
+    ]),
+  );
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// A model server needs an absolute http(s) URL, and so do its WASM paths
+const isSelfHosted = (source) =>
+  source?.type === "self-hosted" &&
+  isHttpUrl(source.url) &&
+  (source.wasmPaths == null || isHttpUrl(source.wasmPaths));
+
+function storedSlicing(stored) {
+  if (!isObject(stored)) return DEFAULT_SLICING;
+  const { enabled, tileSize, overlap, fullImage } = stored;
+  return {
+    enabled: typeof enabled === "boolean" ? enabled : DEFAULT_SLICING.enabled,
+    tileSize: TILE_SIZES.includes(tileSize)
+      ? tileSize
+      : DEFAULT_SLICING.tileSize,
+    overlap:
+      Number.isFinite(overlap) && overlap >= 0 && overlap <= MAX_OVERLAP
+        ? overlap
+        : DEFAULT_SLICING.overlap,
+    fullImage:
+      typeof fullImage === "boolean" ? fullImage : DEFAULT_SLICING.fullImage,
+  };
+}
+
+function readStored() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+// Stored settings are trusted only as far as they still make sense, e.g.
+// after a task was renamed; anything odd falls back to the default.
+function fromStorage(stored) {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (getTask(stored.task)) settings.task = stored.task;
+
+  // Local folders can't be restored, so their model isn't either
+  const source = isSelfHosted(stored.source)
+    ? {
+        type: "self-hosted",
+        url: stored.source.url,
+        wasmPaths: stored.source.wasmPaths ?? undefined,
+      }
+    : null;
+  if (source) settings.source = source;
+  settings.model =
+    getTask(stored.task) &&
+    (source ? typeof stored.model === "string" : isHubModel(stored.model))
+      ? stored.model
+      : getTask(settings.task).defaultModel;
+
+  if (DEVICES.includes(stored.device)) settings.device = stored.device;
+  if (isDtype(stored.dtype)) settings.dtype = stored.dtype;
+  if (Array.isArray(stored.fallbackDevices)) {
+    settings.fallbackDevices = stored.fallbackDevices.filter((device) =>
+      FALLBACK_DEVICES.includes(device),
+    );
+  }
+  // Read per option so ones added since keep their default
+  settings.taskOptions = Object.fromEntries(
+    TASKS.map(({ id, defaultOptions }) => [
+      id,
+      storedOptions(
+        defaultOptions,
+        isObject(stored.taskOptions) ? stored.taskOptions[id] : null,
+      ),
+    ]),
+  );
+  settings.slicing = storedSlicing(stored.slicing);
+  return settings;
+}
+
+// Applies URL parameters on top of `settings`; returns the result, one
+// message per parameter that was ignored and the requested dtype, which can
+// only be checked against the model's variants later
+function applyUrlParams(settings, params) {
+  const next = { ...settings };
+  const errors = [];
+  let linkDtype = null;
+  const reject = (name, value, reason) =>
+    errors.push(`${name}=${value}: ${reason}`);
+
+  const task = params.get("task");
+  if (task != null) {
+    if (getTask(task)) {
+      if (task !== next.task) next.model = getTask(task).defaultModel;
+      next.task = task;
+    } else {
+      reject(
+        "task",
+        task,
+        `expected one of ${TASKS.map(({ id }) => id).join(", ")}`,
+      );
+    }
+  }
+
+  const model = params.get("model");
+  if (model != null) {
+    if (isHubModel(model)) {
+      next.model = model;
+      next.source = { type: "hub" };
+    } else {
+      reject("model", model, "expected a Hub id like owner/name");
+    }
+  }
+
+  const device = params.get("device");
+  if (device != null) {
+    if (DEVICES.includes(device)) next.device = device;
+    else reject("device", device, `expected one of ${DEVICES.join(", ")}`);
+  }
+
+  const dtype = params.get("dtype");
+  if (dtype != null) {
+    if (isDtype(dtype)) {
+      next.dtype = dtype;
+      linkDtype = dtype;
+    } else {
+      reject(
+        "dtype",
+        dtype,
+        `expected one of ${DTYPES.map(({ id }) => id).join(", ")}`,
+      );
+    }
+  }
+
+  const threshold = params.get("threshold");
+  if (threshold != null) {
+    const value = Number(threshold);
+    const options = next.taskOptions[next.task];
+    if (!("threshold" in options)) {
+      reject(
+        "threshold",
+        threshold,
+        `${getTask(next.task).label} has no threshold`,
+      );
+    } else if (
+      threshold.trim() === "" ||
+      !(value >= RAW_THRESHOLD && value <= 1)
+    ) {
+      reject(
+        "threshold",
+        threshold,
+        `expected a number from ${RAW_THRESHOLD} to 1`,
+      );
+    } else {
+      next.taskOptions = {
+        ...next.taskOptions,
+        [next.task]: { ...options, threshold: value },
+      };
+    }
+  }
+
+  return { settings: next, errors, linkDtype };
+}
+
+/**
+ * Settings to start with: defaults, then localStorage, then the query string.
+ * `errors` lists the URL parameters that were ignored and why; `linkDtype`
+ * is the dtype the link asked for, if any.
+ */
+export function initialSettings(search = window.location.search) {
+  return applyUrlParams(fromStorage(readStored()), new URLSearchParams(search));
+}
+
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({
+        ...settings,
+        // Local folders live in memory only
+        source: settings.source.type === "self-hosted" ? settings.source : null,
+      }),
+    );
+  } catch (err) {
+    // Private windows and full quotas just don't persist
+    console.warn("Could not save settings:", err);
+  }
+}
+
+// Drops the settings parameters from the address bar once applied, so a
+// reload uses the (now saved) settings instead of the stale link
+export function clearUrlParams() {
+  const url = new URL(window.location.href);
+  if (!URL_PARAMS.some((name) => url.searchParams.has(name))) return;
+  URL_PARAMS.forEach((name) => url.searchParams.delete(name));
+  window.history.replaceState(window.history.state, "", url);
+}
+
+// A link that opens this build with the given configuration
+export function shareUrl({ task, model, device, dtype, threshold }) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set("task", task);
+  url.searchParams.set("model", model);
+  url.searchParams.set("device", device);
+  // Per-module maps don't fit in one parameter
+  if (typeof dtype === "string") url.searchParams.set("dtype", dtype);
+  if (threshold != null) url.searchParams.set("threshold", threshold);
+  return url.toString();
+}
@@ -0,0 +1,131 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { DEFAULT_SETTINGS, initialSettings, isDtype } from "./settings";
+
+const STORAGE_KEY = "transformer-vision:settings";
+
+const store = (settings) =>
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+
+afterEach(() => localStorage.clear());
+
+describe("initialSettings", () => {
+  it("lets URL parameters override stored values", () => {
+    store({ device: "wasm", dtype: "fp16" });
+    const { settings, errors, linkDtype } = initialSettings(
+      "?device=webgpu&threshold=0.4",
+    );
+    expect(errors).toEqual([]);
+    expect(settings.device).toBe("webgpu");
+    // Parameters that weren't given keep the stored value
+    expect(settings.dtype).toBe("fp16");
+    expect(linkDtype).toBeNull();
+    expect(settings.taskOptions[settings.task].threshold).toBe(0.4);
+  });
+
+  it("switches to the task's default model unless one is given", () => {
+    const { settings } = initialSettings("?task=image-classification");
+    expect(settings.task).toBe("image-classification");
+    expect(settings.model).not.toBe(DEFAULT_SETTINGS.model);
+    expect(
+      initialSettings("?task=image-classification&model=someone/classifier")
+        .settings.model,
+    ).toBe("someone/classifier");
+  });
+
+  it("reports invalid values and keeps the previous ones", () => {
+    store({ device: "wasm" });
+    const { settings, errors } = initialSettings(
+      "?task=nope&model=not-a-model&device=gpu&dtype=fp8&threshold=2",
+    );
+    expect(errors).toHaveLength(5);
+    expect(errors[0]).toMatch(/^task=nope: expected one of /);
+    expect(errors[2]).toMatch(/^device=gpu: /);
+    expect(settings).toMatchObject({
+      task: DEFAULT_SETTINGS.task,
+      model: DEFAULT_SETTINGS.model,
+      device: "wasm",
+      dtype: DEFAULT_SETTINGS.dtype,
+    });
+  });
+
+  it("drops stored values of the wrong shape", () => {
+    store({
+      dtype: {},
+      taskOptions: {
+        [DEFAULT_SETTINGS.task]: { threshold: "high", labels: "person" },
+        "image-classification": { topK: 3 },
+      },
+    });
+    const { settings } = initialSettings("");
+    expect(settings.dtype).toBe(DEFAULT_SETTINGS.dtype);
+    expect(settings.taskOptions[DEFAULT_SETTINGS.task]).toEqual(
+      DEFAULT_SETTINGS.taskOptions[DEFAULT_SETTINGS.task],
+    );
+    expect(settings.taskOptions["image-classification"].topK).toBe(3);
+
+    store({ taskOptions: "broken" });
+    expect(initialSettings("").settings.taskOptions).toEqual(
+      DEFAULT_SETTINGS.taskOptions,
+    );
+  });
+
+  it("checks each stored slicing field", () => {
+    store({
+      slicing: { enabled: "yes", tileSize: 7, overlap: 0.9, fullImage: false },
+    });
+    expect(initialSettings("").settings.slicing).toEqual({
+      ...DEFAULT_SETTINGS.slicing,
+      fullImage: false,
+    });
+
+    store({ slicing: { enabled: true, tileSize: 512, overlap: 0.3 } });
+    expect(initialSettings("").settings.slicing).toEqual({
+      ...DEFAULT_SETTINGS.slicing,
+      enabled: true,
+      tileSize: 512,
+      overlap: 0.3,
+    });
+
+    store({ slicing: [1, 2] });
+    expect(initialSettings("").settings.slicing).toEqual(
+      DEFAULT_SETTINGS.slicing,
+    );
+  });
+
+  it("restores a model server only with an http(s) URL", () => {
+    const server = {
+      type: "self-hosted",
+      url: "http://localhost:8080/models/",
+    };
+    store({ task: "object-detection", source: server, model: "my-detector" });
+    expect(initialSettings("").settings).toMatchObject({
+      source: server,
+      model: "my-detector",
+    });
+
+    for (const source of [
+      { type: "self-hosted" },
+      { type: "self-hosted", url: "javascript:alert(1)" },
+      { type: "self-hosted", url: "models/" },
+      { ...server, wasmPaths: 42 },
+      { type: "local", url: server.url },
+    ]) {
+      store({ task: "object-detection", source, model: "my-detector" });
+      expect(initialSettings("").settings).toMatchObject({
+        source: DEFAULT_SETTINGS.source,
+        model: DEFAULT_SETTINGS.model,
+      });
+    }
+  });
+});
+
+describe("isDtype", () => {
+  it("accepts known dtypes and non-empty per-module maps", () => {
+    expect(isDtype("q8")).toBe(true);
+    expect(isDtype("fp8")).toBe(false);
+    expect(isDtype({ vision_encoder: "fp16", text_decoder: "q8" })).toBe(true);
+    expect(isDtype({ vision_encoder: "fp8" })).toBe(false);
+    expect(isDtype({})).toBe(false);
+    expect(isDtype(["q8"])).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+// Sliced (SAHI-style) inference for large images. The image is cut into
+// overlapping tiles at full resolution, each tile goes through the regular
+// detector, and the boxes are mapped back into full-image coordinates.
+// Merging across tiles happens in postprocess (mergeSlicedDetections), so
+// the threshold and class filters still apply to the cached raw output.
+
+import { abortError } from "./detectionClient";
+
+export const DEFAULT_SLICING = {
+  enabled: false,
+  tileSize: 640,
+  overlap: 0.2,
+  fullImage: true, // Also run once on the whole image to keep large objects
+};
+
+export const TILE_SIZES = [320, 512, 640, 800, 1024];
+export const MAX_OVERLAP = 0.5; // of the tile size
+
+// Marks boxes that came from the whole-image pass
+export const FULL_IMAGE_TILE = -1;
+
+function tileStarts(length, size, step) {
+  if (length <= size) return [0];
+  const starts = [];
+  for (let start = 0; start + size < length; start += step) starts.push(start);
+  starts.push(length - size); // Last tile ends flush with the edge
+  return starts;
+}
+
+// Tiles of at most tileSize×tileSize pixels covering the image, neighbors
+// overlapping by `overlap` (a fraction of the tile size)
+export function planTiles(width, height, { tileSize, overlap }) {
+  const step = Math.max(1, Math.round(tileSize * (1 - overlap)));
+  const tileWidth = Math.min(tileSize, width);
+  const tileHeight = Math.min(tileSize, height);
+  return tileStarts(height, tileHeight, step).flatMap((y) =>
+    tileStarts(width, tileWidth, step).map((x) => ({
+      x,
+      y,
+      width: tileWidth,
+      height: tileHeight,
+    })),
+  );
+}
+
+// Normalized box within a tile -> normalized box within the full image
+export const tileToImageBox = (box, tile, width, height) => ({
+  xmin: (tile.x + box.xmin * tile.width) / width,
+  ymin: (tile.y + box.ymin * tile.height) / height,
+  xmax: (tile.x + box.xmax * tile.width) / width,
+  ymax: (tile.y + box.ymax * tile.height) / height,
+});
+
+function cropTile(bitmap, tile) {
+  const canvas = new OffscreenCanvas(tile.width, tile.height);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(
+    bitmap,
+    tile.x,
+    tile.y,
+    tile.width,
+    tile.height,
+    0,
+    0,
+    tile.width,
+    tile.height,
+  );
+  const { data } = ctx.getImageData(0, 0, tile.width, tile.height);
+  return { data, width: tile.width, height: tile.height, channels: 4 };
+}
+
+/**
+ * Runs `detect` over every tile of `imageUrl` (plus the whole image when
+ * `slicing.fullImage` is set) one at a time. Resolves to the raw detections
+ * in full-image coordinates, each tagged with the index of its tile.
+ * `onProgress(done, total)` is called after every pass.
+ */
+export async function detectSliced(
+  imageUrl,
+  { detect, options, slicing, signal, onProgress },
+) {
+  const blob = await (await fetch(imageUrl)).blob();
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = bitmap;
+
+  try {
+    const tiles = planTiles(width, height, slicing);
+    const total = tiles.length + (slicing.fullImage ? 1 : 0);
+    const detections = [];
+    let done = 0;
+
+    if (slicing.fullImage) {
+      const { output } = await detect(imageUrl, options, { signal });
+      output.forEach((detection) =>
+        detections.push({ ...detection, tile: FULL_IMAGE_TILE }),
+      );
+      onProgress?.(++done, total);
+    }
+
+    for (const [index, tile] of tiles.entries()) {
+      if (signal?.aborted) throw abortError();
+      const frame = cropTile(bitmap, tile);
+      const { output } = await detect(frame, options, {
+        signal,
+        transfer: [frame.data.buffer],
+      });
+      output.forEach((detection) =>
+        detections.push({
+          ...detection,
+          box: tileToImageBox(detection.box, tile, width, height),
+          tile: index,
+        }),
+      );
+      onProgress?.(++done, total);
+    }
+
+    return { detections, tiles: tiles.length, width, height };
+  } finally {
+    bitmap.close();
+  }
+}
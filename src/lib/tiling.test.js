@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import { planTiles, tileToImageBox } from "./tiling";
+
+describe("planTiles", () => {
+  it("uses a single tile for images no larger than the tile size", () => {
+    expect(planTiles(500, 300, { tileSize: 640, overlap: 0.2 })).toEqual([
+      { x: 0, y: 0, width: 500, height: 300 },
+    ]);
+  });
+
+  it("covers the image with overlapping tiles ending flush with the edge", () => {
+    const tiles = planTiles(1000, 640, { tileSize: 400, overlap: 0.25 });
+    expect(tiles).toHaveLength(6);
+    expect(new Set(tiles.map(({ x }) => x))).toEqual(new Set([0, 300, 600]));
+    expect(new Set(tiles.map(({ y }) => y))).toEqual(new Set([0, 240]));
+    for (const tile of tiles) {
+      expect(tile.x + tile.width).toBeLessThanOrEqual(1000);
+      expect(tile.y + tile.height).toBeLessThanOrEqual(640);
+    }
+  });
+});
+
+describe("tileToImageBox", () => {
+  it("maps a normalized tile box into normalized image coordinates", () => {
+    const tile = { x: 600, y: 240, width: 400, height: 400 };
+    const box = tileToImageBox(
+      { xmin: 0, ymin: 0.5, xmax: 1, ymax: 1 },
+      tile,
+      1000,
+      640,
+    );
+    expect(box.xmin).toBeCloseTo(0.6);
+    expect(box.ymin).toBeCloseTo(440 / 640);
+    expect(box.xmax).toBeCloseTo(1);
+    expect(box.ymax).toBeCloseTo(1);
+  });
+});
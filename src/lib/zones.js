@@ -0,0 +1,272 @@
+// Regions of interest: named polygons over the image, in normalized [0, 1]
+// coordinates so one layout fits every frame of a fixed camera. Detections
+// are assigned to zones by their box center or by how much of the box lies
+// inside, counted per label, and checked against threshold rules.
+
+import { paletteColor } from "./colormap";
+
+export const ZONE_ASSIGNMENTS = [
+  { id: "center", label: "Box center" },
+  { id: "overlap", label: "Overlap" },
+];
+
+// A rule is met, and the zone flagged, when its count compares this way
+export const RULE_OPERATORS = [
+  { id: ">", label: "More than" },
+  { id: "<", label: "Fewer than" },
+];
+
+export const DEFAULT_ZONE_LAYOUT = {
+  zones: [],
+  assignment: "center",
+  minOverlap: 0.5, // fraction of the box area, for "overlap"
+};
+
+const LAYOUT_VERSION = 1;
+const VIOLATION_COLOR = "#ef4444";
+
+let nextId = 0;
+const zoneId = () => `z${++nextId}`;
+
+// "Zone A", "Zone B", ... skipping names already taken
+export function nextZoneName(zones) {
+  const taken = new Set(zones.map(({ name }) => name));
+  for (let i = 0; ; i++) {
+    const letters =
+      (i >= 26 ? String.fromCharCode(65 + Math.floor(i / 26) - 1) : "") +
+      String.fromCharCode(65 + (i % 26));
+    if (!taken.has(`Zone ${letters}`)) return `Zone ${letters}`;
+  }
+}
+
+export const createZone = (points, name) => ({
+  id: zoneId(),
+  name,
+  points,
+  rules: [],
+});
+
+// Ray casting; `points` are [x, y] pairs
+export function pointInPolygon([x, y], points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function polygonArea(points) {
+  let sum = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    sum += points[j][0] * points[i][1] - points[i][0] * points[j][1];
+  }
+  return Math.abs(sum) / 2;
+}
+
+// Sutherland-Hodgman against one edge of the box. Clipping any polygon,
+// concave ones included, by a convex window keeps the area right.
+function clipEdge(points, inside, intersect) {
+  const out = [];
+  points.forEach((current, i) => {
+    const previous = points[(i + points.length - 1) % points.length];
+    if (inside(current)) {
+      if (!inside(previous)) out.push(intersect(previous, current));
+      out.push(current);
+    } else if (inside(previous)) {
+      out.push(intersect(previous, current));
+    }
+  });
+  return out;
+}
+
+const atX = (x) => (a, b) => [
+  x,
+  a[1] + ((b[1] - a[1]) * (x - a[0])) / (b[0] - a[0]),
+];
+const atY = (y) => (a, b) => [
+  a[0] + ((b[0] - a[0]) * (y - a[1])) / (b[1] - a[1]),
+  y,
+];
+
+/** Fraction of the box's area that lies inside the polygon. */
+export function boxCoverage(box, points) {
+  const boxArea = (box.xmax - box.xmin) * (box.ymax - box.ymin);
+  if (boxArea <= 0) return 0;
+  let clipped = points;
+  for (const [inside, intersect] of [
+    [([x]) => x >= box.xmin, atX(box.xmin)],
+    [([x]) => x <= box.xmax, atX(box.xmax)],
+    [([, y]) => y >= box.ymin, atY(box.ymin)],
+    [([, y]) => y <= box.ymax, atY(box.ymax)],
+  ]) {
+    clipped = clipEdge(clipped, inside, intersect);
+    if (clipped.length === 0) return 0;
+  }
+  return polygonArea(clipped) / boxArea;
+}
+
+export function inZone({ box }, zone, { assignment, minOverlap }) {
+  if (assignment === "overlap") {
+    return boxCoverage(box, zone.points) >= minOverlap;
+  }
+  return pointInPolygon(
+    [(box.xmin + box.xmax) / 2, (box.ymin + box.ymax) / 2],
+    zone.points,
+  );
+}
+
+// An empty rule label matches every object in the zone
+export const ruleCount = (rule, { total, counts }) =>
+  rule.label ? (counts[rule.label] ?? 0) : total;
+
+export const isViolated = (rule, summary) =>
+  rule.operator === "<"
+    ? ruleCount(rule, summary) < rule.count
+    : ruleCount(rule, summary) > rule.count;
+
+/**
+ * Per-zone counts for `detections` under `layout`: `{ zone, detections
+ * (indices), total, counts ({ label: n }), violations (rules) }` in zone
+ * order. A detection can be in several overlapping zones.
+ */
+export function countZones(detections, layout) {
+  return layout.zones.map((zone) => {
+    const members = [];
+    const counts = {};
+    detections.forEach((detection, index) => {
+      if (!inZone(detection, zone, layout)) return;
+      members.push(index);
+      counts[detection.label] = (counts[detection.label] ?? 0) + 1;
+    });
+    const summary = {
+      zone,
+      detections: members,
+      total: members.length,
+      counts,
+    };
+    return {
+      ...summary,
+      violations: zone.rules.filter((rule) => isViolated(rule, summary)),
+    };
+  });
+}
+
+export const describeRule = (rule, zoneName) =>
+  `${RULE_OPERATORS.find(({ id }) => id === rule.operator).label} ${
+    rule.count
+  } ${rule.label || "objects"} in ${zoneName}`;
+
+export function serializeZones({ zones, assignment, minOverlap }) {
+  return JSON.stringify(
+    {
+      version: LAYOUT_VERSION,
+      assignment,
+      minOverlap,
+      zones: zones.map(({ name, points, rules }) => ({ name, points, rules })),
+    },
+    null,
+    2,
+  );
+}
+
+const isPoint = (point) =>
+  Array.isArray(point) &&
+  point.length === 2 &&
+  point.every((value) => Number.isFinite(value));
+
+function parseRule(rule, where) {
+  if (
+    !RULE_OPERATORS.some(({ id }) => id === rule?.operator) ||
+    !Number.isFinite(rule.count)
+  ) {
+    throw new Error(`${where} has a rule without a valid operator and count`);
+  }
+  return {
+    label: typeof rule.label === "string" ? rule.label : "",
+    operator: rule.operator,
+    count: rule.count,
+  };
+}
+
+/** Reads a layout saved by `serializeZones`, with fresh zone ids. */
+export function parseZones(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  if (!Array.isArray(data?.zones)) {
+    throw new Error("Not a zone layout (no zones list)");
+  }
+  const zones = data.zones.map((zone, i) => {
+    const where = `Zone ${i + 1}`;
+    if (!Array.isArray(zone?.points) || zone.points.length < 3) {
+      throw new Error(`${where} needs at least 3 points`);
+    }
+    if (!zone.points.every(isPoint)) {
+      throw new Error(`${where} has points that aren't [x, y] numbers`);
+    }
+    return {
+      id: zoneId(),
+      name: typeof zone.name === "string" && zone.name ? zone.name : where,
+      points: zone.points,
+      rules: (zone.rules ?? []).map((rule) => parseRule(rule, where)),
+    };
+  });
+  return {
+    zones,
+    assignment: ZONE_ASSIGNMENTS.some(({ id }) => id === data.assignment)
+      ? data.assignment
+      : DEFAULT_ZONE_LAYOUT.assignment,
+    minOverlap: Number.isFinite(data.minOverlap)
+      ? Math.min(1, Math.max(0, data.minOverlap))
+      : DEFAULT_ZONE_LAYOUT.minOverlap,
+  };
+}
+
+export const zoneColor = (index) => paletteColor(index);
+
+/**
+ * Outlines the zones with their names and object counts. `summaries` comes
+ * from `countZones`; zones with violated rules are drawn in red. `scale`
+ * works as in drawDetections.
+ */
+export function drawZones(ctx, summaries, width, height, { scale = 1 } = {}) {
+  ctx.font = `bold ${12 * scale}px Inter, sans-serif`;
+  ctx.textBaseline = "top";
+  summaries.forEach(({ zone, total, violations }, index) => {
+    const color = violations.length ? VIOLATION_COLOR : zoneColor(index);
+    ctx.beginPath();
+    zone.points.forEach(([x, y], i) =>
+      i === 0
+        ? ctx.moveTo(x * width, y * height)
+        : ctx.lineTo(x * width, y * height),
+    );
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.globalAlpha = violations.length ? 0.2 : 0.08;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2 * scale;
+    ctx.setLineDash([6 * scale, 4 * scale]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const text = `${zone.name} · ${total}`;
+    const padding = 4 * scale;
+    const [x, y] = zone.points[0];
+    const labelWidth = ctx.measureText(text).width + padding * 2;
+    const labelX = Math.max(0, Math.min(x * width, width - labelWidth));
+    const labelY = Math.max(0, Math.min(y * height, height - 20 * scale));
+    ctx.fillStyle = color;
+    ctx.fillRect(labelX, labelY, labelWidth, 18 * scale);
+    ctx.fillStyle = "#0f172a";
+    ctx.fillText(text, labelX + padding, labelY + 3 * scale);
+  });
+}
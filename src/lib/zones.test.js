@@ -0,0 +1,142 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_ZONE_LAYOUT,
+  boxCoverage,
+  countZones,
+  createZone,
+  describeRule,
+  nextZoneName,
+  parseZones,
+  pointInPolygon,
+  serializeZones,
+} from "./zones";
+
+// Left half of the image, and an L shape covering all but its top-right
+// quarter
+const LEFT = [
+  [0, 0],
+  [0.5, 0],
+  [0.5, 1],
+  [0, 1],
+];
+const L_SHAPE = [
+  [0, 0],
+  [0.5, 0],
+  [0.5, 0.5],
+  [1, 0.5],
+  [1, 1],
+  [0, 1],
+];
+
+const detection = (label, xmin, ymin, xmax, ymax) => ({
+  label,
+  score: 0.9,
+  box: { xmin, ymin, xmax, ymax },
+});
+
+describe("geometry", () => {
+  it("tests points against concave polygons", () => {
+    expect(pointInPolygon([0.25, 0.25], L_SHAPE)).toBe(true);
+    expect(pointInPolygon([0.75, 0.25], L_SHAPE)).toBe(false);
+    expect(pointInPolygon([0.75, 0.75], L_SHAPE)).toBe(true);
+  });
+
+  it("measures how much of a box lies inside", () => {
+    const box = { xmin: 0.25, ymin: 0, xmax: 0.75, ymax: 1 };
+    expect(boxCoverage(box, LEFT)).toBeCloseTo(0.5);
+    // Only the box's top-right quarter is outside the L
+    expect(boxCoverage(box, L_SHAPE)).toBeCloseTo(0.75);
+    expect(
+      boxCoverage({ xmin: 0.6, ymin: 0, xmax: 0.9, ymax: 0.4 }, L_SHAPE),
+    ).toBe(0);
+  });
+});
+
+describe("countZones", () => {
+  const detections = [
+    detection("person", 0.1, 0.1, 0.3, 0.5), // inside LEFT
+    detection("person", 0.3, 0.5, 0.9, 0.9), // center at x 0.6, a third inside
+    detection("car", 0.05, 0.6, 0.2, 0.7),
+  ];
+  const zone = createZone(LEFT, "Lot");
+
+  it("assigns detections by box center", () => {
+    const [summary] = countZones(detections, {
+      ...DEFAULT_ZONE_LAYOUT,
+      zones: [zone],
+    });
+    expect(summary).toMatchObject({
+      detections: [0, 2],
+      total: 2,
+      counts: { person: 1, car: 1 },
+      violations: [],
+    });
+  });
+
+  it("assigns detections by overlap ratio", () => {
+    const layout = { zones: [zone], assignment: "overlap", minOverlap: 0.3 };
+    expect(countZones(detections, layout)[0].counts).toEqual({
+      person: 2,
+      car: 1,
+    });
+    expect(
+      countZones(detections, { ...layout, minOverlap: 0.5 })[0].counts,
+    ).toEqual({ person: 1, car: 1 });
+  });
+
+  it("flags the rules a zone breaks", () => {
+    const rules = [
+      { label: "person", operator: ">", count: 0 },
+      { label: "person", operator: ">", count: 1 },
+      { label: "", operator: "<", count: 3 },
+    ];
+    const [summary] = countZones(detections, {
+      ...DEFAULT_ZONE_LAYOUT,
+      zones: [{ ...zone, rules }],
+    });
+    expect(summary.violations).toEqual([rules[0], rules[2]]);
+    expect(describeRule(rules[2], "Lot")).toBe("Fewer than 3 objects in Lot");
+  });
+});
+
+describe("zone files", () => {
+  it("round-trips a layout with fresh ids", () => {
+    const layout = {
+      zones: [
+        {
+          ...createZone(L_SHAPE, "Zone A"),
+          rules: [{ label: "person", operator: ">", count: 5 }],
+        },
+      ],
+      assignment: "overlap",
+      minOverlap: 0.4,
+    };
+    const parsed = parseZones(serializeZones(layout));
+    expect(parsed).toEqual({
+      ...layout,
+      zones: [{ ...layout.zones[0], id: expect.any(String) }],
+    });
+    expect(parsed.zones[0].id).not.toBe(layout.zones[0].id);
+  });
+
+  it("explains what is wrong with a file", () => {
+    expect(() => parseZones("{")).toThrow("Not a JSON file");
+    expect(() => parseZones("[]")).toThrow(/no zones list/);
+    expect(() =>
+      parseZones(JSON.stringify({ zones: [{ points: [[0, 0]] }] })),
+    ).toThrow("Zone 1 needs at least 3 points");
+    expect(() =>
+      parseZones(
+        JSON.stringify({
+          zones: [{ points: LEFT, rules: [{ operator: "!", count: 1 }] }],
+        }),
+      ),
+    ).toThrow(/Zone 1 has a rule/);
+  });
+
+  it("names new zones after the ones taken", () => {
+    expect(nextZoneName([{ name: "Zone A" }, { name: "Zone C" }])).toBe(
+      "Zone B",
+    );
+  });
+});
@@ -0,0 +1,130 @@
+import { createDetectionClient } from "../lib/detectionClient";
+import {
+  DEFAULT_DETECTION_SETTINGS,
+  ZERO_SHOT_THRESHOLD,
+  filterDetections,
+  labelsFromConfig,
+  rawDetectionOptions,
+} from "../lib/postprocess";
+import { toImageInput } from "./frames";
+
+export const DEFAULT_MODEL = "onnx-community/rfdetr_medium-ONNX";
+export const DETECTION_TASKS = [
+  "object-detection",
+  "zero-shot-object-detection",
+];
+
+// Post-processing defaults for a task, before the caller's settings
+export const defaultSettings = (task) =>
+  task === "zero-shot-object-detection"
+    ? { ...DEFAULT_DETECTION_SETTINGS, threshold: ZERO_SHOT_THRESHOLD }
+    : DEFAULT_DETECTION_SETTINGS;
+
+/**
+ * Creates a detector backed by its own worker.
+ *
+ *   const detector = createDetector({ model, device: "webgpu" });
+ *   await detector.load();
+ *   const { detections } = await detector.detect(img, { threshold: 0.5 });
+ *
+ * Config: `task` ("object-detection" or "zero-shot-object-detection"),
+ * `model` (Hub id), `device` ("auto", "webgpu", "wasm", "webnn", "cpu"),
+ * `dtype` (e.g. "q8", "fp16", or a per-module map) and `source` (see
+ * workers/protocol.js; defaults to the Hub).
+ *
+ * - `load(config?, { signal, onProgress })` loads the model, or switches to
+ *   another one when `config` overrides the current settings. Resolves to
+ *   `{ task, model, labels }`; a newer load aborts the pending one.
+ * - `detect(image, settings?)` runs the model and applies the
+ *   post-processing settings (threshold, nms, iou, maxDetections, labelMode,
+ *   labels; `candidateLabels` for zero-shot). Resolves to `{ detections, raw,
+ *   time }`: boxes are normalized to [0, 1]; `raw` holds every candidate, so
+ *   `filterDetections(raw, settings)` can re-filter without re-running.
+ * - `run(image, options, { signal, transfer })` is the raw worker call for
+ *   any task, with pipeline options as-is.
+ * - `dispose()` unloads the model; `terminate()` also stops the worker.
+ */
+export function createDetector(config = {}, worker) {
+  const client = createDetectionClient(worker);
+  let current = {
+    task: "object-detection",
+    model: DEFAULT_MODEL,
+    device: "auto",
+    ...config,
+  };
+  let pendingLoad = null;
+  let info = null;
+
+  const load = async (overrides = {}, { signal, onProgress } = {}) => {
+    pendingLoad?.abort();
+    const controller = new AbortController();
+    pendingLoad = controller;
+    // Removed again afterwards, so a long-lived signal doesn't keep every
+    // load's controller alive
+    const abort = () => controller.abort();
+    signal?.addEventListener("abort", abort, { once: true });
+
+    current = { ...current, ...overrides };
+    const { task, model, device, dtype, source } = current;
+    try {
+      info = await client.load(
+        {
+          task,
+          model,
+          options: { device: device === "auto" ? undefined : device, dtype },
+          source,
+        },
+        { signal: controller.signal, onProgress },
+      );
+      return info;
+    } finally {
+      signal?.removeEventListener("abort", abort);
+      if (pendingLoad === controller) pendingLoad = null;
+    }
+  };
+
+  const run = (image, options, requestOptions) =>
+    client.detect(image, options, requestOptions);
+
+  const detect = async (source, { signal, ...settings } = {}) => {
+    if (!DETECTION_TASKS.includes(current.task)) {
+      throw new Error(`detect() supports ${DETECTION_TASKS.join(" and ")}.`);
+    }
+    const { image, transfer } = await toImageInput(source);
+    const { output, time } = await run(image, rawDetectionOptions(settings), {
+      signal,
+      transfer,
+    });
+    return {
+      detections: filterDetections(output, {
+        ...defaultSettings(current.task),
+        ...settings,
+      }),
+      raw: output,
+      time,
+    };
+  };
+
+  return {
+    load,
+    run,
+    detect,
+    get config() {
+      return current;
+    },
+    // Class names from the loaded model's config, sorted
+    get labels() {
+      return labelsFromConfig(info?.labels);
+    },
+    dispose: () => {
+      pendingLoad?.abort();
+      info = null;
+      return client.dispose();
+    },
+    terminate: () => {
+      pendingLoad?.abort();
+      info = null;
+      client.terminate();
+    },
+  };
+}
@@ -0,0 +1,213 @@
+import { createDetector, defaultSettings } from "./detector";
+import { filterDetections } from "../lib/postprocess";
+import { drawDetections } from "../lib/drawDetections";
+import { classifyError } from "../lib/errors";
+import { abortError, isAbortError } from "../lib/detectionClient";
+
+// Attributes that need a different model; the rest only change what is
+// shown (threshold) or what is analyzed (src, labels)
+const MODEL_ATTRIBUTES = ["model", "device", "dtype", "task"];
+
+const STYLE = `
+  :host { display: inline-block; position: relative; }
+  :host([hidden]) { display: none; }
+  img { display: block; max-width: 100%; height: auto; }
+  canvas {
+    position: absolute; inset: 0; width: 100%; height: 100%;
+    pointer-events: none;
+  }
+`;
+
+// Per-element state, out of reach of page scripts
+const states = new WeakMap();
+
+function readConfig(element) {
+  const config = {};
+  for (const name of MODEL_ATTRIBUTES) {
+    const value = element.getAttribute(name);
+    if (value) config[name] = value;
+  }
+  return config;
+}
+
+function readSettings(element) {
+  const settings = {};
+  const threshold = parseFloat(element.getAttribute("threshold"));
+  if (threshold >= 0 && threshold <= 1) settings.threshold = threshold;
+  const labels = element.getAttribute("labels");
+  if (labels) settings.candidateLabels = labels;
+  return settings;
+}
+
+function emit(element, type, detail) {
+  element.dispatchEvent(
+    new CustomEvent(type, { detail, bubbles: true, composed: true }),
+  );
+}
+
+// Loads the model the attributes ask for, once per configuration
+function ensureModel(element) {
+  const state = states.get(element);
+  const config = readConfig(element);
+  const key = JSON.stringify(config);
+  if (state.loaded === key && state.loading) return state.loading;
+
+  const detector = (state.detector ??= createDetector());
+  state.loaded = key;
+  state.loading = detector
+    .load(config, { onProgress: (data) => emit(element, "progress", data) })
+    .then((info) => {
+      emit(element, "ready", {
+        task: info.task,
+        model: info.model,
+        labels: detector.labels,
+      });
+      return info;
+    });
+  // A failed load is retried on the next detect()
+  state.loading.catch(() => {
+    if (state.loaded === key) state.loaded = null;
+  });
+  return state.loading;
+}
+
+function draw(element) {
+  const { canvas, image, detections } = states.get(element);
+  const width = image.clientWidth;
+  const height = image.clientHeight;
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = Math.round(width * dpr);
+  canvas.height = Math.round(height * dpr);
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  drawDetections(ctx, detections, width, height, { lineWidth: 2 });
+}
+
+// Applies a new threshold to the last raw output without re-running
+function refilter(element) {
+  const state = states.get(element);
+  if (!state.raw) return;
+  state.detections = filterDetections(state.raw, {
+    ...defaultSettings(state.detector.config.task),
+    ...readSettings(element),
+  });
+  draw(element);
+  emit(element, "detection", {
+    detections: state.detections,
+    time: state.time,
+    src: state.image.src,
+  });
+}
+
+/**
+ * `<transformer-vision src="photo.jpg" model="..." device="webgpu"
+ *   threshold="0.5">` shows an image with its detections drawn on top.
+ *
+ * Attributes: `src`, `model`, `device`, `dtype`, `threshold`, `task`
+ * ("object-detection" or "zero-shot-object-detection") and `labels` (comma-
+ * separated candidate labels for zero-shot). The model loads on first use
+ * and reloads when a model attribute changes; a new threshold re-filters
+ * the last result without running the model again.
+ *
+ * Events (all bubble and cross the shadow boundary):
+ *   progress  — detail: a Transformers.js progress event
+ *   ready     — detail: { task, model, labels }
+ *   detection — detail: { detections, time, src }
+ *   error     — detail: { error, kind, title, guidance } (see lib/errors)
+ *
+ * `element.detect(image?)` analyzes `src` or any image the detector accepts
+ * (only `src` is displayed) and resolves to the detections;
+ * `element.detections` holds the last ones.
+ */
+export class TransformerVisionElement extends HTMLElement {
+  static get observedAttributes() {
+    return ["src", "threshold", "labels", ...MODEL_ATTRIBUTES];
+  }
+
+  constructor() {
+    super();
+    const root = this.attachShadow({ mode: "open" });
+    root.innerHTML = `<style>${STYLE}</style><img part="image" alt=""><canvas part="overlay"></canvas>`;
+    states.set(this, {
+      image: root.querySelector("img"),
+      canvas: root.querySelector("canvas"),
+      detector: null,
+      loaded: null, // config key of the loaded model
+      loading: null,
+      controller: null,
+      raw: null,
+      detections: [],
+      time: null,
+      observer: new ResizeObserver(() => draw(this)),
+    });
+  }
+
+  get detections() {
+    return states.get(this).detections;
+  }
+
+  connectedCallback() {
+    const state = states.get(this);
+    state.observer.observe(state.image);
+    if (this.getAttribute("src")) this.detect().catch(() => {});
+  }
+
+  disconnectedCallback() {
+    const state = states.get(this);
+    state.observer.disconnect();
+    state.controller?.abort();
+    state.detector?.terminate();
+    state.detector = null;
+    state.loaded = null;
+    state.loading = null;
+  }
+
+  attributeChangedCallback(name, previous, value) {
+    if (previous === value || !this.isConnected) return;
+    if (name === "threshold") {
+      refilter(this);
+      return;
+    }
+    if (this.getAttribute("src")) this.detect().catch(() => {});
+  }
+
+  async detect(image = this.getAttribute("src")) {
+    const state = states.get(this);
+    state.controller?.abort();
+    const controller = new AbortController();
+    state.controller = controller;
+
+    try {
+      if (typeof image === "string") {
+        state.image.src = image;
+        await state.image.decode();
+      }
+      await ensureModel(this);
+      // Removing the element aborts, and drops the detector, mid-load
+      if (controller.signal.aborted) throw abortError();
+      const { detections, raw, time } = await state.detector.detect(
+        typeof image === "string" ? state.image : image,
+        { ...readSettings(this), signal: controller.signal },
+      );
+      Object.assign(state, { raw, detections, time });
+      draw(this);
+      emit(this, "detection", { detections, time, src: state.image.src });
+      return detections;
+    } catch (err) {
+      if (!isAbortError(err)) {
+        emit(this, "error", { error: err, ...classifyError(err) });
+      }
+      throw err;
+    } finally {
+      if (state.controller === controller) state.controller = null;
+    }
+  }
+}
+
+// Registers the element (once) under `name`
+export function defineTransformerVision(name = "transformer-vision") {
+  if (!customElements.get(name)) {
+    customElements.define(name, TransformerVisionElement);
+  }
+  return customElements.get(name);
+}
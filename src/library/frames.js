@@ -0,0 +1,77 @@
+// Converts whatever a caller hands the detector into something the worker
+// accepts: an absolute URL string, or FrameData ({ data, width, height,
+// channels }) whose buffer can be transferred.
+
+function sourceSize(source) {
+  if (
+    typeof HTMLImageElement !== "undefined" &&
+    source instanceof HTMLImageElement
+  ) {
+    return [source.naturalWidth, source.naturalHeight];
+  }
+  if (
+    typeof HTMLVideoElement !== "undefined" &&
+    source instanceof HTMLVideoElement
+  ) {
+    return [source.videoWidth, source.videoHeight];
+  }
+  if (typeof VideoFrame !== "undefined" && source instanceof VideoFrame) {
+    return [source.displayWidth, source.displayHeight];
+  }
+  return [source.width, source.height];
+}
+
+function drawToFrame(source) {
+  const [width, height] = sourceSize(source);
+  if (!width || !height) {
+    throw new Error("The image has no pixels yet; wait until it has loaded.");
+  }
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0);
+  // Throws a SecurityError for cross-origin images served without CORS
+  const { data } = ctx.getImageData(0, 0, width, height);
+  return { data, width, height, channels: 4 };
+}
+
+/**
+ * Resolves to `{ image, transfer }` for a URL (relative URLs resolve against
+ * the page, not the worker), Blob/File, ImageData, or anything drawable on
+ * a canvas (img, video, canvas, ImageBitmap, VideoFrame). Blobs are decoded
+ * with their EXIF orientation applied.
+ */
+export async function toImageInput(source) {
+  if (typeof source === "string" || source instanceof URL) {
+    return { image: new URL(source, document.baseURI).href, transfer: [] };
+  }
+  if (source instanceof Blob) {
+    const bitmap = await createImageBitmap(source, {
+      imageOrientation: "from-image",
+    });
+    try {
+      const frame = drawToFrame(bitmap);
+      return { image: frame, transfer: [frame.data.buffer] };
+    } finally {
+      bitmap.close();
+    }
+  }
+  if (typeof ImageData !== "undefined" && source instanceof ImageData) {
+    // Copied so the caller's buffer isn't detached by the transfer
+    const data = new Uint8ClampedArray(source.data);
+    const frame = {
+      data,
+      width: source.width,
+      height: source.height,
+      channels: 4,
+    };
+    return { image: frame, transfer: [data.buffer] };
+  }
+  if (
+    typeof HTMLImageElement !== "undefined" &&
+    source instanceof HTMLImageElement
+  ) {
+    await source.decode();
+  }
+  const frame = drawToFrame(source);
+  return { image: frame, transfer: [frame.data.buffer] };
+}
@@ -0,0 +1,19 @@
+// Public API of the embeddable build (`npm run build:lib`). Nothing here
+// depends on React; the app itself is one consumer of these modules.
+
+export {
+  createDetector,
+  defaultSettings,
+  DEFAULT_MODEL,
+  DETECTION_TASKS,
+} from "./detector";
+export { toImageInput } from "./frames";
+export { TransformerVisionElement, defineTransformerVision } from "./element";
+export {
+  DEFAULT_DETECTION_SETTINGS,
+  filterDetections,
+  labelsFromConfig,
+} from "../lib/postprocess";
+export { drawDetections, detectionAt } from "../lib/drawDetections";
+export { classifyError, ERROR_KINDS } from "../lib/errors";
+export { isAbortError } from "../lib/detectionClient";
@@ -0,0 +1,41 @@
+import { Mountain } from "lucide-react";
+import { COLORMAPS } from "../lib/colormap";
+import { drawRgba } from "../lib/pixels";
+import DepthOptions from "../components/tasks/DepthOptions";
+import DepthResults from "../components/tasks/DepthResults";
+
+export default {
+  id: "depth-estimation",
+  label: "Depth Estimation",
+  icon: Mountain,
+  kind: "depth",
+  defaultModel: "onnx-community/depth-anything-v2-small",
+  defaultOptions: { colormap: "turbo", opacity: 0.75 },
+  resultsTitle: "Depth Map",
+
+  inferenceOptions: () => ({}),
+  postprocess: (raw) => raw,
+  summarize: (results) =>
+    `depth map ${results.depth.width}×${results.depth.height}`,
+
+  // The depth image is 8-bit relative depth (brighter = nearer)
+  render: (ctx, results, width, height, options) => {
+    ctx.clearRect(0, 0, width, height);
+    const { data, width: depthWidth, height: depthHeight } = results.depth;
+    const colormap = COLORMAPS[options.colormap] ?? COLORMAPS.turbo;
+    const lookup = Array.from({ length: 256 }, (_, v) => colormap(v / 255));
+    const rgba = new Uint8ClampedArray(depthWidth * depthHeight * 4);
+    const alpha = Math.round(options.opacity * 255);
+    for (let i = 0, p = 0; i < depthWidth * depthHeight; i++, p += 4) {
+      const [r, g, b] = lookup[data[i]];
+      rgba[p] = r;
+      rgba[p + 1] = g;
+      rgba[p + 2] = b;
+      rgba[p + 3] = alpha;
+    }
+    drawRgba(ctx, rgba, depthWidth, depthHeight, width, height);
+  },
+
+  Options: DepthOptions,
+  Results: DepthResults,
+};
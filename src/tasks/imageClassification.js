@@ -0,0 +1,36 @@
+import { Tags } from "lucide-react";
+import ClassificationOptions from "../components/tasks/ClassificationOptions";
+import ClassificationResults from "../components/tasks/ClassificationResults";
+
+export default {
+  id: "image-classification",
+  label: "Image Classification",
+  icon: Tags,
+  kind: "classification",
+  defaultModel: "Xenova/vit-base-patch16-224",
+  defaultOptions: { topK: 5 },
+  resultsTitle: "Classes",
+
+  inferenceOptions: (options) => ({ top_k: options.topK }),
+  postprocess: (raw) => raw,
+  summarize: (results) =>
+    results.length > 0
+      ? `${results[0].label} (${(results[0].score * 100).toFixed(0)}%)`
+      : "no classes above threshold",
+
+  // Pin the top prediction to the corner of the image
+  render: (ctx, results, width, height) => {
+    ctx.clearRect(0, 0, width, height);
+    if (results.length === 0) return;
+    const text = `${results[0].label} ${(results[0].score * 100).toFixed(0)}%`;
+    ctx.font = "bold 14px Inter, sans-serif";
+    const textWidth = ctx.measureText(text).width;
+    ctx.fillStyle = "rgba(79, 70, 229, 0.85)";
+    ctx.fillRect(12, 12, textWidth + 16, 28);
+    ctx.fillStyle = "white";
+    ctx.fillText(text, 20, 31);
+  },
+
+  Options: ClassificationOptions,
+  Results: ClassificationResults,
+};
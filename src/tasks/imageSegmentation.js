@@ -0,0 +1,53 @@
+import { Shapes } from "lucide-react";
+import { paletteRgb } from "../lib/colormap";
+import { drawRgba } from "../lib/pixels";
+import SegmentationOptions from "../components/tasks/SegmentationOptions";
+import SegmentationResults from "../components/tasks/SegmentationResults";
+
+export default {
+  id: "image-segmentation",
+  label: "Image Segmentation",
+  icon: Shapes,
+  kind: "segmentation",
+  defaultModel: "Xenova/segformer-b0-finetuned-ade-512-512",
+  defaultOptions: { opacity: 0.55, hiddenLabels: [] },
+  resultsTitle: "Segments",
+
+  inferenceOptions: () => ({}),
+  // Colors are assigned by position in the raw output so toggling a segment
+  // off never recolors the others
+  postprocess: (raw, options) =>
+    raw.map((segment, index) => ({
+      ...segment,
+      index,
+      hidden: options.hiddenLabels.includes(segment.label),
+    })),
+  summarize: (results) => `${results.length} segments`,
+
+  // Masks are single-channel and share the original image's size; they're
+  // composited into one RGBA layer and stretched over the canvas.
+  render: (ctx, results, width, height, options) => {
+    ctx.clearRect(0, 0, width, height);
+    const visible = results.filter((segment) => !segment.hidden);
+    if (visible.length === 0) return;
+
+    const { width: maskWidth, height: maskHeight } = visible[0].mask;
+    const rgba = new Uint8ClampedArray(maskWidth * maskHeight * 4);
+    const alpha = Math.round(options.opacity * 255);
+    visible.forEach((segment) => {
+      const [r, g, b] = paletteRgb(segment.index);
+      const { data, channels = 1 } = segment.mask;
+      for (let i = 0, p = 0; p < rgba.length; i += channels, p += 4) {
+        if (data[i] === 0) continue;
+        rgba[p] = r;
+        rgba[p + 1] = g;
+        rgba[p + 2] = b;
+        rgba[p + 3] = alpha;
+      }
+    });
+    drawRgba(ctx, rgba, maskWidth, maskHeight, width, height);
+  },
+
+  Options: SegmentationOptions,
+  Results: SegmentationResults,
+};
@@ -0,0 +1,35 @@
+import objectDetection from "./objectDetection";
+import zeroShotDetection from "./zeroShotDetection";
+import imageClassification from "./imageClassification";
+import imageSegmentation from "./imageSegmentation";
+import depthEstimation from "./depthEstimation";
+
+// Each task module describes one pipeline:
+//   id / label / icon / kind    identity; kind "detection" enables live,
+//                               batch and export flows
+//   defaultModel                Hub model loaded when the task is selected
+//   defaultOptions              initial value for the task's options UI
+//   inferenceOptions(options)   extra arguments sent to the worker
+//   postprocess(raw, options)   display-ready results from cached raw output
+//   summarize(results)          one-line status text
+//   render(ctx, results, w, h, options, { highlighted, zoom })
+//                               canvas overlay renderer; `highlighted` is the
+//                               index of the hovered result, if any, and
+//                               `zoom` the viewport's current magnification
+//   Options / Results           React components for the config and results
+//                               panels; Results also gets `highlighted` and
+//                               `onHighlight(index | null)` for hover linking
+export const TASKS = [
+  objectDetection,
+  zeroShotDetection,
+  imageClassification,
+  imageSegmentation,
+  depthEstimation,
+];
+
+export const DEFAULT_TASK = objectDetection.id;
+
+export const getTask = (id) => TASKS.find((task) => task.id === id);
+
+export const initialTaskOptions = () =>
+  Object.fromEntries(TASKS.map((task) => [task.id, task.defaultOptions]));
@@ -0,0 +1,45 @@
+import { Target } from "lucide-react";
+import { drawDetections } from "../lib/drawDetections";
+import {
+  DEFAULT_DETECTION_SETTINGS,
+  filterDetections,
+  rawDetectionOptions,
+} from "../lib/postprocess";
+import { DEFAULT_MODEL } from "../library/detector";
+import DetectionOptions from "../components/tasks/DetectionOptions";
+import DetectionResults from "../components/tasks/DetectionResults";
+
+export const DEFAULT_DETECTION_MODEL =
+  import.meta.env.VITE_MODEL_NAME || DEFAULT_MODEL;
+
+export default {
+  id: "object-detection",
+  label: "Object Detection",
+  icon: Target,
+  kind: "detection",
+  defaultModel: DEFAULT_DETECTION_MODEL,
+  defaultOptions: DEFAULT_DETECTION_SETTINGS,
+  resultsTitle: "Predictions",
+
+  // The worker returns every raw candidate; filtering happens in postprocess
+  inferenceOptions: rawDetectionOptions,
+  postprocess: (raw, options) => filterDetections(raw, options),
+  summarize: (results) => `${results.length} objects found`,
+  // Strokes and labels are scaled down by the zoom so they keep their
+  // on-screen size
+  render: (
+    ctx,
+    results,
+    width,
+    height,
+    options,
+    { highlighted, zoom = 1 } = {},
+  ) =>
+    drawDetections(ctx, results, width, height, {
+      highlight: highlighted,
+      scale: 1 / zoom,
+    }),
+
+  Options: DetectionOptions,
+  Results: DetectionResults,
+};
@@ -0,0 +1,45 @@
+import { ScanSearch } from "lucide-react";
+import { drawDetections } from "../lib/drawDetections";
+import {
+  DEFAULT_DETECTION_SETTINGS,
+  ZERO_SHOT_THRESHOLD,
+  filterDetections,
+  rawDetectionOptions,
+} from "../lib/postprocess";
+import ZeroShotOptions from "../components/tasks/ZeroShotOptions";
+import DetectionResults from "../components/tasks/DetectionResults";
+
+export default {
+  id: "zero-shot-object-detection",
+  label: "Zero-shot Detection",
+  icon: ScanSearch,
+  kind: "detection",
+  defaultModel: "Xenova/owlvit-base-patch32",
+  defaultOptions: {
+    ...DEFAULT_DETECTION_SETTINGS,
+    threshold: ZERO_SHOT_THRESHOLD,
+    candidateLabels: "person, car, dog, cat",
+  },
+  resultsTitle: "Predictions",
+
+  inferenceOptions: rawDetectionOptions,
+  postprocess: (raw, options) => filterDetections(raw, options),
+  summarize: (results) => `${results.length} objects found`,
+  // Strokes and labels are scaled down by the zoom so they keep their
+  // on-screen size
+  render: (
+    ctx,
+    results,
+    width,
+    height,
+    options,
+    { highlighted, zoom = 1 } = {},
+  ) =>
+    drawDetections(ctx, results, width, height, {
+      highlight: highlighted,
+      scale: 1 / zoom,
+    }),
+
+  Options: ZeroShotOptions,
+  Results: DetectionResults,
+};
@@ -0,0 +1,61 @@
+// A stand-in for createDetector() (see DetectorContext in hooks/useDetector)
+// whose loads and runs stay pending until the test settles them, so every
+// intermediate state can be asserted.
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+// Registers a pending call; aborting its signal rejects it like the worker
+function pending(calls, details, signal) {
+  const call = { ...deferred(), ...details };
+  signal?.addEventListener("abort", () =>
+    call.reject(new DOMException("The operation was cancelled.", "AbortError")),
+  );
+  calls.push(call);
+  return call.promise;
+}
+
+export const COCO_LABELS = { 0: "cat", 1: "dog", 2: "remote" };
+
+export function createFakeDetector() {
+  const loads = [];
+  const runs = [];
+  let created = 0;
+
+  const create = () => {
+    created += 1;
+    return {
+      load: (config, { signal, onProgress } = {}) =>
+        pending(loads, { config, onProgress }, signal),
+      run: (image, options, { signal } = {}) =>
+        pending(runs, { image, options }, signal),
+      dispose: () => Promise.resolve(),
+      terminate: () => {},
+    };
+  };
+
+  return {
+    create,
+    loads,
+    runs,
+    get created() {
+      return created;
+    },
+    lastLoad: () => loads.at(-1),
+    lastRun: () => runs.at(-1),
+    // Settles the latest load like the worker's "ready" message
+    ready: (labels = COCO_LABELS) => {
+      const { config } = loads.at(-1);
+      loads.at(-1).resolve({ task: config.task, model: config.model, labels });
+    },
+    // Settles the latest run with raw detections
+    respond: (output, time = 12) => runs.at(-1).resolve({ output, time }),
+  };
+}
@@ -0,0 +1,49 @@
+// Browser APIs jsdom lacks, stubbed just enough for components to mount
+
+import "@testing-library/jest-dom/vitest";
+import { afterEach, vi } from "vitest";
+import { cleanup } from "@testing-library/react";
+
+globalThis.ResizeObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+// jsdom's Blob predates arrayBuffer() and text()
+const readBlob = (blob, method) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](blob);
+  });
+Blob.prototype.arrayBuffer ??= function () {
+  return readBlob(this, "readAsArrayBuffer");
+};
+Blob.prototype.text ??= function () {
+  return readBlob(this, "readAsText");
+};
+
+let nextObjectUrl = 0;
+URL.createObjectURL = () => `blob:test/${++nextObjectUrl}`;
+URL.revokeObjectURL = () => {};
+
+// A 2D context that draws nothing; tests that care about drawing pass their
+// own recording context
+HTMLCanvasElement.prototype.getContext = function () {
+  return new Proxy(
+    { canvas: this, measureText: (text) => ({ width: text.length * 7 }) },
+    {
+      get: (target, key) => (key in target ? target[key] : () => {}),
+      set: () => true,
+    },
+  );
+};
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
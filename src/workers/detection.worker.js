@@ -0,0 +1,139 @@
+import { pipeline, RawImage } from "@huggingface/transformers";
+import { Request, Response } from "./protocol";
+import { runTask, serializeOutput } from "./tasks";
+import { applyModelSource } from "./modelSource";
+
+applyModelSource();
+
+let detector = null;
+let detectorTask = null;
+let activeLoad = null; // id of the most recent load request
+let queue = Promise.resolve();
+// Ids of loads and detections still running, and the ones of those that
+// were cancelled. Both are cleared by the request's final response.
+const pending = new Set();
+const cancelled = new Set();
+
+const post = (message, transfer) => self.postMessage(message, transfer);
+
+function settle(message) {
+  pending.delete(message.id);
+  cancelled.delete(message.id);
+  post(message);
+}
+
+// Chromium-only and coarse, but enough to compare configurations
+const heapUsage = () => self.performance?.memory?.usedJSHeapSize ?? null;
+
+const serializeError = (err) => ({
+  name: err?.name ?? "Error",
+  message: err?.message ?? String(err),
+});
+
+// ONNX sessions can't run concurrently, so inference and disposal go through
+// a single queue. Loads run outside of it so a new model can download while
+// the current one is still busy.
+function enqueue(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+function toRawImage(image) {
+  if (typeof image === "string") return RawImage.fromURL(image);
+  const { data, width, height, channels = 4 } = image;
+  return new RawImage(data, width, height, channels);
+}
+
+async function load({ id, task, model, options, source }) {
+  activeLoad = id;
+  pending.add(id);
+  try {
+    const pipe = await pipeline(task, model, {
+      ...options,
+      ...applyModelSource(model, source),
+      progress_callback: (data) => post({ type: Response.PROGRESS, id, data }),
+    });
+
+    if (activeLoad !== id || cancelled.has(id)) {
+      // A newer load (or a dispose) superseded this one while it was downloading.
+      await pipe.dispose();
+      settle({ type: Response.CANCELLED, id });
+      return;
+    }
+
+    await enqueue(async () => {
+      await detector?.dispose();
+      detector = pipe;
+      detectorTask = task;
+    });
+    settle({
+      type: Response.READY,
+      id,
+      task,
+      model,
+      labels: pipe.model?.config?.id2label ?? null,
+      memory: heapUsage(),
+    });
+  } catch (err) {
+    settle({ type: Response.ERROR, id, error: serializeError(err) });
+  }
+}
+
+function detect({ id, image, options }) {
+  pending.add(id);
+  return enqueue(async () => {
+    if (cancelled.has(id)) {
+      settle({ type: Response.CANCELLED, id });
+      return;
+    }
+    if (!detector) throw new Error("No model is loaded.");
+
+    const start = performance.now();
+    const output = serializeOutput(
+      detectorTask,
+      await runTask(detectorTask, detector, await toRawImage(image), options),
+    );
+    const time = performance.now() - start;
+
+    if (cancelled.has(id)) {
+      settle({ type: Response.CANCELLED, id });
+      return;
+    }
+    settle({ type: Response.RESULT, id, output, time, memory: heapUsage() });
+  }).catch((err) =>
+    settle({ type: Response.ERROR, id, error: serializeError(err) }),
+  );
+}
+
+function dispose({ id }) {
+  activeLoad = null;
+  return enqueue(async () => {
+    await detector?.dispose();
+    detector = null;
+    detectorTask = null;
+    post({ type: Response.DISPOSED, id });
+  }).catch((err) =>
+    post({ type: Response.ERROR, id, error: serializeError(err) }),
+  );
+}
+
+self.addEventListener("message", ({ data: message }) => {
+  switch (message.type) {
+    case Request.LOAD:
+      load(message);
+      break;
+    case Request.DETECT:
+      detect(message);
+      break;
+    case Request.CANCEL:
+      // Cancels that arrive after the final response have nothing to stop
+      if (pending.has(message.id)) cancelled.add(message.id);
+      break;
+    case Request.DISPOSE:
+      dispose(message);
+      break;
+    default:
+      console.warn("Unknown worker request:", message);
+  }
+});
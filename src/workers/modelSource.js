@@ -0,0 +1,71 @@
+import { env } from "@huggingface/transformers";
+
+// Where the model files come from:
+//   { type: "hub" }                          Hugging Face Hub (default)
+//   { type: "local", files: [{ path, file }] }  files picked from disk
+//   { type: "self-hosted", url, wasmPaths }  a static server mirroring the
+//                                            model folders, for air-gapped use
+//
+// Local files live in an in-memory store exposed under a reserved path.
+// Transformers.js reads local models through the global fetch, which is
+// wrapped here so those paths are answered from the store.
+
+export const LOCAL_MODEL_ROOT = "/__local_models__/";
+
+const virtualFiles = new Map();
+const defaultWasmPaths = env.backends.onnx.wasm.wasmPaths;
+const nativeFetch = self.fetch.bind(self);
+
+self.fetch = (input, init) => {
+  const url = typeof input === "string" ? input : input.url;
+  if (typeof url === "string" && url.startsWith(LOCAL_MODEL_ROOT)) {
+    const file = virtualFiles.get(url.slice(LOCAL_MODEL_ROOT.length));
+    return Promise.resolve(
+      file
+        ? new Response(file, {
+            headers: { "content-length": String(file.size) },
+          })
+        : new Response(null, { status: 404, statusText: "Not Found" }),
+    );
+  }
+  return nativeFetch(input, init);
+};
+
+const withTrailingSlash = (url) => (url.endsWith("/") ? url : `${url}/`);
+
+// Points the Transformers.js environment at the requested source and returns
+// any extra pipeline options it needs.
+export function applyModelSource(model, source = { type: "hub" }) {
+  env.backends.onnx.wasm.wasmPaths = defaultWasmPaths;
+
+  switch (source.type) {
+    case "local":
+      virtualFiles.clear();
+      source.files.forEach(({ path, file }) =>
+        virtualFiles.set(`${model}/${path}`, file),
+      );
+      env.allowLocalModels = true;
+      env.allowRemoteModels = false;
+      env.localModelPath = LOCAL_MODEL_ROOT;
+      // The files are already on disk; don't duplicate them in the cache
+      env.useBrowserCache = false;
+      return { local_files_only: true };
+
+    case "self-hosted":
+      env.allowLocalModels = true;
+      env.allowRemoteModels = false;
+      env.localModelPath = withTrailingSlash(source.url);
+      env.useBrowserCache = true;
+      if (source.wasmPaths) {
+        env.backends.onnx.wasm.wasmPaths = withTrailingSlash(source.wasmPaths);
+      }
+      return {};
+
+    default:
+      // Models are fetched from the Hub and kept in the browser's Cache API
+      env.allowLocalModels = false;
+      env.allowRemoteModels = true;
+      env.useBrowserCache = true;
+      return {};
+  }
+}
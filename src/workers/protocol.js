@@ -0,0 +1,36 @@
+// Message protocol between the UI thread and the detection worker.
+// Every request carries a numeric `id`; the worker answers with one or more
+// responses tagged with the same `id`.
+
+/**
+ * @typedef {{ type: "load", id: number, task: string, model: string, options: object, source?: ModelSource }} LoadRequest
+ * @typedef {{ type: "detect", id: number, image: string | FrameData, options: object }} DetectRequest
+ * @typedef {{ type: "cancel", id: number }} CancelRequest
+ * @typedef {{ type: "dispose", id: number }} DisposeRequest
+ *
+ * @typedef {{ data: Uint8ClampedArray, width: number, height: number, channels?: number }} FrameData
+ * @typedef {{ type: "hub" } | { type: "local", files: Array<{ path: string, file: File }> } | { type: "self-hosted", url: string, wasmPaths?: string }} ModelSource
+ *
+ * @typedef {{ type: "progress", id: number, data: object }} ProgressResponse
+ * @typedef {{ type: "ready", id: number, task: string, model: string, labels: Record<string, string> | null, memory: number | null }} ReadyResponse
+ * @typedef {{ type: "result", id: number, output: Array<object>, time: number, memory: number | null }} ResultResponse
+ * @typedef {{ type: "error", id: number, error: { name: string, message: string } }} ErrorResponse
+ * @typedef {{ type: "cancelled", id: number }} CancelledResponse
+ * @typedef {{ type: "disposed", id: number }} DisposedResponse
+ */
+
+export const Request = Object.freeze({
+  LOAD: "load",
+  DETECT: "detect",
+  CANCEL: "cancel",
+  DISPOSE: "dispose",
+});
+
+export const Response = Object.freeze({
+  PROGRESS: "progress",
+  READY: "ready",
+  RESULT: "result",
+  ERROR: "error",
+  CANCELLED: "cancelled",
+  DISPOSED: "disposed",
+});
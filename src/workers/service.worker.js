@@ -0,0 +1,124 @@
+// Offline support for the installed app. The build (see vite.config.js)
+// prepends `self.__PRECACHE__ = { version, shell, ort }`: the app shell's
+// files relative to this script and the ONNX Runtime binaries Transformers.js
+// fetches from its CDN. Models aren't handled here; Transformers.js keeps
+// them in its own Cache API storage, which works offline as it is.
+
+const { version, shell, ort } = self.__PRECACHE__;
+
+const SHELL_CACHE = `shell-${version}`;
+const ORT_CACHE = "ort-wasm";
+const FONT_CACHE = "fonts";
+// Images shared to the app wait here until the page picks them up; the name
+// is also in src/lib/pwa.js
+const SHARE_CACHE = "shared-images";
+
+const scope = new URL("./", self.location).href;
+const isOrtBinary = (url) => /\/ort-wasm[^/]*\.(wasm|mjs)$/.test(url.pathname);
+const isFont = (url) =>
+  url.hostname === "fonts.googleapis.com" ||
+  url.hostname === "fonts.gstatic.com";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    Promise.all([
+      caches.open(SHELL_CACHE).then((cache) => cache.addAll(shell)),
+      // Keyed by the versioned CDN URL, so they survive app updates
+      caches.open(ORT_CACHE).then(async (cache) => {
+        const missing = [];
+        for (const url of ort) if (!(await cache.match(url))) missing.push(url);
+        await cache.addAll(missing);
+      }),
+    ]),
+  );
+  // The new version waits until the page accepts the update prompt
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "skip-waiting") self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith("shell-") && name !== SHELL_CACHE)
+            .map((name) => caches.delete(name)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+async function cacheFirst(cacheName, request) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Opaque (no-cors) font responses can't be checked but are still usable
+  if (response.ok || response.type === "opaque") {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// Share target: keep the posted images and open the app to pick them up
+async function receiveShare(request) {
+  const form = await request.formData();
+  const files = form.getAll("image").filter((item) => item instanceof File);
+  await caches.delete(SHARE_CACHE);
+  const cache = await caches.open(SHARE_CACHE);
+  await Promise.all(
+    files.map((file, i) =>
+      cache.put(
+        `${scope}shared/${i}`,
+        new Response(file, {
+          headers: {
+            "content-type": file.type,
+            "x-file-name": encodeURIComponent(file.name),
+          },
+        }),
+      ),
+    ),
+  );
+  return Response.redirect(`${scope}?shared`, 303);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method === "POST" && url.href === `${scope}share-target`) {
+    event.respondWith(receiveShare(request));
+    return;
+  }
+  if (request.method !== "GET") return;
+
+  // Every page of the app is the same single-page shell
+  if (request.mode === "navigate" && url.href.startsWith(scope)) {
+    event.respondWith(
+      caches
+        .match(`${scope}index.html`, { cacheName: SHELL_CACHE })
+        .then((cached) => cached ?? fetch(request)),
+    );
+    return;
+  }
+  if (isOrtBinary(url)) {
+    event.respondWith(cacheFirst(ORT_CACHE, request));
+    return;
+  }
+  if (isFont(url)) {
+    event.respondWith(cacheFirst(FONT_CACHE, request));
+    return;
+  }
+  if (url.href.startsWith(scope)) {
+    event.respondWith(
+      caches
+        .match(request, { cacheName: SHELL_CACHE })
+        .then((cached) => cached ?? fetch(request)),
+    );
+  }
+});
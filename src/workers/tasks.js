@@ -0,0 +1,33 @@
+// Per-task glue between the generic worker protocol and each pipeline's call
+// signature and output shape. Outputs must survive structured cloning, so
+// RawImage/Tensor instances are reduced to plain pixel buffers.
+
+export function runTask(task, pipe, image, options = {}) {
+  if (task === "zero-shot-object-detection") {
+    const { candidate_labels = [], ...rest } = options;
+    return pipe(image, candidate_labels, rest);
+  }
+  return pipe(image, options);
+}
+
+const plainImage = ({ data, width, height, channels }) => ({
+  data,
+  width,
+  height,
+  channels,
+});
+
+export function serializeOutput(task, output) {
+  switch (task) {
+    case "image-segmentation":
+      return output.map(({ label, score, mask }) => ({
+        label,
+        score,
+        mask: plainImage(mask),
+      }));
+    case "depth-estimation":
+      return { depth: plainImage(output.depth) };
+    default:
+      return output;
+  }
+}
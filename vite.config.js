@@ -1,9 +1,83 @@
+import { readFileSync, readdirSync } from "node:fs";
+import { createHash } from "node:crypto";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
 
+const transformers = JSON.parse(
+  readFileSync("node_modules/@huggingface/transformers/package.json", "utf8"),
+);
+
+// Transformers.js points ONNX Runtime at its own CDN build, so these are the
+// binaries the worker actually fetches (the copy Vite emits goes unused)
+const ORT_BINARIES = [
+  "ort-wasm-simd-threaded.jsep.mjs",
+  "ort-wasm-simd-threaded.jsep.wasm",
+].map(
+  (name) =>
+    `https://cdn.jsdelivr.net/npm/@huggingface/transformers@${transformers.version}/dist/${name}`,
+);
+
+// Emits src/workers/service.worker.js as sw.js, prefixed with the files to
+// precache: the built app shell (minus the unused wasm) and public/ files
+function serviceWorker() {
+  return {
+    name: "service-worker",
+    apply: "build",
+    enforce: "post",
+    generateBundle(_, bundle) {
+      const shell = [
+        ...Object.keys(bundle).filter((name) => !/\.(wasm|map)$/.test(name)),
+        ...readdirSync("public"),
+      ].sort();
+      const script = readFileSync("src/workers/service.worker.js", "utf8");
+      // Hashed asset names change with their content; the rest is hashed here
+      const hash = createHash("sha256").update(
+        JSON.stringify([shell, ORT_BINARIES, script]),
+      );
+      hash.update(bundle["index.html"]?.source ?? "");
+      readdirSync("public").forEach((name) =>
+        hash.update(readFileSync(`public/${name}`)),
+      );
+      const version = hash.digest("hex").slice(0, 12);
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: `self.__PRECACHE__ = ${JSON.stringify({ version, shell, ort: ORT_BINARIES })};\n${script}`,
+      });
+    },
+  };
+}
+
 // https://vite.dev/config/
-export default defineConfig({
-  base: "/learningTransformerJs/",
-  plugins: [react(), tailwindcss()],
-});
+export default defineConfig(({ mode }) =>
+  mode === "lib"
+    ? {
+        // `npm run build:lib`: the embeddable detector and
+        // <transformer-vision> element, without the React app
+        base: "./",
+        publicDir: false,
+        build: {
+          outDir: "dist-lib",
+          // A regular build with the library as its entry rather than
+          // `build.lib`, which would inline the ORT wasm into the worker
+          rollupOptions: {
+            input: { "transformer-vision": "src/library/index.js" },
+            preserveEntrySignatures: "strict",
+            output: { entryFileNames: "[name].js" },
+          },
+        },
+        worker: { format: "es" },
+      }
+    : {
+        base: "/learningTransformerJs/",
+        plugins: [react(), tailwindcss(), serviceWorker()],
+        // The detection worker imports Transformers.js, which code-splits
+        worker: { format: "es" },
+        // Tests run offline against a fake detector (src/test/)
+        test: {
+          environment: "jsdom",
+          setupFiles: "./src/test/setup.js",
+        },
+      },
+);